@@ -0,0 +1,204 @@
+/**
+ * SELAH RHYTHM - Reference Sync Server
+ * v0.9.45
+ *
+ * A small, self-hostable server for the sync protocol in
+ * src/utils/syncProtocol.js. It keeps the newest version of every record in
+ * one JSON file and hands out changes in the order it stored them.
+ * No dependencies beyond Node itself; see server/README.md.
+ *
+ * Environment:
+ * - PORT: port to listen on (default 8787)
+ * - SYNC_DATA: path of the data file (default ./sync-data.json)
+ * - SYNC_TOKEN: when set, requests need "Authorization: Bearer <token>"
+ * - SYNC_ALLOW_ORIGIN: CORS origin allowed to call the server (default *)
+ */
+
+import { createServer } from 'node:http';
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { timingSafeEqual } from 'node:crypto';
+import {
+  SYNC_PROTOCOL_VERSION,
+  compareVersions,
+  validateRecord,
+  recordKey,
+} from '../src/utils/syncProtocol.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = resolve(process.env.SYNC_DATA || 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const ALLOW_ORIGIN = process.env.SYNC_ALLOW_ORIGIN || '*';
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_PULL_LIMIT = 1000;
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/** { seq, records: { "collection/id": record with its seq } } */
+const store = existsSync(DATA_FILE)
+  ? JSON.parse(readFileSync(DATA_FILE, 'utf8'))
+  : { seq: 0, records: {} };
+
+// Write to a temp file first so a crash never leaves half a data file
+const persist = () => {
+  const temp = `${DATA_FILE}.tmp`;
+  writeFileSync(temp, JSON.stringify(store));
+  renameSync(temp, DATA_FILE);
+};
+
+/**
+ * Stores each record unless the server already holds the same or a newer version
+ * @param {Object[]} records - Validated records
+ * @returns {number} How many were stored
+ */
+const applyChanges = (records) => {
+  let stored = 0;
+  records.forEach((record) => {
+    const key = recordKey(record);
+    const existing = store.records[key];
+    if (existing && compareVersions(record, existing) <= 0) return;
+    const { collection, id, updatedAt, deviceId, deleted, value } = record;
+    store.records[key] = {
+      collection, id, updatedAt, deviceId, deleted,
+      ...(deleted ? {} : { value }),
+      seq: ++store.seq,
+    };
+    stored++;
+  });
+  if (stored > 0) persist();
+  return stored;
+};
+
+/**
+ * Records stored after a cursor, oldest first
+ * @param {number} since - Cursor from the previous pull (0 for everything)
+ * @param {number} limit
+ * @returns {{records: Object[], cursor: number, more: boolean}}
+ */
+const changesSince = (since, limit) => {
+  const after = Object.values(store.records)
+    .filter((record) => record.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = after.slice(0, limit);
+  return {
+    records: page,
+    cursor: page.length > 0 ? page[page.length - 1].seq : Math.max(since, 0),
+    more: after.length > limit,
+  };
+};
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+  });
+  res.end(JSON.stringify({ protocol: SYNC_PROTOCOL_VERSION, ...body }));
+};
+
+const isAuthorized = (req) => {
+  if (!TOKEN) return true;
+  const given = Buffer.from(req.headers.authorization || '');
+  const expected = Buffer.from(`Bearer ${TOKEN}`);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+const readJson = (req) =>
+  new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop keeping it, but let the rest drain so the client gets the 413
+        // instead of a dropped connection; the connection closes after it
+        chunks.length = 0;
+        req.removeAllListeners('data');
+        req.resume();
+        reject(new HttpError(413, 'Request body is too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const handlePush = async (req) => {
+  const body = await readJson(req);
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new HttpError(400, 'Request body must be a JSON object');
+  }
+  if (body.protocol !== SYNC_PROTOCOL_VERSION) {
+    throw new HttpError(400, `This server speaks protocol v${SYNC_PROTOCOL_VERSION}`);
+  }
+  if (!Array.isArray(body.records)) throw new HttpError(400, 'records must be an array');
+  body.records.forEach((record, i) => {
+    const problem = validateRecord(record);
+    if (problem) throw new HttpError(400, `Record ${i}: ${problem}`);
+  });
+  const stored = applyChanges(body.records);
+  return { stored, cursor: store.seq };
+};
+
+const handlePull = (url) => {
+  const since = Number(url.searchParams.get('since') || 0);
+  const limit = Math.min(Number(url.searchParams.get('limit')) || MAX_PULL_LIMIT, MAX_PULL_LIMIT);
+  if (!Number.isInteger(since) || since < 0) throw new HttpError(400, 'since must be a non-negative integer');
+  return changesSince(since, limit);
+};
+
+const server = createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, {
+      'Access-Control-Allow-Origin': ALLOW_ORIGIN,
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Max-Age': '86400',
+    });
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  try {
+    if (url.pathname === '/v1/health' && req.method === 'GET') {
+      send(res, 200, { ok: true });
+      return;
+    }
+    if (!isAuthorized(req)) throw new HttpError(401, 'Missing or wrong sync token');
+    if (url.pathname === '/v1/changes' && req.method === 'GET') {
+      send(res, 200, handlePull(url));
+    } else if (url.pathname === '/v1/changes' && req.method === 'POST') {
+      send(res, 200, await handlePush(req));
+    } else {
+      throw new HttpError(404, 'Not found');
+    }
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error(e);
+    if (e.status === 413) res.setHeader('Connection', 'close');
+    send(res, e.status || 500, { error: e instanceof HttpError ? e.message : 'Internal server error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Selah sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -14,6 +14,7 @@
  *    - Tasks (primary, today, thisWeek, later, completed)
  *    - Habits with weekly history tracking
  *    - Anchors (daily routines)
+ *    - Projects (outcomes that gather tasks from any list)
  *    - Prayers and gratitude entries
  *    - Timer state and presets
  *    - Settings and user profile
@@ -21,33 +22,68 @@
  *    - Daily reflections
  *
  * 2. DAILY RESET LOGIC:
- *    - Automatic daily reset at midnight (habits, reflections, schedule events)
- *    - Weekly habit reset
- *    - Task archiving system
+ *    - One rollover per logical day via useDailyReset (utils/rollover.js):
+ *      archive done tasks, create the next recurring instances, promote dated
+ *      and snoozed tasks toward Today, journal the reflection into
+ *      reflectionHistory, reset habits/schedule/reflection, carry over, greet
+ *    - Day starts at settings.dayStartHour (midnight by default)
  *    - Weekly reflection prompts (Sunday evenings)
  *
  * 3. LIFECYCLE EFFECTS (useEffect hooks):
- *    - Daily reset monitoring (checks every minute)
- *    - New day transition detection
- *    - Keyboard shortcuts (1-3 for modes, Space for timer, N for quick-add, S for settings, Esc for modals)
+ *    - Day rollover monitoring (checks every minute and on tab wake)
+ *    - Keyboard shortcuts via useKeyboardShortcuts (1-3 for modes, Space for timer,
+ *      N for quick-add, S for settings, Esc for modals, Ctrl/Cmd+Z to undo,
+ *      Ctrl/Cmd+K for the command palette, and Esc, Ctrl/Cmd+A, Delete and
+ *      Ctrl/Cmd+Enter while tasks are selected)
  *    - Theme switching with transition guard to prevent jank
  *    - Timer countdown logic
  *    - Mobile scroll behavior and tab bar collapse
  *    - Background layer crossfade on mode change
- *    - localStorage persistence for all state
+ *    - Persistence for all state (via load/save)
  *
  * 4. TASK MANAGEMENT:
- *    - CRUD operations: addTask, delTask, editTask
- *    - Metadata updates: updCat (category), updTime (time estimate)
+ *    - CRUD operations: addTask, delTask, editTask; the QuickAddBar adds
+ *      tasks with inline list, category, time and date (utils/quickAdd.js)
+ *    - Metadata updates: updCat (category), updTime (time estimate), updRepeat
+ *      (recurrence rule; the rollover creates each next instance, utils/recurrence.js),
+ *      updSteps (checklist of steps inside a task, utils/subtasks.js),
+ *      updDue and updSnooze (due and snooze-until days, utils/dueDates.js),
+ *      updNotes (Markdown notes on a task, utils/notes.js), updTags (free-form
+ *      tags; saved filter views live in settings.savedViews, utils/tags.js),
+ *      updBlockers (tasks this one waits on, utils/dependencies.js; refuses loops)
  *    - List management: moveTask, reorderTask (drag & drop)
- *    - Completion: toggleTask with undo support and celebration
- *    - Focus time tracking: addFocusTime (integrates with timer)
+ *    - Work-in-progress limits per list (settings.wipLimits, utils/wipLimits.js):
+ *      adds and moves go through intoList, which asks (WipLimitPrompt) before
+ *      going past a limit
+ *    - Completion: toggleTask with celebration; tasks it was the last blocker
+ *      of come up to the top of Today, if Today has room
+ *    - Multi-select: useTaskSelection tracks the selected tasks; bulkActions
+ *      runs the same mutations per task, batched into one undo step
+ *    - Archive: restoreArchivedTask, duplicateArchivedTask (ArchiveModal)
+ *    - Task age: tasks carry createdAt, and edits and moves stamp touchedAt
+ *      (touching, utils/taskAge.js); TriageModal walks through the stale ones,
+ *      from the weekly reflection or the command palette
+ *    - Projects (utils/projects.js): tasks in any list can belong to one
+ *      (updTaskProject); ProjectsModal shows each project's progress and next
+ *      actions, OrderView can group its lists by project, and completing a
+ *      project, or checking off its last open task, asks for a reflection
+ *      (ProjectReflectionModal)
+ *    - Every task, habit, anchor, project, schedule and prayer change goes through
+ *      useUndoHistory, so it can be undone and redone
+ *    - Focus time tracking: addFocusTime (integrates with timer); liveFocus flags tasks over their estimate
  *
  * 5. OTHER ENTITY MANAGEMENT:
  *    - Habits: addHabit, delHabit, togHabit, reorderHabit, resetHabits
  *    - Anchors: addAnchor, editAnchor, delAnchor
+ *    - Projects: addProject, updProject, setProjectStatus, completeProject, delProject
  *    - Prayers & Gratitude: managed through setPrayers, setGratitudeEntries
+ *    - Journal vault: useJournalVault persists prayers, gratitude entries and
+ *      reflection history, encrypted and auto-locking when turned on
+ *    - Server sync: useServerSync syncs tasks, habits, schedule and (unless
+ *      encrypted) the journal with a self-hosted server (server/README.md)
  *    - Reflections: setReflections, handleExport, handleClearReflections
+ *    - Backup: getBackupData, handleRestoreBackup (full JSON backup in Settings)
+ *    - Storage: useStorageHealth warns while saves fail; handlePrune trims old data
  *
  * 6. UI COORDINATION:
  *    - Mobile detection and responsive behavior
@@ -55,7 +91,7 @@
  *    - Pull-to-refresh on mobile
  *    - Tab swipe gestures (desktop only)
  *    - Toast notifications for feedback
- *    - Undo system with 5-second timeout
+ *    - Undo toast for completions and deletions (5-second timeout)
  *
  * COMPONENT STRUCTURE:
  * ====================
@@ -64,9 +100,17 @@
  * ├── DeepWorkBar (ambient timer progress)
  * ├── NewDayTransition (gentle morning greeting)
  * ├── Toast / UndoToast (feedback notifications)
+ * ├── StorageAlert (while saves are failing)
  * ├── Modals
  * │   ├── SelahPause (mindfulness pause)
  * │   ├── SettingsModal (app configuration)
+ * │   ├── ArchiveModal (search, restore and duplicate completed tasks)
+ * │   ├── CalibrationModal (estimates versus focus time, correction factor)
+ * │   ├── TriageModal (one stale This Week / Later task at a time)
+ * │   ├── ProjectsModal (projects, their progress and next actions)
+ * │   ├── ProjectReflectionModal (looking back on a completed project)
+ * │   ├── CommandPalette (Ctrl/Cmd+K search across the app, and commands)
+ * │   ├── WipLimitPrompt (swap, demote or go over when a list is full)
  * │   ├── GuideModal (how to use)
  * │   └── WeeklyReflectionModal (Sunday reflection prompt)
  * ├── Header (Desktop)
@@ -79,6 +123,8 @@
  * │   ├── FocusView (timer, today's tasks)
  * │   └── RestView (scripture, be still, prayer/gratitude, reflection)
  * ├── EncouragementBar (rotating encouragement messages)
+ * ├── QuickAddBar (Order mode task entry with inline syntax, N to focus)
+ * ├── SelectionToolbar (bulk actions while tasks are selected)
  * ├── EnoughIndicator (permission to rest when primary tasks complete)
  * ├── MobileTabBar (Mobile only - bottom navigation)
  * ├── Selah FAB (floating action button for mindfulness pause)
@@ -89,7 +135,7 @@
  * 1. State lives in this component
  * 2. Props flow down to child components
  * 3. Callbacks flow up from children to mutate state
- * 4. All state changes trigger localStorage persistence via useEffect
+ * 4. All state changes trigger persistence via useEffect
  * 5. Daily reset logic runs independently via interval
  *
  * KEYBOARD SHORTCUTS:
@@ -99,6 +145,14 @@
  * N          - Focus quick-add input (Order mode only)
  * S          - Open settings
  * Escape     - Close modals/popovers
+ * Ctrl/Cmd+Z - Undo (Shift+Ctrl/Cmd+Z or Ctrl+Y to redo)
+ * Ctrl/Cmd+K - Command palette: search everything, run commands
+ *
+ * With tasks selected (Ctrl/Cmd-click, Shift-click for a range, long-press):
+ * Escape     - Clear the selection
+ * Ctrl/Cmd+A - Select the whole list
+ * Delete     - Delete the selected tasks
+ * Ctrl/Cmd+Enter - Mark them done
  *
  * MOBILE GESTURES:
  * ================
@@ -116,11 +170,15 @@
  *
  * PERSISTENCE:
  * ============
- * All state is persisted to localStorage with 'selah_' prefix:
+ * All state goes through load/save (utils/storage.js), which stamps a schema
+ * version, runs the migration chain and loads IndexedDB in main.jsx before the
+ * first render. Keys below are stored in IndexedDB, or in localStorage with the
+ * 'selah_' prefix when IndexedDB is unavailable:
  * - selah_settings
  * - selah_tasks
  * - selah_habits
  * - selah_anchors
+ * - selah_projects
  * - selah_prayers
  * - selah_gratitudeEntries
  * - selah_gratitude (daily)
@@ -131,11 +189,19 @@
  * - selah_taskCategories
  * - selah_timerPreset
  * - selah_timerTime
- * - selah_last_reset_date
- * - selah_last_habit_reset_week
- * - selah_last_visit
- * - selah_weekly-prompt
+ * - selah_lastRolloverDay (logical day of the last rollover, YYYY-MM-DD)
+ * - selah_weeklyPrompt
+ * - selah_weeklyReflections
  * - selah_last_encouragement_idx
+ * - selah_vault / selah_vaultInbox (journal encryption, utils/vault.js)
+ * - selah_syncConfig / selah_syncState (server sync, utils/syncClient.js)
+ * - selah_schemaVersion / selah_preMigrationBackup (storage layer)
+ *
+ * With the journal vault on, prayers, gratitude entries and reflection
+ * history are stored sealed and only held in state while unlocked.
+ *
+ * Saves are broadcast to other open tabs, which merge them into their own
+ * state (useCrossTabSync); useTimerSync keeps one tab in charge of the timer.
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
@@ -149,6 +215,13 @@ import {
   SelahPause,
   NewDayTransition,
   WeeklyReflectionModal,
+  ArchiveModal,
+  CalibrationModal,
+  CommandPalette,
+  WipLimitPrompt,
+  TriageModal,
+  ProjectsModal,
+  ProjectReflectionModal,
 } from './components/modals';
 import GuideModal from './components/modals/GuideModal';
 
@@ -156,7 +229,7 @@ import GuideModal from './components/modals/GuideModal';
 import { MobileTabBar, MobileHeader } from './components/mobile';
 
 // Shared Components
-import { Toast, UndoToast, Icons } from './components/shared';
+import { Toast, UndoToast, StorageAlert, Icons } from './components/shared';
 
 // UI Components
 import {
@@ -164,13 +237,40 @@ import {
   EnoughIndicator,
   NavProgress,
   EncouragementBar,
+  QuickAddBar,
+  SelectionToolbar,
 } from './components/ui';
 
 // Data & Constants
-import { PRESETS, DEFAULT_CATS, CELEBS } from './data/constants';
+import { PRESETS, DEFAULT_CATS, CELEBS, LISTS } from './data/constants';
 
 // Utilities
 import { load, save, genId, getToday, getGreeting } from './utils/helpers';
+import { getStorageReport } from './utils/storage';
+import {
+  useCrossTabSync,
+  useTimerSync,
+  useDailyReset,
+  useJournalVault,
+  useServerSync,
+  useUndoHistory,
+  useKeyboardShortcuts,
+  useStorageHealth,
+  useTaskSelection,
+} from './hooks';
+import { DEFAULT_DAY_START_HOUR } from './utils/rollover';
+import { getLogicalDayKey, isOnLogicalDay } from './utils/dateHelpers';
+import { loadUnsealed, DEFAULT_AUTO_LOCK_MINUTES } from './utils/vault';
+import { applyPrune } from './utils/storageHealth';
+import { archiveEntryKey } from './utils/archive';
+import { allStepsDone } from './utils/subtasks';
+import { listForDue } from './utils/dueDates';
+import { collectTags } from './utils/tags';
+import { estimateMinutes } from './utils/timeHelpers';
+import { DEFAULT_WIP_LIMITS, wipLimitFor, wouldExceed, listBelow, roomBelow } from './utils/wipLimits';
+import { openTasks, blockedIds, findCycle, describeCycle, unblockedBy } from './utils/dependencies';
+import { stampTouched, staleTasks, SOMEDAY_TAG } from './utils/taskAge';
+import { createProject, projectProgress, finishesProject } from './utils/projects';
 
 /**
  * Main App Component
@@ -189,9 +289,15 @@ const App = () => {
       scriptureOn: true,
       celebOn: true,
       showTimeToComplete: false,
+      autoCompleteSteps: false,
+      savedViews: [],
+      wipLimits: DEFAULT_WIP_LIMITS,
+      groupByProject: false,
       snapIncrement: 15,
       weeklyReflection: false,
       showProgress: true,
+      dayStartHour: DEFAULT_DAY_START_HOUR,
+      vaultAutoLockMinutes: DEFAULT_AUTO_LOCK_MINUTES,
     })
   );
   const [profile, setProfile] = useState(() => load('profile', { firstName: '' }));
@@ -206,9 +312,15 @@ const App = () => {
   const [showNewDay, setShowNewDay] = useState(false);
   const [yesterdayStats, setYesterdayStats] = useState(null);
   const [showWeeklyReflection, setShowWeeklyReflection] = useState(false);
+  const [showArchive, setShowArchive] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showTriage, setShowTriage] = useState(false);
+  const [projectsView, setProjectsView] = useState(undefined); // undefined closed, null the list, or a project id
+  const [projectPrompt, setProjectPrompt] = useState(null); // {id, confirm} for the completion reflection
+  const [wipPrompt, setWipPrompt] = useState(null); // {list, incoming, what, place}
 
   // Task Management
-  const [undoTask, setUndoTask] = useState(null);
   const [linkedTask, setLinkedTask] = useState(null);
   const [tasks, setTasks] = useState(() =>
     load('tasks', {
@@ -224,38 +336,41 @@ const App = () => {
   );
 
   // Habits & Anchors
-  const [habits, setHabits] = useState(() => {
-    const loadedHabits = load('habits', [
+  const [habits, setHabits] = useState(() =>
+    load('habits', [
       {
         id: '1',
         name: 'Morning prayer',
         desc: 'Start the day with gratitude',
         done: false,
+        history: [],
       },
       {
         id: '2',
         name: 'Read Scripture',
         desc: 'Let His word guide your steps',
         done: false,
+        history: [],
       },
       {
         id: '3',
         name: 'Exercise',
         desc: 'Honor God with your body',
         done: false,
+        history: [],
       },
-    ]);
-    return loadedHabits.map((h) => ({
-      ...h,
-      history: h.history || [],
-    }));
-  });
+    ])
+  );
   const [anchors, setAnchors] = useState(() => load('anchors', []));
 
+  // Projects: tasks grouped toward one outcome (utils/projects.js)
+  const [projects, setProjects] = useState(() => load('projects', []));
+
   // Prayer & Gratitude
-  const [prayers, setPrayers] = useState(() => load('prayers', []));
+  // Empty while the journal vault is locked (see useJournalVault)
+  const [prayers, setPrayers] = useState(() => loadUnsealed('prayers'));
   const [gratitudeEntries, setGratitudeEntries] = useState(() =>
-    load('gratitudeEntries', [])
+    loadUnsealed('gratitudeEntries')
   );
   const [gratitude, setGratitude] = useState(() => load('gratitude', ''));
 
@@ -264,9 +379,12 @@ const App = () => {
     load('reflections', { mattered: '', released: '', wait: '' })
   );
   const [reflectionHistory, setReflectionHistory] = useState(() =>
-    load('reflectionHistory', {})
+    loadUnsealed('reflectionHistory')
   );
 
+  // Sunday reflections, the last 52 weeks
+  const [weeklyReflections, setWeeklyReflections] = useState(() => load('weeklyReflections', []));
+
   // Schedule
   const [schedEvents, setSchedEvents] = useState(() => load('schedEvents', []));
 
@@ -292,6 +410,8 @@ const App = () => {
   const [timerComplete, setTimerComplete] = useState(false);
   const [running, setRunning] = useState(false);
   const [timerMode, setTimerMode] = useState('focus');
+  // {minutes} for TimerCard to start, set by "start 25m focus on…" in the command palette
+  const [focusRequest, setFocusRequest] = useState(null);
 
   // Popover System
   const [openPopoverId, setOpenPopoverId] = useState(null);
@@ -319,11 +439,70 @@ const App = () => {
   const headerRef = useRef(null);
   const lastScrollY = useRef(0);
   const collapseTimeout = useRef(null);
-  const undoTimeoutRef = useRef(null);
   const prevThemeRef = useRef(settings.theme);
 
+  // Cross-tab sync: merge saves made in other open tabs into this tab's state
+  useCrossTabSync('settings', setSettings);
+  useCrossTabSync('profile', setProfile);
+  useCrossTabSync('tasks', setTasks);
+  useCrossTabSync('taskCategories', setTaskCategories);
+  useCrossTabSync('habits', setHabits);
+  useCrossTabSync('anchors', setAnchors);
+  useCrossTabSync('projects', setProjects);
+  useCrossTabSync('gratitude', setGratitude);
+  useCrossTabSync('reflections', setReflections);
+  useCrossTabSync('schedEvents', setSchedEvents);
+  useCrossTabSync('weeklyReflections', setWeeklyReflections);
+
+  // Journal collections persist (and sync) through the optional encrypted vault
+  const vault = useJournalVault({
+    values: { prayers, gratitudeEntries, reflectionHistory },
+    setters: {
+      prayers: setPrayers,
+      gratitudeEntries: setGratitudeEntries,
+      reflectionHistory: setReflectionHistory,
+    },
+    autoLockMinutes: settings.vaultAutoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES,
+  });
+
+  // Other devices, through the user's own sync server
+  const serverSync = useServerSync({
+    values: { tasks, habits, schedEvents, prayers, gratitudeEntries, reflectionHistory },
+    setters: {
+      tasks: setTasks,
+      habits: setHabits,
+      schedEvents: setSchedEvents,
+      prayers: setPrayers,
+      gratitudeEntries: setGratitudeEntries,
+      reflectionHistory: setReflectionHistory,
+    },
+    skipJournal: vault.enabled,
+  });
+
+  // Undo/redo for user changes; other tabs, sync and the rollover bypass it
+  const undoHistory = useUndoHistory({
+    values: { tasks, habits, anchors, projects, schedEvents, prayers, weeklyReflections },
+    setters: {
+      tasks: setTasks,
+      habits: setHabits,
+      anchors: setAnchors,
+      projects: setProjects,
+      schedEvents: setSchedEvents,
+      prayers: setPrayers,
+      weeklyReflections: setWeeklyReflections,
+    },
+  });
+
+  // Tasks picked out for a bulk action in the Order or Focus view
+  const selection = useTaskSelection({ tasks, mode });
+
+  // Only one tab owns a running countdown; others mirror it
+  const { runningElsewhere: timerRunningElsewhere, pauseElsewhere: pauseTimerElsewhere } =
+    useTimerSync({ running, time, setRunning, setTime });
+
   // Derived State
   const today = getToday();
+  const timerActive = running || timerRunningElsewhere;
   const primaryComplete =
     tasks.primary.length > 0 && tasks.primary.every((t) => t.done);
 
@@ -331,42 +510,25 @@ const App = () => {
   // DAILY RESET LOGIC
   // ============================================================================
 
-  const getTodayISO = () => {
-    const d = new Date();
-    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(
-      d.getDate()
-    ).padStart(2, '0')}`;
-  };
-
-  const performDailyReset = useCallback(() => {
-    const todayISO = getTodayISO();
-    const lastReset = load('lastDailyResetISO', '');
-
-    if (lastReset !== todayISO) {
-      // Reset habits
-      setHabits((prev) => {
-        const reset = prev.map((h) => ({ ...h, done: false }));
-        save('habits', reset);
-        return reset;
-      });
-
-      // Reset schedule events
-      setSchedEvents((prev) => {
-        const persistent = prev.filter((e) => e.persistent);
-        save('schedEvents', persistent);
-        return persistent;
-      });
-
-      // Clear daily reflection
-      setGratitude('');
-      setReflections({ mattered: '', released: '', wait: '' });
-      save('gratitude', '');
-      save('reflections', { mattered: '', released: '', wait: '' });
-
-      // Update last reset date
-      save('lastDailyResetISO', todayISO);
-    }
-  }, [setSchedEvents]);
+  const dayStartHour = settings.dayStartHour ?? DEFAULT_DAY_START_HOUR;
+  const todayKey = getLogicalDayKey(new Date(), dayStartHour);
+
+  // One rollover per logical day: archive, journal, reset, carry over, greet
+  const performRollover = useDailyReset({
+    dayStartHour,
+    state: { tasks, habits, schedEvents, gratitude, reflections, reflectionHistory },
+    setTasks,
+    setHabits,
+    setSchedEvents,
+    setGratitude,
+    setReflections,
+    setReflectionHistory,
+    onNewDay: (greeting) => {
+      setYesterdayStats(greeting);
+      setShowNewDay(true);
+      setTimeout(() => setShowNewDay(false), 5000);
+    },
+  });
 
   // Helper to get ISO week number
   const getWeekNumber = (date) => {
@@ -381,33 +543,24 @@ const App = () => {
   // LIFECYCLE EFFECTS
   // ============================================================================
 
-  // Daily reset on mount
-  useEffect(() => {
-    performDailyReset();
-  }, [performDailyReset]);
+  // Saves that are failing right now (quota, unavailable storage)
+  const storageHealth = useStorageHealth();
 
-  // Check for new day on mount
+  // Surface storage migration or read failures instead of hiding them
   useEffect(() => {
-    const lastVisit = localStorage.getItem('selah-last-visit');
-    const todayStr = new Date().toDateString();
-
-    if (lastVisit && lastVisit !== todayStr) {
-      const yesterdayCompleted = tasks.completed.filter((t) => {
-        const completedDate = t.completedAt
-          ? new Date(t.completedAt).toDateString()
-          : null;
-        return completedDate === lastVisit;
-      }).length;
-
-      if (yesterdayCompleted > 0) {
-        setYesterdayStats({ completed: yesterdayCompleted });
-        setShowNewDay(true);
-        setTimeout(() => setShowNewDay(false), 5000);
-      }
+    const { errors, migratedFrom } = getStorageReport();
+    if (errors.length > 0) {
+      const first = errors[0];
+      setToast({
+        title: 'Storage problem',
+        msg: first.type === 'migration'
+          ? `Your saved data could not be upgraded (${first.message}). A backup was kept and nothing was overwritten.`
+          : `Some saved data could not be read (${first.key}). Defaults are shown for it.`,
+      });
+    } else if (migratedFrom !== null) {
+      console.log(`[Selah Storage] Migrated saved data from v${migratedFrom}`);
     }
-
-    localStorage.setItem('selah-last-visit', todayStr);
-  }, [tasks.completed]);
+  }, []);
 
   // Weekly reflection prompt (Sunday 6pm+)
   useEffect(() => {
@@ -416,80 +569,15 @@ const App = () => {
     const now = new Date();
     const isSunday = now.getDay() === 0;
     const isEvening = now.getHours() >= 18;
-    const lastWeeklyPrompt = localStorage.getItem('selah-weekly-prompt');
+    const lastWeeklyPrompt = String(load('weeklyPrompt', ''));
     const thisWeek = getWeekNumber(now);
 
     if (isSunday && isEvening && lastWeeklyPrompt !== String(thisWeek)) {
       setShowWeeklyReflection(true);
-      localStorage.setItem('selah-weekly-prompt', String(thisWeek));
+      save('weeklyPrompt', String(thisWeek));
     }
   }, [settings.weeklyReflection]);
 
-  // Check for day change every 60 seconds
-  useEffect(() => {
-    const interval = setInterval(() => {
-      performDailyReset();
-    }, 60000);
-
-    return () => clearInterval(interval);
-  }, [performDailyReset]);
-
-  // Daily reset with task archiving and weekly habit reset
-  useEffect(() => {
-    const checkAndResetDaily = () => {
-      const today = new Date().toISOString().split('T')[0];
-      const lastCheckDate = localStorage.getItem('selah_last_reset_date');
-      const lastResetWeek = localStorage.getItem('selah_last_habit_reset_week');
-      const currentWeek = getWeekNumber(new Date());
-
-      if (lastCheckDate !== today) {
-        console.log('[SelahDaily] New day detected, archiving completed tasks');
-
-        setTasks((prev) => {
-          const completedTasks = [
-            ...prev.primary.filter((t) => t.done),
-            ...prev.today.filter((t) => t.done),
-            ...prev.thisWeek.filter((t) => t.done),
-            ...prev.later.filter((t) => t.done),
-          ].map((t) => ({
-            ...t,
-            archivedAt: new Date().toISOString(),
-            completedAt: t.completedAt || new Date().toISOString(),
-          }));
-
-          return {
-            primary: prev.primary.filter((t) => !t.done),
-            today: prev.today.filter((t) => !t.done),
-            thisWeek: prev.thisWeek.filter((t) => !t.done),
-            later: prev.later.filter((t) => !t.done),
-            completed: [...(prev.completed || []), ...completedTasks].slice(-100),
-          };
-        });
-
-        setReflections({ mattered: '', released: '', wait: '' });
-        setGratitude('');
-
-        localStorage.setItem('selah_last_reset_date', today);
-      }
-
-      if (lastResetWeek !== String(currentWeek)) {
-        console.log('[SelahDaily] New week detected, resetting habits');
-        setHabits((prev) =>
-          prev.map((h) => ({
-            ...h,
-            done: false,
-            history: h.history || [],
-          }))
-        );
-        localStorage.setItem('selah_last_habit_reset_week', String(currentWeek));
-      }
-    };
-
-    checkAndResetDaily();
-    const interval = setInterval(checkAndResetDaily, 60 * 60 * 1000);
-    return () => clearInterval(interval);
-  }, []);
-
   // Mobile detection
   useEffect(() => {
     const handleResize = () => {
@@ -524,58 +612,47 @@ const App = () => {
   );
 
   // Keyboard shortcuts
-  useEffect(() => {
-    const handleKeyboard = (e) => {
-      if (
-        e.target.tagName === 'INPUT' ||
-        e.target.tagName === 'TEXTAREA' ||
-        e.target.isContentEditable
-      ) {
-        return;
-      }
-
-      // Number keys 1-3 for mode switching
-      if (e.key === '1') {
-        e.preventDefault();
-        setMode('order');
-      } else if (e.key === '2') {
-        e.preventDefault();
-        setMode('focus');
-      } else if (e.key === '3') {
-        e.preventDefault();
-        setMode('rest');
-      }
-
-      // Space to toggle timer (Focus mode only)
-      if (e.key === ' ' && mode === 'focus' && settings.timerOn) {
-        e.preventDefault();
-        setRunning((r) => !r);
-      }
-
-      // 'n' to focus quick-add (Order mode only)
-      if (e.key === 'n' && mode === 'order') {
-        e.preventDefault();
-        const quickAddInput = document.querySelector('.quick-add-bar input');
-        if (quickAddInput) quickAddInput.focus();
-      }
-
-      // 's' to open settings
-      if (e.key === 's' && !e.metaKey && !e.ctrlKey) {
-        e.preventDefault();
-        setShowSettings(true);
-      }
-
-      // Escape to close modals
-      if (e.key === 'Escape') {
-        if (showSettings) setShowSettings(false);
-        if (showGuide) setShowGuide(false);
-        if (showSelah) setShowSelah(false);
-      }
-    };
-
-    window.addEventListener('keydown', handleKeyboard);
-    return () => window.removeEventListener('keydown', handleKeyboard);
-  }, [mode, settings.timerOn, showSettings, showGuide, showSelah]);
+  // Selection keys wait while a dialog is up, so Delete or Ctrl+Enter there
+  // can't act on tasks selected behind it
+  const modalOpen =
+    showSettings ||
+    showGuide ||
+    showSelah ||
+    showNewDay ||
+    showWeeklyReflection ||
+    showArchive ||
+    showCalibration ||
+    showPalette ||
+    showTriage ||
+    projectsView !== undefined ||
+    projectPrompt !== null ||
+    wipPrompt !== null;
+
+  useKeyboardShortcuts({
+    mode,
+    setMode,
+    timerOn: settings.timerOn,
+    setRunning,
+    showSettings,
+    setShowSettings,
+    showGuide,
+    setShowGuide,
+    showSelah,
+    setShowSelah,
+    onUndo: undoHistory.undo,
+    onRedo: undoHistory.redo,
+    onCommandPalette: () => setShowPalette((s) => !s),
+    modalOpen,
+    selection:
+      selection.count > 0
+        ? {
+            selectAll: selection.selectAll,
+            clear: selection.clear,
+            remove: () => bulkActions.remove(),
+            complete: () => bulkActions.done(),
+          }
+        : null,
+  });
 
   // Nav hover spotlight effect
   useEffect(() => {
@@ -622,7 +699,7 @@ const App = () => {
     else document.body.classList.remove('reduce-motion');
   }, [settings]);
 
-  // Persist state to localStorage
+  // Persist state (IndexedDB writes only the records that changed)
   useEffect(() => {
     save('tasks', tasks);
   }, [tasks]);
@@ -632,30 +709,30 @@ const App = () => {
   useEffect(() => {
     save('schedEvents', schedEvents);
   }, [schedEvents]);
+  useEffect(() => {
+    save('anchors', anchors);
+  }, [anchors]);
+  useEffect(() => {
+    save('projects', projects);
+  }, [projects]);
   useEffect(() => {
     save('taskCategories', taskCategories);
   }, [taskCategories]);
   useEffect(() => {
-    save('prayers', prayers);
-  }, [prayers]);
-  useEffect(() => {
-    save('gratitudeEntries', gratitudeEntries);
-  }, [gratitudeEntries]);
+    save('weeklyReflections', weeklyReflections);
+  }, [weeklyReflections]);
   useEffect(() => {
     save('gratitude', gratitude);
   }, [gratitude]);
   useEffect(() => {
     save('reflections', reflections);
   }, [reflections]);
-  useEffect(() => {
-    save('reflectionHistory', reflectionHistory);
-  }, [reflectionHistory]);
   useEffect(() => {
     save('timerPreset', preset.l);
   }, [preset]);
   useEffect(() => {
-    if (!running && time > 0) save('timerTime', time);
-  }, [time, running]);
+    if (!running && !timerRunningElsewhere && time > 0) save('timerTime', time);
+  }, [time, running, timerRunningElsewhere]);
 
   // Timer countdown
   useEffect(() => {
@@ -747,76 +824,278 @@ const App = () => {
     setToast(CELEBS[Math.floor(Math.random() * CELEBS.length)]);
   }, [settings.celebOn]);
 
-  const addTask = (text, list, cat, tm) => {
-    if (list === 'primary' && tasks.primary.length >= 5) list = 'today';
-    setTasks((p) => ({
-      ...p,
-      [list]: [
-        ...p[list],
-        {
-          id: genId(),
-          text,
-          done: false,
-          cat: cat || 'none',
-          time: tm || '',
-          totalFocusMinutes: 0,
-        },
-      ],
-    }));
+  // Work-in-progress limits by list (utils/wipLimits.js)
+  const wipLimits = settings.wipLimits || DEFAULT_WIP_LIMITS;
+
+  // Puts `incoming` tasks into a list with place(list). When that would go past
+  // the list's limit, asks first (WipLimitPrompt) and place runs with the list
+  // chosen. Returns the list used, or null while asking.
+  // exceptId: a task already counted in the list that is only being re-filed
+  const intoList = (list, incoming, what, place, exceptId) => {
+    const count = tasks[list].filter((t) => t.id !== exceptId).length;
+    if (!wouldExceed(count, wipLimitFor(wipLimits, list), incoming)) {
+      place(list);
+      return list;
+    }
+    setWipPrompt({ list, incoming, what, place });
+    return null;
+  };
+
+  const closeWipPrompt = useCallback(() => setWipPrompt(null), []);
+
+  const resolveWipPrompt = (choice, swapId) => {
+    const { list, incoming, place } = wipPrompt;
+    setWipPrompt(null);
+    if (choice === 'override') place(list);
+    else if (choice === 'demote') place(roomBelow(tasks, wipLimits, list, incoming));
+    else if (choice === 'swap') {
+      undoHistory.batch('Tasks swapped', () => {
+        relocateTask(swapId, list, listBelow(list));
+        place(list);
+      });
+    }
   };
 
+  // fields: any further task fields to start with, e.g. {due}
+  const addTask = (text, list, cat, tm, fields) =>
+    intoList(list, 1, `"${text}"`, (to) => insertTask(text, to, cat, tm, fields));
+
+  const insertTask = (text, list, cat, tm, fields) => {
+    undoHistory.apply('Task added', {
+      tasks: (p) => ({
+        ...p,
+        [list]: [
+          ...p[list],
+          {
+            id: genId(),
+            text,
+            done: false,
+            cat: cat || 'none',
+            time: tm || '',
+            totalFocusMinutes: 0,
+            createdAt: new Date().toISOString(),
+            ...fields,
+          },
+        ],
+      }),
+    });
+  };
+
+  // Edits and moves stamp the tasks they change as touched (utils/taskAge.js)
+  const touching = (update) => (p) => stampTouched(p, update(p));
+
   const delTask = (id, list) =>
-    setTasks((p) => ({ ...p, [list]: p[list].filter((t) => t.id !== id) }));
+    undoHistory.apply(
+      'Task deleted',
+      { tasks: (p) => ({ ...p, [list]: p[list].filter((t) => t.id !== id) }) },
+      { toast: 'deleted' }
+    );
 
   const editTask = (id, list, text) =>
-    setTasks((p) => ({
-      ...p,
-      [list]: p[list].map((t) => (t.id === id ? { ...t, text } : t)),
-    }));
+    undoHistory.apply('Task edited', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t, text } : t)),
+      })),
+    });
 
   const updCat = (id, list, cat) =>
-    setTasks((p) => ({
-      ...p,
-      [list]: p[list].map((t) => (t.id === id ? { ...t, cat } : t)),
-    }));
+    undoHistory.apply('Category changed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t, cat } : t)),
+      })),
+    });
 
   const updTime = (id, list, tm) =>
-    setTasks((p) => ({
-      ...p,
-      [list]: p[list].map((t) => (t.id === id ? { ...t, time: tm } : t)),
-    }));
+    undoHistory.apply('Time estimate changed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t, time: tm } : t)),
+      })),
+    });
+
+  // A rule of null makes the task one-off again
+  const updRepeat = (id, list, repeat) =>
+    undoHistory.apply(repeat ? 'Repeat set' : 'Repeat removed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => {
+          if (t.id !== id) return t;
+          if (repeat) return { ...t, repeat };
+          const { repeat: _repeat, ...rest } = t;
+          return rest;
+        }),
+      })),
+    });
+
+  // change maps the checklist to its next version (utils/subtasks.js)
+  const updSteps = (id, list, label, change) => {
+    const t = tasks[list].find((x) => x.id === id);
+    if (!t) return;
+    // Checking off the last step completes the task, when that's turned on;
+    // undoing it brings back both the step and the task
+    const before = t.subtasks || [];
+    const completes = settings.autoCompleteSteps && !t.done && !allStepsDone(before) && allStepsDone(change(before));
+    undoHistory.batch(
+      completes ? 'Completed' : label,
+      () => {
+        undoHistory.apply(label, {
+          tasks: touching((p) => ({
+            ...p,
+            [list]: p[list].map((x) => (x.id === id ? { ...x, subtasks: change(x.subtasks || []) } : x)),
+          })),
+        });
+        if (completes) toggleTask(id, list);
+      },
+      completes ? { toast: 'completed' } : {}
+    );
+  };
+
+  const updTags = (id, list, tags) =>
+    undoHistory.apply('Tags changed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t, tags } : t)),
+      })),
+    });
+
+  // Blockers (utils/dependencies.js). Returns why not when a blocker would
+  // make a loop, or null once saved.
+  const updBlockers = (id, list, blockedBy) => {
+    const current = tasks[list].find((t) => t.id === id)?.blockedBy || [];
+    for (const blockerId of blockedBy.filter((b) => !current.includes(b))) {
+      const cycle = findCycle(tasks, id, blockerId);
+      if (cycle) return describeCycle(cycle);
+    }
+    undoHistory.apply('Blockers changed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t, blockedBy } : t)),
+      })),
+    });
+    return null;
+  };
+
+  // The project a task belongs to (utils/projects.js); null takes it out
+  const updTaskProject = (id, list, projectId) =>
+    undoHistory.apply('Project changed', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => {
+          if (t.id !== id) return t;
+          if (projectId) return { ...t, project: projectId };
+          const { project: _project, ...rest } = t;
+          return rest;
+        }),
+      })),
+    });
+
+  // Open tasks, to pick blockers from and to check them against
+  const blockerChoices = openTasks(tasks);
+  const blocked = blockedIds(tasks);
+
+  // Filter views saved from the Order and Focus filter bars (utils/tags.js)
+  const savedViews = settings.savedViews || [];
+  const setSavedViews = (views) => setSettings((s) => ({ ...s, savedViews: views }));
+  const tagSuggestions = collectTags(tasks);
+
+  // Empty notes remove the field
+  const updNotes = (id, list, notes) =>
+    undoHistory.apply('Notes edited', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => {
+          if (t.id !== id) return t;
+          if (notes) return { ...t, notes };
+          const { notes: _notes, ...rest } = t;
+          return rest;
+        }),
+      })),
+    });
+
+  // Applies change to a task and files it under list `to`, in place if unchanged
+  const refileTask = (id, from, to, label, change) =>
+    undoHistory.apply(label, {
+      tasks: touching((p) => {
+        const t = p[from].find((x) => x.id === id);
+        if (!t) return p;
+        if (to === from) return { ...p, [from]: p[from].map((x) => (x.id === id ? change(x) : x)) };
+        return { ...p, [from]: p[from].filter((x) => x.id !== id), [to]: [...p[to], change(t)] };
+      }),
+    });
+
+  // A dated task goes to the list its day belongs in (utils/dueDates.js);
+  // Primary keeps tasks due today. A day of null removes the date.
+  const updDue = (id, list, due) => {
+    const fits = due ? listForDue(due, todayKey) : list;
+    const to = list === 'primary' && fits === 'today' ? 'primary' : fits;
+    refileTask(id, list, to, due ? 'Due date set' : 'Due date removed', (t) => {
+      const { due: _due, snoozeUntil: _snoozeUntil, ...rest } = t;
+      return due ? { ...rest, due } : rest;
+    });
+  };
+
+  // Snoozed tasks wait in This Week or Later until the rollover brings them
+  // back to Today. Null wakes a task straight into Today.
+  const updSnooze = (id, list, until) => {
+    const to = until ? listForDue(until, todayKey) : 'today';
+    refileTask(id, list, to, until ? 'Snoozed' : 'Unsnoozed', (t) => {
+      const { snoozeUntil: _snoozeUntil, ...rest } = t;
+      return until ? { ...rest, snoozeUntil: until } : rest;
+    });
+  };
 
   const moveTask = (id, from, to) => {
     const t = tasks[from].find((x) => x.id === id);
-    if (t)
-      setTasks((p) => ({
-        ...p,
-        [from]: p[from].filter((x) => x.id !== id),
-        [to]: [...p[to], t],
-      }));
+    if (t && from !== to) intoList(to, 1, `"${t.text}"`, (dest) => relocateTask(id, from, dest));
   };
 
-  const reorderTask = useCallback((taskId, fromList, toList, targetIndex) => {
-    setTasks((prev) => {
-      const task = prev[fromList].find((t) => t.id === taskId);
-      if (!task) return prev;
-
-      const newFrom = prev[fromList].filter((t) => t.id !== taskId);
-
-      if (fromList === toList) {
-        const adjustedIndex = Math.min(targetIndex, newFrom.length);
-        const newList = [...newFrom];
-        newList.splice(adjustedIndex, 0, task);
-        return { ...prev, [fromList]: newList };
-      } else {
-        const newTo = [...prev[toList]];
-        const adjustedIndex = Math.min(targetIndex, newTo.length);
-        newTo.splice(adjustedIndex, 0, task);
-        return { ...prev, [fromList]: newFrom, [toList]: newTo };
-      }
+  // Moves without checking the limit
+  const relocateTask = (id, from, to) =>
+    undoHistory.apply('Task moved', {
+      tasks: touching((p) => {
+        const t = p[from].find((x) => x.id === id);
+        if (!t || from === to) return p;
+        return { ...p, [from]: p[from].filter((x) => x.id !== id), [to]: [...p[to], t] };
+      }),
     });
-  }, []);
 
+  // Dragging into another list checks its limit; demoted tasks go to the end
+  const reorderTask = (taskId, fromList, toList, targetIndex) => {
+    const t = tasks[fromList].find((x) => x.id === taskId);
+    if (!t) return;
+    if (fromList === toList) placeAt(taskId, fromList, toList, targetIndex);
+    else
+      intoList(toList, 1, `"${t.text}"`, (dest) =>
+        placeAt(taskId, fromList, dest, dest === toList ? targetIndex : Infinity)
+      );
+  };
+
+  const placeAt = (taskId, fromList, toList, targetIndex) => {
+    undoHistory.apply('Task moved', {
+      tasks: touching((prev) => {
+        const task = prev[fromList].find((t) => t.id === taskId);
+        if (!task) return prev;
+
+        const newFrom = prev[fromList].filter((t) => t.id !== taskId);
+
+        if (fromList === toList) {
+          const adjustedIndex = Math.min(targetIndex, newFrom.length);
+          const newList = [...newFrom];
+          newList.splice(adjustedIndex, 0, task);
+          return { ...prev, [fromList]: newList };
+        } else {
+          const newTo = [...prev[toList]];
+          const adjustedIndex = Math.min(targetIndex, newTo.length);
+          newTo.splice(adjustedIndex, 0, task);
+          return { ...prev, [fromList]: newFrom, [toList]: newTo };
+        }
+      }),
+    });
+  };
+
+  // Timer bookkeeping, not a user edit: stays out of the undo history
   const addFocusTime = useCallback((id, list, minutes) => {
     setTasks((p) => ({
       ...p,
@@ -828,28 +1107,75 @@ const App = () => {
     }));
   }, []);
 
-  const toggleTask = (id, list) => {
-    const t = tasks[list].find((x) => x.id === id);
+  // The linked task's session so far, not yet added to totalFocusMinutes, so
+  // TaskItem can flag it the minute it goes past its estimate
+  const liveFocus =
+    linkedTask && timerMode === 'focus' && preset.s > time
+      ? { id: linkedTask.id, minutes: Math.floor((preset.s - time) / 60) }
+      : null;
+
+  // bulk is {tasks} for a bulk completion: the lists as the tasks before this
+  // one left them, since `tasks` only catches up once the batch is done
+  const toggleTask = (id, list, bulk = null) => {
+    const lists = bulk ? bulk.tasks : tasks;
+    const t = lists[list].find((x) => x.id === id);
     if (!t) return;
 
     const isCompleting = !t.done;
+    const completedAt = isCompleting ? new Date().toISOString() : null;
+
+    // Tasks waiting only on this one; those further down come up to Today
+    // as far as its limit allows
+    const unblocked = isCompleting ? unblockedBy(lists, id) : [];
+    const todayLimit = wipLimitFor(wipLimits, 'today');
+    const room = todayLimit > 0 ? Math.max(0, todayLimit - lists.today.length) : Infinity;
+    const surfaced = unblocked.filter((u) => u.list !== 'primary' && u.list !== 'today').slice(0, room);
+    // The last open task of an active project; completing the project is offered
+    const finished = isCompleting ? finishesProject(lists, projects, id) : null;
+
+    if (bulk) {
+      const next = { ...lists, [list]: lists[list].map((x) => (x.id === id ? { ...x, done: isCompleting } : x)) };
+      surfaced.forEach((u) => {
+        next[u.list] = next[u.list].filter((x) => x.id !== u.id);
+        next.today = [lists[u.list].find((x) => x.id === u.id), ...next.today];
+      });
+      bulk.tasks = next;
+    }
 
-    setTasks((p) => ({
-      ...p,
-      [list]: p[list].map((task) =>
-        task.id === id
-          ? {
-              ...task,
-              done: !task.done,
-              completedAt: !task.done ? new Date().toISOString() : null,
-            }
-          : task
-      ),
-    }));
+    undoHistory.batch(
+      isCompleting ? 'Completed' : 'Marked not done',
+      () => {
+        undoHistory.apply(isCompleting ? 'Completed' : 'Marked not done', {
+          tasks: (p) => ({
+            ...p,
+            [list]: p[list].map((task) =>
+              task.id === id ? { ...task, done: isCompleting, completedAt } : task
+            ),
+            completed: isCompleting
+              ? [{ ...(p[list].find((task) => task.id === id) || t), done: true, completedAt, fromList: list }, ...p.completed]
+              : p.completed.filter((ct) => !(ct.id === id && ct.fromList === list)),
+          }),
+        });
+        surfaced.forEach((u) => placeAt(u.id, u.list, 'today', 0));
+      },
+      isCompleting ? { toast: 'completed' } : {}
+    );
 
     if (isCompleting) {
       celeb();
 
+      if (unblocked.length > 0) {
+        const where = surfaced.length === 0 ? '' : surfaced.length === unblocked.length ? ', now at the top of Today' : `; ${surfaced.length} moved to Today`;
+        setToast({
+          title: 'Unblocked',
+          msg: unblocked.length === 1
+            ? `"${unblocked[0].text}" is ready to start${where}.`
+            : `${unblocked.length} tasks are ready to start${where}.`,
+        });
+      }
+
+      if (finished) setProjectPrompt({ id: finished.id, confirm: true });
+
       if (list === 'primary') {
         const primaryCard = document.querySelector('.primary-card');
         if (primaryCard) {
@@ -857,123 +1183,184 @@ const App = () => {
           setTimeout(() => primaryCard.classList.remove('just-completed'), 800);
         }
       }
-
-      const completedTask = {
-        ...t,
-        done: true,
-        completedAt: new Date().toISOString(),
-        fromList: list,
-      };
-      setTasks((p) => ({
-        ...p,
-        completed: [completedTask, ...p.completed],
-      }));
-
-      setUndoTask(completedTask);
-      if (undoTimeoutRef.current) clearTimeout(undoTimeoutRef.current);
-      undoTimeoutRef.current = setTimeout(() => setUndoTask(null), 5000);
-    } else {
-      setTasks((p) => ({
-        ...p,
-        completed: p.completed.filter(
-          (ct) => !(ct.id === id && ct.fromList === list)
-        ),
-      }));
-      setUndoTask(null);
     }
 
     if (linkedTask && linkedTask.id === id) setLinkedTask(null);
   };
 
-  const handleUndo = () => {
-    if (!undoTask) return;
-    const list = undoTask.fromList || 'today';
-    const restoredTask = {
-      id: undoTask.id,
-      text: undoTask.text,
-      done: false,
-      cat: undoTask.cat,
-      time: undoTask.time,
-      totalFocusMinutes: undoTask.totalFocusMinutes || 0,
-    };
-    setTasks((p) => ({
-      ...p,
-      completed: p.completed.filter((t) => t.id !== undoTask.id),
-      [list]: [...p[list], restoredTask],
-    }));
-    setUndoTask(null);
-    if (undoTimeoutRef.current) clearTimeout(undoTimeoutRef.current);
-  };
+  const clearCompleted = () =>
+    undoHistory.apply(
+      'Completed tasks cleared',
+      { tasks: (p) => ({ ...p, completed: [] }) },
+      { toast: 'deleted' }
+    );
+
+  // Back into a list as not done; the archive entry goes, since it's no longer completed.
+  // Returns the list it went to, or null while asking about the list's limit.
+  const restoreArchivedTask = (task, list) =>
+    intoList(list, 1, `"${task.text}"`, (to) => putBackArchivedTask(task, to), task.id);
+
+  const putBackArchivedTask = (task, to) =>
+    undoHistory.apply('Task restored', {
+      tasks: (p) => {
+        const key = archiveEntryKey(task);
+        // Done today and not yet rolled over: the active copy is still in its list
+        const active = LISTS.flatMap((l) => p[l]).find((t) => t.id === task.id);
+        const { fromList: _fromList, archivedAt: _archivedAt, ...rest } = active || task;
+        const lists = Object.fromEntries(LISTS.map((l) => [l, p[l].filter((t) => t.id !== task.id)]));
+        return {
+          ...p,
+          ...lists,
+          [to]: [...lists[to], { ...rest, done: false, completedAt: null }],
+          completed: p.completed.filter((t) => archiveEntryKey(t) !== key),
+        };
+      },
+    });
+
+  const duplicateArchivedTask = (task, list) => addTask(task.text, list, task.cat, task.time);
+
+  const closeArchive = useCallback(() => setShowArchive(false), []);
+  const closeCalibration = useCallback(() => setShowCalibration(false), []);
+
+  // Stale This Week and Later tasks, for the triage wizard (utils/taskAge.js)
+  const staleCount = staleTasks(tasks, todayKey).length;
+
+  // Kept in triage: counts as touched, so it isn't stale for a while
+  const keepTask = (id, list) =>
+    undoHistory.apply('Task kept', {
+      tasks: touching((p) => ({
+        ...p,
+        [list]: p[list].map((t) => (t.id === id ? { ...t } : t)),
+      })),
+    });
 
-  const clearCompleted = () => setTasks((p) => ({ ...p, completed: [] }));
+  const saveForSomeday = (id, list) =>
+    refileTask(id, list, 'later', 'Saved for someday', (t) => ({
+      ...t,
+      tags: [...new Set([...(t.tags || []), SOMEDAY_TAG])],
+    }));
 
   // ============================================================================
   // HABIT MANAGEMENT FUNCTIONS
   // ============================================================================
 
   const addHabit = (n) =>
-    setHabits((p) => [...p, { id: genId(), name: n, done: false }]);
+    undoHistory.apply('Habit added', {
+      habits: (p) => [...p, { id: genId(), name: n, done: false, history: [] }],
+    });
 
-  const delHabit = (id) => setHabits((p) => p.filter((h) => h.id !== id));
+  const delHabit = (id) =>
+    undoHistory.apply('Habit deleted', { habits: (p) => p.filter((h) => h.id !== id) }, { toast: 'deleted' });
 
   const reorderHabit = (habitId, newIndex) => {
-    setHabits((p) => {
-      const index = p.findIndex((h) => h.id === habitId);
-      if (index === -1 || index === newIndex) return p;
-      const newHabits = [...p];
-      const [removed] = newHabits.splice(index, 1);
-      newHabits.splice(newIndex, 0, removed);
-      return newHabits;
+    undoHistory.apply('Habit moved', {
+      habits: (p) => {
+        const index = p.findIndex((h) => h.id === habitId);
+        if (index === -1 || index === newIndex) return p;
+        const newHabits = [...p];
+        const [removed] = newHabits.splice(index, 1);
+        newHabits.splice(newIndex, 0, removed);
+        return newHabits;
+      },
     });
   };
 
   const togHabit = (id) => {
-    const today = new Date().toISOString().split('T')[0];
+    const today = todayKey;
     const h = habits.find((x) => x.id === id);
     if (h && !h.done) celeb();
-    setHabits((p) => {
-      const updated = p.map((x) => {
-        if (x.id !== id) return x;
-        const newDone = !x.done;
-        let newHistory = [...(x.history || [])];
-        const todayIndex = newHistory.findIndex((entry) => entry.date === today);
-        if (todayIndex >= 0) {
-          newHistory[todayIndex].done = newDone;
-        } else {
-          newHistory.push({ date: today, done: newDone });
-        }
-        newHistory = newHistory.slice(-7);
-        return { ...x, done: newDone, history: newHistory };
-      });
-      save('habits', updated);
-      return updated;
+    undoHistory.apply(h && !h.done ? 'Habit checked' : 'Habit unchecked', {
+      habits: (p) =>
+        p.map((x) => {
+          if (x.id !== id) return x;
+          const newDone = !x.done;
+          let newHistory = [...(x.history || [])];
+          const todayIndex = newHistory.findIndex((entry) => entry.date === today);
+          if (todayIndex >= 0) {
+            newHistory[todayIndex] = { ...newHistory[todayIndex], done: newDone };
+          } else {
+            newHistory.push({ date: today, done: newDone });
+          }
+          newHistory = newHistory.slice(-7);
+          return { ...x, done: newDone, history: newHistory };
+        }),
     });
   };
 
-  const resetHabits = () => setHabits((p) => p.map((h) => ({ ...h, done: false })));
+  const resetHabits = () =>
+    undoHistory.apply('Habits reset', { habits: (p) => p.map((h) => ({ ...h, done: false })) });
 
   // ============================================================================
   // ANCHOR MANAGEMENT FUNCTIONS
   // ============================================================================
 
-  const addAnchor = (text) => {
-    const newAnchors = [...anchors, { id: genId(), text }];
-    setAnchors(newAnchors);
-    save('anchors', newAnchors);
+  const addAnchor = (text) =>
+    undoHistory.apply('Anchor added', { anchors: (p) => [...p, { id: genId(), text }] });
+
+  const editAnchor = (id, text) =>
+    undoHistory.apply('Anchor edited', {
+      anchors: (p) => p.map((a) => (a.id === id ? { ...a, text } : a)),
+    });
+
+  const delAnchor = (id) =>
+    undoHistory.apply('Anchor deleted', { anchors: (p) => p.filter((a) => a.id !== id) }, { toast: 'deleted' });
+
+  // ============================================================================
+  // PROJECT MANAGEMENT FUNCTIONS
+  // ============================================================================
+
+  const addProject = (fields) => {
+    const id = genId();
+    undoHistory.apply('Project added', { projects: (p) => [...p, createProject(fields, id)] });
+    return id;
   };
 
-  const editAnchor = (id, text) => {
-    const newAnchors = anchors.map((a) => (a.id === id ? { ...a, text } : a));
-    setAnchors(newAnchors);
-    save('anchors', newAnchors);
+  const updProject = (id, fields) =>
+    undoHistory.apply('Project edited', {
+      projects: (p) => p.map((x) => (x.id === id ? { ...x, ...fields } : x)),
+    });
+
+  // Done is followed by the reflection prompt
+  const setProjectStatus = (id, status) => {
+    updProject(id, { status, completedAt: status === 'done' ? new Date().toISOString() : null });
+    if (status === 'done') setProjectPrompt({ id, confirm: false });
   };
 
-  const delAnchor = (id) => {
-    const newAnchors = anchors.filter((a) => a.id !== id);
-    setAnchors(newAnchors);
-    save('anchors', newAnchors);
+  const completeProject = (id, reflection) => {
+    const project = projects.find((p) => p.id === id);
+    updProject(id, {
+      status: 'done',
+      completedAt: project?.completedAt || new Date().toISOString(),
+      ...(reflection ? { reflection } : {}),
+    });
+    setProjectPrompt(null);
   };
 
+  // Its tasks stay where they are, out of the project
+  const delProject = (id) =>
+    undoHistory.apply(
+      'Project deleted',
+      {
+        projects: (p) => p.filter((x) => x.id !== id),
+        tasks: (p) => {
+          const next = { ...p };
+          LISTS.forEach((list) => {
+            if (!p[list].some((t) => t.project === id)) return;
+            next[list] = p[list].map((t) => {
+              if (t.project !== id) return t;
+              const { project: _project, ...rest } = t;
+              return rest;
+            });
+          });
+          return next;
+        },
+      },
+      { toast: 'deleted' }
+    );
+
+  const closeProjects = () => setProjectsView(undefined);
+  const promptedProject = projectPrompt && projects.find((p) => p.id === projectPrompt.id);
+
   // ============================================================================
   // REFLECTION MANAGEMENT FUNCTIONS
   // ============================================================================
@@ -1011,6 +1398,65 @@ Exported from Selah Rhythm`;
     URL.revokeObjectURL(url);
   };
 
+  // ============================================================================
+  // BACKUP & RESTORE
+  // ============================================================================
+
+  // Current values for every section of a full backup (see utils/backup.js)
+  const getBackupData = () => ({
+    tasks,
+    taskCategories,
+    habits,
+    anchors,
+    projects,
+    schedEvents,
+    prayers,
+    gratitudeEntries,
+    reflectionHistory,
+    weeklyReflections,
+    settings,
+    profile,
+  });
+
+  const handleRestoreBackup = (data) => {
+    if (data.tasks) setTasks(data.tasks);
+    if (data.taskCategories) setTaskCategories(data.taskCategories);
+    if (data.habits) setHabits(data.habits);
+    if (data.schedEvents) setSchedEvents(data.schedEvents);
+    if (data.prayers) setPrayers(data.prayers);
+    if (data.gratitudeEntries) setGratitudeEntries(data.gratitudeEntries);
+    if (data.reflectionHistory) setReflectionHistory(data.reflectionHistory);
+    if (data.settings) setSettings(data.settings);
+    if (data.anchors) setAnchors(data.anchors);
+    if (data.projects) setProjects(data.projects);
+    if (data.weeklyReflections) setWeeklyReflections(data.weeklyReflections);
+    // These have no persistence effect of their own
+    if (data.profile) {
+      setProfile(data.profile);
+      save('profile', data.profile);
+    }
+    setToast({ title: 'Backup restored', msg: 'Your planner has been updated from the backup.' });
+  };
+
+  // ============================================================================
+  // STORAGE PRUNING
+  // ============================================================================
+
+  const getPruneData = () => ({
+    tasks,
+    habits,
+    weeklyReflections,
+  });
+
+  const handlePrune = (plan) => {
+    const next = applyPrune(getPruneData(), plan);
+    undoHistory.apply(
+      'Old entries removed',
+      { tasks: next.tasks, habits: next.habits, weeklyReflections: next.weeklyReflections },
+      { toast: 'deleted' }
+    );
+  };
+
   // ============================================================================
   // MANUAL RESET FUNCTION
   // ============================================================================
@@ -1021,7 +1467,6 @@ Exported from Selah Rhythm`;
         "Reset today's habits and reflection? This cannot be undone."
       )
     ) {
-      const todayISO = getTodayISO();
       setHabits((prev) => {
         const reset = prev.map((h) => ({ ...h, done: false }));
         save('habits', reset);
@@ -1031,7 +1476,6 @@ Exported from Selah Rhythm`;
       setReflections({ mattered: '', released: '', wait: '' });
       save('gratitude', '');
       save('reflections', { mattered: '', released: '', wait: '' });
-      save('lastDailyResetISO', todayISO);
       setToast({
         title: 'Reset',
         msg: "Today's habits and reflection have been reset.",
@@ -1039,6 +1483,126 @@ Exported from Selah Rhythm`;
     }
   };
 
+  // ============================================================================
+  // MULTI-SELECT
+  // ============================================================================
+
+  // Runs change for each selected task through the usual mutations, recorded
+  // as one undo step, then clears the selection
+  const bulkEdit = (what, change, options) => {
+    const items = selection.selected;
+    const count = items.length;
+    undoHistory.batch(`${count} ${count === 1 ? 'task' : 'tasks'} ${what}`, () => items.forEach(change), options);
+    selection.clear();
+  };
+
+  const bulkActions = {
+    // Checks the list's limit once for the lot
+    move: (to) => {
+      const items = selection.selected.filter((s) => s.list !== to);
+      const what = `${items.length} ${items.length === 1 ? 'task' : 'tasks'}`;
+      intoList(to, items.length, what, (dest) =>
+        undoHistory.batch(`${what} moved`, () =>
+          items.forEach(({ id, list }) => relocateTask(id, list, dest))
+        )
+      );
+      selection.clear();
+    },
+    cat: (cat) => bulkEdit('recategorized', ({ id, list }) => updCat(id, list, cat)),
+    time: (tm) => bulkEdit('re-estimated', ({ id, list }) => updTime(id, list, tm)),
+    done: () => {
+      const bulk = { tasks };
+      bulkEdit(
+        'completed',
+        ({ id }) => {
+          // An earlier task in the lot may have brought this one up to Today
+          const open = openTasks(bulk.tasks).find((t) => t.id === id);
+          if (open) toggleTask(id, open.list, bulk);
+        },
+        { toast: 'completed' }
+      );
+    },
+    remove: () => bulkEdit('deleted', ({ id, list }) => delTask(id, list), { toast: 'deleted' }),
+    // Back to back from hour:minute, each as long as its estimate (30m without one)
+    schedule: (hour, minute) => {
+      let start = hour * 60 + minute;
+      bulkEdit('scheduled', ({ id, list }) => {
+        const task = tasks[list].find((t) => t.id === id);
+        if (!task || start >= 24 * 60) return;
+        const duration = estimateMinutes(task.time) || 30;
+        const event = {
+          id: genId(),
+          title: task.text,
+          hour: Math.floor(start / 60),
+          minute: start % 60,
+          duration,
+          type: 'task',
+          itemRef: { type: 'task', id, list },
+        };
+        undoHistory.apply('Schedule block added', { schedEvents: (p) => [...p, event] });
+        start += duration;
+      });
+    },
+  };
+
+  // ============================================================================
+  // COMMAND PALETTE
+  // ============================================================================
+
+  // Scroll to a task in the active view and flash it, once the mode has switched
+  const revealTask = (id) => {
+    setTimeout(() => {
+      const el = document.querySelector(`.view-wrapper.active [data-task-id="${id}"]`);
+      if (!el) return;
+      el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      el.classList.add('search-flash');
+      setTimeout(() => el.classList.remove('search-flash'), 1600);
+    }, 80);
+  };
+
+  const openSearchEntry = (entry) => {
+    setMode(entry.mode);
+    if (entry.task) revealTask(entry.task.id);
+  };
+
+  // The timer works from Primary and Today, so a task from further out moves to
+  // Today. Starting work on it is deliberate, so Today's limit doesn't stop it.
+  const startFocusOn = (task, minutes) => {
+    if (blocked.has(task.id)) {
+      setToast({ title: 'Blocked', msg: `"${task.text}" is waiting on other tasks, so it can't be linked to the timer yet.` });
+      return;
+    }
+    let list = task.list;
+    if (list !== 'primary' && list !== 'today') {
+      relocateTask(task.id, list, 'today');
+      list = 'today';
+    }
+    if (timerRunningElsewhere) pauseTimerElsewhere();
+    setLinkedTask({ id: task.id, list });
+    setMode('focus');
+    setFocusRequest({ minutes });
+  };
+
+  const clearFocusRequest = useCallback(() => setFocusRequest(null), []);
+
+  const paletteActions = {
+    setMode,
+    openSettings: () => setShowSettings(true),
+    openGuide: () => setShowGuide(true),
+    openArchive: () => setShowArchive(true),
+    openCalibration: () => setShowCalibration(true),
+    openTriage: () => setShowTriage(true),
+    openProjects: () => setProjectsView(null),
+    quickAdd: () => {
+      setMode('order');
+      setTimeout(() => document.querySelector('.quick-add-bar input')?.focus(), 80);
+    },
+    toggleTheme: () =>
+      setSettings((s) => ({ ...s, theme: s.theme === 'dark' ? 'light' : 'dark' })),
+    selah: () => setShowSelah(true),
+    undo: undoHistory.undo,
+  };
+
   // ============================================================================
   // POPOVER SYSTEM
   // ============================================================================
@@ -1215,7 +1779,7 @@ Exported from Selah Rhythm`;
 
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
-      performDailyReset();
+      performRollover();
 
       setIsRefreshing(false);
     }
@@ -1233,7 +1797,7 @@ Exported from Selah Rhythm`;
       data-mobile={isMobile}
     >
       <DeepWorkBar
-        running={running}
+        running={timerActive}
         time={time}
         preset={preset}
         timerMode={timerMode}
@@ -1245,11 +1809,21 @@ Exported from Selah Rhythm`;
         onDismiss={() => setShowNewDay(false)}
       />
       <Toast show={toast !== null} data={toast} onClose={() => setToast(null)} />
+      {storageHealth.showAlert && (
+        <StorageAlert
+          failing={storageHealth.failing}
+          onRetry={storageHealth.retry}
+          onManage={() => setShowSettings(true)}
+          onDismiss={storageHealth.dismiss}
+        />
+      )}
       <UndoToast
-        show={undoTask !== null}
-        task={undoTask}
-        onUndo={handleUndo}
-        onClose={() => setUndoTask(null)}
+        key={undoHistory.toast?.id}
+        show={undoHistory.toast !== null}
+        toast={undoHistory.toast}
+        onUndo={undoHistory.undo}
+        onRedo={undoHistory.redo}
+        onClose={undoHistory.dismissToast}
       />
       <SelahPause
         show={showSelah}
@@ -1267,18 +1841,129 @@ Exported from Selah Rhythm`;
         profile={profile}
         setProfile={setProfile}
         completed={tasks.completed}
-        clearCompleted={clearCompleted}
+        onOpenArchive={() => {
+          setShowSettings(false);
+          setShowArchive(true);
+        }}
+        onOpenCalibration={() => {
+          setShowSettings(false);
+          setShowCalibration(true);
+        }}
         scrollToVersion={scrollToVersion}
         onManualReset={handleManualReset}
         taskCategories={taskCategories}
         setTaskCategories={setTaskCategories}
+        getBackupData={getBackupData}
+        onRestoreBackup={handleRestoreBackup}
+        vault={vault}
+        sync={serverSync}
+        getPruneData={getPruneData}
+        onPrune={handlePrune}
+        failingWrites={storageHealth.failing}
       />
+      <ArchiveModal
+        show={showArchive}
+        onClose={closeArchive}
+        completed={tasks.completed}
+        taskCategories={taskCategories}
+        dayStartHour={dayStartHour}
+        onRestore={restoreArchivedTask}
+        onDuplicate={duplicateArchivedTask}
+        onClearAll={clearCompleted}
+      />
+      <CalibrationModal
+        show={showCalibration}
+        onClose={closeCalibration}
+        completed={tasks.completed}
+        tasks={tasks}
+        taskCategories={taskCategories}
+      />
+      {showPalette && (
+        <CommandPalette
+          onClose={() => setShowPalette(false)}
+          tasks={tasks}
+          habits={habits}
+          anchors={anchors}
+          prayers={prayers}
+          gratitudeEntries={gratitudeEntries}
+          reflectionHistory={reflectionHistory}
+          mode={mode}
+          theme={settings.theme}
+          timerOn={settings.timerOn}
+          vaultLocked={vault.locked}
+          actions={paletteActions}
+          onOpenEntry={openSearchEntry}
+          onStartFocus={startFocusOn}
+          onMoveTask={(task, list) => moveTask(task.id, task.list, list)}
+        />
+      )}
+      {wipPrompt && (
+        <WipLimitPrompt
+          list={wipPrompt.list}
+          limit={wipLimitFor(wipLimits, wipPrompt.list)}
+          what={wipPrompt.what}
+          incoming={wipPrompt.incoming}
+          tasks={tasks[wipPrompt.list]}
+          swapTo={listBelow(wipPrompt.list)}
+          demoteTo={roomBelow(tasks, wipLimits, wipPrompt.list, wipPrompt.incoming)}
+          onSwap={(id) => resolveWipPrompt('swap', id)}
+          onDemote={() => resolveWipPrompt('demote')}
+          onOverride={() => resolveWipPrompt('override')}
+          onCancel={closeWipPrompt}
+        />
+      )}
       <GuideModal show={showGuide} onClose={() => setShowGuide(false)} />
       <WeeklyReflectionModal
         show={showWeeklyReflection}
         onClose={() => setShowWeeklyReflection(false)}
         profile={profile}
+        staleCount={staleCount}
+        onSave={(entry) => setWeeklyReflections((p) => [...p, entry].slice(-52))}
+        onTriage={() => {
+          setShowWeeklyReflection(false);
+          setShowTriage(true);
+        }}
       />
+      {showTriage && (
+        <TriageModal
+          tasks={tasks}
+          today={todayKey}
+          taskCategories={taskCategories}
+          onKeep={(t) => keepTask(t.id, t.list)}
+          onToday={(t) => moveTask(t.id, t.list, 'today')}
+          onSchedule={(t, day) => updDue(t.id, t.list, day)}
+          onSomeday={(t) => saveForSomeday(t.id, t.list)}
+          onDelete={(t) => delTask(t.id, t.list)}
+          onClose={() => setShowTriage(false)}
+        />
+      )}
+      {projectsView !== undefined && (
+        <ProjectsModal
+          projects={projects}
+          tasks={tasks}
+          today={todayKey}
+          initialId={projectsView}
+          onAdd={addProject}
+          onUpdate={updProject}
+          onStatus={setProjectStatus}
+          onDelete={delProject}
+          onFocus={(t) => {
+            closeProjects();
+            startFocusOn(t, Math.round(preset.s / 60));
+          }}
+          onClose={closeProjects}
+        />
+      )}
+      {promptedProject && (
+        <ProjectReflectionModal
+          key={promptedProject.id}
+          project={promptedProject}
+          progress={projectProgress(tasks, promptedProject.id)}
+          confirm={projectPrompt.confirm}
+          onComplete={(reflection) => completeProject(promptedProject.id, reflection)}
+          onClose={() => setProjectPrompt(null)}
+        />
+      )}
 
       {/* Desktop Header - hidden on mobile via CSS */}
       <div className={`header${scrolled ? ' scrolled' : ''}`} ref={headerRef}>
@@ -1341,8 +2026,8 @@ Exported from Selah Rhythm`;
         </div>
 
         <div className="header-right">
-          {/* Timer indicator (when running) */}
-          {running && (
+          {/* Timer indicator (when running, here or in another tab) */}
+          {timerActive && (
             <div
               className="nav-timer-indicator"
               onClick={() => setMode('focus')}
@@ -1391,7 +2076,7 @@ Exported from Selah Rhythm`;
       {isMobile && (
         <MobileHeader
           profile={profile}
-          running={running}
+          running={timerActive}
           time={time}
           timerMode={timerMode}
           onTimerClick={() => setMode('focus')}
@@ -1464,6 +2149,20 @@ Exported from Selah Rhythm`;
             editTask={editTask}
             updCat={updCat}
             updTime={updTime}
+            updRepeat={updRepeat}
+            updSteps={updSteps}
+            updDue={updDue}
+            updSnooze={updSnooze}
+            updNotes={updNotes}
+            updTags={updTags}
+            tagSuggestions={tagSuggestions}
+            updBlockers={updBlockers}
+            blockerChoices={blockerChoices}
+            projects={projects}
+            updTaskProject={updTaskProject}
+            savedViews={savedViews}
+            setSavedViews={setSavedViews}
+            todayKey={todayKey}
             moveTask={moveTask}
             habits={habits}
             togHabit={togHabit}
@@ -1476,7 +2175,7 @@ Exported from Selah Rhythm`;
             editAnchor={editAnchor}
             delAnchor={delAnchor}
             schedEvents={schedEvents}
-            setSchedEvents={setSchedEvents}
+            setSchedEvents={undoHistory.tracked.schedEvents}
             showTimeToComplete={settings.showTimeToComplete}
             reorderTask={reorderTask}
             snapIncrement={settings.snapIncrement}
@@ -1484,6 +2183,10 @@ Exported from Selah Rhythm`;
             setSettings={setSettings}
             onHelpClick={handleHelpClick}
             taskCategories={taskCategories}
+            selection={selection}
+            wipLimits={wipLimits}
+            liveFocus={liveFocus}
+            onOpenProjects={setProjectsView}
             mobileAccordion={mobileAccordion}
             setMobileAccordion={setMobileAccordion}
           />
@@ -1497,6 +2200,21 @@ Exported from Selah Rhythm`;
             editTask={editTask}
             updCat={updCat}
             updTime={updTime}
+            updRepeat={updRepeat}
+            updSteps={updSteps}
+            updDue={updDue}
+            updSnooze={updSnooze}
+            updNotes={updNotes}
+            updTags={updTags}
+            tagSuggestions={tagSuggestions}
+            updBlockers={updBlockers}
+            blockerChoices={blockerChoices}
+            projects={projects}
+            updTaskProject={updTaskProject}
+            savedViews={savedViews}
+            setSavedViews={setSavedViews}
+            schedEvents={schedEvents}
+            todayKey={todayKey}
             moveTask={moveTask}
             reorderTask={reorderTask}
             timerOn={settings.timerOn}
@@ -1506,6 +2224,10 @@ Exported from Selah Rhythm`;
             setTime={setTime}
             running={running}
             setRunning={setRunning}
+            timerRunningElsewhere={timerRunningElsewhere}
+            onPauseTimerElsewhere={pauseTimerElsewhere}
+            focusRequest={focusRequest}
+            onFocusRequestHandled={clearFocusRequest}
             linkedTask={linkedTask}
             setLinkedTask={setLinkedTask}
             onAddFocusTime={addFocusTime}
@@ -1514,6 +2236,9 @@ Exported from Selah Rhythm`;
             timerMode={timerMode}
             setTimerMode={setTimerMode}
             taskCategories={taskCategories}
+            selection={selection}
+            wipLimits={wipLimits}
+            liveFocus={liveFocus}
             timerCollapsed={timerCollapsed}
             setTimerCollapsed={setTimerCollapsed}
           />
@@ -1525,10 +2250,8 @@ Exported from Selah Rhythm`;
             reflections={reflections}
             setReflections={setReflections}
             reflectionHistory={reflectionHistory}
-            completedToday={tasks.completed.filter(
-              (t) =>
-                t.completedAt &&
-                new Date(t.completedAt).toDateString() === new Date().toDateString()
+            completedToday={tasks.completed.filter((t) =>
+              isOnLogicalDay(t.completedAt, todayKey, dayStartHour)
             )}
             animationsOn={settings.animationsOn}
             profile={profile}
@@ -1536,15 +2259,40 @@ Exported from Selah Rhythm`;
             onClear={handleClearReflections}
             onHelpClick={handleHelpClick}
             prayers={prayers}
-            setPrayers={setPrayers}
+            setPrayers={undoHistory.tracked.prayers}
             gratitudeEntries={gratitudeEntries}
             setGratitudeEntries={setGratitudeEntries}
+            todayKey={todayKey}
+            dayStartHour={dayStartHour}
+            vaultLocked={vault.locked}
+            onUnlockVault={vault.unlock}
           />
         </div>
       </div>
 
       {/* Desktop elements that are hidden on mobile */}
       <EncouragementBar profile={profile} mode={mode} />
+      <QuickAddBar
+        hidden={mode !== 'order' || selection.count > 0}
+        today={todayKey}
+        taskCategories={taskCategories}
+        onAdd={addTask}
+      />
+      {selection.count > 0 && (
+        <SelectionToolbar
+          count={selection.count}
+          lists={LISTS}
+          taskCategories={taskCategories}
+          onMove={bulkActions.move}
+          onCat={bulkActions.cat}
+          onTime={bulkActions.time}
+          onSchedule={bulkActions.schedule}
+          onDone={bulkActions.done}
+          onDelete={bulkActions.remove}
+          onSelectAll={selection.selectAll}
+          onClear={selection.clear}
+        />
+      )}
       <EnoughIndicator
         show={primaryComplete && mode === 'order' && !isMobile}
         name={profile?.firstName}
@@ -9,7 +9,7 @@
  * @param {function} setGratitude - Update gratitude
  * @param {object} reflections - {mattered, released, wait}
  * @param {function} setReflections - Update reflections
- * @param {object} reflectionHistory - Past reflections by date offset
+ * @param {object} reflectionHistory - Archived reflections keyed by day (YYYY-MM-DD)
  * @param {array} completedToday - Tasks completed today
  * @param {boolean} animationsOn - Enable animations
  * @param {function} onExport - Export complete handler
@@ -19,7 +19,8 @@
  * Features:
  * - 4-stage flow: start prompt, grace acknowledgment, 3-question stepper, export
  * - Shows completed tasks in grace stage
- * - Read-only view for past dates
+ * - Browsable archive of past evenings, saved automatically at rollover
+ * - Read-only view for past dates with older/newer navigation
  * - Export to text file
  * - Dots background texture
  */
@@ -28,7 +29,8 @@ import React, { useState, useEffect, useRef } from 'react';
 import Icons from '../shared/Icons';
 import DotPattern from '../shared/DotPattern';
 import HelpIcon from '../shared/HelpIcon';
-import { getToday } from '../../utils/helpers';
+import { getToday, fmtDateFull } from '../../utils/helpers';
+import { toDayKey, parseDayKey, isDayKey } from '../../utils/dateHelpers';
 
 const DailyReflection = ({
   gratitude,
@@ -44,15 +46,19 @@ const DailyReflection = ({
 }) => {
   const [stage, setStage] = useState('start'); // start, grace, stepper, export
   const [stepIndex, setStepIndex] = useState(0);
-  const [viewingDate, setViewingDate] = useState(0);
+  const [viewingDate, setViewingDate] = useState(null); // null = today, else a day key
+  const [showArchive, setShowArchive] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
   const menuRef = useRef(null);
 
   const today = getToday();
-  const isToday = viewingDate === 0;
+  const isToday = viewingDate === null;
   const viewData = isToday
     ? { ...reflections, gratitude }
-    : (reflectionHistory[viewingDate] || { mattered: '', released: '', wait: '', gratitude: '' });
+    : (reflectionHistory[viewingDate] || { mattered: '', released: '', wait: '', gratitude: '', completed: [] });
+
+  // Archived evenings, newest first
+  const historyDays = Object.keys(reflectionHistory || {}).filter(isDayKey).sort().reverse();
 
   const REFLECTION_STEPS = [
     { key: 'mattered', prompt: 'What mattered today?', placeholder: 'The moments that counted...' },
@@ -61,17 +67,28 @@ const DailyReflection = ({
     { key: 'gratitude', prompt: 'What are you grateful for?', placeholder: "Today I'm thankful for..." },
   ];
 
-  const getDateLabel = (offset) => {
-    if (offset === 0) return `Today, ${today.shortMonth} ${today.date}`;
-    const d = new Date();
-    d.setDate(d.getDate() + offset);
-    const days = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-    const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
-    return `${days[d.getDay()]}, ${months[d.getMonth()]} ${d.getDate()}`;
+  const getDateLabel = (dayKey) => fmtDateFull(parseDayKey(dayKey));
+
+  const getSnippet = (entry) => {
+    const text = REFLECTION_STEPS.map(step => entry[step.key]).find(v => v && v.trim());
+    if (text) return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+    const count = (entry.completed || []).length;
+    return `${count} task${count === 1 ? '' : 's'} completed`;
   };
 
-  const canGoBack = viewingDate > -7 && reflectionHistory[viewingDate - 1];
-  const canGoForward = viewingDate < 0;
+  const viewingIndex = historyDays.indexOf(viewingDate);
+  const olderDay = viewingIndex >= 0 ? historyDays[viewingIndex + 1] : undefined;
+  const newerDay = viewingIndex > 0 ? historyDays[viewingIndex - 1] : undefined;
+
+  const openDay = (dayKey) => {
+    setShowArchive(false);
+    setViewingDate(dayKey);
+  };
+
+  const backToToday = () => {
+    setShowArchive(false);
+    setViewingDate(null);
+  };
 
   useEffect(() => {
     if (!showMenu) return;
@@ -141,10 +158,7 @@ const DailyReflection = ({
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    const year = new Date().getFullYear();
-    const month = String(new Date().getMonth() + 1).padStart(2, '0');
-    const date = String(today.date).padStart(2, '0');
-    a.download = `reflection-${year}-${month}-${date}.txt`;
+    a.download = `reflection-${toDayKey()}.txt`;
     a.click();
     URL.revokeObjectURL(url);
     onExport();
@@ -161,8 +175,41 @@ const DailyReflection = ({
     setStepIndex(0);
   };
 
+  // Archive list of past evenings
+  if (showArchive) {
+    return (
+      <div className="card reflection-card has-dots">
+        <DotPattern visible={true} animated={animationsOn} />
+        <div className="card-header green">
+          <h3>
+            <span className="card-icon card-icon-ochre"><Icons.Sunset /></span>
+            Past Reflections
+          </h3>
+          <button className="reflection-history-btn" onClick={backToToday}>Today</button>
+        </div>
+        <div className="card-content">
+          {historyDays.length === 0 ? (
+            <div className="reflection-history-empty">
+              Each evening's reflection is saved here when the day rolls over.
+            </div>
+          ) : (
+            <div className="reflection-history-list">
+              {historyDays.map(day => (
+                <button key={day} className="reflection-history-item" onClick={() => openDay(day)}>
+                  <span className="reflection-history-date">{getDateLabel(day)}</span>
+                  <span className="reflection-history-snippet">{getSnippet(reflectionHistory[day])}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
   // If viewing past dates, show read-only view
   if (!isToday) {
+    const completed = viewData.completed || [];
     return (
       <div className="card reflection-card has-dots">
         <DotPattern visible={true} animated={animationsOn} />
@@ -173,8 +220,38 @@ const DailyReflection = ({
           </h3>
           <HelpIcon id="reflection" onHelpClick={onHelpClick} />
         </div>
+        <div className="reflection-history-nav">
+          <button
+            className="reflection-history-btn"
+            onClick={() => openDay(olderDay)}
+            disabled={!olderDay}
+            aria-label="Older reflection"
+          >
+            <Icons.ChevronLeft />
+          </button>
+          <button className="reflection-history-btn" onClick={() => setShowArchive(true)}>
+            {getDateLabel(viewingDate)}
+          </button>
+          <button
+            className="reflection-history-btn"
+            onClick={() => (newerDay ? openDay(newerDay) : backToToday())}
+            aria-label={newerDay ? 'Newer reflection' : 'Back to today'}
+          >
+            <Icons.ChevronRight />
+          </button>
+        </div>
         <div className="reflection-readonly-notice">Viewing past reflection (read-only)</div>
         <div className="card-content">
+          {completed.length > 0 && (
+            <div className="reflection-section">
+              <div className="reflection-prompt">What you gave your attention to</div>
+              <div className="grace-tasks-list">
+                {completed.map(t => (
+                  <div key={t.id} className="grace-task-item"><Icons.Check />{t.text}</div>
+                ))}
+              </div>
+            </div>
+          )}
           {REFLECTION_STEPS.map(step => {
             const val = step.key === 'gratitude' ? viewData.gratitude : viewData[step.key];
             return val ? (
@@ -210,6 +287,16 @@ const DailyReflection = ({
               <Icons.MoreVertical />
             </button>
             <div className={`reflection-menu${showMenu ? ' open' : ''}`}>
+              <div
+                className="reflection-menu-item"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setShowMenu(false);
+                  setShowArchive(true);
+                }}
+              >
+                <Icons.Archive /> Past reflections
+              </div>
               <div
                 className="reflection-menu-item"
                 onClick={(e) => {
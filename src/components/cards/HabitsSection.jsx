@@ -22,6 +22,7 @@
  * @param {function} onDel - Callback when deleting habit (id)
  * @param {function} onReset - Callback to reset all habits
  * @param {function} onReorder - Callback when reordering habits (habitId, targetIndex)
+ * @param {string} today - Current logical day key; the last seven days end here
  * @param {function} onHelpClick - Help icon click handler
  *
  * State:
@@ -45,6 +46,7 @@
 
 import React, { useState, useRef } from 'react';
 import * as Icons from '../shared/Icons';
+import { addDays } from '../../utils/dateHelpers';
 
 // HelpIcon component
 const HelpIcon = ({ id, onHelpClick }) => (
@@ -61,7 +63,7 @@ const HelpIcon = ({ id, onHelpClick }) => (
   </button>
 );
 
-const HabitsSection = ({ habits, onToggle, onAdd, onDel, onReset, onReorder, onHelpClick }) => {
+const HabitsSection = ({ habits, onToggle, onAdd, onDel, onReset, onReorder, today, onHelpClick }) => {
   const [inp, setInp] = useState("");
   const [showAdd, setShowAdd] = useState(false);
   const inputRef = useRef(null);
@@ -233,9 +235,7 @@ const HabitsSection = ({ habits, onToggle, onAdd, onDel, onReset, onReorder, onH
                 const history = h.history || [];
                 const last7 = [];
                 for (let i = 6; i >= 0; i--) {
-                  const date = new Date();
-                  date.setDate(date.getDate() - i);
-                  const dateStr = date.toISOString().split('T')[0];
+                  const dateStr = addDays(today, -i);
                   const entry = history.find(h => h.date === dateStr);
                   last7.push(entry?.done || false);
                 }
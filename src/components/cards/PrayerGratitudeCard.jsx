@@ -15,14 +15,17 @@
  * @param {Function} setPrayers - Function to update prayers state
  * @param {Array} gratitudeEntries - Array of gratitude objects with { id, text, createdAt }
  * @param {Function} setGratitudeEntries - Function to update gratitude entries state
+ * @param {string} todayKey - Current logical day key
+ * @param {number} dayStartHour - Hour the user's day starts; entries count on their logical day
  * @param {Function} onHelpClick - Callback for help icon clicks
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import DotPattern from '../shared/DotPattern';
 import HelpIcon from '../shared/HelpIcon';
+import { getLogicalDayKey, addDays } from '../../utils/dateHelpers';
 
-const PrayerGratitudeCard = ({ prayers, setPrayers, gratitudeEntries, setGratitudeEntries, onHelpClick }) => {
+const PrayerGratitudeCard = ({ prayers, setPrayers, gratitudeEntries, setGratitudeEntries, todayKey, dayStartHour, onHelpClick }) => {
   const [mode, setMode] = useState('prayer'); // 'prayer' or 'gratitude'
   const [prayerTab, setPrayerTab] = useState('active'); // 'active', 'answered', 'releasing'
   const [inputText, setInputText] = useState('');
@@ -46,33 +49,19 @@ const PrayerGratitudeCard = ({ prayers, setPrayers, gratitudeEntries, setGratitu
     return () => document.removeEventListener('mousedown', handleClick);
   }, [menuOpenId]);
 
-  // Calculate streak
+  const entryDay = (e) => getLogicalDayKey(new Date(e.createdAt), dayStartHour);
+
+  // Calculate streak: consecutive logical days with an entry, ending today
   const calculateStreak = () => {
     if (!gratitudeEntries || gratitudeEntries.length === 0) return 0;
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Group entries by date
-    const entriesByDate = {};
-    gratitudeEntries.forEach(e => {
-      const d = new Date(e.createdAt);
-      d.setHours(0, 0, 0, 0);
-      const key = d.toISOString().split('T')[0];
-      entriesByDate[key] = true;
-    });
+    const entryDays = new Set(gratitudeEntries.filter(e => e.createdAt).map(entryDay));
 
     let streak = 0;
-    let checkDate = new Date(today);
-
-    while (true) {
-      const key = checkDate.toISOString().split('T')[0];
-      if (entriesByDate[key]) {
-        streak++;
-        checkDate.setDate(checkDate.getDate() - 1);
-      } else {
-        break;
-      }
+    let day = todayKey;
+    while (entryDays.has(day)) {
+      streak++;
+      day = addDays(day, -1);
     }
 
     return streak;
@@ -80,20 +69,13 @@ const PrayerGratitudeCard = ({ prayers, setPrayers, gratitudeEntries, setGratitu
 
   const streak = calculateStreak();
 
-  // Get today's date string
-  const getTodayStr = () => {
-    const d = new Date();
-    return d.toISOString().split('T')[0];
-  };
-
   // Get prayers by status
   const activePrayers = prayers.filter(p => p.status === 'active');
   const answeredPrayers = prayers.filter(p => p.status === 'answered');
   const releasingPrayers = prayers.filter(p => p.status === 'releasing');
 
   // Get today's gratitude entries
-  const todayStr = getTodayStr();
-  const todayGratitude = gratitudeEntries.filter(e => e.createdAt && e.createdAt.startsWith(todayStr));
+  const todayGratitude = gratitudeEntries.filter(e => e.createdAt && entryDay(e) === todayKey);
 
   // Add prayer
   const handleAddPrayer = () => {
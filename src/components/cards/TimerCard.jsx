@@ -42,11 +42,18 @@
  * @param {string} props.linkedTask.list - Task list type ('today', 'week', 'later')
  * @param {Function} props.setLinkedTask - Function to update the linked task
  * @param {Array} props.allTasks - Array of all available tasks for linking
+ * @param {Set} [props.blockedTaskIds] - Tasks waiting on others (utils/dependencies.js); they can't be linked
  * @param {Function} props.onAddFocusTime - Callback when focus time is added to a task (taskId, listType, minutes)
+ * @param {Function} [props.onLinkedNotes] - Saves the linked task's notes (taskId, listType, notes)
  * @param {Function} props.onHelpClick - Callback when help icon is clicked (event, topicId)
  * @param {Function} [props.onModeChange] - Optional callback when timer mode changes (mode)
  * @param {boolean} [props.collapsed=false] - Whether the timer is in collapsed/minimized mode
  * @param {Function} [props.onToggleCollapse] - Optional callback to toggle collapsed state (collapsed)
+ * @param {boolean} [props.runningElsewhere=false] - Whether another open tab owns a running countdown
+ * @param {Function} [props.onPauseElsewhere] - Asks the owning tab to pause
+ * @param {Object|null} [props.startRequest] - {minutes} to start a focus session of that
+ *   length, e.g. from the command palette
+ * @param {Function} [props.onStartRequestHandled] - Called once a start request is picked up
  *
  * @returns {JSX.Element|null} The TimerCard component or null if timerOn is false
  *
@@ -59,7 +66,9 @@
  * - Customizable durations (1-180 minutes) via settings panel
  * - Auto-start toggle to automatically begin next session
  * - Sound toggle with Web Audio API chime (C5-E5-G5 sequence)
- * - Task linking integration for focus time tracking
+ * - Can be started from outside (startRequest), e.g. "start 25m focus on…"
+ * - Task linking integration for focus time tracking; a linked task with a
+ *   checklist shows its next unchecked step, and its notes sit underneath
  * - Collapsed mobile mode with mode switcher
  * - Settings panel with outside-click-to-close
  * - Cycle tracking (resets after each break)
@@ -67,6 +76,7 @@
  * **State Management:**
  * - Uses refs for interval management and timing calculations
  * - Syncs with parent state via props (time, running, preset)
+ * - Mirrors (and can pause) a countdown running in another tab
  * - Local state for mode, cycle, durations, and settings
  *
  * **Timer Modes:**
@@ -90,6 +100,9 @@
 import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as Icons from '../shared/Icons';
 import HelpIcon from '../shared/HelpIcon';
+import TimerTaskSelector from './TimerTaskSelector';
+import TaskNotes from '../ui/TaskNotes';
+import { nextStep, stepProgress } from '../../utils/subtasks';
 
 const TimerCard = ({
   timerOn,
@@ -102,11 +115,17 @@ const TimerCard = ({
   linkedTask,
   setLinkedTask,
   allTasks,
+  blockedTaskIds,
   onAddFocusTime,
+  onLinkedNotes,
   onHelpClick,
   onModeChange,
   collapsed = false,
-  onToggleCollapse
+  onToggleCollapse,
+  runningElsewhere = false,
+  onPauseElsewhere,
+  startRequest = null,
+  onStartRequestHandled
 }) => {
   // Refs for timer management
   const startTimeRef = useRef(null);
@@ -116,6 +135,8 @@ const TimerCard = ({
   const settingsBtnRef = useRef(null);
   const pendingAutoStartRef = useRef(false);
   const prevTotalRef = useRef(null);
+  const handledRequestRef = useRef(null);
+  const startWithRef = useRef(null);
 
   // Timer mode state
   const [mode, setMode] = useState("focus"); // "focus" | "short" | "long"
@@ -176,7 +197,14 @@ const TimerCard = ({
   const dashOffset = C * (1 - progressRatio);
 
   // Status label
-  const subLabel = running ? (mode === "focus" ? "Focusing…" : "Recovering…") : "Ready";
+  const subLabel = runningElsewhere
+    ? "Running in another tab"
+    : running ? (mode === "focus" ? "Focusing…" : "Recovering…") : "Ready";
+
+  // The linked task as it is now, so checking off steps shows up right away
+  const linked = linkedTask ? allTasks.find(t => t.id === linkedTask.id) : null;
+  const linkedStep = nextStep(linked);
+  const linkedSteps = stepProgress(linked);
 
   /**
    * Sync remaining time when totalSeconds changes (mode/minutes change)
@@ -192,6 +220,17 @@ const TimerCard = ({
     }
   }, [totalSeconds, running, setTime]);
 
+  /**
+   * Stop the local countdown when running is turned off from outside,
+   * e.g. another tab took over the timer
+   */
+  useEffect(() => {
+    if (running || !intervalRef.current) return;
+    clearInterval(intervalRef.current);
+    intervalRef.current = null;
+    endAtRef.current = null;
+  }, [running]);
+
   /**
    * Sync remaining with time prop when time changes externally
    * Only updates when not running
@@ -233,6 +272,31 @@ const TimerCard = ({
     return () => window.cancelAnimationFrame(id);
   }, [mode, totalSeconds, running]);
 
+  /**
+   * Start a focus session asked for from outside the card. Picked up on the
+   * next frame, like the auto-start above, and only once per request.
+   */
+  useEffect(() => {
+    startWithRef.current = startWith;
+  });
+
+  useEffect(() => {
+    if (!startRequest || handledRequestRef.current === startRequest) return;
+    const id = window.requestAnimationFrame(() => {
+      handledRequestRef.current = startRequest;
+      const mins = clamp(Math.round(startRequest.minutes), 1, 180);
+      const seconds = mins * 60;
+      prevTotalRef.current = seconds;
+      setMode("focus");
+      setFocusMin(mins);
+      setPreset({l: `${mins}m`, s: seconds});
+      startTimeRef.current = null;
+      startWithRef.current(seconds);
+      if (onStartRequestHandled) onStartRequestHandled();
+    });
+    return () => window.cancelAnimationFrame(id);
+  }, [startRequest, onStartRequestHandled, setPreset]);
+
   /**
    * Plays a pleasant two-tone chime sound using Web Audio API
    * Creates a C5-E5-G5 chord sequence with a soft repeat
@@ -363,9 +427,13 @@ const TimerCard = ({
   };
 
   /**
-   * Toggles between start and pause
+   * Toggles between start and pause (pausing another tab's countdown if it owns the timer)
    */
-  const toggleRun = () => (running ? stop() : start());
+  const toggleRun = () => {
+    if (runningElsewhere) onPauseElsewhere?.();
+    else if (running) stop();
+    else start();
+  };
 
   /**
    * Resets the timer to full duration and stops it
@@ -473,21 +541,21 @@ const TimerCard = ({
             <button
               className={`apple-timer-collapsed-mode ${mode === 'focus' ? 'active' : ''}`}
               onClick={() => switchMode('focus')}
-              disabled={running}
+              disabled={running || runningElsewhere}
             >
               Focus
             </button>
             <button
               className={`apple-timer-collapsed-mode ${mode === 'short' ? 'active' : ''}`}
               onClick={() => switchMode('short')}
-              disabled={running}
+              disabled={running || runningElsewhere}
             >
               Short
             </button>
             <button
               className={`apple-timer-collapsed-mode ${mode === 'long' ? 'active' : ''}`}
               onClick={() => switchMode('long')}
-              disabled={running}
+              disabled={running || runningElsewhere}
             >
               Long
             </button>
@@ -550,7 +618,7 @@ const TimerCard = ({
             key={x.k}
             className={`apple-timer-mode-btn${mode === x.k ? " active" : ""}`}
             onClick={() => setModeSafe(x.k)}
-            disabled={running}
+            disabled={running || runningElsewhere}
           >
             {x.t}
           </button>
@@ -559,7 +627,7 @@ const TimerCard = ({
 
       {/* Circular progress ring display */}
       <div className="apple-timer-display">
-        <div className={`apple-timer-ring${running ? ' running' : ''}`}>
+        <div className={`apple-timer-ring${running || runningElsewhere ? ' running' : ''}`}>
           <svg viewBox="0 0 240 240" style={{width: '100%', height: '100%', overflow: 'visible'}}>
             <defs>
               <linearGradient id="gradFocus" x1="0" y1="0" x2="1" y2="1">
@@ -598,13 +666,44 @@ const TimerCard = ({
           Reset
         </button>
         <button className="apple-timer-btn apple-timer-btn-primary" onClick={toggleRun}>
-          {running ? "Pause" : "Start"}
+          {running || runningElsewhere ? "Pause" : "Start"}
         </button>
         <button className="apple-timer-btn apple-timer-btn-skip" onClick={skip}>
           Skip
         </button>
       </div>
 
+      {/* Linked task: what this focus session is for */}
+      <div className="timer-task-section">
+        {linked ? (
+          <div className="timer-linked-task">
+            <div className="timer-linked-task-icon"><Icons.Target /></div>
+            <div className="timer-linked-task-content">
+              <div className="timer-linked-task-label">
+                {linkedStep ? `Next step · ${linkedSteps.done}/${linkedSteps.total}` : 'Currently working on'}
+              </div>
+              <div className="timer-linked-task-name">{linked.text}</div>
+              {linkedStep && <div className="timer-linked-task-step">{linkedStep.text}</div>}
+            </div>
+            <button className="timer-linked-task-clear" onClick={() => setLinkedTask(null)} aria-label="Unlink task" title="Unlink">
+              <Icons.X />
+            </button>
+          </div>
+        ) : (
+          <TimerTaskSelector
+            tasks={allTasks.filter(t => !t.done && !blockedTaskIds?.has(t.id))}
+            blockedCount={blockedTaskIds?.size || 0}
+            onSelect={t => setLinkedTask({ id: t.id, list: t.list })}
+          />
+        )}
+        {linked && (
+          <TaskNotes
+            notes={linked.notes}
+            onSave={onLinkedNotes ? (notes) => onLinkedNotes(linked.id, linked.list, notes) : undefined}
+          />
+        )}
+      </div>
+
       {/* Settings overlay panel */}
       <div className={`apple-timer-settings-overlay${settingsOpen ? " open" : ""}`} aria-hidden={!settingsOpen}>
         <div className="apple-timer-settings-backdrop" />
@@ -7,6 +7,7 @@
  * Props:
  * @param {array} tasks - Available tasks to link [{id, text, list}]
  * @param {function} onSelect - Task selection handler (task)
+ * @param {number} [blockedCount=0] - Tasks left out because they're blocked, noted at the end of the menu
  *
  * Features:
  * - Portal-based dropdown menu
@@ -19,7 +20,7 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import ReactDOM from 'react-dom';
 
-const TimerTaskSelector = ({ tasks, onSelect }) => {
+const TimerTaskSelector = ({ tasks, onSelect, blockedCount = 0 }) => {
   const [isOpen, setIsOpen] = useState(false);
   const [menuPos, setMenuPos] = useState({ top: 0, left: 0, width: 0 });
   const triggerRef = useRef(null);
@@ -54,7 +55,7 @@ const TimerTaskSelector = ({ tasks, onSelect }) => {
     };
   }, [isOpen, updatePosition]);
 
-  const menu = isOpen && tasks.length > 0 ? ReactDOM.createPortal(
+  const menu = isOpen && (tasks.length > 0 || blockedCount > 0) ? ReactDOM.createPortal(
     <div
       ref={menuRef}
       className="timer-task-menu show"
@@ -75,6 +76,11 @@ const TimerTaskSelector = ({ tasks, onSelect }) => {
           {task.text}
         </div>
       ))}
+      {blockedCount > 0 && (
+        <div className="timer-task-option blocked-note">
+          {blockedCount} blocked {blockedCount === 1 ? 'task' : 'tasks'} hidden until {blockedCount === 1 ? 'its blockers are' : 'their blockers are'} done
+        </div>
+      )}
     </div>,
     document.body
   ) : null;
@@ -0,0 +1,209 @@
+/**
+ * ArchiveModal Component
+ *
+ * Every completed task, searchable and filterable, with a way back into the
+ * active lists.
+ *
+ * Features:
+ * - Full-text search over task text and notes (every word must match)
+ * - Filters by category, source list, completion date range and focus time
+ * - Count and total focus time of the current results, for status reports
+ * - Restore: moves a completed task back into a list, not done
+ * - Duplicate: adds a fresh copy to a list and keeps the archive entry
+ * - Results grouped by day and shown a page at a time
+ * - Export the current results, notes included, as a Markdown file
+ *
+ * Props:
+ * @param {boolean} show - Whether the modal is visible
+ * @param {Function} onClose - Callback to close the modal
+ * @param {Array} completed - tasks.completed, newest first
+ * @param {Array} taskCategories - Array of task category objects
+ * @param {number} dayStartHour - Hour the user's day starts; completions are grouped by logical day
+ * @param {Function} onRestore - Called with (task, list); returns the list used, or
+ *   null when the list is full and the user is asked where it goes
+ * @param {Function} onDuplicate - Called with (task, list); returns the same
+ * @param {Function} onClearAll - Clears the whole archive
+ */
+
+import React, { useState, useEffect } from 'react';
+import Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { LISTS, LIST_LABELS } from '../../data/constants';
+import { groupByDate, fmtDateFull } from '../../utils/helpers';
+import { isDayKey, parseDayKey, toDayKey } from '../../utils/dateHelpers';
+import { hasNotes, notesPreview } from '../../utils/notes';
+import {
+  filterArchive,
+  hasArchiveFilters,
+  archiveEntryKey,
+  archiveToText,
+  EMPTY_ARCHIVE_FILTERS,
+  FOCUS_FILTERS,
+} from '../../utils/archive';
+
+const PAGE_SIZE = 100;
+
+const LIST_OPTIONS = LISTS.map(l => ({ value: l, label: LIST_LABELS[l] }));
+
+const fmtMinutes = (m) => (m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ''}` : `${m}m`);
+
+const ArchiveModal = ({ show, onClose, completed, taskCategories, dayStartHour, onRestore, onDuplicate, onClearAll }) => {
+  const [filters, setFilters] = useState(EMPTY_ARCHIVE_FILTERS);
+  const [target, setTarget] = useState('today');
+  const [visible, setVisible] = useState(PAGE_SIZE);
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    if (!show) return;
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [show, onClose]);
+
+  if (!show) return null;
+
+  const setFilter = (key, value) => {
+    setFilters(f => ({ ...f, [key]: value }));
+    setVisible(PAGE_SIZE);
+  };
+
+  const results = filterArchive(completed, filters, dayStartHour);
+  const focusTotal = results.reduce((sum, t) => sum + (t.totalFocusMinutes || 0), 0);
+  const grouped = groupByDate(results.slice(0, visible), dayStartHour);
+  const catOf = (id) => taskCategories.find(c => c.id === id);
+
+  const catOptions = [
+    { value: 'all', label: 'All categories' },
+    ...taskCategories.map(c => ({ value: c.id, label: c.n })),
+  ];
+  const listOptions = [{ value: 'all', label: 'All lists' }, ...LIST_OPTIONS];
+
+  const handleRestore = (t) => {
+    const list = onRestore(t, target);
+    if (list) setNotice(`Restored "${t.text}" to ${LIST_LABELS[list]}`);
+  };
+
+  const handleDuplicate = (t) => {
+    const list = onDuplicate(t, target);
+    if (list) setNotice(`Added a copy of "${t.text}" to ${LIST_LABELS[list]}`);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([archiveToText(results, taskCategories, dayStartHour)], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `selah-completed-${toDayKey(new Date())}.md`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleClearAll = () => {
+    if (window.confirm(`Remove all ${completed.length} completed tasks from the archive?`)) onClearAll();
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal archive-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Completed Archive</h2>
+          <button className="modal-close" onClick={onClose}>
+            <Icons.X />
+          </button>
+        </div>
+        <div className="archive-filters">
+          <input
+            className="settings-input archive-search"
+            type="search"
+            placeholder="Search completed tasks"
+            value={filters.query}
+            onChange={e => setFilter('query', e.target.value)}
+            autoFocus
+          />
+          <div className="archive-filter-row">
+            <CustomSelect value={filters.cat} options={catOptions} onChange={v => setFilter('cat', v)} className="settings-select" />
+            <CustomSelect value={filters.list} options={listOptions} onChange={v => setFilter('list', v)} className="settings-select" />
+            <CustomSelect value={filters.focus} options={FOCUS_FILTERS} onChange={v => setFilter('focus', v)} className="settings-select" />
+          </div>
+          <div className="archive-filter-row">
+            <label className="archive-date">
+              From
+              <input className="settings-input" type="date" value={filters.from} max={filters.to || undefined} onChange={e => setFilter('from', e.target.value)} />
+            </label>
+            <label className="archive-date">
+              To
+              <input className="settings-input" type="date" value={filters.to} min={filters.from || undefined} onChange={e => setFilter('to', e.target.value)} />
+            </label>
+            {hasArchiveFilters(filters) && (
+              <button className="storage-more-btn" onClick={() => { setFilters(EMPTY_ARCHIVE_FILTERS); setVisible(PAGE_SIZE); }}>
+                Clear filters
+              </button>
+            )}
+          </div>
+          <div className="archive-summary">
+            <span>
+              {results.length} {results.length === 1 ? 'task' : 'tasks'}
+              {focusTotal > 0 && ` · ${fmtMinutes(focusTotal)} focused`}
+            </span>
+            <span className="archive-target">
+              Restore into
+              <CustomSelect value={target} options={LIST_OPTIONS} onChange={setTarget} className="settings-select" />
+            </span>
+          </div>
+          {notice && <div className="settings-desc" role="status">{notice}</div>}
+        </div>
+        <div className="modal-body archive-results">
+          {results.length === 0 && (
+            <div className="empty-state">{completed.length === 0 ? 'No completed tasks yet' : 'Nothing matches these filters'}</div>
+          )}
+          {Object.keys(grouped).map(date => (
+            <div key={date} className="archive-day">
+              <div className="archive-day-label">{isDayKey(date) ? fmtDateFull(parseDayKey(date)) : date}</div>
+              {grouped[date].map(t => {
+                const cat = catOf(t.cat);
+                return (
+                  <div key={archiveEntryKey(t)} className="archive-item">
+                    <Icons.Check />
+                    <span className="archive-item-text">
+                      {t.text}
+                      {hasNotes(t) && <span className="archive-item-notes">{notesPreview(t.notes)}</span>}
+                    </span>
+                    {cat && cat.id !== 'none' && (
+                      <span className="archive-item-tag" style={{ color: cat.color }}>{cat.n}</span>
+                    )}
+                    {t.fromList && <span className="archive-item-tag">{LIST_LABELS[t.fromList] || t.fromList}</span>}
+                    {t.totalFocusMinutes > 0 && <span className="archive-item-time">{fmtMinutes(t.totalFocusMinutes)}</span>}
+                    <span className="archive-item-actions">
+                      <button onClick={() => handleRestore(t)} title={`Move back to ${LIST_LABELS[target]}, not done`}>Restore</button>
+                      <button onClick={() => handleDuplicate(t)} title={`Add a new copy to ${LIST_LABELS[target]}`}>Duplicate</button>
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+          {results.length > visible && (
+            <button className="storage-more-btn" onClick={() => setVisible(v => v + PAGE_SIZE)}>
+              Show {Math.min(PAGE_SIZE, results.length - visible)} more of {results.length - visible}
+            </button>
+          )}
+        </div>
+        <div className="modal-footer">
+          {completed.length > 0 && (
+            <button className="modal-btn secondary" onClick={handleClearAll}>Clear all completed</button>
+          )}
+          {results.length > 0 && (
+            <button className="modal-btn secondary" onClick={handleExport}>
+              <Icons.Download /> Export {hasArchiveFilters(filters) ? 'results' : 'all'}
+            </button>
+          )}
+          <button className="modal-btn primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArchiveModal;
@@ -0,0 +1,159 @@
+/**
+ * BackupSection Component
+ *
+ * "Backup everything" export and restore flow shown in SettingsModal.
+ *
+ * Features:
+ * - Downloads a single versioned JSON file of the whole planner
+ * - Validates a chosen backup file and lists any problems
+ * - Previews per-section changes before anything is written
+ * - Replace (backup becomes the planner) or merge (matched by id) modes
+ *
+ * Props:
+ * @param {Function} getBackupData - Returns current values keyed by backup section
+ * @param {Function} onRestore - Called with the new values once the user confirms
+ * @param {string} [disabledReason] - Shown instead of the controls when backup is unavailable
+ */
+
+import React, { useState, useRef } from 'react';
+import * as Icons from '../shared/Icons';
+import { createBackup, parseBackup, previewRestore, applyBackup } from '../../utils/backup';
+import { toDayKey } from '../../utils/dateHelpers';
+
+const BackupSection = ({ getBackupData, onRestore, disabledReason = null }) => {
+  const [pending, setPending] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [errors, setErrors] = useState([]);
+  const fileInputRef = useRef(null);
+
+  const handleBackup = () => {
+    const json = JSON.stringify(createBackup(getBackupData()), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `selah-backup-${toDayKey()}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    let text;
+    try {
+      text = await file.text();
+    } catch {
+      setErrors(['The file could not be read.']);
+      setPending(null);
+      return;
+    }
+    const result = parseBackup(text);
+    setErrors(result.errors);
+    setPending(result.backup ? { backup: result.backup, fileName: file.name } : null);
+  };
+
+  const handleRestore = () => {
+    if (mode === 'replace' && !window.confirm(
+      'Replace your planner with this backup? Anything not in the backup will be removed.'
+    )) return;
+    onRestore(applyBackup(getBackupData(), pending.backup, mode));
+    setPending(null);
+  };
+
+  const preview = pending ? previewRestore(getBackupData(), pending.backup, mode) : [];
+  const hasChanges = preview.some(s => s.added || s.updated || s.removed);
+
+  if (disabledReason) {
+    return (
+      <div className="settings-section">
+        <div className="settings-section-title">Backup</div>
+        <div className="settings-desc">{disabledReason}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Backup</div>
+      <div className="settings-row">
+        <div style={{flex: 1}}>
+          <div className="settings-label">Backup everything</div>
+          <div className="settings-desc">Tasks, habits, prayers, reflections and settings in one file</div>
+        </div>
+        <button className="backup-btn" onClick={handleBackup}><Icons.Download /> Backup</button>
+      </div>
+      <div className="settings-row">
+        <div style={{flex: 1}}>
+          <div className="settings-label">Restore</div>
+          <div className="settings-desc">Preview a backup file before applying it</div>
+        </div>
+        <button className="backup-btn" onClick={() => fileInputRef.current?.click()}>Choose file</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          style={{display: 'none'}}
+          onChange={handleFile}
+        />
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="backup-errors">
+          {errors.map((err, i) => <li key={i}>{err}</li>)}
+        </ul>
+      )}
+
+      {pending && (
+        <div className="backup-preview">
+          <div className="backup-preview-title">
+            {pending.fileName}
+            {pending.backup.exportedAt && (
+              <span> · saved {new Date(pending.backup.exportedAt).toLocaleDateString()}</span>
+            )}
+          </div>
+          <div className="backup-mode">
+            <button
+              className={`backup-mode-btn${mode === 'merge' ? ' active' : ''}`}
+              onClick={() => setMode('merge')}
+            >Merge</button>
+            <button
+              className={`backup-mode-btn${mode === 'replace' ? ' active' : ''}`}
+              onClick={() => setMode('replace')}
+            >Replace</button>
+          </div>
+          <div className="settings-desc">
+            {mode === 'merge'
+              ? 'Adds items from the backup and updates matching ones. Nothing is removed.'
+              : 'Your planner becomes exactly what is in the backup.'}
+          </div>
+          <table className="backup-preview-table">
+            <tbody>
+              {preview.map(s => (
+                <tr key={s.key}>
+                  <td>{s.label}</td>
+                  <td>{s.before} → {s.after}</td>
+                  <td className="backup-preview-changes">
+                    {s.added > 0 && <span className="added">+{s.added}</span>}
+                    {s.updated > 0 && <span className="updated">~{s.updated}</span>}
+                    {s.removed > 0 && <span className="removed">−{s.removed}</span>}
+                    {!s.added && !s.updated && !s.removed && <span>no change</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="backup-actions">
+            <button className="modal-btn secondary" onClick={() => setPending(null)}>Cancel</button>
+            <button className="modal-btn primary" onClick={handleRestore} disabled={!hasChanges}>
+              {mode === 'merge' ? 'Merge backup' : 'Replace planner'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupSection;
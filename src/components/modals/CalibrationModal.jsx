@@ -0,0 +1,162 @@
+/**
+ * CalibrationModal Component
+ *
+ * How long tasks really take, next to how long they were estimated to take.
+ * Built from completed tasks that have both an estimate and focus time
+ * logged on them (utils/calibration.js).
+ *
+ * Features:
+ * - Overall typical ratio of actual to estimated time, and a personal
+ *   correction factor once there are enough samples
+ * - The open Primary and Today tasks' estimates, corrected by that factor,
+ *   for planning the day
+ * - Breakdown by estimate size and by category
+ * - The tasks that ran furthest past their estimates
+ *
+ * Props:
+ * @param {boolean} show - Whether the modal is visible
+ * @param {Function} onClose - Callback to close the modal
+ * @param {Array} completed - tasks.completed
+ * @param {Object} tasks - Task lists, for the day's plan
+ * @param {Array} taskCategories - Array of task category objects
+ */
+
+import React, { useEffect } from 'react';
+import Icons from '../shared/Icons';
+import {
+  buildCalibrationReport,
+  plannedMinutes,
+  correctedMinutes,
+  MIN_CALIBRATION_SAMPLES,
+} from '../../utils/calibration';
+import { archiveEntryKey } from '../../utils/archive';
+
+const fmtMinutes = (m) => (m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ''}` : `${m}m`);
+
+const fmtRatio = (r) => `${(Math.round(r * 10) / 10).toFixed(1)}×`;
+
+const ratioClass = (r) => (r > 1.2 ? 'over' : r < 0.8 ? 'under' : '');
+
+const CalibrationTable = ({ title, rows }) => (
+  <div className="calibration-group">
+    <div className="archive-day-label">{title}</div>
+    <table className="calibration-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Tasks</th>
+          <th>Estimated</th>
+          <th>Actual</th>
+          <th title="Typical actual time / estimate">Ratio</th>
+          <th>Ran over</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.key}>
+            <td className="calibration-name" style={row.color ? { color: row.color } : undefined}>{row.label}</td>
+            <td>{row.count}</td>
+            <td>{fmtMinutes(row.estimated)}</td>
+            <td>{fmtMinutes(row.actual)}</td>
+            <td className={`calibration-ratio ${ratioClass(row.ratio)}`}>{fmtRatio(row.ratio)}</td>
+            <td>{row.over}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const CalibrationModal = ({ show, onClose, completed, tasks, taskCategories }) => {
+  useEffect(() => {
+    if (!show) return;
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [show, onClose]);
+
+  if (!show) return null;
+
+  const report = buildCalibrationReport(completed);
+  const { overall, factor } = report;
+  const plan = plannedMinutes(tasks);
+  const catOf = (id) => taskCategories.find(c => c.id === id);
+
+  const bucketRows = report.byBucket.map(g => ({ ...g, key: g.bucket.id, label: g.bucket.label }));
+  const catRows = report.byCategory.map(g => {
+    const cat = catOf(g.cat);
+    return { ...g, key: g.cat, label: cat && cat.id !== 'none' ? cat.n : 'No category', color: cat?.color };
+  });
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal archive-modal calibration-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Estimate Calibration</h2>
+          <button className="modal-close" onClick={onClose}>
+            <Icons.X />
+          </button>
+        </div>
+        <div className="modal-body">
+          {overall.count === 0 ? (
+            <div className="empty-state">
+              No completed tasks with both an estimate and focus time yet. Link the timer to a task you've
+              estimated, and it will show up here once it's done.
+            </div>
+          ) : (
+            <>
+              <div className="calibration-summary">
+                {factor ? (
+                  <p className="calibration-headline">
+                    Your tasks typically take <strong>{fmtRatio(factor)}</strong> your estimates.
+                  </p>
+                ) : (
+                  <p className="calibration-headline">
+                    {MIN_CALIBRATION_SAMPLES - overall.count} more estimated, focused {MIN_CALIBRATION_SAMPLES - overall.count === 1 ? 'task' : 'tasks'} before
+                    there's a correction factor to suggest.
+                  </p>
+                )}
+                <p className="settings-desc">
+                  {overall.count} {overall.count === 1 ? 'task' : 'tasks'}: {fmtMinutes(overall.estimated)} estimated,{' '}
+                  {fmtMinutes(overall.actual)} focused. {overall.over} ran over.
+                </p>
+              </div>
+
+              {factor && plan.minutes > 0 && (
+                <div className="calibration-plan">
+                  <Icons.Target />
+                  <span>
+                    Primary and Today add up to {fmtMinutes(plan.minutes)} of estimates. Plan for about{' '}
+                    <strong>{fmtMinutes(correctedMinutes(plan.minutes, factor))}</strong>
+                    {plan.unestimated > 0 && `, plus ${plan.unestimated} without an estimate`}.
+                  </span>
+                </div>
+              )}
+
+              <CalibrationTable title="By estimate" rows={bucketRows} />
+              <CalibrationTable title="By category" rows={catRows} />
+
+              {report.worst.length > 0 && (
+                <div className="calibration-group">
+                  <div className="archive-day-label">Furthest over</div>
+                  {report.worst.map(({ task, estimate, actual }) => (
+                    <div key={archiveEntryKey(task)} className="archive-item">
+                      <Icons.Clock />
+                      <span className="calibration-name">{task.text}</span>
+                      <span className="archive-item-time">{fmtMinutes(actual)} / {fmtMinutes(estimate)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </>
+          )}
+          <p className="settings-desc">Only time focused with the timer linked to a task counts.</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationModal;
@@ -0,0 +1,235 @@
+/**
+ * CommandPalette Component
+ *
+ * Ctrl/Cmd+K search across the whole app, and a quick way to run commands.
+ *
+ * Features:
+ * - Fuzzy search over tasks (text, notes, tags and steps), habits, anchors,
+ *   prayers, gratitude entries, past reflections and the scripture libraries
+ *   (utils/search.js); the highlighted entry's full text shows underneath
+ * - Picking a result takes you to it: tasks are scrolled to and highlighted,
+ *   journal entries open Rest mode
+ * - Commands: switch modes, open settings, the guide or the archive, add a
+ *   task, toggle the theme, take a Selah pause, undo
+ * - Task commands ask for a task next ("Start 25m focus on…", "Move a task to
+ *   Today…"), or can be typed out in one go: "start 50m focus on budget",
+ *   "move budget to this week"
+ * - Arrow keys to move, Enter to run, Escape (or Backspace on an empty
+ *   field) steps back out of a task command, then closes
+ *
+ * Props:
+ * @param {Function} onClose - Close the palette
+ * @param {Object} tasks - Task lists
+ * @param {Array} habits
+ * @param {Array} anchors
+ * @param {Array} prayers
+ * @param {Array} gratitudeEntries
+ * @param {Object} reflectionHistory - Archived reflections keyed by day
+ * @param {string} mode - Current app mode
+ * @param {string} theme - 'light' | 'dark'
+ * @param {boolean} timerOn - Whether the focus timer is turned on
+ * @param {boolean} vaultLocked - Journal is locked, so it can't be searched
+ * @param {Object} actions - {setMode, openSettings, openGuide, openArchive, openCalibration,
+ *   openTriage, openProjects, quickAdd, toggleTheme, selah, undo}
+ * @param {Function} onOpenEntry - Go to a search result: (entry) => void
+ * @param {Function} onStartFocus - (task {id, list}, minutes) => void
+ * @param {Function} onMoveTask - (task {id, list}, list) => void
+ */
+
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import Icons from '../shared/Icons';
+import { LISTS, LIST_LABELS } from '../../data/constants';
+import { buildSearchIndex, searchEntries, parseTaskCommand, SEARCH_KINDS } from '../../utils/search';
+
+const FOCUS_MINUTES = [25, 50];
+const MAX_COMMANDS = 6;
+const MAX_RESULTS = 40;
+const MODE_LABELS = { order: 'Order', focus: 'Focus', rest: 'Rest' };
+
+const command = (key, title, detail, extra) => ({
+  key: `command:${key}`,
+  kind: 'command',
+  title,
+  detail,
+  haystack: [title, detail, extra].join('\n').toLowerCase(),
+});
+
+const actionLabel = (action) =>
+  action.type === 'focus' ? `Focus ${action.minutes}m` : `To ${LIST_LABELS[action.list]}`;
+
+const promptFor = (action) =>
+  action.type === 'focus' ? `Start ${action.minutes}m focus on…` : `Move to ${LIST_LABELS[action.list]}…`;
+
+const CommandPalette = ({
+  onClose,
+  tasks,
+  habits,
+  anchors,
+  prayers,
+  gratitudeEntries,
+  reflectionHistory,
+  mode,
+  theme,
+  timerOn,
+  vaultLocked,
+  actions,
+  onOpenEntry,
+  onStartFocus,
+  onMoveTask,
+}) => {
+  const [query, setQuery] = useState('');
+  const [pending, setPending] = useState(null); // {type: 'focus', minutes} | {type: 'move', list}
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+
+  const index = useMemo(
+    () => buildSearchIndex({ tasks, habits, anchors, prayers, gratitudeEntries, reflectionHistory }),
+    [tasks, habits, anchors, prayers, gratitudeEntries, reflectionHistory]
+  );
+
+  const commands = [
+    ...Object.keys(MODE_LABELS)
+      .filter(m => m !== mode)
+      .map(m => ({ ...command(`mode-${m}`, `Switch to ${MODE_LABELS[m]}`, 'Mode', 'go view'), run: () => actions.setMode(m) })),
+    ...(timerOn
+      ? FOCUS_MINUTES.map(minutes => ({
+          ...command(`focus-${minutes}`, `Start ${minutes}m focus on…`, 'Timer', 'pomodoro timer task'),
+          then: { type: 'focus', minutes },
+        }))
+      : []),
+    ...LISTS.map(list => ({
+      ...command(`move-${list}`, `Move a task to ${LIST_LABELS[list]}…`, 'Tasks', 'reschedule'),
+      then: { type: 'move', list },
+    })),
+    { ...command('add', 'Add a task', 'Tasks', 'new quick create'), run: actions.quickAdd },
+    { ...command('settings', 'Open settings', 'App', 'preferences options'), run: actions.openSettings },
+    { ...command('archive', 'Open completed archive', 'Tasks', 'done history'), run: actions.openArchive },
+    { ...command('calibration', 'Open estimate calibration', 'Tasks', 'estimates actual report factor'), run: actions.openCalibration },
+    { ...command('triage', 'Triage stale tasks', 'Tasks', 'old forgotten review clean up later this week'), run: actions.openTriage },
+    { ...command('projects', 'Open projects', 'Tasks', 'goals outcome progress next actions'), run: actions.openProjects },
+    { ...command('guide', 'Open the guide', 'App', 'help how to'), run: actions.openGuide },
+    { ...command('theme', theme === 'dark' ? 'Switch to light theme' : 'Switch to dark theme', 'App', 'mode night'), run: actions.toggleTheme },
+    { ...command('selah', 'Take a Selah pause', 'Rest', 'breathe pause'), run: actions.selah },
+    { ...command('undo', 'Undo last change', 'App', 'revert'), run: actions.undo },
+  ];
+
+  // A typed-out task command ("focus on budget") works like picking one
+  const typed = pending ? null : parseTaskCommand(query, FOCUS_MINUTES[0]);
+  const taskAction = pending || (typed && (typed.type !== 'focus' || timerOn) ? typed : null);
+
+  let results;
+  if (taskAction) {
+    const taskQuery = pending ? query : typed.rest;
+    const pool = index.filter(e =>
+      e.kind === 'task' && !e.done && (taskAction.type !== 'move' || e.task.list !== taskAction.list)
+    );
+    results = (taskQuery.trim() ? searchEntries(pool, taskQuery, MAX_RESULTS) : pool.slice(0, MAX_RESULTS))
+      .map(e => ({ ...e, key: `${taskAction.type}:${e.key}`, action: taskAction }));
+  } else if (query.trim()) {
+    results = [...searchEntries(commands, query, MAX_COMMANDS), ...searchEntries(index, query, MAX_RESULTS)];
+  } else {
+    results = commands;
+  }
+
+  const activeIndex = Math.min(active, results.length - 1);
+  const current = results[activeIndex];
+
+  useEffect(() => {
+    listRef.current?.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const changeQuery = (value) => {
+    setQuery(value);
+    setActive(0);
+  };
+
+  const run = (item) => {
+    if (!item) return;
+    if (item.then) {
+      setPending(item.then);
+      changeQuery('');
+      return;
+    }
+    onClose();
+    if (item.run) item.run();
+    else if (item.action?.type === 'focus') onStartFocus(item.task, item.action.minutes);
+    else if (item.action?.type === 'move') onMoveTask(item.task, item.action.list);
+    else onOpenEntry(item);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActive((activeIndex + step + results.length) % results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(current);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      if (pending) {
+        setPending(null);
+        changeQuery('');
+      } else {
+        onClose();
+      }
+    } else if (e.key === 'Backspace' && pending && !query) {
+      setPending(null);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop command-palette-backdrop" onClick={onClose}>
+      <div className="command-palette" role="dialog" aria-label="Command palette" onClick={e => e.stopPropagation()}>
+        <div className="command-palette-search">
+          <Icons.Search />
+          {pending && <span className="command-palette-scope">{promptFor(pending)}</span>}
+          <input
+            value={query}
+            onChange={e => changeQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder={pending ? 'Find a task' : 'Search tasks, journal and scripture, or type a command'}
+            aria-label={pending ? promptFor(pending) : 'Search or run a command'}
+            autoFocus
+          />
+        </div>
+
+        <div className="command-palette-results" ref={listRef} role="listbox">
+          {results.length === 0 && (
+            <div className="command-palette-empty">
+              {taskAction ? 'No open tasks match' : 'Nothing found'}
+            </div>
+          )}
+          {results.map((item, i) => (
+            <div
+              key={item.key}
+              className={`command-palette-item${i === activeIndex ? ' active' : ''}`}
+              role="option"
+              aria-selected={i === activeIndex}
+              onMouseMove={() => i !== activeIndex && setActive(i)}
+              onClick={() => run(item)}
+            >
+              <span className={`command-palette-kind ${item.kind}`}>
+                {item.action ? actionLabel(item.action) : SEARCH_KINDS[item.kind]}
+              </span>
+              <span className="command-palette-title">{item.title}</span>
+              {item.detail && <span className="command-palette-detail">{item.detail}</span>}
+            </div>
+          ))}
+        </div>
+
+        {current?.body && !current.action && (
+          <div className="command-palette-preview">{current.body}</div>
+        )}
+
+        <div className="command-palette-footer">
+          <span>↑↓ to move · Enter to {current?.then ? 'choose' : 'open'} · Esc to {pending ? 'go back' : 'close'}</span>
+          {vaultLocked && <span>Unlock the journal to search prayers and reflections</span>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
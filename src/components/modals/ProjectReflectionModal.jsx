@@ -0,0 +1,66 @@
+/**
+ * SELAH RHYTHM - Project Reflection Modal
+ * v0.9.45
+ *
+ * Asks for a short look back when a project is completed. Comes up when a
+ * project is set to Done, and when its last open task is checked off; then it
+ * first asks whether the project is complete, since more tasks may be coming.
+ * The reflection is kept on the project (utils/projects.js).
+ */
+
+import React, { useState } from 'react';
+import Icons from '../shared/Icons';
+
+const fmtMinutes = (m) => (m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ''}` : `${m}m`);
+
+/**
+ * ProjectReflectionModal - Look back on a finished project
+ *
+ * @param {Object} project - The project
+ * @param {Object} progress - projectProgress() for it
+ * @param {boolean} [confirm=false] - Its last task was just checked off; completing is up to the user
+ * @param {Function} onComplete - (reflection) => void; completes the project, keeping what was written
+ * @param {Function} onClose - Callback to close without completing (or without a reflection)
+ */
+const ProjectReflectionModal = ({ project, progress, confirm = false, onComplete, onClose }) => {
+  const [reflection, setReflection] = useState('');
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal weekly-reflection-modal" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{confirm ? 'Every Task Done' : 'Project Complete'}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <Icons.X />
+          </button>
+        </div>
+        <div className="modal-body">
+          <p className="weekly-reflection-prompt">
+            {confirm ? `Nothing is left open in "${project.name}". Is it complete?` : `"${project.name}" is complete.`}
+          </p>
+          <p className="weekly-reflection-hint">
+            {progress.done} {progress.done === 1 ? 'task' : 'tasks'} done
+            {progress.focusMinutes > 0 && `, ${fmtMinutes(progress.focusMinutes)} of focus`}
+          </p>
+          {project.why && <p className="project-reflection-why">You began because: {project.why}</p>}
+          <p className="weekly-reflection-question">Looking back, what did this project teach you?</p>
+          <textarea
+            className="weekly-reflection-input"
+            placeholder="What went well, what it asked of you, what you'd carry forward..."
+            value={reflection}
+            onChange={e => setReflection(e.target.value)}
+            rows={5}
+          />
+        </div>
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>{confirm ? 'Not yet' : 'Skip'}</button>
+          <button className="modal-btn primary" onClick={() => onComplete(reflection.trim())}>
+            {confirm ? 'Mark Complete' : 'Save & Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectReflectionModal;
@@ -0,0 +1,288 @@
+/**
+ * ProjectsModal Component
+ *
+ * Projects gather tasks from any list toward one outcome (utils/projects.js).
+ * The modal lists them with their progress, and opens one to edit what it's
+ * for, its target date and status, and to see what's next.
+ *
+ * Features:
+ * - Active and paused projects first, finished ones (done or dropped) below
+ * - New project: name, why it matters, optional target date
+ * - Project view: tasks done of total, focus time, days to target, and the
+ *   next three open tasks that aren't blocked; focus on one from here
+ * - Setting the status to Done completes the project, which App follows
+ *   with the reflection prompt
+ * - Deleting a project takes its tasks out of it; the tasks stay
+ *
+ * Props:
+ * @param {Array} projects - Projects
+ * @param {Object} tasks - Task lists, with tasks.completed
+ * @param {string} today - Current logical day key
+ * @param {string|null} initialId - Project to open with, or null for the list
+ * @param {Function} onAdd - ({name, why, target}) => id
+ * @param {Function} onUpdate - (id, fields) => void; name, why and target
+ * @param {Function} onStatus - (id, status) => void
+ * @param {Function} onDelete - (id) => void
+ * @param {Function} onFocus - (task) => void; task carries its list
+ * @param {Function} onClose - Callback to close the modal
+ */
+
+import React, { useState, useEffect } from 'react';
+import Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { LIST_LABELS } from '../../data/constants';
+import { PROJECT_STATUSES, isOpenProject, projectProgress, describeTarget, daysToTarget } from '../../utils/projects';
+import { fmtDateFull } from '../../utils/helpers';
+
+const EMPTY_DRAFT = { name: '', why: '', target: '' };
+
+const STATUS_OPTIONS = PROJECT_STATUSES.map(s => ({ value: s.id, label: s.label }));
+
+const fmtMinutes = (m) => (m >= 60 ? `${Math.floor(m / 60)}h${m % 60 ? ` ${m % 60}m` : ''}` : `${m}m`);
+
+const ProgressBar = ({ percent }) => (
+  <div className="project-progress-bar" role="progressbar" aria-valuenow={percent} aria-valuemin={0} aria-valuemax={100}>
+    <div style={{ width: `${percent}%` }} />
+  </div>
+);
+
+const ProjectsModal = ({ projects, tasks, today, initialId = null, onAdd, onUpdate, onStatus, onDelete, onFocus, onClose }) => {
+  const [openId, setOpenId] = useState(initialId);
+  const [adding, setAdding] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+
+  const current = projects.find(p => p.id === openId);
+
+  const back = () => {
+    setOpenId(null);
+    setConfirmDelete(false);
+  };
+
+  // Escape steps back out of a project or the new-project form before closing
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      if (current) back();
+      else if (adding) setAdding(false);
+      else onClose();
+    };
+    document.addEventListener('keydown', handleKey, true);
+    return () => document.removeEventListener('keydown', handleKey, true);
+  });
+
+  const create = () => {
+    if (!draft.name.trim()) return;
+    const id = onAdd(draft);
+    setDraft(EMPTY_DRAFT);
+    setAdding(false);
+    setOpenId(id);
+  };
+
+  const remove = () => {
+    if (!confirmDelete) {
+      setConfirmDelete(true);
+      return;
+    }
+    onDelete(current.id);
+    back();
+  };
+
+  const open = projects.filter(isOpenProject);
+  const finished = projects.filter(p => !isOpenProject(p));
+
+  const renderRow = (project) => {
+    const progress = projectProgress(tasks, project.id);
+    const overdue = isOpenProject(project) && daysToTarget(project, today) < 0;
+    return (
+      <button key={project.id} className={`project-row ${project.status}`} onClick={() => setOpenId(project.id)}>
+        <div className="project-row-top">
+          <span className="project-row-name">{project.name}</span>
+          <span className="project-row-count">{progress.done}/{progress.total}</span>
+        </div>
+        <ProgressBar percent={progress.percent} />
+        <div className="project-row-meta">
+          {project.status === 'active' ? (
+            <span className={overdue ? 'overdue' : undefined}>{describeTarget(project, today)}</span>
+          ) : (
+            <span>{PROJECT_STATUSES.find(s => s.id === project.status)?.label}</span>
+          )}
+          {progress.focusMinutes > 0 && <span>{fmtMinutes(progress.focusMinutes)} focused</span>}
+        </div>
+      </button>
+    );
+  };
+
+  const renderProject = () => {
+    const progress = projectProgress(tasks, current.id);
+    return (
+      <div className="modal-body">
+        <button className="context-menu-back project-back" onClick={back}>
+          <Icons.ChevronLeft />
+          <span>All projects</span>
+        </button>
+        <input
+          className="project-name-input"
+          value={current.name}
+          onChange={e => onUpdate(current.id, { name: e.target.value })}
+          onBlur={e => !e.target.value.trim() && onUpdate(current.id, { name: 'Untitled project' })}
+          aria-label="Project name"
+        />
+        <textarea
+          className="project-why-input"
+          placeholder="Why does this matter?"
+          value={current.why}
+          onChange={e => onUpdate(current.id, { why: e.target.value })}
+          rows={2}
+        />
+        <div className="project-fields">
+          <label>
+            <span>Target</span>
+            <input
+              className="context-menu-date"
+              type="date"
+              value={current.target || ''}
+              onChange={e => onUpdate(current.id, { target: e.target.value })}
+            />
+          </label>
+          <div>
+            <span>Status</span>
+            <CustomSelect
+              value={current.status}
+              options={STATUS_OPTIONS}
+              onChange={status => status !== current.status && onStatus(current.id, status)}
+              className="settings-select"
+            />
+          </div>
+        </div>
+
+        <div className="project-progress">
+          <div className="project-progress-top">
+            <span><strong>{progress.done}</strong> of {progress.total} {progress.total === 1 ? 'task' : 'tasks'} done</span>
+            <span>{fmtMinutes(progress.focusMinutes)} focused</span>
+          </div>
+          <ProgressBar percent={progress.percent} />
+          {isOpenProject(current) && (
+            <div className={`project-target${daysToTarget(current, today) < 0 ? ' overdue' : ''}`}>
+              <Icons.Target /> {describeTarget(current, today)}
+            </div>
+          )}
+        </div>
+
+        {isOpenProject(current) && (
+          <div className="project-next">
+            <div className="archive-day-label">Next actions</div>
+            {progress.nextActions.map(t => (
+              <div key={t.id} className="project-next-task">
+                <span className="project-next-text">{t.text}</span>
+                <span className="project-next-list">{LIST_LABELS[t.list]}</span>
+                <button className="task-action-btn" onClick={() => onFocus(t)} title="Focus on this">
+                  <Icons.Play />
+                </button>
+              </div>
+            ))}
+            {progress.nextActions.length === 0 && (
+              <p className="settings-desc">
+                {progress.open.length > 0
+                  ? 'Every open task is waiting on another one.'
+                  : 'No open tasks. Add one to a list and choose this project from its menu.'}
+              </p>
+            )}
+            {progress.open.length > progress.nextActions.length && (
+              <p className="settings-desc">{progress.open.length - progress.nextActions.length} more open</p>
+            )}
+          </div>
+        )}
+
+        {current.status === 'done' && (
+          <div className="project-reflection">
+            <div className="archive-day-label">
+              Completed{current.completedAt ? ` ${fmtDateFull(current.completedAt)}` : ''}
+            </div>
+            {current.reflection ? <p>{current.reflection}</p> : <p className="settings-desc">No reflection written.</p>}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal projects-modal" role="dialog" aria-label="Projects" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{current ? 'Project' : 'Projects'}</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            <Icons.X />
+          </button>
+        </div>
+
+        {current ? renderProject() : (
+          <div className="modal-body">
+            {adding ? (
+              <div className="project-new">
+                <input
+                  className="project-name-input"
+                  placeholder="Project name"
+                  value={draft.name}
+                  onChange={e => setDraft({ ...draft, name: e.target.value })}
+                  onKeyDown={e => e.key === 'Enter' && create()}
+                  autoFocus
+                />
+                <textarea
+                  className="project-why-input"
+                  placeholder="Why does this matter?"
+                  value={draft.why}
+                  onChange={e => setDraft({ ...draft, why: e.target.value })}
+                  rows={2}
+                />
+                <label className="project-fields">
+                  <span>Target date (optional)</span>
+                  <input
+                    className="context-menu-date"
+                    type="date"
+                    min={today}
+                    value={draft.target}
+                    onChange={e => setDraft({ ...draft, target: e.target.value })}
+                  />
+                </label>
+                <div className="project-new-actions">
+                  <button className="modal-btn secondary" onClick={() => setAdding(false)}>Cancel</button>
+                  <button className="modal-btn primary" onClick={create} disabled={!draft.name.trim()}>Start project</button>
+                </div>
+              </div>
+            ) : (
+              <button className="project-add" onClick={() => setAdding(true)}>
+                <Icons.Plus /> New project
+              </button>
+            )}
+
+            {projects.length === 0 && !adding && (
+              <div className="empty-state">
+                No projects yet. A project gathers tasks from any list toward one outcome, and shows how far along it is.
+              </div>
+            )}
+            {open.map(renderRow)}
+            {finished.length > 0 && (
+              <>
+                <div className="archive-day-label">Finished</div>
+                {finished.map(renderRow)}
+              </>
+            )}
+          </div>
+        )}
+
+        <div className="modal-footer">
+          {current && (
+            <button className="modal-btn danger" onClick={remove}>
+              {confirmDelete ? 'Delete project, keep its tasks' : 'Delete'}
+            </button>
+          )}
+          <button className="modal-btn secondary" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectsModal;
@@ -9,9 +9,14 @@
  * - Timer duration settings
  * - Personalization (first name)
  * - Task categories customization
- * - History/archive management
+ * - Work-in-progress limits for each task list
+ * - Entry points to the completed-task archive and estimate calibration
  * - Version history/changelog display
- * - Daily reset functionality
+ * - Daily reset functionality and day start hour
+ * - Journal encryption (vault) setup and auto-lock
+ * - Multi-device sync with a self-hosted server
+ * - Full backup export and restore
+ * - Storage usage and pruning of old data
  *
  * Props:
  * @param {boolean} show - Whether the modal is visible
@@ -21,17 +26,51 @@
  * @param {Object} profile - Profile object with firstName
  * @param {Function} setProfile - Function to update profile state
  * @param {Array} completed - Array of completed tasks
- * @param {Function} clearCompleted - Function to clear completed tasks
+ * @param {Function} onOpenArchive - Opens the completed-task archive
+ * @param {Function} onOpenCalibration - Opens the estimate calibration report
  * @param {boolean} scrollToVersion - Whether to scroll to version history on open
  * @param {Function} onManualReset - Callback for manual daily reset
  * @param {Array} taskCategories - Array of task category objects
  * @param {Function} setTaskCategories - Function to update task categories
+ * @param {Function} getBackupData - Returns current values for a full backup
+ * @param {Function} onRestoreBackup - Applies restored values to app state
+ * @param {Object} vault - Journal vault controls from useJournalVault
+ * @param {Object} sync - Server sync controls from useServerSync
+ * @param {Function} getPruneData - Returns current values that pruning can trim
+ * @param {Function} onPrune - Applies a confirmed pruning plan
+ * @param {Array} failingWrites - Saves that are currently failing (useStorageHealth)
  */
 
 import React, { useState, useEffect, useRef } from 'react';
 import * as Icons from '../shared/Icons';
-import { VERSION_HISTORY } from '../../data/constants';
-import { groupByDate, genId, save } from '../../utils/helpers';
+import { VERSION_HISTORY, LISTS, LIST_LABELS } from '../../data/constants';
+import { genId, save } from '../../utils/helpers';
+import BackupSection from './BackupSection';
+import VaultSection from './VaultSection';
+import SyncSection from './SyncSection';
+import StorageSection from './StorageSection';
+import CustomSelect from '../shared/CustomSelect';
+import { DEFAULT_DAY_START_HOUR } from '../../utils/rollover';
+import { DEFAULT_AUTO_LOCK_MINUTES } from '../../utils/vault';
+import { WIP_LIMIT_CHOICES, wipLimitFor } from '../../utils/wipLimits';
+
+// Choices for when a new day begins; late hours suit people who work past midnight
+const DAY_START_OPTIONS = [0, 1, 2, 3, 4, 5, 6].map(h => ({
+  value: h,
+  label: h === 0 ? 'Midnight' : `${h}:00 AM`
+}));
+
+const WIP_LIMIT_OPTIONS = WIP_LIMIT_CHOICES.map(n => ({
+  value: n,
+  label: n === 0 ? 'No limit' : `${n} ${n === 1 ? 'task' : 'tasks'}`
+}));
+
+const WIP_LIMIT_DESCS = {
+  primary: 'What matters most today',
+  today: 'What you plan to work on today',
+  thisWeek: 'Coming up soon',
+  later: 'Ideas and someday tasks'
+};
 
 const SettingsModal = ({
   show,
@@ -41,13 +80,20 @@ const SettingsModal = ({
   profile,
   setProfile,
   completed,
-  clearCompleted,
+  onOpenArchive,
+  onOpenCalibration,
   scrollToVersion,
   onManualReset,
   taskCategories,
-  setTaskCategories
+  setTaskCategories,
+  getBackupData,
+  onRestoreBackup,
+  vault,
+  sync,
+  getPruneData,
+  onPrune,
+  failingWrites
 }) => {
-  const [showArchive, setShowArchive] = useState(false);
   const [showVersionHistory, setShowVersionHistory] = useState(false);
   const [showPastVersions, setShowPastVersions] = useState(false);
   const [nameSaved, setNameSaved] = useState(false);
@@ -56,8 +102,6 @@ const SettingsModal = ({
   const [showCatSettings, setShowCatSettings] = useState(false);
   const nameDebounceRef = useRef(null);
   const versionHistoryRef = useRef(null);
-  const grouped = groupByDate(completed);
-  const dates = Object.keys(grouped);
 
   const updateCategory = (id, field, value) => {
     setTaskCategories(prev => prev.map(c =>
@@ -159,6 +203,29 @@ const SettingsModal = ({
               <div><div className="settings-label">Show time-to-complete</div><div className="settings-desc">Display focus time on completed tasks</div></div>
               <div className={`setting-switch${settings.showTimeToComplete ? " on" : ""}`} onClick={() => setSettings(s => ({...s, showTimeToComplete: !s.showTimeToComplete}))} />
             </div>
+            <div className="settings-row">
+              <div><div className="settings-label">Complete with last step</div><div className="settings-desc">Check off a task when every step in its checklist is done</div></div>
+              <div className={`setting-switch${settings.autoCompleteSteps ? " on" : ""}`} onClick={() => setSettings(s => ({...s, autoCompleteSteps: !s.autoCompleteSteps}))} />
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <div className="settings-section-title">Work in Progress</div>
+            <div className="settings-desc" style={{marginBottom: '8px'}}>How many tasks each list holds. Going past a limit asks you first: swap a task out, put the new one a list down, or go over.</div>
+            {LISTS.map(list => (
+              <div key={list} className="settings-row">
+                <div style={{flex: 1}}>
+                  <div className="settings-label">{LIST_LABELS[list]}</div>
+                  <div className="settings-desc">{WIP_LIMIT_DESCS[list]}</div>
+                </div>
+                <CustomSelect
+                  value={wipLimitFor(settings.wipLimits, list)}
+                  options={WIP_LIMIT_OPTIONS}
+                  onChange={n => setSettings(s => ({...s, wipLimits: {...s.wipLimits, [list]: n}}))}
+                  className="settings-select"
+                />
+              </div>
+            ))}
           </div>
 
           <div className="settings-section">
@@ -279,6 +346,18 @@ const SettingsModal = ({
 
           <div className="settings-section">
             <div className="settings-section-title">Daily Reset</div>
+            <div className="settings-row">
+              <div style={{flex: 1}}>
+                <div className="settings-label">Day starts at</div>
+                <div className="settings-desc">Habits, schedule and reflection roll over at this hour</div>
+              </div>
+              <CustomSelect
+                value={settings.dayStartHour ?? DEFAULT_DAY_START_HOUR}
+                options={DAY_START_OPTIONS}
+                onChange={h => setSettings(s => ({...s, dayStartHour: h}))}
+                className="settings-select"
+              />
+            </div>
             <div className="settings-row">
               <div style={{flex: 1}}>
                 <div className="settings-label">Reset today</div>
@@ -313,34 +392,34 @@ const SettingsModal = ({
             </div>
           </div>
 
+          <VaultSection
+            vault={vault}
+            autoLockMinutes={settings.vaultAutoLockMinutes ?? DEFAULT_AUTO_LOCK_MINUTES}
+            onAutoLockChange={m => setSettings(s => ({...s, vaultAutoLockMinutes: m}))}
+          />
+
+          <SyncSection sync={sync} journalSkipped={vault.enabled} />
+
+          <BackupSection
+            getBackupData={getBackupData}
+            onRestore={onRestoreBackup}
+            disabledReason={vault.locked ? 'Unlock your journal first so the backup includes it' : null}
+          />
+
+          <StorageSection getPruneData={getPruneData} onPrune={onPrune} failing={failingWrites} />
+
           <div className="archive-section">
-            <div className="archive-toggle" onClick={() => setShowArchive(!showArchive)}>
+            <div className="archive-toggle" onClick={onOpenArchive}>
               <div className="archive-toggle-text"><Icons.Archive /> Completed Tasks</div>
               <div style={{display: "flex", alignItems: "center", gap: "8px"}}>
                 <span className="archive-count">{completed.length}</span>
-                <span style={{color: "var(--text-muted)", transform: showArchive ? "rotate(90deg)" : "", transition: "transform 0.2s"}}><Icons.ChevronRight /></span>
+                <span style={{color: "var(--text-muted)"}}><Icons.ChevronRight /></span>
               </div>
             </div>
-            {showArchive && (
-              <div className="archive-list">
-                {dates.length === 0 && <div className="empty-state">No completed tasks yet</div>}
-                {dates.map(date => (
-                  <div key={date} className="archive-day">
-                    <div className="archive-day-label">{date}</div>
-                    {grouped[date].map(t => (
-                      <div key={t.id} className="archive-item">
-                        <Icons.Check />
-                        <span>{t.text}</span>
-                        {settings.showTimeToComplete && t.totalFocusMinutes > 0 && (
-                          <span className="archive-item-time">{t.totalFocusMinutes}m</span>
-                        )}
-                      </div>
-                    ))}
-                  </div>
-                ))}
-                {completed.length > 0 && <button style={{marginTop: "12px", padding: "8px 12px", border: "1px solid var(--border-strong)", background: "transparent", color: "var(--text-muted)", fontSize: "11px", borderRadius: "6px", cursor: "pointer", width: "100%"}} onClick={clearCompleted}>Clear all completed</button>}
-              </div>
-            )}
+            <div className="archive-toggle" onClick={onOpenCalibration}>
+              <div className="archive-toggle-text"><Icons.Target /> Estimate Calibration</div>
+              <span style={{color: "var(--text-muted)"}}><Icons.ChevronRight /></span>
+            </div>
           </div>
 
           {/* Version History Section */}
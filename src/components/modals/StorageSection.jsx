@@ -0,0 +1,179 @@
+/**
+ * StorageSection Component
+ *
+ * Storage usage and guided pruning shown in SettingsModal.
+ *
+ * Features:
+ * - Space used per collection, plus the browser's quota where it reports one
+ * - Lists saves that are currently failing
+ * - Prunes completed tasks, habit history and weekly reflections older than
+ *   a chosen age, after previewing exactly what will be removed
+ *
+ * Props:
+ * @param {Function} getPruneData - Returns current {tasks, habits, weeklyReflections}
+ * @param {Function} onPrune - Called with a plan from planPrune once the user confirms
+ * @param {Array} failing - [{key, message}] saves that are failing (useStorageHealth)
+ */
+
+import React, { useState, useEffect } from 'react';
+import CustomSelect from '../shared/CustomSelect';
+import { getStorageUsage, estimateStorageQuota } from '../../utils/storage';
+import {
+  getStorageKeyLabel,
+  formatBytes,
+  planPrune,
+  PRUNE_AGE_OPTIONS,
+  PRUNE_TARGETS,
+} from '../../utils/storageHealth';
+import { fmtDateFull } from '../../utils/helpers';
+import { parseDayKey } from '../../utils/dateHelpers';
+
+const USAGE_ROWS = 6;
+const EXAMPLES = 5;
+
+const StorageSection = ({ getPruneData, onPrune, failing }) => {
+  const [usage, setUsage] = useState(getStorageUsage);
+  const [quota, setQuota] = useState(null);
+  const [showAllKeys, setShowAllKeys] = useState(false);
+  const [olderThanDays, setOlderThanDays] = useState(90);
+  const [targets, setTargets] = useState(PRUNE_TARGETS.map(t => t.key));
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState('');
+
+  useEffect(() => {
+    estimateStorageQuota().then(setQuota);
+  }, []);
+
+  const toggleTarget = (key) => {
+    setPlan(null);
+    setTargets(prev => prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+  };
+
+  const handlePreview = () => {
+    setResult('');
+    setPlan(planPrune(getPruneData(), { olderThanDays, targets }));
+  };
+
+  const count = plan ? plan.completed.length + plan.habitHistory.length + plan.weeklyReflections.length : 0;
+
+  const handlePrune = () => {
+    if (!window.confirm(`Remove ${count} old ${count === 1 ? 'entry' : 'entries'}? Download a backup first if you may want them later.`)) return;
+    onPrune(plan);
+    setResult(`Removed ${count} ${count === 1 ? 'entry' : 'entries'}, about ${formatBytes(plan.bytes)}.`);
+    setPlan(null);
+    // Measure again once the app has saved the pruned values
+    setTimeout(() => setUsage(getStorageUsage()), 0);
+  };
+
+  const rows = showAllKeys ? usage.keys : usage.keys.slice(0, USAGE_ROWS);
+  const habitsTouched = plan ? new Set(plan.habitHistory.map(e => e.habit)).size : 0;
+
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Storage</div>
+      <div className="settings-row">
+        <div style={{flex: 1}}>
+          <div className="settings-label">
+            {formatBytes(usage.total)} used{quota && ` · ${formatBytes(quota.quota)} available to this app`}
+          </div>
+          <div className="settings-desc">
+            Saved in {usage.backend === 'indexedDB' ? 'IndexedDB' : 'localStorage (about 5 MB at most)'} on this device
+          </div>
+        </div>
+      </div>
+
+      {failing.length > 0 && (
+        <ul className="backup-errors">
+          {failing.map(f => <li key={f.key}>{getStorageKeyLabel(f.key)} isn't saving: {f.message}</li>)}
+        </ul>
+      )}
+
+      <table className="backup-preview-table storage-usage-table">
+        <tbody>
+          {rows.map(({ key, bytes }) => (
+            <tr key={key}>
+              <td>{getStorageKeyLabel(key)}</td>
+              <td>{formatBytes(bytes)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {usage.keys.length > USAGE_ROWS && (
+        <button className="storage-more-btn" onClick={() => setShowAllKeys(!showAllKeys)}>
+          {showAllKeys ? 'Show less' : `Show all ${usage.keys.length}`}
+        </button>
+      )}
+
+      <div className="settings-row">
+        <div style={{flex: 1}}>
+          <div className="settings-label">Free up space</div>
+          <div className="settings-desc">Remove entries older than</div>
+        </div>
+        <CustomSelect
+          value={olderThanDays}
+          options={PRUNE_AGE_OPTIONS}
+          onChange={d => { setOlderThanDays(d); setPlan(null); }}
+          className="settings-select"
+        />
+      </div>
+      <div className="storage-prune-targets">
+        {PRUNE_TARGETS.map(t => (
+          <label key={t.key} className="storage-prune-target">
+            <input type="checkbox" checked={targets.includes(t.key)} onChange={() => toggleTarget(t.key)} />
+            {t.label}
+          </label>
+        ))}
+      </div>
+      <div className="settings-desc">Past reflections are kept; each one already lists that day's completed tasks.</div>
+      <div className="backup-actions">
+        <button className="modal-btn secondary" onClick={handlePreview} disabled={targets.length === 0}>
+          Preview
+        </button>
+      </div>
+      {result && <div className="settings-desc">{result}</div>}
+
+      {plan && (
+        <div className="backup-preview">
+          <div className="backup-preview-title">
+            Before {fmtDateFull(parseDayKey(plan.cutoff))}
+            <span> · about {formatBytes(plan.bytes)}</span>
+          </div>
+          {count === 0 ? (
+            <div className="settings-desc">Nothing that old to remove.</div>
+          ) : (
+            <>
+              <table className="backup-preview-table">
+                <tbody>
+                  {plan.targets.includes('completed') && (
+                    <tr><td>Completed tasks</td><td className="backup-preview-changes"><span className="removed">−{plan.completed.length}</span></td></tr>
+                  )}
+                  {plan.targets.includes('habitHistory') && (
+                    <tr>
+                      <td>Habit check-ins{habitsTouched > 0 && ` (${habitsTouched} ${habitsTouched === 1 ? 'habit' : 'habits'})`}</td>
+                      <td className="backup-preview-changes"><span className="removed">−{plan.habitHistory.length}</span></td>
+                    </tr>
+                  )}
+                  {plan.targets.includes('weeklyReflections') && (
+                    <tr><td>Weekly reflections</td><td className="backup-preview-changes"><span className="removed">−{plan.weeklyReflections.length}</span></td></tr>
+                  )}
+                </tbody>
+              </table>
+              {plan.completed.length > 0 && (
+                <ul className="storage-prune-examples">
+                  {plan.completed.slice(0, EXAMPLES).map(t => <li key={`${t.id}-${t.completedAt}`}>{t.text}</li>)}
+                  {plan.completed.length > EXAMPLES && <li>…and {plan.completed.length - EXAMPLES} more</li>}
+                </ul>
+              )}
+              <div className="backup-actions">
+                <button className="modal-btn secondary" onClick={() => setPlan(null)}>Cancel</button>
+                <button className="modal-btn primary" onClick={handlePrune}>Remove {count}</button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StorageSection;
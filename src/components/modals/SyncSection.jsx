@@ -0,0 +1,112 @@
+/**
+ * SyncSection Component
+ *
+ * Multi-device sync controls shown in SettingsModal.
+ *
+ * Features:
+ * - Connects to a self-hosted sync server (address and optional token)
+ * - Shows when the last sync finished, or why it failed
+ * - Sync now and disconnect
+ *
+ * Props:
+ * @param {Object} sync - {config, status, lastSyncedAt, error, connect, disconnect, syncNow} from useServerSync
+ * @param {boolean} journalSkipped - Whether journal collections are left out (vault on)
+ */
+
+import React, { useState } from 'react';
+import * as Icons from '../shared/Icons';
+
+const fmtSyncedAt = (ms) =>
+  new Date(ms).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const SyncSection = ({ sync, journalSkipped }) => {
+  const [url, setUrl] = useState('');
+  const [token, setToken] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleConnect = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await sync.connect({ url, token });
+      setUrl('');
+      setToken('');
+    } catch (err) {
+      setError(err instanceof TypeError ? 'Could not reach a sync server at that address.' : err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleDisconnect = () => {
+    if (!window.confirm('Stop syncing this device? Data already here stays.')) return;
+    sync.disconnect();
+  };
+
+  const statusText = sync.status === 'syncing'
+    ? 'Syncing…'
+    : sync.lastSyncedAt ? `Last synced ${fmtSyncedAt(sync.lastSyncedAt)}` : 'Not synced yet';
+
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Sync</div>
+
+      {!sync.config && (
+        <form className="vault-setup" onSubmit={handleConnect}>
+          <div className="settings-desc">
+            Keep your devices in step through a sync server you run yourself (see server/README.md).
+          </div>
+          <input
+            type="url"
+            className="settings-input vault-input"
+            placeholder="Server address, e.g. http://localhost:8787"
+            value={url}
+            onChange={e => setUrl(e.target.value)}
+          />
+          <input
+            type="password"
+            className="settings-input vault-input"
+            placeholder="Token (if the server needs one)"
+            autoComplete="off"
+            value={token}
+            onChange={e => setToken(e.target.value)}
+          />
+          {error && <div className="vault-error">{error}</div>}
+          <div className="backup-actions">
+            <button type="submit" className="modal-btn primary" disabled={!url.trim() || busy}>
+              {busy ? 'Connecting…' : 'Connect'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {sync.config && (
+        <>
+          <div className="settings-row">
+            <div style={{flex: 1}}>
+              <div className="settings-label">{sync.config.url}</div>
+              <div className="settings-desc">{statusText}</div>
+            </div>
+            <button className="backup-btn" onClick={sync.syncNow} disabled={sync.status === 'syncing'}>
+              <Icons.Reset /> Sync now
+            </button>
+          </div>
+          {sync.error && <div className="vault-error">{sync.error}</div>}
+          {journalSkipped && (
+            <div className="settings-desc">Your encrypted journal stays on this device and is not synced.</div>
+          )}
+          <div className="settings-row">
+            <div style={{flex: 1}}>
+              <div className="settings-label">Disconnect</div>
+              <div className="settings-desc">Stop syncing this device</div>
+            </div>
+            <button className="backup-btn" onClick={handleDisconnect}>Disconnect</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SyncSection;
@@ -0,0 +1,206 @@
+/**
+ * TriageModal Component
+ *
+ * Walks through stale tasks in This Week and Later one at a time, so long
+ * forgotten lists get a decision per task instead of another scroll past.
+ * Stale means untouched for a week in This Week, a month in Later, or added
+ * before task ages were tracked (utils/taskAge.js).
+ *
+ * Choices (keys 1-5):
+ * - Keep: leave it where it is; it counts as touched, so it won't come up again for a while
+ * - Today: move it to Today
+ * - Schedule: give it a due day, which files it in the list that day belongs in
+ * - Someday: tag it #someday and park it in Later; triage leaves those be
+ * - Delete
+ *
+ * The stale tasks are gathered when the wizard opens; tasks that change or go
+ * in the meantime are skipped. Each choice is its own undo step.
+ *
+ * Props:
+ * @param {Object} tasks - Task lists
+ * @param {string} today - Current logical day key
+ * @param {Array} taskCategories - Array of task category objects
+ * @param {Function} onKeep - (task) => void; task carries its list
+ * @param {Function} onToday - (task) => void
+ * @param {Function} onSchedule - (task, day) => void
+ * @param {Function} onSomeday - (task) => void
+ * @param {Function} onDelete - (task) => void
+ * @param {Function} onClose - Callback to close the wizard
+ */
+
+import React, { useState, useEffect } from 'react';
+import Icons from '../shared/Icons';
+import { LIST_LABELS } from '../../data/constants';
+import { staleTasks, isStale, ageInDays, lastTouched } from '../../utils/taskAge';
+import { getDateChoices } from '../../utils/dueDates';
+import { addDays } from '../../utils/dateHelpers';
+import { fmtDateFull } from '../../utils/helpers';
+import { hasNotes, notesPreview } from '../../utils/notes';
+import { stepProgress } from '../../utils/subtasks';
+
+const CHOICES = [
+  { id: 'keep', label: 'Keep' },
+  { id: 'today', label: 'Today' },
+  { id: 'schedule', label: 'Schedule' },
+  { id: 'someday', label: 'Someday' },
+  { id: 'delete', label: 'Delete' },
+];
+
+const DONE_LABELS = { keep: 'kept', today: 'moved to Today', schedule: 'scheduled', someday: 'saved for someday', delete: 'deleted' };
+
+// How long a task has sat, in words
+const describeAge = (task, today) => {
+  const days = ageInDays(task, today);
+  if (days === null) return 'Added before task ages were tracked';
+  const since = task.touchedAt ? 'Untouched' : 'Added';
+  if (days === 0) return `${since} today`;
+  if (days < 14) return `${since} ${days} ${days === 1 ? 'day' : 'days'} ago`;
+  if (days < 60) return `${since} ${Math.floor(days / 7)} weeks ago`;
+  return `${since} ${Math.floor(days / 30)} months ago`;
+};
+
+const TriageModal = ({ tasks, today, taskCategories, onKeep, onToday, onSchedule, onSomeday, onDelete, onClose }) => {
+  const [queue] = useState(() => staleTasks(tasks, today).map(t => ({ id: t.id, list: t.list })));
+  const [index, setIndex] = useState(0);
+  const [scheduling, setScheduling] = useState(false);
+  const [counts, setCounts] = useState({});
+
+  // The next queued task that's still where it was and still stale
+  const liveAt = (i) => {
+    const entry = queue[i];
+    const task = entry && (tasks[entry.list] || []).find(t => t.id === entry.id);
+    return task && isStale(task, entry.list, today) ? { ...task, list: entry.list } : null;
+  };
+  let position = index;
+  while (position < queue.length && !liveAt(position)) position++;
+  const current = liveAt(position);
+
+  const decide = (choice, day) => {
+    if (!current) return;
+    if (choice === 'schedule' && !day) {
+      setScheduling(true);
+      return;
+    }
+    if (choice === 'keep') onKeep(current);
+    if (choice === 'today') onToday(current);
+    if (choice === 'schedule') onSchedule(current, day);
+    if (choice === 'someday') onSomeday(current);
+    if (choice === 'delete') onDelete(current);
+    setCounts(c => ({ ...c, [choice]: (c[choice] || 0) + 1 }));
+    setScheduling(false);
+    setIndex(position + 1);
+  };
+
+  // Captured ahead of the app's own shortcuts, which use the same keys
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        if (scheduling) setScheduling(false);
+        else onClose();
+        return;
+      }
+      if (e.target.tagName === 'INPUT' || e.ctrlKey || e.metaKey || e.altKey) return;
+      const choice = CHOICES[Number(e.key) - 1];
+      if (!choice) return;
+      e.stopPropagation();
+      e.preventDefault();
+      decide(choice.id);
+    };
+    document.addEventListener('keydown', handleKey, true);
+    return () => document.removeEventListener('keydown', handleKey, true);
+  });
+
+  const done = Object.entries(counts).filter(([, n]) => n > 0);
+  const cat = current && taskCategories.find(c => c.id === current.cat);
+  const steps = current ? stepProgress(current) : null;
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="modal triage-modal" role="dialog" aria-label="Triage stale tasks" onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Triage</h2>
+          <button className="modal-close" onClick={onClose} aria-label="Close">
+            <Icons.X />
+          </button>
+        </div>
+
+        {current ? (
+          <div className="modal-body">
+            <div className="triage-progress">
+              <span>{position + 1} of {queue.length}</span>
+              <div className="triage-progress-bar">
+                <div style={{ width: `${(position / queue.length) * 100}%` }} />
+              </div>
+            </div>
+
+            <div className="triage-card">
+              <div className="triage-list">{LIST_LABELS[current.list]}</div>
+              <div className="triage-text">{current.text}</div>
+              <div className="triage-meta">
+                <span title={lastTouched(current) ? fmtDateFull(new Date(lastTouched(current))) : undefined}>
+                  <Icons.Clock /> {describeAge(current, today)}
+                </span>
+                {cat && cat.id !== 'none' && <span style={{ color: cat.color }}>{cat.n}</span>}
+                {current.time && <span>{current.time}</span>}
+                {steps.total > 0 && <span><Icons.ListChecks /> {steps.done}/{steps.total}</span>}
+                {(current.tags || []).map(tag => <span key={tag}>#{tag}</span>)}
+              </div>
+              {hasNotes(current) && <div className="triage-notes">{notesPreview(current.notes, 160)}</div>}
+            </div>
+
+            {scheduling ? (
+              <div className="triage-schedule">
+                <div className="context-menu-chips">
+                  {getDateChoices(today).slice(1).map(c => (
+                    <button key={c.label} className="context-menu-chip" onClick={() => decide('schedule', c.day)}>
+                      {c.label}
+                    </button>
+                  ))}
+                </div>
+                <input
+                  className="context-menu-date"
+                  type="date"
+                  min={addDays(today, 1)}
+                  onChange={e => e.target.value && decide('schedule', e.target.value)}
+                  aria-label="Pick a due date"
+                />
+                <button className="modal-btn secondary" onClick={() => setScheduling(false)}>Back</button>
+              </div>
+            ) : (
+              <div className="triage-choices">
+                {CHOICES.map((c, i) => (
+                  <button
+                    key={c.id}
+                    className={`triage-choice${c.id === 'delete' ? ' danger' : ''}`}
+                    onClick={() => decide(c.id)}
+                    autoFocus={i === 0}
+                  >
+                    <kbd>{i + 1}</kbd>{c.label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="modal-body">
+            <div className="empty-state">
+              {queue.length === 0 ? 'Nothing stale. This Week and Later are up to date.' : 'All caught up.'}
+            </div>
+            {done.length > 0 && (
+              <p className="triage-summary">
+                {done.map(([choice, n]) => `${n} ${DONE_LABELS[choice]}`).join(' · ')}
+              </p>
+            )}
+          </div>
+        )}
+
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onClose}>{current ? 'Stop for now' : 'Close'}</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TriageModal;
@@ -0,0 +1,167 @@
+/**
+ * VaultSection Component
+ *
+ * Journal encryption controls shown in SettingsModal.
+ *
+ * Features:
+ * - Turns on passphrase encryption for prayers, gratitude and reflection history
+ * - Auto-lock delay and a "Lock now" button
+ * - Turning encryption off again (only while unlocked)
+ *
+ * Props:
+ * @param {Object} vault - {enabled, locked, enable, lock, disable} from useJournalVault
+ * @param {number} autoLockMinutes - Minutes of inactivity before locking
+ * @param {Function} onAutoLockChange - Called with the new number of minutes
+ */
+
+import React, { useState } from 'react';
+import * as Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { isVaultSupported } from '../../utils/vault';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const AUTO_LOCK_OPTIONS = [5, 10, 15, 30, 60].map(m => ({
+  value: m,
+  label: m === 60 ? '1 hour' : `${m} minutes`
+}));
+
+const VaultSection = ({ vault, autoLockMinutes, onAutoLockChange }) => {
+  const [setup, setSetup] = useState(false);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const resetForm = () => {
+    setSetup(false);
+    setPassphrase('');
+    setConfirm('');
+    setError('');
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    try {
+      await action();
+      resetForm();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+      return;
+    }
+    if (passphrase !== confirm) {
+      setError('The passphrases do not match.');
+      return;
+    }
+    run(() => vault.enable(passphrase));
+  };
+
+  const handleDisable = () => {
+    if (!window.confirm('Turn off encryption? Your journal will be stored as plain text on this device.')) return;
+    run(() => vault.disable());
+  };
+
+  return (
+    <div className="settings-section">
+      <div className="settings-section-title">Journal Privacy</div>
+
+      {!isVaultSupported() && (
+        <div className="settings-desc">Encryption needs a secure (https) connection in this browser.</div>
+      )}
+
+      {isVaultSupported() && !vault.enabled && (
+        <>
+          <div className="settings-row">
+            <div style={{flex: 1}}>
+              <div className="settings-label">Encrypt journal</div>
+              <div className="settings-desc">Lock prayers, gratitude and past reflections behind a passphrase</div>
+            </div>
+            {!setup && (
+              <button className="backup-btn" onClick={() => setSetup(true)}><Icons.Lock /> Set up</button>
+            )}
+          </div>
+          {setup && (
+            <form className="vault-setup" onSubmit={handleEnable}>
+              <input
+                type="password"
+                className="settings-input vault-input"
+                placeholder="Passphrase"
+                autoComplete="new-password"
+                value={passphrase}
+                onChange={e => setPassphrase(e.target.value)}
+                autoFocus
+              />
+              <input
+                type="password"
+                className="settings-input vault-input"
+                placeholder="Repeat passphrase"
+                autoComplete="new-password"
+                value={confirm}
+                onChange={e => setConfirm(e.target.value)}
+              />
+              <div className="settings-desc">
+                There is no way to recover a forgotten passphrase. Full backups are not encrypted.
+              </div>
+              {error && <div className="vault-error">{error}</div>}
+              <div className="backup-actions">
+                <button type="button" className="modal-btn secondary" onClick={resetForm}>Cancel</button>
+                <button type="submit" className="modal-btn primary" disabled={busy}>
+                  {busy ? 'Encrypting…' : 'Encrypt journal'}
+                </button>
+              </div>
+            </form>
+          )}
+        </>
+      )}
+
+      {vault.enabled && (
+        <>
+          <div className="settings-row">
+            <div style={{flex: 1}}>
+              <div className="settings-label">Auto-lock</div>
+              <div className="settings-desc">Lock the journal after this long without activity</div>
+            </div>
+            <CustomSelect
+              value={autoLockMinutes}
+              options={AUTO_LOCK_OPTIONS}
+              onChange={onAutoLockChange}
+              className="settings-select"
+            />
+          </div>
+          <div className="settings-row">
+            <div style={{flex: 1}}>
+              <div className="settings-label">{vault.locked ? 'Journal locked' : 'Journal unlocked'}</div>
+              <div className="settings-desc">
+                {vault.locked ? 'Unlock it from the Rest view' : 'Encrypted on this device'}
+              </div>
+            </div>
+            {!vault.locked && (
+              <button className="backup-btn" onClick={vault.lock}><Icons.Lock /> Lock now</button>
+            )}
+          </div>
+          {!vault.locked && (
+            <div className="settings-row">
+              <div style={{flex: 1}}>
+                <div className="settings-label">Turn off encryption</div>
+                <div className="settings-desc">Store the journal as plain text again</div>
+              </div>
+              <button className="backup-btn" onClick={handleDisable} disabled={busy}>Turn off</button>
+            </div>
+          )}
+          {error && <div className="vault-error">{error}</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VaultSection;
@@ -3,7 +3,8 @@
  * v0.9.45
  *
  * Sunday evening alignment prompt for weekly reflection
- * Prompts user to reflect on faithfulness (not productivity) from the past week
+ * Prompts user to reflect on faithfulness (not productivity) from the past week,
+ * and offers to triage tasks that have sat untouched
  */
 
 import React, { useState } from 'react';
@@ -15,36 +16,46 @@ import Icons from '../shared/Icons';
  * @param {boolean} show - Whether to display the modal
  * @param {Function} onClose - Callback when modal is closed
  * @param {Object} profile - User profile with optional firstName
+ * @param {number} [staleCount=0] - Stale This Week and Later tasks (utils/taskAge.js)
+ * @param {Function} onSave - Called with the new entry {date, text, type}
+ * @param {Function} [onTriage] - Opens the triage wizard for them
  *
  * @example
  * <WeeklyReflectionModal
  *   show={isSundayEvening}
  *   onClose={() => setShowReflection(false)}
  *   profile={{ firstName: 'Sarah' }}
+ *   onSave={(entry) => setWeeklyReflections(p => [...p, entry].slice(-52))}
  * />
  *
- * Stores reflections in localStorage under 'selah-weekly-reflections'
- * Keeps last 52 weeks of reflections (1 year)
+ * App keeps the last 52 weeks of reflections (1 year) under 'selah_weeklyReflections'
  */
-const WeeklyReflectionModal = ({ show, onClose, profile }) => {
+const WeeklyReflectionModal = ({ show, onClose, profile, staleCount = 0, onSave, onTriage }) => {
   const [reflection, setReflection] = useState('');
 
   if (!show) return null;
 
-  const handleSave = () => {
+  const saveReflection = () => {
     if (reflection.trim()) {
-      // Save to reflection history
-      const history = JSON.parse(localStorage.getItem('selah-weekly-reflections') || '[]');
-      history.push({
+      onSave({
         date: new Date().toISOString(),
         text: reflection.trim(),
         type: 'weekly'
       });
-      localStorage.setItem('selah-weekly-reflections', JSON.stringify(history.slice(-52))); // Keep 1 year
     }
+  };
+
+  const handleSave = () => {
+    saveReflection();
     onClose();
   };
 
+  // Whatever was written is kept on the way to triage
+  const handleTriage = () => {
+    saveReflection();
+    onTriage();
+  };
+
   return (
     <div className="modal-backdrop" onClick={onClose}>
       <div className="modal weekly-reflection-modal" onClick={e => e.stopPropagation()}>
@@ -69,6 +80,14 @@ const WeeklyReflectionModal = ({ show, onClose, profile }) => {
           <p className="weekly-reflection-hint">
             Not accomplishments. Not productivity. Just faithfulness.
           </p>
+          {staleCount > 0 && onTriage && (
+            <div className="weekly-reflection-triage">
+              <span>
+                {staleCount} {staleCount === 1 ? 'task has' : 'tasks have'} sat untouched in This Week or Later.
+              </span>
+              <button className="modal-btn secondary" onClick={handleTriage}>Triage them</button>
+            </div>
+          )}
         </div>
         <div className="modal-footer">
           <button className="modal-btn secondary" onClick={onClose}>Skip</button>
@@ -0,0 +1,90 @@
+/**
+ * WipLimitPrompt Component
+ *
+ * Asks what to do when adding or moving tasks would take a list past its
+ * work-in-progress limit (utils/wipLimits.js), instead of quietly putting
+ * them somewhere else.
+ *
+ * Choices:
+ * - Swap: pick a task in the full list to move down a list, making room
+ *   (only when one task is coming in, and the list has one below it)
+ * - Demote: put the incoming tasks in the next list down with room
+ * - Go over: add them anyway; the list's header shows it's over
+ * - Cancel (Escape or the backdrop): leave everything as it was
+ *
+ * Props:
+ * @param {string} list - The full list
+ * @param {number} limit - Its limit
+ * @param {string} what - What's coming in, e.g. '"Draft budget"' or "3 tasks"
+ * @param {number} incoming - How many tasks are coming in
+ * @param {Array} tasks - Tasks in the full list, to swap out
+ * @param {string|null} swapTo - Where a swapped-out task goes, or null when swapping isn't offered
+ * @param {string|null} demoteTo - List below with room, or null
+ * @param {Function} onSwap - (taskId) => void
+ * @param {Function} onDemote - () => void
+ * @param {Function} onOverride - () => void
+ * @param {Function} onCancel - () => void
+ */
+
+import React, { useEffect } from 'react';
+import Icons from '../shared/Icons';
+import { LIST_LABELS } from '../../data/constants';
+
+const WipLimitPrompt = ({ list, limit, what, incoming, tasks, swapTo, demoteTo, onSwap, onDemote, onOverride, onCancel }) => {
+  // Capture Escape before the dialogs underneath see it
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key !== 'Escape') return;
+      e.stopPropagation();
+      onCancel();
+    };
+    document.addEventListener('keydown', handleKey, true);
+    return () => document.removeEventListener('keydown', handleKey, true);
+  }, [onCancel]);
+
+  const label = LIST_LABELS[list];
+  const open = tasks.filter(t => !t.done);
+
+  return (
+    <div className="modal-backdrop wip-prompt-backdrop" onClick={onCancel}>
+      <div className="modal wip-prompt" role="alertdialog" aria-label={`${label} is full`} onClick={e => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>{label} is full</h2>
+          <button className="modal-close" onClick={onCancel} aria-label="Cancel">
+            <Icons.X />
+          </button>
+        </div>
+        <div className="modal-body">
+          <p className="wip-prompt-text">
+            {label} holds {limit} {limit === 1 ? 'task' : 'tasks'} and has {tasks.length}. Where should {what} go?
+          </p>
+
+          {swapTo && incoming === 1 && open.length > 0 && (
+            <div className="wip-prompt-swap">
+              <div className="wip-prompt-label">Swap it in, moving one of these to {LIST_LABELS[swapTo]}:</div>
+              {open.map(t => (
+                <button key={t.id} className="wip-prompt-task" onClick={() => onSwap(t.id)}>
+                  <span>{t.text}</span>
+                  <Icons.ArrowDown />
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="modal-btn secondary" onClick={onCancel}>Cancel</button>
+          <button className="modal-btn secondary" onClick={onOverride} title={`${label}'s header will show it's over`}>
+            Go over the limit
+          </button>
+          {demoteTo && (
+            <button className="modal-btn primary" onClick={onDemote} autoFocus>
+              Put in {LIST_LABELS[demoteTo]}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WipLimitPrompt;
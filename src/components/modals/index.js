@@ -10,3 +10,10 @@ export { default as GuideModal } from './GuideModal';
 export { default as SelahPause } from './SelahPause';
 export { default as WeeklyReflectionModal } from './WeeklyReflectionModal';
 export { default as NewDayTransition } from './NewDayTransition';
+export { default as ArchiveModal } from './ArchiveModal';
+export { default as CommandPalette } from './CommandPalette';
+export { default as WipLimitPrompt } from './WipLimitPrompt';
+export { default as CalibrationModal } from './CalibrationModal';
+export { default as TriageModal } from './TriageModal';
+export { default as ProjectsModal } from './ProjectsModal';
+export { default as ProjectReflectionModal } from './ProjectReflectionModal';
@@ -0,0 +1,112 @@
+/**
+ * Repeat Editor Component
+ *
+ * Props:
+ * @param {object} repeat - Current repeat rule, or undefined for a one-off task
+ * @param {string} due - Due day of this instance, if it has one
+ * @param {function} onSave - Called with the new rule, or null to stop repeating
+ *
+ * Features:
+ * - Every N days, specific weekdays, a day of the month, or N days after done
+ * - Live description of the rule being edited
+ * - Shown inside TaskContextMenu's repeat submenu
+ */
+
+import { useState } from 'react';
+import {
+  REPEAT_TYPES,
+  WEEKDAY_LABELS,
+  defaultRepeat,
+  describeRepeat,
+  isValidRepeat,
+} from '../../utils/recurrence';
+
+const RepeatEditor = ({ repeat, due, onSave }) => {
+  const [draft, setDraft] = useState(() => (isValidRepeat(repeat) ? repeat : defaultRepeat('everyDays', due)));
+
+  const setNumber = (field, value, max) => {
+    const n = parseInt(value, 10);
+    setDraft(d => ({ ...d, [field]: Number.isNaN(n) ? '' : Math.min(Math.max(n, 1), max) }));
+  };
+
+  const toggleDay = (day) => {
+    setDraft(d => ({
+      ...d,
+      days: d.days.includes(day) ? d.days.filter(x => x !== day) : [...d.days, day]
+    }));
+  };
+
+  const valid = isValidRepeat(draft);
+
+  return (
+    <div className="repeat-editor">
+      <div className="repeat-types">
+        {REPEAT_TYPES.map(t => (
+          <button
+            key={t.value}
+            className={`repeat-type${draft.type === t.value ? ' active' : ''}`}
+            onClick={() => setDraft(draft.type === t.value ? draft : defaultRepeat(t.value, due))}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {(draft.type === 'everyDays' || draft.type === 'afterCompletion') && (
+        <label className="repeat-field">
+          {draft.type === 'everyDays' ? 'Every' : 'Again'}
+          <input
+            type="number"
+            min="1"
+            max="365"
+            value={draft.every}
+            onChange={e => setNumber('every', e.target.value, 365)}
+          />
+          {draft.type === 'everyDays' ? 'days' : 'days after it\'s done'}
+        </label>
+      )}
+
+      {draft.type === 'weekdays' && (
+        <div className="repeat-weekdays">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              className={`repeat-weekday${draft.days.includes(day) ? ' active' : ''}`}
+              onClick={() => toggleDay(day)}
+              aria-pressed={draft.days.includes(day)}
+            >
+              {label.slice(0, 2)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {draft.type === 'monthDay' && (
+        <label className="repeat-field">
+          On day
+          <input
+            type="number"
+            min="1"
+            max="31"
+            value={draft.day}
+            onChange={e => setNumber('day', e.target.value, 31)}
+          />
+          of each month
+        </label>
+      )}
+
+      <div className="repeat-summary">{valid ? describeRepeat(draft) : 'Pick when it repeats'}</div>
+
+      <div className="repeat-actions">
+        {repeat && (
+          <button className="repeat-btn" onClick={() => onSave(null)}>Stop repeating</button>
+        )}
+        <button className="repeat-btn primary" onClick={() => onSave(draft)} disabled={!valid}>
+          {repeat ? 'Save' : 'Repeat'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RepeatEditor;
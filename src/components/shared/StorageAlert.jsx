@@ -0,0 +1,38 @@
+/**
+ * StorageAlert Component
+ *
+ * Banner that stays up while saves are failing, so nobody keeps working on
+ * changes that won't be there after a reload.
+ *
+ * Props:
+ * @param {Array} failing - [{key, message}] from useStorageHealth
+ * @param {function} onRetry - Try the failed saves again
+ * @param {function} onManage - Open the storage panel in Settings
+ * @param {function} onDismiss - Hide until something else fails
+ */
+
+import React from 'react';
+import Icons from './Icons';
+import { getStorageKeyLabel } from '../../utils/storageHealth';
+
+const StorageAlert = ({ failing, onRetry, onManage, onDismiss }) => {
+  const names = failing.map(({ key }) => getStorageKeyLabel(key).toLowerCase());
+  const quota = failing.some(({ message }) => /quota|space|full/i.test(message));
+
+  return (
+    <div className="storage-alert" role="alert">
+      <div className="storage-alert-text">
+        <strong>Changes aren't being saved.</strong>{' '}
+        {quota ? 'Storage on this device is full' : 'Storage is unavailable'} ({names.join(', ')}).
+        Free up space or download a backup before closing this tab.
+      </div>
+      <div className="storage-alert-actions">
+        <button className="storage-alert-btn" onClick={onManage}>Free up space</button>
+        <button className="storage-alert-btn" onClick={onRetry}>Try again</button>
+        <button className="storage-alert-close" onClick={onDismiss} aria-label="Dismiss"><Icons.X /></button>
+      </div>
+    </div>
+  );
+};
+
+export default StorageAlert;
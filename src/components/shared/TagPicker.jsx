@@ -0,0 +1,119 @@
+/**
+ * Tag Picker Component
+ *
+ * Props:
+ * @param {boolean} isOpen - Controls picker visibility
+ * @param {function} onClose - Callback when picker closes
+ * @param {object} triggerRef - Ref to the trigger element for positioning
+ * @param {array} tags - The task's current tags
+ * @param {array} suggestions - Tags in use elsewhere, most used first
+ * @param {function} onChange - Called with the new list of tags
+ *
+ * Features:
+ * - Portal-based rendering, positioned like CategoryPortalMenu
+ * - Type to find a tag; Enter adds it, creating it if it's new
+ * - Click a tag to toggle it; stays open for several changes
+ * - Closes on outside click, scroll, or Escape key
+ */
+
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import ReactDOM from 'react-dom';
+import Icons from './Icons';
+import { normalizeTag } from '../../utils/tags';
+
+const MAX_SUGGESTIONS = 8;
+const MENU_HEIGHT = 260;
+
+const TagPicker = ({ isOpen, onClose, triggerRef, tags, suggestions, onChange }) => {
+  const [input, setInput] = useState('');
+  const menuRef = useRef(null);
+
+  // Position against the trigger. Written to the element directly so the
+  // picker doesn't render twice on open.
+  useLayoutEffect(() => {
+    const menu = menuRef.current;
+    if (!isOpen || !menu || !triggerRef?.current) return;
+    const rect = triggerRef.current.getBoundingClientRect();
+    const spaceBelow = window.innerHeight - rect.bottom;
+    const flipUp = spaceBelow < MENU_HEIGHT && rect.top > spaceBelow;
+
+    menu.classList.toggle('flip-up', flipUp);
+    menu.style.top = flipUp ? 'auto' : `${rect.bottom + 4}px`;
+    menu.style.bottom = flipUp ? `${window.innerHeight - rect.top + 4}px` : 'auto';
+    menu.style.left = `${Math.min(rect.left, window.innerWidth - 220)}px`;
+  }, [isOpen, triggerRef]);
+
+  // Close handlers
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target) &&
+          triggerRef?.current && !triggerRef.current.contains(e.target)) {
+        onClose();
+      }
+    };
+    const handleEscape = (e) => { if (e.key === 'Escape') onClose(); };
+    const handleScroll = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose();
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    document.addEventListener('keydown', handleEscape);
+    window.addEventListener('scroll', handleScroll, true);
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+      document.removeEventListener('keydown', handleEscape);
+      window.removeEventListener('scroll', handleScroll, true);
+    };
+  }, [isOpen, onClose, triggerRef]);
+
+  if (!isOpen) return null;
+
+  const query = normalizeTag(input);
+  const toggle = (tag) => onChange(tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag]);
+  const shown = [...new Set([...tags, ...suggestions])]
+    .filter(tag => !query || tag.includes(query))
+    .slice(0, Math.max(MAX_SUGGESTIONS, tags.length));
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Enter' || !query) return;
+    if (!tags.includes(query)) onChange([...tags, query]);
+    setInput('');
+  };
+
+  return ReactDOM.createPortal(
+    <div
+      ref={menuRef}
+      className="category-portal-menu tag-picker show"
+    >
+      <input
+        className="tag-picker-input"
+        value={input}
+        onChange={e => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Find or add a tag"
+        autoFocus
+      />
+      {shown.map(tag => (
+        <div
+          key={tag}
+          className={`category-portal-item${tags.includes(tag) ? ' selected' : ''}`}
+          onClick={(e) => { e.stopPropagation(); toggle(tag); }}
+        >
+          <span className="tag-picker-check">{tags.includes(tag) && <Icons.Check />}</span>
+          #{tag}
+        </div>
+      ))}
+      {query && !shown.includes(query) && (
+        <div className="category-portal-item" onClick={(e) => { e.stopPropagation(); onChange([...tags, query]); setInput(''); }}>
+          <span className="tag-picker-check"><Icons.Plus /></span>
+          Add #{query}
+        </div>
+      )}
+      {shown.length === 0 && !query && <div className="tag-picker-empty">No tags yet. Type one to add it.</div>}
+    </div>,
+    document.body
+  );
+};
+
+export default TagPicker;
@@ -9,12 +9,28 @@
  * @param {function} onToggle - Callback to toggle task completion
  * @param {function} onMove - Callback to move task (taskId, destination)
  * @param {function} onDelete - Callback to delete task
+ * @param {function} onRepeat - Callback to set the repeat rule (taskId, rule or null to stop repeating)
+ * @param {function} onDue - Callback to set the due date (taskId, day key or null)
+ * @param {function} onSnooze - Callback to snooze until a day (taskId, day key or null to wake)
+ * @param {function} onBlockers - Callback to set the tasks this one waits on (taskId, blockedBy);
+ *   returns why not when it would make a loop, or null
+ * @param {array} blockerChoices - Open tasks [{id, text, list}] to pick blockers from
+ * @param {function} onProject - Callback to file the task under a project (taskId, projectId or null)
+ * @param {array} projects - Projects to offer: the active and paused ones, and the task's own
+ * @param {string} today - Current logical day key, for date choices
  * @param {string} currentList - Current list ID (filters move options)
+ * @param {string} initialView - Submenu to open with: 'main' (default), 'move', 'repeat', 'blockers'
+ *   or 'project'
  *
  * Features:
- * - Appears on long-press (mobile) or right-click (desktop)
+ * - Appears on right-click, or on long-press in lists without multi-select
  * - Automatic viewport positioning to prevent clipping
- * - Two-level navigation: main menu → move submenu
+ * - Two-level navigation: main menu → reschedule, repeat, blockers or project submenu
+ * - Reschedule by due date (today, tomorrow, next Monday, in a week or any
+ *   date), snooze until a date, or move to another list
+ * - Blockers: tick the tasks that have to be done first; a loop is refused
+ *   with the reason shown in the menu
+ * - Project: pick the project the task belongs to, or none
  * - Closes on outside click, scroll, or Escape key
  * - Backdrop overlay for mobile UX
  */
@@ -22,9 +38,20 @@
 import { useState, useEffect, useRef } from 'react';
 import ReactDOM from 'react-dom';
 import Icons from './Icons';
+import RepeatEditor from './RepeatEditor';
+import { describeRepeat } from '../../utils/recurrence';
+import { getDateChoices, fmtDueDay } from '../../utils/dueDates';
+import { addDays } from '../../utils/dateHelpers';
+import { openBlockers } from '../../utils/dependencies';
+import { isOpenProject, PROJECT_STATUSES } from '../../utils/projects';
+import { LIST_LABELS } from '../../data/constants';
 
-const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, onDelete, currentList }) => {
-  const [showReschedule, setShowReschedule] = useState(false);
+// Rough heights, to keep each view inside the viewport
+const MENU_HEIGHTS = { main: 360, move: 400, repeat: 340, blockers: 360, project: 300 };
+
+const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, onDelete, onRepeat, onDue, onSnooze, onBlockers, blockerChoices = [], onProject, projects = [], today, currentList, initialView = 'main' }) => {
+  const [view, setView] = useState(initialView);
+  const [blockerError, setBlockerError] = useState(null);
   const menuRef = useRef(null);
 
   // Close on click outside or scroll
@@ -53,7 +80,7 @@ const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, on
   // Position menu within viewport
   const menuStyle = {
     position: 'fixed',
-    top: Math.min(position.y, window.innerHeight - 280),
+    top: Math.max(10, Math.min(position.y, window.innerHeight - MENU_HEIGHTS[view])),
     left: Math.min(Math.max(position.x - 100, 10), window.innerWidth - 210),
     zIndex: 10000
   };
@@ -65,11 +92,28 @@ const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, on
     { label: 'Later', value: 'later' }
   ].filter(opt => opt.value !== currentList);
 
+  const pick = (callback, value) => {
+    callback(task.id, value);
+    onClose();
+  };
+
+  const blockedBy = task.blockedBy || [];
+  const waitingOn = openBlockers(task, blockerChoices);
+  const choices = blockerChoices.filter(b => b.id !== task.id);
+  const toggleBlocker = (id) => {
+    const next = blockedBy.includes(id) ? blockedBy.filter(b => b !== id) : [...blockedBy, id];
+    setBlockerError(onBlockers(task.id, next));
+  };
+
+  const project = projects.find(p => p.id === task.project);
+  // A finished project stays listed while the task is still in it
+  const projectChoices = projects.filter(p => isOpenProject(p) || p.id === task.project);
+
   return ReactDOM.createPortal(
     <>
       <div className="context-menu-backdrop" onClick={onClose} />
       <div ref={menuRef} className="context-menu" style={menuStyle}>
-        {!showReschedule ? (
+        {view === 'main' && (
           <>
             <div className="context-menu-header">
               <span className="context-menu-title">{task.text.slice(0, 30)}{task.text.length > 30 ? '...' : ''}</span>
@@ -83,11 +127,32 @@ const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, on
                 <Icons.Edit />
                 <span>Edit</span>
               </button>
-              <button className="context-menu-item" onClick={() => setShowReschedule(true)}>
+              <button className="context-menu-item" onClick={() => setView('move')}>
                 <Icons.Calendar />
-                <span>Move to...</span>
+                <span>{task.due && today ? `Due ${fmtDueDay(task.due, today)}` : 'Reschedule...'}</span>
                 <Icons.ChevronRight className="context-menu-arrow" />
               </button>
+              {onRepeat && (
+                <button className="context-menu-item" onClick={() => setView('repeat')}>
+                  <Icons.Repeat />
+                  <span>{task.repeat ? describeRepeat(task.repeat) : 'Repeat...'}</span>
+                  <Icons.ChevronRight className="context-menu-arrow" />
+                </button>
+              )}
+              {onBlockers && (
+                <button className="context-menu-item" onClick={() => setView('blockers')}>
+                  <Icons.Lock />
+                  <span>{waitingOn.length > 0 ? `Waiting on ${waitingOn.length}` : 'Blocked by...'}</span>
+                  <Icons.ChevronRight className="context-menu-arrow" />
+                </button>
+              )}
+              {onProject && (
+                <button className="context-menu-item" onClick={() => setView('project')}>
+                  <Icons.Folder />
+                  <span>{project ? project.name : 'Project...'}</span>
+                  <Icons.ChevronRight className="context-menu-arrow" />
+                </button>
+              )}
               <div className="context-menu-divider" />
               <button className="context-menu-item danger" onClick={onDelete}>
                 <Icons.Trash />
@@ -95,28 +160,131 @@ const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, on
               </button>
             </div>
           </>
-        ) : (
+        )}
+        {view === 'move' && (
           <>
-            <button className="context-menu-back" onClick={() => setShowReschedule(false)}>
+            <button className="context-menu-back" onClick={() => setView('main')}>
               <Icons.ChevronLeft />
               <span>Back</span>
             </button>
             <div className="context-menu-header">
-              <span className="context-menu-title">Move to...</span>
+              <span className="context-menu-title">Reschedule</span>
             </div>
-            <div className="context-menu-items">
-              {rescheduleOptions.map(opt => (
+            {onDue && today && (
+              <div className="context-menu-group">
+                <div className="context-menu-group-label">Due</div>
+                <div className="context-menu-chips">
+                  {getDateChoices(today).map(c => (
+                    <button key={c.label} className={`context-menu-chip${task.due === c.day ? ' active' : ''}`} onClick={() => pick(onDue, c.day)}>
+                      {c.label}
+                    </button>
+                  ))}
+                  {task.due && <button className="context-menu-chip" onClick={() => pick(onDue, null)}>No date</button>}
+                </div>
+                <input className="context-menu-date" type="date" min={today} value={task.due || ''} onChange={e => e.target.value && pick(onDue, e.target.value)} aria-label="Pick a due date" />
+              </div>
+            )}
+            {onSnooze && today && (
+              <div className="context-menu-group">
+                <div className="context-menu-group-label">Snooze until</div>
+                <div className="context-menu-chips">
+                  {getDateChoices(today).slice(1).map(c => (
+                    <button key={c.label} className={`context-menu-chip${task.snoozeUntil === c.day ? ' active' : ''}`} onClick={() => pick(onSnooze, c.day)}>
+                      {c.label}
+                    </button>
+                  ))}
+                  {task.snoozeUntil && <button className="context-menu-chip" onClick={() => pick(onSnooze, null)}>Wake now</button>}
+                </div>
+                <input className="context-menu-date" type="date" min={addDays(today, 1)} value={task.snoozeUntil || ''} onChange={e => e.target.value && pick(onSnooze, e.target.value)} aria-label="Pick a snooze date" />
+              </div>
+            )}
+            <div className="context-menu-group">
+              <div className="context-menu-group-label">Move to list</div>
+              <div className="context-menu-chips">
+                {rescheduleOptions.map(opt => (
+                  <button key={opt.value} className="context-menu-chip" onClick={() => pick(onMove, opt.value)}>
+                    {opt.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </>
+        )}
+        {view === 'repeat' && (
+          <>
+            <button className="context-menu-back" onClick={() => setView('main')}>
+              <Icons.ChevronLeft />
+              <span>Back</span>
+            </button>
+            <div className="context-menu-header">
+              <span className="context-menu-title">Repeat</span>
+            </div>
+            <RepeatEditor
+              repeat={task.repeat}
+              due={task.due}
+              onSave={(repeat) => {
+                onRepeat(task.id, repeat);
+                onClose();
+              }}
+            />
+          </>
+        )}
+        {view === 'blockers' && (
+          <>
+            <button className="context-menu-back" onClick={() => setView('main')}>
+              <Icons.ChevronLeft />
+              <span>Back</span>
+            </button>
+            <div className="context-menu-header">
+              <span className="context-menu-title">Can't start until these are done</span>
+            </div>
+            {blockerError && <div className="context-menu-error" role="alert">{blockerError}</div>}
+            <div className="context-menu-blockers">
+              {choices.map(b => (
                 <button
-                  key={opt.value}
-                  className="context-menu-item"
-                  onClick={() => {
-                    onMove(task.id, opt.value);
-                    onClose();
-                  }}
+                  key={b.id}
+                  className={`context-menu-blocker${blockedBy.includes(b.id) ? ' active' : ''}`}
+                  onClick={() => toggleBlocker(b.id)}
+                  aria-pressed={blockedBy.includes(b.id)}
                 >
-                  <span>{opt.label}</span>
+                  <span className="context-menu-blocker-check">{blockedBy.includes(b.id) && <Icons.Check />}</span>
+                  <span className="context-menu-blocker-text">{b.text}</span>
+                  <span className="context-menu-blocker-list">{LIST_LABELS[b.list]}</span>
                 </button>
               ))}
+              {choices.length === 0 && <div className="context-menu-group-label">No other open tasks</div>}
+            </div>
+          </>
+        )}
+        {view === 'project' && (
+          <>
+            <button className="context-menu-back" onClick={() => setView('main')}>
+              <Icons.ChevronLeft />
+              <span>Back</span>
+            </button>
+            <div className="context-menu-header">
+              <span className="context-menu-title">Project</span>
+            </div>
+            <div className="context-menu-blockers">
+              {projectChoices.map(p => (
+                <button
+                  key={p.id}
+                  className={`context-menu-blocker${p.id === task.project ? ' active' : ''}`}
+                  onClick={() => pick(onProject, p.id)}
+                  aria-pressed={p.id === task.project}
+                >
+                  <span className="context-menu-blocker-check">{p.id === task.project && <Icons.Check />}</span>
+                  <span className="context-menu-blocker-text">{p.name}</span>
+                  {p.status !== 'active' && <span className="context-menu-blocker-list">{PROJECT_STATUSES.find(s => s.id === p.status)?.label}</span>}
+                </button>
+              ))}
+              {project && (
+                <button className="context-menu-blocker" onClick={() => pick(onProject, null)}>
+                  <span className="context-menu-blocker-check" />
+                  <span className="context-menu-blocker-text">No project</span>
+                </button>
+              )}
+              {projectChoices.length === 0 && <div className="context-menu-group-label">No projects yet. Start one from Projects in the task column.</div>}
             </div>
           </>
         )}
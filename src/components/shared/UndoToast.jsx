@@ -3,20 +3,29 @@
  *
  * Props:
  * @param {boolean} show - Controls toast visibility
- * @param {object} task - The task that was completed
- * @param {function} onUndo - Callback to undo the completion
+ * @param {object} toast - { label, kind } from useUndoHistory; kind is
+ *   'completed' | 'deleted' | 'undone' | 'redone'
+ * @param {function} onUndo - Callback to undo the change
+ * @param {function} onRedo - Callback to redo a change that was just undone
  * @param {function} onClose - Callback when toast auto-dismisses
  *
  * Features:
  * - Auto-dismisses after 5 seconds
- * - Shows completion confirmation with undo button
+ * - Shows what changed with an undo (or, after undoing, redo) button
  * - Compact design for quick actions
  */
 
 import { useEffect } from 'react';
 import Icons from './Icons';
 
-const UndoToast = ({show, task, onUndo, onClose}) => {
+const ICONS = {
+  completed: Icons.Check,
+  deleted: Icons.Trash,
+  undone: Icons.Reset,
+  redone: Icons.Reset,
+};
+
+const UndoToast = ({show, toast, onUndo, onRedo, onClose}) => {
   useEffect(() => {
     if(show){
       const t = setTimeout(onClose, 5000);
@@ -24,15 +33,22 @@ const UndoToast = ({show, task, onUndo, onClose}) => {
     }
   }, [show, onClose]);
 
-  if(!task) return null;
+  if(!toast) return null;
+
+  const Icon = ICONS[toast.kind] || Icons.Check;
+  const text = toast.kind === 'undone' ? `Undid: ${toast.label}`
+    : toast.kind === 'redone' ? `Redid: ${toast.label}`
+    : toast.label;
 
   return (
     <div className={`undo-toast${show?" show":""}`}>
       <div className="undo-toast-text">
-        <Icons.Check />
-        Completed
+        <Icon />
+        {text}
       </div>
-      <button className="undo-btn" onClick={onUndo}>Undo</button>
+      {toast.kind === 'undone'
+        ? <button className="undo-btn" onClick={onRedo}>Redo</button>
+        : <button className="undo-btn" onClick={onUndo}>Undo</button>}
     </div>
   );
 };
@@ -0,0 +1,58 @@
+/**
+ * VaultLockScreen Component
+ *
+ * Passphrase prompt shown in place of the Rest view while the journal vault
+ * is locked. Nothing from the encrypted journal is rendered behind it.
+ *
+ * Props:
+ * @param {function} onUnlock - Async (passphrase) => void; rejects on a wrong passphrase
+ */
+
+import React, { useState } from 'react';
+import Icons from './Icons';
+
+const VaultLockScreen = ({ onUnlock }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || busy) return;
+    setBusy(true);
+    setError('');
+    try {
+      await onUnlock(passphrase);
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="vault-lock">
+      <form className="card vault-lock-panel" onSubmit={handleSubmit}>
+        <div className="vault-lock-icon"><Icons.Lock /></div>
+        <div className="vault-lock-title">Your journal is locked</div>
+        <div className="vault-lock-desc">
+          Prayers, gratitude and reflections are encrypted on this device.
+        </div>
+        <input
+          type="password"
+          className="settings-input vault-input"
+          placeholder="Passphrase"
+          autoComplete="current-password"
+          value={passphrase}
+          onChange={e => setPassphrase(e.target.value)}
+          autoFocus
+        />
+        {error && <div className="vault-error">{error}</div>}
+        <button type="submit" className="reflection-start-btn" disabled={!passphrase || busy}>
+          {busy ? 'Unlocking…' : 'Unlock'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default VaultLockScreen;
@@ -11,5 +11,9 @@ export { default as CustomSelect } from './CustomSelect';
 export { default as CategoryPortalMenu } from './CategoryPortalMenu';
 export { default as SwipeableWrapper } from './SwipeableWrapper';
 export { default as TaskContextMenu } from './TaskContextMenu';
+export { default as RepeatEditor } from './RepeatEditor';
+export { default as TagPicker } from './TagPicker';
 export { default as DailyWisdomContent } from './DailyWisdomContent';
+export { default as VaultLockScreen } from './VaultLockScreen';
+export { default as StorageAlert } from './StorageAlert';
 export { default as Icons } from './Icons';
@@ -4,24 +4,24 @@
  *
  * Displays rotating encouragement messages at the bottom of the app.
  * Messages change when the user switches modes and avoid repeating
- * the same message consecutively by storing the last shown index in localStorage.
+ * the same message consecutively by storing the last shown index via save().
  */
 
 import { useState, useEffect } from 'react';
 import { ENCOURAGEMENTS } from '../../data/constants';
-import { formatEncouragement } from '../../utils/helpers';
+import { formatEncouragement, load, save } from '../../utils/helpers';
 
 /**
  * Get a random encouragement index that's different from the last one shown
  * @returns {number} Random index from ENCOURAGEMENTS array
  */
 const getRandomIndex = () => {
-  const lastIndex = parseInt(localStorage.getItem('selah_last_encouragement_idx') || '-1', 10);
+  const lastIndex = load('last_encouragement_idx', -1);
   let newIndex;
   do {
     newIndex = Math.floor(Math.random() * ENCOURAGEMENTS.length);
   } while (newIndex === lastIndex && ENCOURAGEMENTS.length > 1);
-  localStorage.setItem('selah_last_encouragement_idx', newIndex.toString());
+  save('last_encouragement_idx', newIndex);
   return newIndex;
 };
 
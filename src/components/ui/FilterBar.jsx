@@ -0,0 +1,138 @@
+/**
+ * FilterBar Component
+ * Filter for the task lists, with saved views, shown above the task sections
+ * in the Order and Focus views
+ *
+ * Props:
+ * - filter: Object - Current filter (EMPTY_FILTER shape, utils/tags.js)
+ * - onFilterChange: (filter) => void - Apply a filter
+ * - savedViews: Array - Saved views [{id, name, filter, pinned}]
+ * - onSavedViewsChange: (views) => void - Save the list of views
+ * - taskCategories: Array - Categories to filter by
+ * - tagSuggestions: Array - Tags in use, most used first
+ * - lists: Array - Lists this view shows, for the list filter
+ *
+ * Features:
+ * - Pinned views as one-click chips; the one matching the filter is highlighted
+ * - Editor for tags (all must match), category, estimate, list and schedule
+ * - Save the current filter as a named view, pin, unpin or delete views
+ */
+
+import React, { useState } from 'react';
+import Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { LIST_LABELS } from '../../data/constants';
+import {
+  EMPTY_FILTER,
+  ESTIMATE_FILTERS,
+  SCHEDULE_FILTERS,
+  isFilterActive,
+  describeFilter,
+  createView,
+  sameFilter,
+} from '../../utils/tags';
+
+const FilterBar = ({ filter, onFilterChange, savedViews, onSavedViewsChange, taskCategories, tagSuggestions, lists }) => {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+
+  const active = isFilterActive(filter);
+  const pinned = savedViews.filter(v => v.pinned);
+  const current = savedViews.find(v => sameFilter(v.filter, filter));
+  const set = (key, value) => onFilterChange({ ...filter, [key]: value });
+  const toggleTag = (tag) => set("tags", filter.tags.includes(tag) ? filter.tags.filter(t => t !== tag) : [...filter.tags, tag]);
+  // Tags that have dropped out of use stay selectable while they're in the filter
+  const tagChoices = [...new Set([...filter.tags, ...tagSuggestions])];
+
+  const catOptions = [{ value: "all", label: "All categories" }, ...taskCategories.map(c => ({ value: c.id, label: c.n }))];
+  const listOptions = [{ value: "all", label: "All lists" }, ...lists.map(l => ({ value: l, label: LIST_LABELS[l] }))];
+
+  const saveView = () => {
+    if (!name.trim() || !active) return;
+    onSavedViewsChange([...savedViews, createView(name.trim(), filter)]);
+    setName("");
+  };
+
+  const updateView = (id, change) => onSavedViewsChange(savedViews.map(v => (v.id === id ? { ...v, ...change } : v)));
+
+  return (
+    <div className="filter-bar">
+      <div className="filter-bar-row">
+        <button className={`filter-chip${open ? " active" : ""}`} onClick={() => setOpen(!open)} aria-expanded={open}>
+          <Icons.Filter /> Filter
+        </button>
+        {pinned.map(v => (
+          <button
+            key={v.id}
+            className={`filter-chip${current?.id === v.id ? " active" : ""}`}
+            onClick={() => onFilterChange(current?.id === v.id ? EMPTY_FILTER : v.filter)}
+            title={describeFilter(v.filter, taskCategories)}
+          >
+            {v.name}
+          </button>
+        ))}
+        {active && !current && <span className="filter-summary">{describeFilter(filter, taskCategories)}</span>}
+        {active && (
+          <button className="filter-clear" onClick={() => onFilterChange(EMPTY_FILTER)} aria-label="Clear filter" title="Clear filter">
+            <Icons.X />
+          </button>
+        )}
+      </div>
+
+      {open && (
+        <div className="filter-editor">
+          <div className="filter-tags">
+            {tagChoices.length === 0 && <span className="filter-hint">No tags yet. Add them from a task's tag button.</span>}
+            {tagChoices.map(tag => (
+              <button key={tag} className={`filter-tag${filter.tags.includes(tag) ? " active" : ""}`} onClick={() => toggleTag(tag)}>
+                #{tag}
+              </button>
+            ))}
+          </div>
+          <div className="filter-selects">
+            <CustomSelect value={filter.cat} options={catOptions} onChange={v => set("cat", v)} className="settings-select" />
+            <CustomSelect value={filter.estimate} options={ESTIMATE_FILTERS} onChange={v => set("estimate", v)} className="settings-select" />
+            <CustomSelect value={filter.list} options={listOptions} onChange={v => set("list", v)} className="settings-select" />
+            <CustomSelect value={filter.scheduled} options={SCHEDULE_FILTERS} onChange={v => set("scheduled", v)} className="settings-select" />
+          </div>
+          {active && !current && (
+            <div className="filter-save">
+              <input
+                className="settings-input"
+                value={name}
+                onChange={e => setName(e.target.value)}
+                onKeyDown={e => { if (e.key === "Enter") saveView(); }}
+                placeholder="Name this view, e.g. Quick wins"
+              />
+              <button className="storage-more-btn" onClick={saveView} disabled={!name.trim()}>Save view</button>
+            </div>
+          )}
+          {savedViews.length > 0 && (
+            <div className="filter-views">
+              {savedViews.map(v => (
+                <div key={v.id} className="filter-view">
+                  <button className="filter-view-name" onClick={() => onFilterChange(v.filter)}>
+                    {v.name}
+                    <span className="filter-hint">{describeFilter(v.filter, taskCategories)}</span>
+                  </button>
+                  <button
+                    className={`filter-view-pin${v.pinned ? " active" : ""}`}
+                    onClick={() => updateView(v.id, { pinned: !v.pinned })}
+                    title={v.pinned ? "Unpin" : "Pin to the filter bar"}
+                  >
+                    <Icons.Star />
+                  </button>
+                  <button className="filter-view-pin" onClick={() => onSavedViewsChange(savedViews.filter(x => x.id !== v.id))} title="Delete view">
+                    <Icons.Trash />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterBar;
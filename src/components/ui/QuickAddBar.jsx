@@ -0,0 +1,81 @@
+/**
+ * SELAH RHYTHM - Quick-Add Bar
+ * v0.9.45
+ *
+ * Floating bar for adding a task from anywhere in Order mode (N focuses it).
+ * The line is read by parseQuickAdd (utils/quickAdd.js), so
+ * "Draft budget tomorrow 45m #admin !primary" sets the list, category, time
+ * estimate and due day in one go (other #words become tags); a live row of
+ * chips shows what was picked up.
+ */
+
+import React, { useState } from 'react';
+import Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { LIST_LABELS } from '../../data/constants';
+import { parseQuickAdd, hasQuickAddFields } from '../../utils/quickAdd';
+import { fmtDueDay } from '../../utils/dueDates';
+
+const LIST_OPTIONS = Object.entries(LIST_LABELS).map(([value, label]) => ({ value, label }));
+
+/**
+ * QuickAddBar - Single-line task entry with inline syntax
+ *
+ * @param {boolean} hidden - Slide the bar out of view
+ * @param {string} today - Current logical day key
+ * @param {Array} taskCategories - Categories #tokens are matched against
+ * @param {Function} onAdd - (text, list, cat, time, fields) => void, same as App's addTask
+ */
+const QuickAddBar = ({ hidden, today, taskCategories, onAdd }) => {
+  const [input, setInput] = useState("");
+  const [list, setList] = useState("today");
+
+  const parsed = parseQuickAdd(input, { categories: taskCategories, today });
+  const cat = parsed.cat && taskCategories.find(c => c.id === parsed.cat);
+
+  const add = () => {
+    if (!parsed.text) return;
+    const { text, list: _list, cat: _cat, time: _time, ...fields } = parsed;
+    onAdd(text, parsed.list || list, parsed.cat, parsed.time, fields);
+    setInput("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") add();
+    if (e.key === "Escape") {
+      setInput("");
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div className={`quick-add-bar${hidden ? " hidden" : ""}`}>
+      {hasQuickAddFields(parsed) && (
+        <div className="quick-add-preview" aria-live="polite">
+          {parsed.list && <span className="quick-add-chip">{LIST_LABELS[parsed.list]}</span>}
+          {cat && (
+            <span className="quick-add-chip">
+              <span className="task-category-dot" style={{ background: cat.color }} />{cat.n}
+            </span>
+          )}
+          {parsed.time && <span className="quick-add-chip"><Icons.Clock />{parsed.time}</span>}
+          {parsed.due && <span className="quick-add-chip"><Icons.Calendar />{fmtDueDay(parsed.due, today)}</span>}
+          {(parsed.tags || []).map(tag => <span key={tag} className="quick-add-chip">#{tag}</span>)}
+        </div>
+      )}
+      <input
+        value={input}
+        onChange={e => setInput(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Add a task… tomorrow 30m #admin"
+        aria-label="Quick add a task"
+      />
+      <CustomSelect value={parsed.list || list} options={LIST_OPTIONS} onChange={setList} />
+      <button className="add-btn" onClick={add} disabled={!parsed.text}>
+        <Icons.Plus /> Add
+      </button>
+    </div>
+  );
+};
+
+export default QuickAddBar;
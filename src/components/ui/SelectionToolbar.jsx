@@ -0,0 +1,92 @@
+/**
+ * SelectionToolbar Component
+ * Bulk actions for the tasks selected in the Order or Focus view; takes the
+ * quick-add bar's place while anything is selected
+ *
+ * Props:
+ * - count: number - How many tasks are selected
+ * - lists: Array - Lists tasks can be moved to
+ * - taskCategories: Array - Categories to choose from
+ * - onMove: (list) => void - Move the selection to a list
+ * - onCat: (categoryId) => void - Set the selection's category
+ * - onTime: (timeString) => void - Set the selection's time estimate
+ * - onSchedule: (hour, minute) => void - Block out the selection back to back from a time
+ * - onDone: () => void - Mark the selection done
+ * - onDelete: () => void - Delete the selection
+ * - onSelectAll: () => void - Select every shown task in the list clicked last
+ * - onClear: () => void - Clear the selection
+ *
+ * Keyboard (useKeyboardShortcuts): Esc clears, Ctrl/Cmd+A selects all,
+ * Delete deletes, Ctrl/Cmd+Enter marks done
+ */
+
+import React, { useState } from 'react';
+import Icons from '../shared/Icons';
+import CustomSelect from '../shared/CustomSelect';
+import { LIST_LABELS, TIMES } from '../../data/constants';
+
+const TIME_OPTIONS = TIMES.map(t => ({ value: t, label: t || "No estimate" }));
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+// The next quarter hour, as "HH:MM"
+const nextQuarterHour = () => {
+  const d = new Date();
+  const minutes = Math.ceil((d.getHours() * 60 + d.getMinutes() + 1) / 15) * 15 % (24 * 60);
+  return `${pad2(Math.floor(minutes / 60))}:${pad2(minutes % 60)}`;
+};
+
+const SelectionToolbar = ({ count, lists, taskCategories, onMove, onCat, onTime, onSchedule, onDone, onDelete, onSelectAll, onClear }) => {
+  const [scheduleAt, setScheduleAt] = useState(null);
+
+  const listOptions = lists.map(l => ({ value: l, label: LIST_LABELS[l] }));
+  const catOptions = taskCategories.map(c => ({ value: c.id, label: c.n }));
+
+  const schedule = () => {
+    const [hour, minute] = (scheduleAt || "").split(":").map(Number);
+    if (Number.isNaN(hour) || Number.isNaN(minute)) return;
+    onSchedule(hour, minute);
+    setScheduleAt(null);
+  };
+
+  return (
+    <div className="selection-toolbar" role="toolbar" aria-label={`${count} selected`}>
+      <span className="selection-count">{count} selected</span>
+      <CustomSelect value={null} options={listOptions} onChange={onMove} placeholder="Move to" />
+      <CustomSelect value={null} options={catOptions} onChange={onCat} placeholder="Category" />
+      <CustomSelect value={null} options={TIME_OPTIONS} onChange={onTime} placeholder="Estimate" />
+      {scheduleAt === null ? (
+        <button className="selection-btn" onClick={() => setScheduleAt(nextQuarterHour())} title="Schedule back to back">
+          <Icons.Clock /> Schedule
+        </button>
+      ) : (
+        <span className="selection-schedule">
+          <input
+            type="time"
+            value={scheduleAt}
+            onChange={e => setScheduleAt(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === "Enter") schedule();
+              if (e.key === "Escape") setScheduleAt(null);
+            }}
+            aria-label="Start time"
+            autoFocus
+          />
+          <button className="selection-btn" onClick={schedule}>Add</button>
+        </span>
+      )}
+      <button className="selection-btn" onClick={onDone} title="Mark done (Ctrl+Enter)">
+        <Icons.Check /> Done
+      </button>
+      <button className="selection-btn delete" onClick={onDelete} title="Delete (Del)">
+        <Icons.Trash />
+      </button>
+      <button className="selection-btn" onClick={onSelectAll} title="Select all in this list (Ctrl+A)">All</button>
+      <button className="selection-btn" onClick={onClear} aria-label="Clear selection" title="Clear selection (Esc)">
+        <Icons.X />
+      </button>
+    </div>
+  );
+};
+
+export default SelectionToolbar;
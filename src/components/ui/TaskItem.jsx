@@ -3,27 +3,59 @@
  * Individual task with checkbox, category dot, time estimate, and drag handle
  *
  * Props:
- * - task: Task object {id, text, done, cat, time, completedAt, totalFocusMinutes}
+ * - task: Task object {id, text, done, cat, time, completedAt, totalFocusMinutes, repeat?, due?, snoozeUntil?, subtasks?, notes?, tags?, project?}
  * - onToggle: (taskId) => void - Mark task complete/incomplete
  * - onDel: (taskId) => void - Delete task
  * - onEdit: (taskId, newText) => void - Update task text
  * - onCat: (taskId, categoryId) => void - Update task category
  * - onTime: (taskId, timeString) => void - Update time estimate
  * - onMove: (taskId, targetList) => void - Move task to different list
+ * - onRepeat: (taskId, repeat) => void - Set or clear the repeat rule (optional)
+ * - onSteps: (taskId, label, change) => void - Update the checklist with change(steps) (optional)
+ * - onDue: (taskId, day) => void - Set or clear the due day (optional)
+ * - onSnooze: (taskId, day) => void - Snooze until a day, or wake (optional)
+ * - onNotes: (taskId, notes) => void - Save the task's notes (optional)
+ * - onTags: (taskId, tags) => void - Set the task's tags (optional)
+ * - onBlockers: (taskId, blockedBy) => string|null - Set the tasks this one waits on;
+ *   returns why not when it would make a loop (optional)
+ * - tagSuggestions: Array - Tags in use, offered by the tag picker
+ * - blockerChoices: Array - Open tasks, to pick blockers from and check them against (optional)
+ * - onProject: (taskId, projectId) => void - File the task under a project, or none with null (optional)
+ * - projects: Array - Projects, for the project chip and picker (optional)
+ * - hideProject: boolean - Leave out the project chip, where tasks are grouped by project
+ * - today: string - Current logical day key, for due and snooze labels and the task's age
  * - list: string - Current list name (primary, today, thisWeek, later)
  * - showDone: boolean - Whether showing completed tasks view
  * - isActiveFocus: boolean - Whether this task is currently in focus
  * - showTimeToComplete: boolean - Whether to show accumulated focus time
+ * - liveMinutes: number - Minutes into a focus session running on this task, not yet
+ *   in totalFocusMinutes; counted toward the over-estimate flag (optional)
  * - onDragStart: (task, list) => void - Callback when drag starts
  * - onDragEnd: () => void - Callback when drag ends
  * - hasScheduledBlock: boolean - Whether task has scheduled time block
  * - taskCategories: Array - Custom categories array (optional)
+ * - selected: boolean - Whether the task is in the multi-selection
+ * - selecting: boolean - Whether anything is selected; taps then select instead
+ * - onSelect: (taskId, {range}) => void - Toggle the task in the selection, or
+ *   extend it here with range (optional; Ctrl/Cmd-click, Shift-click, long-press)
  */
 
 import React, { useState, useRef } from 'react';
 import ReactDOM from 'react-dom';
 import Icons from '../shared/Icons';
-import { fmtDate } from '../../utils/helpers';
+import TaskContextMenu from '../shared/TaskContextMenu';
+import TagPicker from '../shared/TagPicker';
+import TaskSteps from './TaskSteps';
+import TaskNotes from './TaskNotes';
+import { fmtDate, fmtDateFull } from '../../utils/helpers';
+import { parseDayKey } from '../../utils/dateHelpers';
+import { describeRepeat } from '../../utils/recurrence';
+import { stepProgress } from '../../utils/subtasks';
+import { fmtDueDay, getDueStatus, isSnoozed } from '../../utils/dueDates';
+import { hasNotes, notesPreview } from '../../utils/notes';
+import { overEstimate } from '../../utils/calibration';
+import { openBlockers } from '../../utils/dependencies';
+import { ageInDays, fmtAge, isStale, AGE_SHOWN_AFTER_DAYS } from '../../utils/taskAge';
 
 // Default categories
 const DEFAULT_CATS = [
@@ -236,112 +268,8 @@ const SwipeableWrapper = ({ children, onSwipeRight, onSwipeLeft, rightLabel = "
   );
 };
 
-// Task Context Menu - appears on long-press (mobile) or right-click (desktop)
-const TaskContextMenu = ({ task, position, onClose, onEdit, onToggle, onMove, onDelete, currentList }) => {
-  const [showReschedule, setShowReschedule] = useState(false);
-  const menuRef = useRef(null);
-
-  // Close on click outside or scroll
-  React.useEffect(() => {
-    const handleClickOutside = (e) => {
-      if (menuRef.current && !menuRef.current.contains(e.target)) {
-        onClose();
-      }
-    };
-
-    const handleScroll = () => {
-      onClose();
-    };
-
-    document.addEventListener('mousedown', handleClickOutside);
-    document.addEventListener('touchstart', handleClickOutside);
-    window.addEventListener('scroll', handleScroll, true); // Use capture to catch all scroll events
-
-    return () => {
-      document.removeEventListener('mousedown', handleClickOutside);
-      document.removeEventListener('touchstart', handleClickOutside);
-      window.removeEventListener('scroll', handleScroll, true);
-    };
-  }, [onClose]);
-
-  // Position menu within viewport
-  const menuStyle = {
-    position: 'fixed',
-    top: Math.min(position.y, window.innerHeight - 280),
-    left: Math.min(Math.max(position.x - 100, 10), window.innerWidth - 210),
-    zIndex: 10000
-  };
-
-  const rescheduleOptions = [
-    { label: 'Primary', value: 'primary' },
-    { label: 'Today', value: 'today' },
-    { label: 'This Week', value: 'thisWeek' },
-    { label: 'Later', value: 'later' }
-  ].filter(opt => opt.value !== currentList);
-
-  return ReactDOM.createPortal(
-    <>
-      <div className="context-menu-backdrop" onClick={onClose} />
-      <div ref={menuRef} className="context-menu" style={menuStyle}>
-        {!showReschedule ? (
-          <>
-            <div className="context-menu-header">
-              <span className="context-menu-title">{task.text.slice(0, 30)}{task.text.length > 30 ? '...' : ''}</span>
-            </div>
-            <div className="context-menu-items">
-              <button className="context-menu-item" onClick={onToggle}>
-                <Icons.Check />
-                <span>{task.done ? 'Mark Incomplete' : 'Mark Complete'}</span>
-              </button>
-              <button className="context-menu-item" onClick={onEdit}>
-                <Icons.Edit />
-                <span>Edit</span>
-              </button>
-              <button className="context-menu-item" onClick={() => setShowReschedule(true)}>
-                <Icons.Calendar />
-                <span>Move to...</span>
-                <Icons.ChevronRight className="context-menu-arrow" />
-              </button>
-              <div className="context-menu-divider" />
-              <button className="context-menu-item danger" onClick={onDelete}>
-                <Icons.Trash />
-                <span>Delete</span>
-              </button>
-            </div>
-          </>
-        ) : (
-          <>
-            <button className="context-menu-back" onClick={() => setShowReschedule(false)}>
-              <Icons.ChevronLeft />
-              <span>Back</span>
-            </button>
-            <div className="context-menu-header">
-              <span className="context-menu-title">Move to...</span>
-            </div>
-            <div className="context-menu-items">
-              {rescheduleOptions.map(opt => (
-                <button
-                  key={opt.value}
-                  className="context-menu-item"
-                  onClick={() => {
-                    onMove(task.id, opt.value);
-                    onClose();
-                  }}
-                >
-                  <span>{opt.label}</span>
-                </button>
-              ))}
-            </div>
-          </>
-        )}
-      </div>
-    </>,
-    document.body
-  );
-};
-
 // Task Item with active focus indicator and drag support
-const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, showDone, isActiveFocus, showTimeToComplete, onDragStart, onDragEnd, hasScheduledBlock, taskCategories}) => {
+const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, onRepeat, onSteps, onDue, onSnooze, onNotes, onTags, onBlockers, tagSuggestions, blockerChoices, onProject, projects, hideProject, today, list, showDone, isActiveFocus, liveMinutes = 0, showTimeToComplete, onDragStart, onDragEnd, hasScheduledBlock, taskCategories, selected, selecting, onSelect}) => {
   const [editing, setEditing] = useState(false);
   const [text, setText] = useState(task.text);
   const [showMoveMenu, setShowMoveMenu] = useState(false);
@@ -351,22 +279,49 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
   const [isDragging, setIsDragging] = useState(false);
   const [showContextMenu, setShowContextMenu] = useState(false);
   const [contextMenuPos, setContextMenuPos] = useState({ x: 0, y: 0 });
+  const [contextMenuView, setContextMenuView] = useState('main');
+  const [showSteps, setShowSteps] = useState(false);
+  const [showNotes, setShowNotes] = useState(false);
+  const [showTagMenu, setShowTagMenu] = useState(false);
   const longPressTimer = useRef(null);
+  const longPressed = useRef(false);
   const taskRef = useRef(null);
   const catTriggerRef = useRef(null);
+  const tagTriggerRef = useRef(null);
   const dragHandleRef = useRef(null);
   const cats = taskCategories || DEFAULT_CATS;
   const cat = cats.find(c=>c.id===task.cat)||cats[0];
-
-  // Long-press handler for mobile context menu
+  const steps = stepProgress(task);
+  // Past its estimate, counting a session still running on it
+  const overEst = showDone ? null : overEstimate(task, liveMinutes);
+  const waitingOn = showDone || task.done ? [] : openBlockers(task, blockerChoices || []);
+  const project = task.project && !hideProject ? (projects || []).find(p => p.id === task.project) : null;
+  // Age since last touched; shown once it's a week, or once it's stale for its list
+  const age = today && !showDone && !task.done ? ageInDays(task, today) : null;
+  const stale = !!today && !showDone && isStale(task, list, today);
+  const ageTitle = [
+    task.createdAt ? `Added ${fmtDateFull(task.createdAt)}` : "Added before task ages were tracked",
+    task.touchedAt && `last touched ${fmtDateFull(task.touchedAt)}`,
+  ].filter(Boolean).join(", ");
+  const dueStatus = today ? getDueStatus(task, today) : null;
+  const snoozed = today ? isSnoozed(task, today) : false;
+
+  // Long-press selects the task where selection is on, else opens the context menu
   const handleTouchStart = (e) => {
+    longPressed.current = false;
     // Don't trigger on interactive elements
     if (e.target.closest('button, input, select, textarea, a')) return;
 
     const touch = e.touches[0];
     longPressTimer.current = setTimeout(() => {
-      setContextMenuPos({ x: touch.clientX, y: touch.clientY });
-      setShowContextMenu(true);
+      if (onSelect && !showDone) {
+        longPressed.current = true;
+        onSelect(task.id, {});
+      } else {
+        setContextMenuPos({ x: touch.clientX, y: touch.clientY });
+        setContextMenuView('main');
+        setShowContextMenu(true);
+      }
       // Haptic feedback visual cue
       if (taskRef.current) {
         taskRef.current.style.transform = 'scale(0.98)';
@@ -395,10 +350,26 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
   // Right-click handler for desktop context menu
   const handleContextMenu = (e) => {
     e.preventDefault();
+    // The browser's own long-press menu, after the long-press selected the task
+    if (longPressed.current) return;
     setContextMenuPos({ x: e.clientX, y: e.clientY });
+    setContextMenuView('main');
     setShowContextMenu(true);
   };
 
+  // Indicators and buttons open the context menu straight at a submenu
+  const openMenuAt = (view) => (e) => {
+    e.stopPropagation();
+    const rect = e.currentTarget.getBoundingClientRect();
+    setContextMenuPos({ x: rect.left + 100, y: rect.bottom + 4 });
+    setContextMenuView(view);
+    setShowContextMenu(true);
+  };
+  const openRepeatMenu = openMenuAt('repeat');
+  const openRescheduleMenu = openMenuAt('move');
+  const openBlockersMenu = openMenuAt('blockers');
+  const openProjectMenu = openMenuAt('project');
+
   // Handle move to later (from swipe)
   const handleMoveToLater = () => {
     if (onMove) {
@@ -425,6 +396,22 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
     setEditingTime(false);
   };
 
+  // Modifier clicks select; once anything is selected, so does any click
+  const handleSelectClick = (e) => {
+    if (longPressed.current) {
+      longPressed.current = false;
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    if (!onSelect || showDone) return;
+    if (!(e.shiftKey || e.ctrlKey || e.metaKey || selecting)) return;
+    if (e.target.closest('input, textarea')) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onSelect(task.id, { range: e.shiftKey });
+  };
+
   const saveEdit = () => {if(text.trim()&&text!==task.text)onEdit(task.id,text.trim());setEditing(false);};
 
   // Drag handlers - allow whole row except interactive controls
@@ -462,7 +449,7 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
   if(editing) return <div className="task-item"><input className="task-edit-input" value={text} onChange={e=>setText(e.target.value)} onKeyDown={e=>{if(e.key==="Enter")saveEdit();if(e.key==="Escape")setEditing(false);}} autoFocus onBlur={saveEdit} /></div>;
 
   // Determine if swipe should be disabled
-  const swipeDisabled = showDone || isDragging;
+  const swipeDisabled = showDone || isDragging || selecting;
 
   return (
     <>
@@ -475,7 +462,8 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
       >
         <div
           ref={taskRef}
-          className={`task-item${isActiveFocus?" active-focus":""}${isDragging?" dragging":""}`}
+          data-task-id={task.id}
+          className={`task-item${isActiveFocus?" active-focus":""}${isDragging?" dragging":""}${selected?" selected":""}${waitingOn.length?" blocked":""}`}
           draggable={!showDone}
           onDragStart={handleDragStart}
           onDragEnd={handleDragEnd}
@@ -483,6 +471,8 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
           onTouchEnd={handleTouchEnd}
           onTouchMove={handleTouchMove}
           onContextMenu={handleContextMenu}
+          onClickCapture={handleSelectClick}
+          onMouseDown={e => { if (e.shiftKey && onSelect) e.preventDefault(); }}
         >
       {!showDone && (
         <div ref={dragHandleRef} className="drag-handle" title="Drag to reorder or schedule">
@@ -535,8 +525,83 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
               <span className="task-time" onClick={handleTimeClick}>{task.time||"—"}</span>
             )
           )}
-          {!showDone && task.totalFocusMinutes > 0 && showTimeToComplete && <span className="task-focus-time">{task.totalFocusMinutes}m</span>}
+          {overEst ? (
+            <span className="task-focus-time over-estimate" title={`${overEst.spent}m focused on a ${overEst.estimate}m estimate`}>
+              <Icons.Clock />{overEst.spent}m / {task.time}
+            </span>
+          ) : (
+            !showDone && task.totalFocusMinutes > 0 && showTimeToComplete && <span className="task-focus-time">{task.totalFocusMinutes}m</span>
+          )}
           {!showDone && hasScheduledBlock && <span className="task-scheduled-indicator" title="Scheduled"><Icons.Clock /></span>}
+          {!showDone && steps.total > 0 && (
+            <span
+              className={`task-steps-progress${steps.done === steps.total ? " complete" : ""}`}
+              onClick={onSteps ? (e) => { e.stopPropagation(); setShowSteps(!showSteps); } : undefined}
+              title={`${steps.done} of ${steps.total} steps done`}
+            >
+              <Icons.ListChecks />{steps.done}/{steps.total}
+            </span>
+          )}
+          {!showDone && (task.tags || []).map(tag => (
+            <span key={tag} className="task-tag" onClick={onTags ? (e) => { e.stopPropagation(); setShowTagMenu(true); } : undefined}>
+              #{tag}
+            </span>
+          ))}
+          {!showDone && hasNotes(task) && (
+            <span
+              className={`task-notes-indicator${showNotes ? " active" : ""}`}
+              onClick={(e) => { e.stopPropagation(); setShowNotes(!showNotes); }}
+              title={notesPreview(task.notes)}
+            >
+              <Icons.Notes />
+            </span>
+          )}
+          {!showDone && task.repeat && (
+            <span
+              className="task-repeat-indicator"
+              onClick={onRepeat ? openRepeatMenu : undefined}
+              title={`Repeats: ${describeRepeat(task.repeat)}`}
+            >
+              <Icons.Repeat />{describeRepeat(task.repeat)}
+            </span>
+          )}
+          {waitingOn.length > 0 && (
+            <span
+              className="task-blocked"
+              onClick={onBlockers ? openBlockersMenu : undefined}
+              title={`Waiting on ${waitingOn.map(b => `"${b.text}"`).join(", ")}`}
+            >
+              <Icons.Lock />Blocked
+            </span>
+          )}
+          {!showDone && project && (
+            <span className="task-project" onClick={onProject ? openProjectMenu : undefined} title={project.why || project.name}>
+              <Icons.Folder />{project.name}
+            </span>
+          )}
+          {(stale || age >= AGE_SHOWN_AFTER_DAYS) && (
+            <span className={`task-age${stale ? " stale" : ""}`} title={stale ? `${ageTitle}. Due for triage` : ageTitle}>
+              {age === null ? "old" : fmtAge(age)}
+            </span>
+          )}
+          {dueStatus && (
+            <span
+              className={`task-due ${dueStatus}`}
+              onClick={onDue ? openRescheduleMenu : undefined}
+              title={`Due ${fmtDateFull(parseDayKey(task.due))}`}
+            >
+              <Icons.Calendar />{dueStatus === 'overdue' ? `Overdue · ${fmtDueDay(task.due, today)}` : fmtDueDay(task.due, today)}
+            </span>
+          )}
+          {!showDone && snoozed && (
+            <span
+              className="task-due snoozed"
+              onClick={onSnooze ? openRescheduleMenu : undefined}
+              title={`Snoozed until ${fmtDateFull(parseDayKey(task.snoozeUntil))}`}
+            >
+              <Icons.Clock />Until {fmtDueDay(task.snoozeUntil, today)}
+            </span>
+          )}
           {showDone && task.completedAt && <span style={{fontSize:"10px",color:"var(--text-muted)"}}>{fmtDate(task.completedAt)}</span>}
         </div>
       </div>
@@ -544,6 +609,10 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
         <div className="task-actions">
           <button className="task-action-btn" onClick={()=>setEditing(true)} title="Edit"><Icons.Edit /></button>
           {onMove && <button className="task-action-btn" onClick={()=>setShowMoveMenu(!showMoveMenu)} title="Move"><Icons.Move /></button>}
+          {onSteps && <button className={`task-action-btn${showSteps ? " active" : ""}`} onClick={()=>setShowSteps(!showSteps)} title="Steps"><Icons.ListChecks /></button>}
+          {onTags && <button ref={tagTriggerRef} className={`task-action-btn${showTagMenu ? " active" : ""}`} onClick={()=>setShowTagMenu(!showTagMenu)} title="Tags"><Icons.Tag /></button>}
+          {onNotes && <button className={`task-action-btn${showNotes ? " active" : ""}`} onClick={()=>setShowNotes(!showNotes)} title="Notes"><Icons.Notes /></button>}
+          {onRepeat && <button className="task-action-btn" onClick={openRepeatMenu} title="Repeat"><Icons.Repeat /></button>}
           <button className="task-action-btn delete" onClick={()=>onDel(task.id)} title="Delete"><Icons.Trash /></button>
         </div>
       )}
@@ -558,6 +627,25 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
         </div>
       </SwipeableWrapper>
 
+      {showSteps && onSteps && !showDone && (
+        <TaskSteps steps={task.subtasks || []} onChange={(label, change) => onSteps(task.id, label, change)} />
+      )}
+
+      {showNotes && !showDone && (
+        <TaskNotes notes={task.notes} onSave={onNotes ? (notes) => onNotes(task.id, notes) : undefined} />
+      )}
+
+      {showTagMenu && onTags && (
+        <TagPicker
+          isOpen
+          onClose={() => setShowTagMenu(false)}
+          triggerRef={tagTriggerRef}
+          tags={task.tags || []}
+          suggestions={tagSuggestions || []}
+          onChange={(tags) => onTags(task.id, tags)}
+        />
+      )}
+
       {/* Context Menu Portal */}
       {showContextMenu && (
         <TaskContextMenu
@@ -568,7 +656,16 @@ const TaskItem = ({task, onToggle, onDel, onEdit, onCat, onTime, onMove, list, s
           onToggle={() => { onToggle(task.id); setShowContextMenu(false); }}
           onMove={onMove}
           onDelete={() => { onDel(task.id); setShowContextMenu(false); }}
+          onRepeat={onRepeat}
+          onDue={onDue}
+          onSnooze={onSnooze}
+          onBlockers={onBlockers}
+          blockerChoices={blockerChoices}
+          onProject={onProject}
+          projects={projects}
+          today={today}
           currentList={list}
+          initialView={contextMenuView}
         />
       )}
     </>
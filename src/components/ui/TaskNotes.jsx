@@ -0,0 +1,110 @@
+/**
+ * TaskNotes Component
+ * Notes attached to a task, shown in TaskItem's detail panel and in the
+ * Focus view for the task linked to the timer
+ *
+ * Props:
+ * - notes: string - The task's notes (lightweight Markdown, utils/notes.js)
+ * - onSave: (notes) => void - Save edited notes; read-only when left out
+ *
+ * Features:
+ * - Bold, italic, bullet and numbered lists, clickable links
+ * - Click the notes (or "Add notes") to edit; Ctrl/Cmd+Enter or leaving the
+ *   field saves, Escape cancels
+ */
+
+import React, { useState, useRef } from 'react';
+import { parseNotes } from '../../utils/notes';
+
+const Spans = ({ spans }) => spans.map((s, i) => {
+  if (s.type === 'link') {
+    return (
+      <a key={i} href={s.href} target="_blank" rel="noopener noreferrer" onClick={e => e.stopPropagation()}>
+        {s.text}
+      </a>
+    );
+  }
+  if (s.type === 'bold') return <strong key={i}>{s.text}</strong>;
+  if (s.type === 'italic') return <em key={i}>{s.text}</em>;
+  return <React.Fragment key={i}>{s.text}</React.Fragment>;
+});
+
+const TaskNotes = ({ notes, onSave }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  // Set once the edit is saved or cancelled; the blur as the field unmounts
+  // mustn't save it (again)
+  const finishedRef = useRef(false);
+
+  const startEdit = () => {
+    if (!onSave) return;
+    finishedRef.current = false;
+    setDraft(notes || "");
+    setEditing(true);
+  };
+
+  const save = () => {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    setEditing(false);
+    if (draft.trim() !== (notes || "").trim()) onSave(draft.trim());
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) save();
+    if (e.key === "Escape") {
+      finishedRef.current = true;
+      setEditing(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <div className="task-notes">
+        <textarea
+          className="task-notes-input"
+          value={draft}
+          onChange={e => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={save}
+          placeholder="Context, links, next thoughts… **bold**, - lists, [links](https://…)"
+          rows={Math.min(Math.max(draft.split("\n").length + 1, 3), 12)}
+          autoFocus
+        />
+      </div>
+    );
+  }
+
+  const blocks = parseNotes(notes);
+  if (blocks.length === 0) {
+    return onSave ? (
+      <div className="task-notes">
+        <button className="task-notes-add" onClick={startEdit}>Add notes</button>
+      </div>
+    ) : null;
+  }
+
+  return (
+    <div className={`task-notes${onSave ? " editable" : ""}`} onClick={startEdit} title={onSave ? "Click to edit notes" : undefined}>
+      {blocks.map((block, i) => {
+        if (block.type === "p") {
+          return (
+            <p key={i}>
+              {block.lines.map((spans, j) => (
+                <React.Fragment key={j}>{j > 0 && <br />}<Spans spans={spans} /></React.Fragment>
+              ))}
+            </p>
+          );
+        }
+        const List = block.type;
+        return (
+          <List key={i}>
+            {block.lines.map((spans, j) => <li key={j}><Spans spans={spans} /></li>)}
+          </List>
+        );
+      })}
+    </div>
+  );
+};
+
+export default TaskNotes;
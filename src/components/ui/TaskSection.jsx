@@ -8,7 +8,8 @@
  * - list: string - List identifier (primary, today, thisWeek, later)
  * - icon: React component - Icon to display in header
  * - color: string - Color class name for header
- * - max: number - Maximum number of tasks allowed (optional)
+ * - max: number - Work-in-progress limit (optional); the header counts against it and
+ *   shows when the list is over. Adding past it is left to onAdd (App asks first)
  * - onToggle: (taskId) => void - Mark task complete/incomplete
  * - onAdd: (text, category, time) => void - Add new task
  * - onDel: (taskId) => void - Delete task
@@ -16,19 +17,42 @@
  * - onCat: (taskId, categoryId) => void - Update task category
  * - onTime: (taskId, timeString) => void - Update time estimate
  * - onMove: (taskId, targetList) => void - Move task to different list
+ * - onRepeat: (taskId, repeat) => void - Set or clear a task's repeat rule (optional)
+ * - onSteps: (taskId, label, change) => void - Update a task's checklist (optional)
+ * - onDue: (taskId, day) => void - Set or clear a task's due day (optional)
+ * - onSnooze: (taskId, day) => void - Snooze a task until a day, or wake it (optional)
+ * - onNotes: (taskId, notes) => void - Save a task's notes (optional)
+ * - onTags: (taskId, tags) => void - Set a task's tags (optional)
+ * - onBlockers: (taskId, blockedBy) => string|null - Set the tasks a task waits on; returns
+ *   why not when it would make a loop (optional)
+ * - tagSuggestions: Array - Tags in use, for the tag picker
+ * - blockerChoices: Array - Open tasks, to pick blockers from (optional)
+ * - onProject: (taskId, projectId) => void - File a task under a project, or none (optional)
+ * - projects: Array - Projects, for task chips and the project picker (optional)
+ * - grouped: boolean - Show the tasks under a heading per project (utils/projects.js)
+ * - onOpenProject: (projectId) => void - Open a project from its heading (optional)
+ * - filter: Object - Filter view criteria (utils/tags.js); only matching tasks are shown
+ * - today: string - Current logical day key, for due and snooze labels
  * - empty: string - Empty state message (optional)
  * - collapsed: boolean - Initial collapsed state (optional)
  * - linkedTaskId: string - ID of task currently in focus (optional)
+ * - liveFocus: Object - {id, minutes} of the focus session running on a task (optional)
  * - showTimeToComplete: boolean - Whether to show accumulated focus time
  * - onReorder: (taskId, sourceList, targetList, targetIndex) => void - Reorder tasks
  * - scheduledTaskIds: Set - Set of task IDs that have scheduled blocks
  * - onHelpClick: (event, id) => void - Help icon click handler
  * - taskCategories: Array - Custom categories array (optional)
+ * - selectedIds: Set - IDs of this list's tasks in the multi-selection (optional)
+ * - selecting: boolean - Whether any task is selected
+ * - onSelect: (taskId, {range}, shownIds) => void - Select a task; shownIds is the
+ *   list as shown, for range selection (optional)
  */
 
 import React, { useState, useRef } from 'react';
 import TaskItem from './TaskItem';
 import Icons from '../shared/Icons';
+import { matchesFilter } from '../../utils/tags';
+import { groupByProject } from '../../utils/projects';
 
 // Help Icon Component
 const HelpIcon = ({id, onHelpClick}) => (
@@ -45,18 +69,45 @@ const HelpIcon = ({id, onHelpClick}) => (
   </button>
 );
 
+// Heading over a project's tasks, when the list is grouped by project
+const GroupHeading = ({group, onOpenProject}) => (
+  <div className="task-group-heading">
+    {group.project ? (
+      <button type="button" onClick={onOpenProject ? () => onOpenProject(group.project.id) : undefined} title={group.project.why || undefined}>
+        <Icons.Folder />{group.project.name}
+      </button>
+    ) : (
+      <span>No project</span>
+    )}
+    <span className="task-group-count">{group.tasks.length}</span>
+  </div>
+);
+
 // Task Section with inline add and drag reordering
-const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onDel, onEdit, onCat, onTime, onMove, empty, collapsed:initCol, linkedTaskId, showTimeToComplete, onReorder, scheduledTaskIds, onHelpClick, taskCategories}) => {
+const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onDel, onEdit, onCat, onTime, onMove, onRepeat, onSteps, onDue, onSnooze, onNotes, onTags, onBlockers, tagSuggestions, blockerChoices, onProject, projects, grouped, onOpenProject, filter, today, empty, collapsed:initCol, linkedTaskId, liveFocus, showTimeToComplete, onReorder, scheduledTaskIds, onHelpClick, taskCategories, selectedIds, selecting, onSelect}) => {
   // Simple collapse state - initialized once, not reset by parent
   const [col, setCol] = useState(initCol || false);
   const [inp, setInp] = useState("");
   const [showInlineAdd, setShowInlineAdd] = useState(false);
   const [dropIndex, setDropIndex] = useState(-1);
   const inputRef = useRef(null);
-  const atMax = max && tasks.length>=max;
+  const atMax = max > 0 && tasks.length>=max;
+  const overMax = max > 0 && tasks.length>max;
+  const matching = filter ? tasks.filter(t => matchesFilter(t, filter, !!scheduledTaskIds?.has(t.id))) : tasks;
+  const filtered = matching.length !== tasks.length;
+  // Grouped by project, the shown order is group by group; each heading sits
+  // above its group's first task
+  const groups = grouped && projects?.length ? groupByProject(matching, projects) : null;
+  const headings = new Map();
+  if (groups && groups.some(g => g.project)) {
+    let at = 0;
+    groups.forEach(g => { headings.set(at, g); at += g.tasks.length; });
+  }
+  const shown = groups ? groups.flatMap(g => g.tasks) : matching;
+  const selectTask = onSelect ? (id, how) => onSelect(id, how, shown.map(t => t.id)) : undefined;
 
   const add = () => {
-    if(inp.trim()&&!atMax){
+    if(inp.trim()){
       onAdd(inp.trim(),"none","");
       setInp("");
       setShowInlineAdd(false);
@@ -64,10 +115,8 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
   };
 
   const handleZoneClick = () => {
-    if (!atMax) {
-      setShowInlineAdd(true);
-      setTimeout(() => inputRef.current?.focus(), 0);
-    }
+    setShowInlineAdd(true);
+    setTimeout(() => inputRef.current?.focus(), 0);
   };
 
   const handleBlur = () => {
@@ -105,7 +154,9 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
     try {
       const data = JSON.parse(e.dataTransfer.getData('application/json'));
       if (data.type === 'task' && onReorder) {
-        onReorder(data.taskId, data.sourceList, list, targetIndex);
+        // Hidden tasks keep their places: drop before the shown task at targetIndex
+        const listIndex = targetIndex < shown.length ? tasks.indexOf(shown[targetIndex]) : tasks.length;
+        onReorder(data.taskId, data.sourceList, list, listIndex);
       }
     } catch (err) {
       console.log('Drop parse error:', err);
@@ -128,7 +179,7 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
   };
 
   return (
-    <div className={`card ${list==="primary"?"primary-card":""}${col?" is-collapsed":""}`}>
+    <div className={`card ${list==="primary"?"primary-card":""}${col?" is-collapsed":""}${overMax?" over-capacity":""}`}>
       <div
         className={`card-header ${color}${col?" is-collapsed":""}`}
         onClick={(e) => {
@@ -144,8 +195,15 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
         </h3>
         <div style={{display:"flex",alignItems:"center",gap:"6px"}}>
           <HelpIcon id={list === "primary" ? "primary" : list === "today" ? "today" : list === "thisWeek" ? "thisWeek" : "later"} onHelpClick={onHelpClick} />
-          {max && <span className={`task-count${atMax?" at-limit":""}`}>{tasks.length}/{max}</span>}
-          {!max && tasks.length>0 && <span className="task-count">{tasks.length}</span>}
+          {max > 0 && (
+            <span
+              className={`task-count${overMax?" over-limit":atMax?" at-limit":""}`}
+              title={overMax ? `Over the limit of ${max}` : `Limit of ${max}`}
+            >
+              {tasks.length}/{max}
+            </span>
+          )}
+          {!max && tasks.length>0 && <span className="task-count">{filtered ? `${shown.length} of ${tasks.length}` : tasks.length}</span>}
           <span className={`collapse-icon${col?" collapsed":""}`}><Icons.ChevronDown /></span>
         </div>
       </div>
@@ -156,12 +214,14 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
         onDrop={handleSectionDrop}
       >
           {tasks.length===0 && !showInlineAdd && <div className="empty-state">{empty||"No tasks"}</div>}
-          {tasks.map((t, idx)=>(
+          {tasks.length>0 && shown.length===0 && <div className="empty-state">No tasks match this filter</div>}
+          {shown.map((t, idx)=>(
             <div
               key={t.id}
               onDragOver={(e) => handleDragOver(e, idx)}
               onDrop={(e) => handleDrop(e, idx)}
             >
+              {headings.has(idx) && <GroupHeading group={headings.get(idx)} onOpenProject={onOpenProject} />}
               {dropIndex === idx && <div className="task-drop-line visible" />}
               <TaskItem
                 task={t}
@@ -171,35 +231,50 @@ const TaskSection = ({title, tasks, list, icon, color, max, onToggle, onAdd, onD
                 onCat={onCat}
                 onTime={onTime}
                 onMove={onMove}
+                onRepeat={onRepeat}
+                onSteps={onSteps}
+                onDue={onDue}
+                onSnooze={onSnooze}
+                onNotes={onNotes}
+                onTags={onTags}
+                onBlockers={onBlockers}
+                tagSuggestions={tagSuggestions}
+                blockerChoices={blockerChoices}
+                onProject={onProject}
+                projects={projects}
+                hideProject={headings.size > 0}
+                today={today}
                 list={list}
                 isActiveFocus={linkedTaskId===t.id}
+                liveMinutes={liveFocus?.id===t.id ? liveFocus.minutes : 0}
                 showTimeToComplete={showTimeToComplete}
                 hasScheduledBlock={scheduledTaskIds?.has(t.id)}
                 taskCategories={taskCategories}
+                selected={!!selectedIds?.has(t.id)}
+                selecting={selecting}
+                onSelect={selectTask}
               />
             </div>
           ))}
-          {dropIndex === tasks.length && <div className="task-drop-line visible" />}
+          {dropIndex === shown.length && <div className="task-drop-line visible" />}
 
           {/* Inline add zone */}
-          {!atMax && (
-            showInlineAdd ? (
-              <div className="inline-add-zone" style={{background:'var(--toggle-bg)'}}>
-                <input
-                  ref={inputRef}
-                  className="inline-add-input"
-                  placeholder="Add a task..."
-                  value={inp}
-                  onChange={e=>setInp(e.target.value)}
-                  onKeyDown={handleKeyDown}
-                  onBlur={handleBlur}
-                />
-              </div>
-            ) : (
-              <div className="inline-add-zone" onClick={handleZoneClick}>
-                <span className="inline-add-placeholder">+ Add a task...</span>
-              </div>
-            )
+          {showInlineAdd ? (
+            <div className="inline-add-zone" style={{background:'var(--toggle-bg)'}}>
+              <input
+                ref={inputRef}
+                className="inline-add-input"
+                placeholder="Add a task..."
+                value={inp}
+                onChange={e=>setInp(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={handleBlur}
+              />
+            </div>
+          ) : (
+            <div className="inline-add-zone" onClick={handleZoneClick}>
+              <span className="inline-add-placeholder">+ Add a task...</span>
+            </div>
           )}
         </div>
       </div>
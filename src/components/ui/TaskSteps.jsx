@@ -0,0 +1,92 @@
+/**
+ * TaskSteps Component
+ * Checklist of steps inside a task, shown when a TaskItem is expanded
+ *
+ * Props:
+ * - steps: Array - Ordered steps [{id, text, done}]
+ * - onChange: (label, change) => void - Applies change(steps) => steps; label names it for undo
+ *
+ * Features:
+ * - Check off, rename (click the text) and delete steps
+ * - Reorder with the arrow buttons, or Alt+Up/Down on a focused step
+ * - Enter in the add field adds a step and keeps the field ready for the next
+ */
+
+import React, { useState } from 'react';
+import Icons from '../shared/Icons';
+import { addStep, toggleStep, editStep, removeStep, moveStep } from '../../utils/subtasks';
+
+const TaskSteps = ({ steps, onChange }) => {
+  const [input, setInput] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState("");
+
+  const add = () => {
+    if (!input.trim()) return;
+    onChange("Step added", s => addStep(s, input.trim()));
+    setInput("");
+  };
+
+  const startEdit = (step) => {
+    setEditingId(step.id);
+    setEditText(step.text);
+  };
+
+  const saveEdit = () => {
+    const step = steps.find(s => s.id === editingId);
+    setEditingId(null);
+    if (!step) return;
+    if (!editText.trim()) onChange("Step deleted", s => removeStep(s, step.id));
+    else if (editText.trim() !== step.text) onChange("Step edited", s => editStep(s, step.id, editText.trim()));
+  };
+
+  const move = (id, offset) => onChange("Step moved", s => moveStep(s, id, offset));
+
+  const handleStepKey = (e, id) => {
+    if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    move(id, e.key === 'ArrowUp' ? -1 : 1);
+  };
+
+  return (
+    <div className="task-steps">
+      {steps.map((step, i) => (
+        <div key={step.id} className="task-step" tabIndex={0} onKeyDown={e => handleStepKey(e, step.id)}>
+          <button
+            className={`task-step-check${step.done ? " done" : ""}`}
+            onClick={() => onChange(step.done ? "Step unchecked" : "Step checked", s => toggleStep(s, step.id))}
+            aria-label={step.done ? "Uncheck step" : "Check step"}
+          >
+            {step.done && <Icons.Check />}
+          </button>
+          {editingId === step.id ? (
+            <input
+              className="task-step-input"
+              value={editText}
+              onChange={e => setEditText(e.target.value)}
+              onKeyDown={e => { if (e.key === "Enter") saveEdit(); if (e.key === "Escape") setEditingId(null); }}
+              onBlur={saveEdit}
+              autoFocus
+            />
+          ) : (
+            <span className={`task-step-text${step.done ? " done" : ""}`} onClick={() => startEdit(step)}>{step.text}</span>
+          )}
+          <span className="task-step-actions">
+            <button onClick={() => move(step.id, -1)} disabled={i === 0} aria-label="Move step up"><Icons.ChevronUp /></button>
+            <button onClick={() => move(step.id, 1)} disabled={i === steps.length - 1} aria-label="Move step down"><Icons.ChevronDown /></button>
+            <button onClick={() => onChange("Step deleted", s => removeStep(s, step.id))} aria-label="Delete step"><Icons.X /></button>
+          </span>
+        </div>
+      ))}
+      <input
+        className="task-step-input task-step-add"
+        placeholder="Add a step..."
+        value={input}
+        onChange={e => setInput(e.target.value)}
+        onKeyDown={e => { if (e.key === "Enter") add(); }}
+      />
+    </div>
+  );
+};
+
+export default TaskSteps;
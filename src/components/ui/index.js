@@ -10,3 +10,8 @@ export { default as NavProgress } from './NavProgress';
 export { default as TaskSection } from './TaskSection';
 export { default as MiniProgressRing } from './MiniProgressRing';
 export { default as EncouragementBar } from './EncouragementBar';
+export { default as TaskSteps } from './TaskSteps';
+export { default as TaskNotes } from './TaskNotes';
+export { default as QuickAddBar } from './QuickAddBar';
+export { default as FilterBar } from './FilterBar';
+export { default as SelectionToolbar } from './SelectionToolbar';
@@ -1,8 +1,14 @@
-import { useState } from 'react';
+import { useState, useRef } from 'react';
 import * as Icons from '../shared/Icons';
 import DotPattern from '../shared/DotPattern';
 import TimerCard from '../cards/TimerCard';
 import TaskSection from '../ui/TaskSection';
+import FilterBar from '../ui/FilterBar';
+import { LISTS, LIST_LABELS } from '../../data/constants';
+import { EMPTY_FILTER, filterShowsList, matchesFilter } from '../../utils/tags';
+import { wipLimitFor, isOverLimit } from '../../utils/wipLimits';
+import { overEstimate } from '../../utils/calibration';
+import { openBlockers } from '../../utils/dependencies';
 
 /**
  * FocusView Component
@@ -35,6 +41,22 @@ import TaskSection from '../ui/TaskSection';
  * @param {Function} props.editTask - Edit task text: (id, list, text) => void
  * @param {Function} props.updCat - Update task category: (id, list, category) => void
  * @param {Function} props.updTime - Update task time estimate: (id, list, time) => void
+ * @param {Function} props.updRepeat - Set or clear a repeat rule: (id, list, repeat) => void
+ * @param {Function} props.updSteps - Update a checklist: (id, list, label, change) => void
+ * @param {Function} props.updDue - Set or clear a due day: (id, list, day) => void
+ * @param {Function} props.updSnooze - Snooze until a day, or wake: (id, list, day) => void
+ * @param {Function} props.updNotes - Save a task's notes: (id, list, notes) => void
+ * @param {Function} props.updTags - Set a task's tags: (id, list, tags) => void
+ * @param {Array} props.tagSuggestions - Tags in use, most used first
+ * @param {Function} props.updBlockers - Set the tasks a task waits on: (id, list, blockedBy) =>
+ *   null, or why not when it would make a loop
+ * @param {Array} props.blockerChoices - Open tasks, to pick blockers from (utils/dependencies.js)
+ * @param {Array} props.projects - Projects, for task chips and the project picker (utils/projects.js)
+ * @param {Function} props.updTaskProject - File a task under a project, or none: (id, list, projectId) => void
+ * @param {Array} props.savedViews - Saved filter views (utils/tags.js)
+ * @param {Function} props.setSavedViews - Save the list of filter views
+ * @param {Array} props.schedEvents - Schedule blocks, for the has-schedule-block filter
+ * @param {string} props.todayKey - Current logical day key
  * @param {Function} props.moveTask - Move task to different list: (id, sourceList, destList) => void
  * @param {Function} props.reorderTask - Reorder task within or between lists: (taskId, sourceList, destList, destIndex) => void
  * @param {boolean} props.timerOn - Whether timer feature is enabled
@@ -44,14 +66,22 @@ import TaskSection from '../ui/TaskSection';
  * @param {Function} props.setTime - Set timer time: (seconds) => void
  * @param {boolean} props.running - Whether timer is running
  * @param {Function} props.setRunning - Set timer running state: (running) => void
- * @param {string} props.linkedTask - ID of task linked to timer
- * @param {Function} props.setLinkedTask - Set linked task: (taskId) => void
+ * @param {boolean} props.timerRunningElsewhere - Whether another tab owns a running timer
+ * @param {Function} props.onPauseTimerElsewhere - Ask the owning tab to pause
+ * @param {Object|null} props.focusRequest - {minutes} of focus to start, from the command palette
+ * @param {Function} props.onFocusRequestHandled - Clears focusRequest once the timer has started
+ * @param {Object|null} props.linkedTask - Task linked to the timer: {id, list}
+ * @param {Function} props.setLinkedTask - Set linked task: ({id, list} or null) => void
  * @param {Function} props.onAddFocusTime - Add focus time to task: (taskId, minutes) => void
  * @param {boolean} props.showTimeToComplete - Whether to show time to complete estimates
  * @param {Function} props.onHelpClick - Help icon click handler: (helpId) => void
  * @param {string} props.timerMode - Timer mode: 'focus' | 'shortBreak' | 'longBreak'
  * @param {Function} props.setTimerMode - Set timer mode: (mode) => void
  * @param {Array} props.taskCategories - Available task categories
+ * @param {Object} props.selection - Multi-selection of tasks (hooks/useTaskSelection.js)
+ * @param {Object} props.wipLimits - Work-in-progress limits by list (utils/wipLimits.js)
+ * @param {Object|null} props.liveFocus - {id, minutes} of the focus session running on a task,
+ *   for over-estimate flags
  * @param {boolean} props.timerCollapsed - Whether timer card is collapsed
  * @param {Function} props.setTimerCollapsed - Set timer collapsed state: (collapsed) => void
  */
@@ -63,6 +93,21 @@ const FocusView = ({
   editTask,
   updCat,
   updTime,
+  updRepeat,
+  updSteps,
+  updDue,
+  updSnooze,
+  updNotes,
+  updTags,
+  tagSuggestions,
+  updBlockers,
+  projects,
+  updTaskProject,
+  blockerChoices,
+  savedViews,
+  setSavedViews,
+  schedEvents,
+  todayKey,
   moveTask,
   reorderTask,
   timerOn,
@@ -72,6 +117,10 @@ const FocusView = ({
   setTime,
   running,
   setRunning,
+  timerRunningElsewhere,
+  onPauseTimerElsewhere,
+  focusRequest,
+  onFocusRequestHandled,
   linkedTask,
   setLinkedTask,
   onAddFocusTime,
@@ -80,16 +129,73 @@ const FocusView = ({
   timerMode,
   setTimerMode,
   taskCategories,
+  selection,
+  wipLimits,
+  liveFocus,
   timerCollapsed,
   setTimerCollapsed
 }) => {
   const [todayInp, setTodayInp] = useState("");
   const [dropTarget, setDropTarget] = useState(null); // 'today' | null
+  const [filter, setFilter] = useState(EMPTY_FILTER);
 
   // Primary tasks first, then today
   const primaryTasks = tasks.primary.map(t => ({ ...t, list: "primary", isPrimary: true }));
   const todayTasks = tasks.today.map(t => ({ ...t, list: "today", isPrimary: false }));
   const allToday = [...primaryTasks, ...todayTasks];
+  // What each of today's open tasks is still waiting on; blocked ones can't be linked to the timer
+  const waitingOn = new Map(
+    allToday
+      .filter(t => !t.done)
+      .map(t => [t.id, openBlockers(t, blockerChoices)])
+      .filter(([, blockers]) => blockers.length > 0)
+  );
+
+  const scheduledTaskIds = new Set(
+    schedEvents.filter(e => e.itemRef?.type === 'task').map(e => e.itemRef.id)
+  );
+  // Primary or Today past its limit shows on the card
+  const overLimit = ["primary", "today"].filter(l => isOverLimit(tasks[l].length, wipLimitFor(wipLimits, l)));
+
+  const shownToday = allToday.filter(t =>
+    filterShowsList(filter, t.list) && matchesFilter(t, filter, scheduledTaskIds.has(t.id))
+  );
+  // Tasks past their estimates, counting the session running now
+  const overToday = new Map(
+    shownToday
+      .filter(t => !t.done)
+      .map(t => [t.id, overEstimate(t, liveFocus?.id === t.id ? liveFocus.minutes : 0)])
+      .filter(([, over]) => over)
+  );
+
+  // Today's tasks select like TaskItem does: Ctrl/Cmd- or Shift-click,
+  // long-press, or any tap once something is selected
+  const longPress = useRef({ timer: null, fired: false });
+  const selectedToday = { primary: selection.idsIn("primary"), today: selection.idsIn("today") };
+  const selectToday = (t, how) =>
+    selection.select(t.list, t.id, how, shownToday.filter(x => x.list === t.list).map(x => x.id));
+
+  const handleTodayClick = (t) => (e) => {
+    if (longPress.current.fired) {
+      longPress.current.fired = false;
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+    if (!(e.shiftKey || e.ctrlKey || e.metaKey || selection.count > 0)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    selectToday(t, { range: e.shiftKey });
+  };
+
+  const startLongPress = (t) => () => {
+    longPress.current.fired = false;
+    longPress.current.timer = setTimeout(() => {
+      longPress.current.fired = true;
+      selectToday(t, {});
+    }, 500);
+  };
+  const cancelLongPress = () => clearTimeout(longPress.current.timer);
 
   // Handle drop on Today's Tasks card
   const handleTodayDrop = (e) => {
@@ -134,17 +240,32 @@ const FocusView = ({
           linkedTask={linkedTask}
           setLinkedTask={setLinkedTask}
           allTasks={allToday}
+          blockedTaskIds={new Set(waitingOn.keys())}
           onAddFocusTime={onAddFocusTime}
+          onLinkedNotes={updNotes}
           onHelpClick={onHelpClick}
           onModeChange={setTimerMode}
           collapsed={timerCollapsed}
           onToggleCollapse={setTimerCollapsed}
+          runningElsewhere={timerRunningElsewhere}
+          onPauseElsewhere={onPauseTimerElsewhere}
+          startRequest={focusRequest}
+          onStartRequestHandled={onFocusRequestHandled}
         />
       </div>
 
       {/* Right column: Today's Tasks, This Week, To Explore (1/3 width) */}
       <div className="column">
-        <div className={`card today-card has-dots${dropTarget ? ' drag-over' : ''}`}>
+        <FilterBar
+          filter={filter}
+          onFilterChange={setFilter}
+          savedViews={savedViews}
+          onSavedViewsChange={setSavedViews}
+          taskCategories={taskCategories}
+          tagSuggestions={tagSuggestions}
+          lists={LISTS}
+        />
+        <div className={`card today-card has-dots${dropTarget ? ' drag-over' : ''}${overLimit.length ? ' over-capacity' : ''}`}>
           <DotPattern visible={true} animated={true} />
           <div className="card-header purple has-dots">
             <h3>
@@ -156,6 +277,11 @@ const FocusView = ({
             <span className="card-count">
               {allToday.filter(t => t.done).length}/{allToday.length}
             </span>
+            {overLimit.map(l => (
+              <span key={l} className="task-count over-limit" title={`Over the limit of ${wipLimitFor(wipLimits, l)}`}>
+                {LIST_LABELS[l]} {tasks[l].length}/{wipLimitFor(wipLimits, l)}
+              </span>
+            ))}
             {/* HelpIcon component will be imported once available */}
             {/* <HelpIcon id="todayTasks" onHelpClick={onHelpClick} /> */}
           </div>
@@ -169,10 +295,18 @@ const FocusView = ({
               {allToday.length === 0 && (
                 <div className="empty-state">What will you focus on?</div>
               )}
-              {allToday.map(t => (
+              {allToday.length > 0 && shownToday.length === 0 && (
+                <div className="empty-state">No tasks match this filter</div>
+              )}
+              {shownToday.map(t => (
                 <div
                   key={t.id}
-                  className={`focus-task-item${t.isPrimary ? ' is-primary' : ''}${t.done ? ' is-done' : ''}`}
+                  className={`focus-task-item${t.isPrimary ? ' is-primary' : ''}${t.done ? ' is-done' : ''}${waitingOn.has(t.id) ? ' blocked' : ''}${selectedToday[t.list].has(t.id) ? ' selected' : ''}`}
+                  onClickCapture={handleTodayClick(t)}
+                  onMouseDown={e => { if (e.shiftKey) e.preventDefault(); }}
+                  onTouchStart={startLongPress(t)}
+                  onTouchMove={cancelLongPress}
+                  onTouchEnd={cancelLongPress}
                 >
                   {t.isPrimary && (
                     <div className="focus-primary-label">
@@ -209,6 +343,23 @@ const FocusView = ({
                           )}
                         </div>
                       )}
+                      {(overToday.has(t.id) || waitingOn.has(t.id)) && (
+                        <div className="focus-task-meta">
+                          {waitingOn.has(t.id) && (
+                            <span className="task-blocked" title={`Waiting on ${waitingOn.get(t.id).map(b => `"${b.text}"`).join(", ")}`}>
+                              <Icons.Lock /> Blocked
+                            </span>
+                          )}
+                          {overToday.has(t.id) && (
+                            <span
+                              className="task-focus-time over-estimate"
+                              title={`${overToday.get(t.id).spent}m focused on a ${overToday.get(t.id).estimate}m estimate`}
+                            >
+                              <Icons.Clock />{overToday.get(t.id).spent}m / {t.time}
+                            </span>
+                          )}
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -236,45 +387,87 @@ const FocusView = ({
           </div>
         </div>
 
-        <TaskSection
-          title="This Week"
-          tasks={tasks.thisWeek}
-          list="thisWeek"
-          icon={<Icons.CalendarSolid />}
-          color="blue"
-          onToggle={id => toggleTask(id, "thisWeek")}
-          onAdd={(t, c, tm) => addTask(t, "thisWeek", c, tm)}
-          onDel={id => delTask(id, "thisWeek")}
-          onEdit={(id, t) => editTask(id, "thisWeek", t)}
-          onCat={(id, c) => updCat(id, "thisWeek", c)}
-          onTime={(id, tm) => updTime(id, "thisWeek", tm)}
-          onMove={(id, to) => moveTask(id, "thisWeek", to)}
-          collapsed={true}
-          showTimeToComplete={showTimeToComplete}
-          onReorder={reorderTask}
-          onHelpClick={onHelpClick}
-          taskCategories={taskCategories}
-        />
+        {filterShowsList(filter, "thisWeek") && (
+          <TaskSection
+            title="This Week"
+            tasks={tasks.thisWeek}
+            list="thisWeek"
+            max={wipLimitFor(wipLimits, "thisWeek")}
+            icon={<Icons.CalendarSolid />}
+            color="blue"
+            onToggle={id => toggleTask(id, "thisWeek")}
+            onAdd={(t, c, tm) => addTask(t, "thisWeek", c, tm)}
+            onDel={id => delTask(id, "thisWeek")}
+            onEdit={(id, t) => editTask(id, "thisWeek", t)}
+            onCat={(id, c) => updCat(id, "thisWeek", c)}
+            onTime={(id, tm) => updTime(id, "thisWeek", tm)}
+            onMove={(id, to) => moveTask(id, "thisWeek", to)}
+            onRepeat={(id, r) => updRepeat(id, "thisWeek", r)}
+            onSteps={(id, label, change) => updSteps(id, "thisWeek", label, change)}
+            onDue={(id, d) => updDue(id, "thisWeek", d)}
+            onSnooze={(id, d) => updSnooze(id, "thisWeek", d)}
+            onNotes={(id, n) => updNotes(id, "thisWeek", n)}
+            onTags={(id, tags) => updTags(id, "thisWeek", tags)}
+            onBlockers={(id, b) => updBlockers(id, "thisWeek", b)}
+            onProject={(id, pr) => updTaskProject(id, "thisWeek", pr)}
+            tagSuggestions={tagSuggestions}
+            blockerChoices={blockerChoices}
+            projects={projects}
+            filter={filter}
+            scheduledTaskIds={scheduledTaskIds}
+            today={todayKey}
+            collapsed={true}
+            showTimeToComplete={showTimeToComplete}
+            onReorder={reorderTask}
+            onHelpClick={onHelpClick}
+            taskCategories={taskCategories}
+            selectedIds={selection.idsIn("thisWeek")}
+            selecting={selection.count > 0}
+            liveFocus={liveFocus}
+            onSelect={(id, how, ids) => selection.select("thisWeek", id, how, ids)}
+          />
+        )}
 
-        <TaskSection
-          title="To Explore"
-          tasks={tasks.later}
-          list="later"
-          icon={<Icons.StarSolid />}
-          color="warm"
-          onToggle={id => toggleTask(id, "later")}
-          onAdd={(t, c, tm) => addTask(t, "later", c, tm)}
-          onDel={id => delTask(id, "later")}
-          onEdit={(id, t) => editTask(id, "later", t)}
-          onCat={(id, c) => updCat(id, "later", c)}
-          onTime={(id, tm) => updTime(id, "later", tm)}
-          onMove={(id, to) => moveTask(id, "later", to)}
-          collapsed={true}
-          showTimeToComplete={showTimeToComplete}
-          onReorder={reorderTask}
-          onHelpClick={onHelpClick}
-          taskCategories={taskCategories}
-        />
+        {filterShowsList(filter, "later") && (
+          <TaskSection
+            title="To Explore"
+            tasks={tasks.later}
+            list="later"
+            max={wipLimitFor(wipLimits, "later")}
+            icon={<Icons.StarSolid />}
+            color="warm"
+            onToggle={id => toggleTask(id, "later")}
+            onAdd={(t, c, tm) => addTask(t, "later", c, tm)}
+            onDel={id => delTask(id, "later")}
+            onEdit={(id, t) => editTask(id, "later", t)}
+            onCat={(id, c) => updCat(id, "later", c)}
+            onTime={(id, tm) => updTime(id, "later", tm)}
+            onMove={(id, to) => moveTask(id, "later", to)}
+            onRepeat={(id, r) => updRepeat(id, "later", r)}
+            onSteps={(id, label, change) => updSteps(id, "later", label, change)}
+            onDue={(id, d) => updDue(id, "later", d)}
+            onSnooze={(id, d) => updSnooze(id, "later", d)}
+            onNotes={(id, n) => updNotes(id, "later", n)}
+            onTags={(id, tags) => updTags(id, "later", tags)}
+            onBlockers={(id, b) => updBlockers(id, "later", b)}
+            onProject={(id, pr) => updTaskProject(id, "later", pr)}
+            tagSuggestions={tagSuggestions}
+            blockerChoices={blockerChoices}
+            projects={projects}
+            filter={filter}
+            scheduledTaskIds={scheduledTaskIds}
+            today={todayKey}
+            collapsed={true}
+            showTimeToComplete={showTimeToComplete}
+            onReorder={reorderTask}
+            onHelpClick={onHelpClick}
+            taskCategories={taskCategories}
+            selectedIds={selection.idsIn("later")}
+            selecting={selection.count > 0}
+            liveFocus={liveFocus}
+            onSelect={(id, how, ids) => selection.select("later", id, how, ids)}
+          />
+        )}
       </div>
     </div>
   );
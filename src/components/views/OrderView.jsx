@@ -5,9 +5,12 @@ import AnchorsSection from '../cards/AnchorsSection';
 import HabitsSection from '../cards/HabitsSection';
 import DailyWisdomCard from '../cards/DailyWisdomCard';
 import TaskSection from '../ui/TaskSection';
+import FilterBar from '../ui/FilterBar';
 import MobileAccordionSection from '../mobile/MobileAccordionSection';
 import HelpIcon from '../shared/HelpIcon';
-import { HOUR_HEIGHT } from '../../data/constants';
+import { HOUR_HEIGHT, LISTS } from '../../data/constants';
+import { EMPTY_FILTER, filterShowsList } from '../../utils/tags';
+import { wipLimitFor } from '../../utils/wipLimits';
 import { genId, fmtHour, fmtTimeSlot, addMinutes, getToday } from '../../utils/helpers';
 
 /**
@@ -16,7 +19,8 @@ import { genId, fmtHour, fmtTimeSlot, addMinutes, getToday } from '../../utils/h
  * Main planning view with 3-column layout:
  * - Left: Anchors, Habits, Daily Wisdom
  * - Center: Schedule with drag-and-drop time blocking
- * - Right: Task lists (Primary, Today, This Week, Later)
+ * - Right: Task lists (Primary, Today, This Week, Later), optionally grouped by
+ *   project within each list (settings.groupByProject)
  *
  * Key Features:
  * - Schedule card with hour-based grid and 15-minute snapping
@@ -54,6 +58,21 @@ import { genId, fmtHour, fmtTimeSlot, addMinutes, getToday } from '../../utils/h
  * @param {Function} props.editTask - Edit task: (id, list, text) => void
  * @param {Function} props.updCat - Update category: (id, list, category) => void
  * @param {Function} props.updTime - Update time estimate: (id, list, time) => void
+ * @param {Function} props.updRepeat - Set or clear a repeat rule: (id, list, repeat) => void
+ * @param {Function} props.updSteps - Update a checklist: (id, list, label, change) => void
+ * @param {Function} props.updDue - Set or clear a due day: (id, list, day) => void
+ * @param {Function} props.updSnooze - Snooze until a day, or wake: (id, list, day) => void
+ * @param {Function} props.updNotes - Save a task's notes: (id, list, notes) => void
+ * @param {Function} props.updTags - Set a task's tags: (id, list, tags) => void
+ * @param {Array} props.tagSuggestions - Tags in use, most used first
+ * @param {Function} props.updBlockers - Set the tasks a task waits on: (id, list, blockedBy) =>
+ *   null, or why not when it would make a loop
+ * @param {Array} props.blockerChoices - Open tasks, to pick blockers from (utils/dependencies.js)
+ * @param {Array} props.projects - Projects, for task chips and the project picker (utils/projects.js)
+ * @param {Function} props.updTaskProject - File a task under a project, or none: (id, list, projectId) => void
+ * @param {Array} props.savedViews - Saved filter views (utils/tags.js)
+ * @param {Function} props.setSavedViews - Save the list of filter views
+ * @param {string} props.todayKey - Current logical day key
  * @param {Function} props.moveTask - Move to list: (id, sourceList, destList) => void
  * @param {Function} props.reorderTask - Reorder: (id, sourceList, destList, index) => void
  * @param {Array} props.habits - Habit items with {id, name, done, streak}
@@ -74,6 +93,11 @@ import { genId, fmtHour, fmtTimeSlot, addMinutes, getToday } from '../../utils/h
  * @param {Function} props.setSettings - Update settings
  * @param {Function} props.onHelpClick - Help icon handler: (helpId) => void
  * @param {Array} props.taskCategories - Available task categories
+ * @param {Object} props.selection - Multi-selection of tasks (hooks/useTaskSelection.js)
+ * @param {Object} props.wipLimits - Work-in-progress limits by list (utils/wipLimits.js)
+ * @param {Object|null} props.liveFocus - {id, minutes} of the focus session running on a task,
+ *   for over-estimate flags
+ * @param {Function} props.onOpenProjects - Open the projects modal: (projectId or null for the list) => void
  * @param {string} props.mobileAccordion - Active mobile accordion panel
  * @param {Function} props.setMobileAccordion - Set active accordion panel
  */
@@ -85,6 +109,20 @@ const OrderView = ({
   editTask,
   updCat,
   updTime,
+  updRepeat,
+  updSteps,
+  updDue,
+  updSnooze,
+  updNotes,
+  updTags,
+  tagSuggestions,
+  updBlockers,
+  projects,
+  updTaskProject,
+  blockerChoices,
+  savedViews,
+  setSavedViews,
+  todayKey,
   moveTask,
   reorderTask,
   habits,
@@ -105,6 +143,10 @@ const OrderView = ({
   setSettings,
   onHelpClick,
   taskCategories,
+  selection,
+  wipLimits,
+  liveFocus,
+  onOpenProjects,
   mobileAccordion,
   setMobileAccordion
 }) => {
@@ -120,6 +162,7 @@ const OrderView = ({
   const [popMinute, setPopMinute] = useState(0);
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [customDur, setCustomDur] = useState('');
+  const [filter, setFilter] = useState(EMPTY_FILTER);
   const [popType, setPopType] = useState('event'); // 'event' | 'task' | 'habit'
   const [popItemRef, setPopItemRef] = useState(null); // For task/habit reference
   const [popPersistent, setPopPersistent] = useState(false); // For persistent schedule items
@@ -133,6 +176,8 @@ const OrderView = ({
   const [isClosingModal, setIsClosingModal] = useState(false);
 
   const today = getToday();
+  // Grouping only applies once there are projects to group by
+  const groupedByProject = !!settings.groupByProject && projects.length > 0;
   const hours = Array.from({length:len},(_,i)=>startH+i).filter(h=>h<24);
   const gridRef = useRef(null);
   const snap = snapIncrement || 15;
@@ -573,7 +618,7 @@ const OrderView = ({
         ) : (
           <>
             <AnchorsSection anchors={anchors} onAdd={addAnchor} onEdit={editAnchor} onDel={delAnchor} onHelpClick={onHelpClick} />
-            <HabitsSection habits={habits} onToggle={togHabit} onAdd={addHabit} onDel={delHabit} onReset={resetHabits} onReorder={reorderHabit} onHelpClick={onHelpClick} />
+            <HabitsSection habits={habits} onToggle={togHabit} onAdd={addHabit} onDel={delHabit} onReset={resetHabits} onReorder={reorderHabit} today={todayKey} onHelpClick={onHelpClick} />
             <DailyWisdomCard onHelpClick={onHelpClick} />
           </>
         )}
@@ -879,10 +924,25 @@ const OrderView = ({
         </div>
       </div>
       <div className="column">
-        <TaskSection title=" Primary" tasks={tasks.primary} list="primary" icon={<Icons.StarSolid />} color="warm" onToggle={id=>toggleTask(id,"primary")} onAdd={(t,c,tm)=>addTask(t,"primary",c,tm)} onDel={id=>delTask(id,"primary")} onEdit={(id,t)=>editTask(id,"primary",t)} onCat={(id,c)=>updCat(id,"primary",c)} onTime={(id,tm)=>updTime(id,"primary",tm)} onMove={(id,to)=>moveTask(id,"primary",to)} empty="What matters most?" showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} />
-        <TaskSection title=" Today" tasks={tasks.today} list="today" icon={<Icons.CircleCheckSolid />} color="blue" onToggle={id=>toggleTask(id,"today")} onAdd={(t,c,tm)=>addTask(t,"today",c,tm)} onDel={id=>delTask(id,"today")} onEdit={(id,t)=>editTask(id,"today",t)} onCat={(id,c)=>updCat(id,"today",c)} onTime={(id,tm)=>updTime(id,"today",tm)} onMove={(id,to)=>moveTask(id,"today",to)} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} />
-        <TaskSection title=" This Week" tasks={tasks.thisWeek} list="thisWeek" icon={<Icons.CalendarSolid />} color="blue" onToggle={id=>toggleTask(id,"thisWeek")} onAdd={(t,c,tm)=>addTask(t,"thisWeek",c,tm)} onDel={id=>delTask(id,"thisWeek")} onEdit={(id,t)=>editTask(id,"thisWeek",t)} onCat={(id,c)=>updCat(id,"thisWeek",c)} onTime={(id,tm)=>updTime(id,"thisWeek",tm)} onMove={(id,to)=>moveTask(id,"thisWeek",to)} collapsed={true} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} />
-        <TaskSection title=" Later" tasks={tasks.later} list="later" icon={<Icons.StarSolid />} color="warm" onToggle={id=>toggleTask(id,"later")} onAdd={(t,c,tm)=>addTask(t,"later",c,tm)} onDel={id=>delTask(id,"later")} onEdit={(id,t)=>editTask(id,"later",t)} onCat={(id,c)=>updCat(id,"later",c)} onTime={(id,tm)=>updTime(id,"later",tm)} onMove={(id,to)=>moveTask(id,"later",to)} collapsed={true} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} />
+        <FilterBar filter={filter} onFilterChange={setFilter} savedViews={savedViews} onSavedViewsChange={setSavedViews} taskCategories={taskCategories} tagSuggestions={tagSuggestions} lists={LISTS} />
+        <div className="project-bar">
+          <button className="filter-chip" onClick={() => onOpenProjects(null)}>
+            <Icons.Folder /> Projects
+          </button>
+          {projects.length > 0 && (
+            <button
+              className={`filter-chip${groupedByProject ? " active" : ""}`}
+              onClick={() => setSettings(s => ({ ...s, groupByProject: !s.groupByProject }))}
+              aria-pressed={groupedByProject}
+            >
+              Group by project
+            </button>
+          )}
+        </div>
+        {filterShowsList(filter,"primary") && <TaskSection title=" Primary" tasks={tasks.primary} list="primary" max={wipLimitFor(wipLimits,"primary")} icon={<Icons.StarSolid />} color="warm" onToggle={id=>toggleTask(id,"primary")} onAdd={(t,c,tm)=>addTask(t,"primary",c,tm)} onDel={id=>delTask(id,"primary")} onEdit={(id,t)=>editTask(id,"primary",t)} onCat={(id,c)=>updCat(id,"primary",c)} onTime={(id,tm)=>updTime(id,"primary",tm)} onMove={(id,to)=>moveTask(id,"primary",to)} onRepeat={(id,r)=>updRepeat(id,"primary",r)} onSteps={(id,lb,fn)=>updSteps(id,"primary",lb,fn)} onDue={(id,d)=>updDue(id,"primary",d)} onSnooze={(id,d)=>updSnooze(id,"primary",d)} onNotes={(id,n)=>updNotes(id,"primary",n)} onTags={(id,tg)=>updTags(id,"primary",tg)} onBlockers={(id,b)=>updBlockers(id,"primary",b)} tagSuggestions={tagSuggestions} blockerChoices={blockerChoices} onProject={(id,pr)=>updTaskProject(id,"primary",pr)} projects={projects} grouped={groupedByProject} onOpenProject={onOpenProjects} filter={filter} today={todayKey} empty="What matters most?" showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} liveFocus={liveFocus} selectedIds={selection.idsIn("primary")} selecting={selection.count>0} onSelect={(id,how,ids)=>selection.select("primary",id,how,ids)} />}
+        {filterShowsList(filter,"today") && <TaskSection title=" Today" tasks={tasks.today} list="today" max={wipLimitFor(wipLimits,"today")} icon={<Icons.CircleCheckSolid />} color="blue" onToggle={id=>toggleTask(id,"today")} onAdd={(t,c,tm)=>addTask(t,"today",c,tm)} onDel={id=>delTask(id,"today")} onEdit={(id,t)=>editTask(id,"today",t)} onCat={(id,c)=>updCat(id,"today",c)} onTime={(id,tm)=>updTime(id,"today",tm)} onMove={(id,to)=>moveTask(id,"today",to)} onRepeat={(id,r)=>updRepeat(id,"today",r)} onSteps={(id,lb,fn)=>updSteps(id,"today",lb,fn)} onDue={(id,d)=>updDue(id,"today",d)} onSnooze={(id,d)=>updSnooze(id,"today",d)} onNotes={(id,n)=>updNotes(id,"today",n)} onTags={(id,tg)=>updTags(id,"today",tg)} onBlockers={(id,b)=>updBlockers(id,"today",b)} tagSuggestions={tagSuggestions} blockerChoices={blockerChoices} onProject={(id,pr)=>updTaskProject(id,"today",pr)} projects={projects} grouped={groupedByProject} onOpenProject={onOpenProjects} filter={filter} today={todayKey} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} liveFocus={liveFocus} selectedIds={selection.idsIn("today")} selecting={selection.count>0} onSelect={(id,how,ids)=>selection.select("today",id,how,ids)} />}
+        {filterShowsList(filter,"thisWeek") && <TaskSection title=" This Week" tasks={tasks.thisWeek} list="thisWeek" max={wipLimitFor(wipLimits,"thisWeek")} icon={<Icons.CalendarSolid />} color="blue" onToggle={id=>toggleTask(id,"thisWeek")} onAdd={(t,c,tm)=>addTask(t,"thisWeek",c,tm)} onDel={id=>delTask(id,"thisWeek")} onEdit={(id,t)=>editTask(id,"thisWeek",t)} onCat={(id,c)=>updCat(id,"thisWeek",c)} onTime={(id,tm)=>updTime(id,"thisWeek",tm)} onMove={(id,to)=>moveTask(id,"thisWeek",to)} onRepeat={(id,r)=>updRepeat(id,"thisWeek",r)} onSteps={(id,lb,fn)=>updSteps(id,"thisWeek",lb,fn)} onDue={(id,d)=>updDue(id,"thisWeek",d)} onSnooze={(id,d)=>updSnooze(id,"thisWeek",d)} onNotes={(id,n)=>updNotes(id,"thisWeek",n)} onTags={(id,tg)=>updTags(id,"thisWeek",tg)} onBlockers={(id,b)=>updBlockers(id,"thisWeek",b)} tagSuggestions={tagSuggestions} blockerChoices={blockerChoices} onProject={(id,pr)=>updTaskProject(id,"thisWeek",pr)} projects={projects} grouped={groupedByProject} onOpenProject={onOpenProjects} filter={filter} today={todayKey} collapsed={true} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} liveFocus={liveFocus} selectedIds={selection.idsIn("thisWeek")} selecting={selection.count>0} onSelect={(id,how,ids)=>selection.select("thisWeek",id,how,ids)} />}
+        {filterShowsList(filter,"later") && <TaskSection title=" Later" tasks={tasks.later} list="later" max={wipLimitFor(wipLimits,"later")} icon={<Icons.StarSolid />} color="warm" onToggle={id=>toggleTask(id,"later")} onAdd={(t,c,tm)=>addTask(t,"later",c,tm)} onDel={id=>delTask(id,"later")} onEdit={(id,t)=>editTask(id,"later",t)} onCat={(id,c)=>updCat(id,"later",c)} onTime={(id,tm)=>updTime(id,"later",tm)} onMove={(id,to)=>moveTask(id,"later",to)} onRepeat={(id,r)=>updRepeat(id,"later",r)} onSteps={(id,lb,fn)=>updSteps(id,"later",lb,fn)} onDue={(id,d)=>updDue(id,"later",d)} onSnooze={(id,d)=>updSnooze(id,"later",d)} onNotes={(id,n)=>updNotes(id,"later",n)} onTags={(id,tg)=>updTags(id,"later",tg)} onBlockers={(id,b)=>updBlockers(id,"later",b)} tagSuggestions={tagSuggestions} blockerChoices={blockerChoices} onProject={(id,pr)=>updTaskProject(id,"later",pr)} projects={projects} grouped={groupedByProject} onOpenProject={onOpenProjects} filter={filter} today={todayKey} collapsed={true} showTimeToComplete={showTimeToComplete} onReorder={reorderTask} scheduledTaskIds={scheduledTaskIds} onHelpClick={onHelpClick} taskCategories={taskCategories} liveFocus={liveFocus} selectedIds={selection.idsIn("later")} selecting={selection.count>0} onSelect={(id,how,ids)=>selection.select("later",id,how,ids)} />}
       </div>
     </div>
   );
@@ -2,6 +2,7 @@ import ScriptureSection from '../cards/ScriptureSection';
 import BeStillCard from '../cards/BeStillCard';
 import PrayerGratitudeCard from '../cards/PrayerGratitudeCard';
 import DailyReflection from '../cards/DailyReflection';
+import VaultLockScreen from '../shared/VaultLockScreen';
 
 /**
  * RestView Component
@@ -21,6 +22,7 @@ import DailyReflection from '../cards/DailyReflection';
  * - Desktop: 3 equal columns with stacked cards in right column
  * - Mobile: Single column with cards stacked vertically
  * - All cards are always visible (no accordion)
+ * - Replaced by a passphrase prompt while the journal vault is locked
  *
  * Key Features:
  * - Scripture rotation with 7 categories (faithfulness, rest, stewardship, discipline, patience, wisdom, courage)
@@ -40,7 +42,7 @@ import DailyReflection from '../cards/DailyReflection';
  * @param {Function} props.setGratitude - Update gratitude: (text) => void
  * @param {Object} props.reflections - Daily reflection answers: {learned, proud, improving}
  * @param {Function} props.setReflections - Update reflections: (reflections) => void
- * @param {Array} props.reflectionHistory - Past reflection entries with timestamps
+ * @param {Object} props.reflectionHistory - Archived reflections keyed by day (YYYY-MM-DD)
  * @param {boolean} props.completedToday - Whether reflection completed for current day
  * @param {boolean} props.animationsOn - Global animation toggle for performance
  * @param {Object} props.profile - User profile with {firstName} for personalization
@@ -51,6 +53,10 @@ import DailyReflection from '../cards/DailyReflection';
  * @param {Function} props.setPrayers - Update prayers array
  * @param {Array} props.gratitudeEntries - Gratitude entries: [{id, text, date}]
  * @param {Function} props.setGratitudeEntries - Update gratitude entries array
+ * @param {string} props.todayKey - Current logical day key
+ * @param {number} props.dayStartHour - Hour the user's day starts
+ * @param {boolean} props.vaultLocked - Journal vault is on and locked
+ * @param {Function} props.onUnlockVault - Async (passphrase) => void
  */
 const RestView = ({
   gratitude,
@@ -67,8 +73,14 @@ const RestView = ({
   prayers,
   setPrayers,
   gratitudeEntries,
-  setGratitudeEntries
+  setGratitudeEntries,
+  todayKey,
+  dayStartHour,
+  vaultLocked = false,
+  onUnlockVault
 }) => {
+  if (vaultLocked) return <VaultLockScreen onUnlock={onUnlockVault} />;
+
   return (
     <div className="rest-layout">
       <div className="column">
@@ -83,6 +95,8 @@ const RestView = ({
           setPrayers={setPrayers}
           gratitudeEntries={gratitudeEntries}
           setGratitudeEntries={setGratitudeEntries}
+          todayKey={todayKey}
+          dayStartHour={dayStartHour}
           onHelpClick={onHelpClick}
         />
         <DailyReflection
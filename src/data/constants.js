@@ -30,6 +30,7 @@ export const TIMES = ["", "5m", "15m", "30m", "1h", "2h", "3h+"];
 
 // Task list types
 export const LISTS = ["primary", "today", "thisWeek", "later"];
+export const LIST_LABELS = { primary: "Primary", today: "Today", thisWeek: "This Week", later: "Later" };
 
 // Schedule hour height constant
 export const HOUR_HEIGHT = 64;
@@ -8,3 +8,10 @@ export { default as useLocalStorage } from './useLocalStorage';
 export { default as useKeyboardShortcuts } from './useKeyboardShortcuts';
 export { default as useDailyReset } from './useDailyReset';
 export { default as useScrollAware } from './useScrollAware';
+export { default as useCrossTabSync } from './useCrossTabSync';
+export { default as useTimerSync } from './useTimerSync';
+export { default as useJournalVault } from './useJournalVault';
+export { default as useServerSync } from './useServerSync';
+export { default as useUndoHistory } from './useUndoHistory';
+export { default as useStorageHealth } from './useStorageHealth';
+export { default as useTaskSelection } from './useTaskSelection';
@@ -0,0 +1,34 @@
+/**
+ * useCrossTabSync Hook
+ *
+ * Merges writes made to a storage key in other open tabs into local state
+ *
+ * Changes are combined with a three-way merge against the last value both tabs
+ * shared, so concurrent edits to different items (or different fields of the
+ * same task) are all kept rather than the last save winning.
+ *
+ * @param {string} key - Storage key (unprefixed, see utils/storage.js)
+ * @param {function} setValue - State setter for the value persisted under key
+ *
+ * @example
+ * const [tasks, setTasks] = useState(() => load('tasks', DEFAULT_TASKS));
+ * useCrossTabSync('tasks', setTasks);
+ */
+
+import { useEffect } from 'react';
+import { subscribe } from '../utils/storage';
+import { mergeThreeWay } from '../utils/merge';
+
+export const useCrossTabSync = (key, setValue) => {
+  useEffect(
+    () =>
+      subscribe(key, (remote, { base, remoteFirst }) => {
+        // Removed elsewhere: keep what this tab has until it saves again
+        if (remote === undefined) return;
+        setValue((prev) => mergeThreeWay(base, prev, remote, remoteFirst));
+      }),
+    [key, setValue]
+  );
+};
+
+export default useCrossTabSync;
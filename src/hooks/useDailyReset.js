@@ -1,146 +1,105 @@
 /**
  * useDailyReset Hook
  *
- * Manages daily reset logic for habits, reflections, and schedule events
- * Automatically resets data at midnight and on new week
+ * Runs the day rollover engine (utils/rollover.js) once per logical day
  *
  * Features:
- * - Resets habits daily (unchecks all)
- * - Clears non-persistent schedule events
- * - Resets gratitude and reflections
- * - Archives completed tasks
- * - Resets habits weekly
- * - Checks every minute for day/week change
+ * - Day boundary follows settings.dayStartHour (e.g. 3 AM for late evenings)
+ * - Archive, journal, reset, carry over and greet run in that order, exactly once
+ * - Checks on mount, every minute, and when the tab becomes visible again
+ * - Never rolls backwards when the day start hour is moved later
  *
  * @param {Object} options
+ * @param {number} options.dayStartHour - Hour (0-23) at which a new day begins
+ * @param {Object} options.state - Current {tasks, habits, schedEvents, gratitude, reflections, reflectionHistory}
+ * @param {function} options.setTasks - Tasks state setter
  * @param {function} options.setHabits - Habits state setter
  * @param {function} options.setSchedEvents - Schedule events state setter
  * @param {function} options.setGratitude - Gratitude state setter
  * @param {function} options.setReflections - Reflections state setter
- * @param {function} options.setTasks - Tasks state setter
+ * @param {function} options.setReflectionHistory - Reflection history state setter
+ * @param {function} [options.onNewDay] - Called with (greeting, fromDay) when the closed day had completions
+ * @returns {function} performRollover - Runs a check immediately (e.g. on pull-to-refresh)
  *
  * @example
- * useDailyReset({
+ * const performRollover = useDailyReset({
+ *   dayStartHour: settings.dayStartHour,
+ *   state: { tasks, habits, schedEvents, gratitude, reflections, reflectionHistory },
+ *   setTasks,
  *   setHabits,
  *   setSchedEvents,
  *   setGratitude,
  *   setReflections,
- *   setTasks
+ *   setReflectionHistory,
+ *   onNewDay: (greeting) => setYesterdayStats(greeting)
  * });
  */
 
-import { useEffect, useCallback } from 'react';
-
-// Helper to get ISO date string (YYYY-MM-DD)
-const getTodayISO = () => {
-  const d = new Date();
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-};
-
-// Helper to get ISO week number
-const getWeekNumber = (d) => {
-  const date = new Date(d.getTime());
-  date.setHours(0, 0, 0, 0);
-  date.setDate(date.getDate() + 3 - (date.getDay() + 6) % 7);
-  const week1 = new Date(date.getFullYear(), 0, 4);
-  return 1 + Math.round(((date.getTime() - week1.getTime()) / 86400000 - 3 + (week1.getDay() + 6) % 7) / 7);
-};
+import { useEffect, useCallback, useRef } from 'react';
+import { load, save } from '../utils/helpers';
+import { getLogicalDayKey } from '../utils/dateHelpers';
+import { runRollover, DEFAULT_DAY_START_HOUR } from '../utils/rollover';
 
 export const useDailyReset = ({
+  dayStartHour = DEFAULT_DAY_START_HOUR,
+  state,
+  setTasks,
   setHabits,
   setSchedEvents,
   setGratitude,
   setReflections,
-  setTasks
+  setReflectionHistory,
+  onNewDay
 }) => {
-  const performDailyReset = useCallback(() => {
-    const todayISO = getTodayISO();
-    const lastReset = localStorage.getItem('selah_lastDailyResetISO') || '';
-
-    if (lastReset !== todayISO) {
-      console.log('[Selah] New day detected, performing daily reset');
-
-      // Reset habits (clear checked states)
-      setHabits(prev => {
-        const reset = prev.map(h => ({ ...h, done: false }));
-        localStorage.setItem('selah_habits', JSON.stringify(reset));
-        return reset;
-      });
-
-      // Reset schedule events (keep only persistent)
-      setSchedEvents(prev => {
-        const persistent = prev.filter(e => e.persistent);
-        localStorage.setItem('selah_schedEvents', JSON.stringify(persistent));
-        return persistent;
-      });
-
-      // Archive completed tasks
-      setTasks(prev => {
-        const completedTasks = [
-          ...prev.primary.filter(t => t.done),
-          ...prev.today.filter(t => t.done),
-          ...prev.thisWeek.filter(t => t.done),
-          ...prev.later.filter(t => t.done)
-        ].map(t => ({
-          ...t,
-          archivedAt: new Date().toISOString(),
-          completedAt: t.completedAt || new Date().toISOString()
-        }));
-
-        const newTasks = {
-          primary: prev.primary.filter(t => !t.done),
-          today: prev.today.filter(t => !t.done),
-          thisWeek: prev.thisWeek.filter(t => !t.done),
-          later: prev.later.filter(t => !t.done),
-          completed: [...(prev.completed || []), ...completedTasks].slice(-100) // Keep last 100
-        };
-
-        localStorage.setItem('selah_tasks', JSON.stringify(newTasks));
-        return newTasks;
-      });
-
-      // Clear today's gratitude and reflection
-      setGratitude('');
-      setReflections({ mattered: '', released: '', wait: '' });
-      localStorage.setItem('selah_gratitude', '""');
-      localStorage.setItem('selah_reflections', JSON.stringify({ mattered: '', released: '', wait: '' }));
-
-      // Update last reset date
-      localStorage.setItem('selah_lastDailyResetISO', todayISO);
-    }
-
-    // Check for weekly habit reset
-    const currentWeek = getWeekNumber(new Date());
-    const lastResetWeek = localStorage.getItem('selah_last_habit_reset_week') || '';
-
-    if (lastResetWeek !== String(currentWeek)) {
-      console.log('[Selah] New week detected, resetting habit history');
-      setHabits(prev => {
-        const reset = prev.map(h => ({
-          ...h,
-          done: false,
-          history: h.history || []
-        }));
-        localStorage.setItem('selah_habits', JSON.stringify(reset));
-        return reset;
-      });
-      localStorage.setItem('selah_last_habit_reset_week', String(currentWeek));
-    }
-  }, [setHabits, setSchedEvents, setGratitude, setReflections, setTasks]);
-
-  // Run on mount
+  // Latest values, so the interval always rolls over what is on screen
+  const stateRef = useRef(state);
+  const onNewDayRef = useRef(onNewDay);
   useEffect(() => {
-    performDailyReset();
-  }, [performDailyReset]);
-
-  // Check every minute for day change
+    stateRef.current = state;
+    onNewDayRef.current = onNewDay;
+  });
+
+  const performRollover = useCallback(() => {
+    const now = new Date();
+    const toDay = getLogicalDayKey(now, dayStartHour);
+    const fromDay = load('lastRolloverDay', null);
+
+    // Same day, or the boundary moved later and "today" went back a day
+    if (fromDay && fromDay >= toDay) return;
+    save('lastRolloverDay', toDay);
+    // First run: nothing to close yet
+    if (!fromDay) return;
+
+    console.log(`[Selah] Rolling over ${fromDay} -> ${toDay}`);
+    const next = runRollover(stateRef.current, { fromDay, toDay, now, dayStartHour });
+    setTasks(next.tasks);
+    setHabits(next.habits);
+    setSchedEvents(next.schedEvents);
+    setGratitude(next.gratitude);
+    setReflections(next.reflections);
+    setReflectionHistory(next.reflectionHistory);
+    if (next.greeting) onNewDayRef.current?.(next.greeting, fromDay);
+  }, [dayStartHour, setTasks, setHabits, setSchedEvents, setGratitude, setReflections, setReflectionHistory]);
+
+  // Run on mount and whenever the day boundary changes
   useEffect(() => {
-    const interval = setInterval(() => {
-      performDailyReset();
-    }, 60000); // 1 minute
+    performRollover();
+  }, [performRollover]);
 
-    return () => clearInterval(interval);
-  }, [performDailyReset]);
+  // Check every minute, and right away when a sleeping tab wakes up
+  useEffect(() => {
+    const interval = setInterval(performRollover, 60000);
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') performRollover();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [performRollover]);
+
+  return performRollover;
 };
 
 export default useDailyReset;
@@ -0,0 +1,183 @@
+/**
+ * useJournalVault Hook
+ *
+ * Persists prayers, gratitude entries and reflection history, sealing them
+ * with the journal vault (utils/vault.js) when it is turned on
+ *
+ * Features:
+ * - Plain save()s and cross-tab merging while the vault is off
+ * - Sealed saves and cross-tab merging of opened values while unlocked
+ * - Locking clears the collections from memory; saves made while locked
+ *   (e.g. the rollover journaling tonight's reflection) go to the inbox
+ * - Auto-locks after a period with no pointer or keyboard activity
+ *
+ * @param {Object} options
+ * @param {Object} options.values - Current {prayers, gratitudeEntries, reflectionHistory}
+ * @param {Object} options.setters - Matching state setters by key
+ * @param {number} options.autoLockMinutes - Minutes of inactivity before locking
+ * @returns {{enabled: boolean, locked: boolean, enable: function, unlock: function, lock: function, disable: function}}
+ *
+ * @example
+ * const vault = useJournalVault({
+ *   values: { prayers, gratitudeEntries, reflectionHistory },
+ *   setters: { prayers: setPrayers, gratitudeEntries: setGratitudeEntries, reflectionHistory: setReflectionHistory },
+ *   autoLockMinutes: settings.vaultAutoLockMinutes
+ * });
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { load, save } from '../utils/helpers';
+import { subscribe, reportStorageError } from '../utils/storage';
+import { mergeThreeWay } from '../utils/merge';
+import {
+  VAULT_KEYS,
+  VAULT_EMPTY,
+  DEFAULT_AUTO_LOCK_MINUTES,
+  isSealed,
+  isVaultEnabled,
+  isVaultUnlocked,
+  openValue,
+  writeVaultItem,
+  drainInbox,
+  createVault,
+  unlockVault,
+  lockVault,
+  disableVault,
+} from '../utils/vault';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+
+export const useJournalVault = ({ values, setters, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES }) => {
+  const [enabled, setEnabled] = useState(isVaultEnabled);
+  const [locked, setLocked] = useState(() => isVaultEnabled() && !isVaultUnlocked());
+  const { prayers, gratitudeEntries, reflectionHistory } = values;
+
+  // JSON of the last value each key was saved with or received from another
+  // tab: skips redundant saves and is the base for cross-tab merges
+  const baseRef = useRef(null);
+  const valuesRef = useRef(values);
+  const settersRef = useRef(setters);
+  useEffect(() => {
+    valuesRef.current = values;
+    settersRef.current = setters;
+  });
+
+  // Replace the collections without saving them back
+  const replaceAll = useCallback((next) => {
+    baseRef.current = Object.fromEntries(VAULT_KEYS.map((key) => [key, JSON.stringify(next[key])]));
+    VAULT_KEYS.forEach((key) => settersRef.current[key](next[key]));
+  }, []);
+
+  // Save whatever changed
+  useEffect(() => {
+    const current = { prayers, gratitudeEntries, reflectionHistory };
+    if (!baseRef.current) {
+      // First render: values were just loaded (or are empty while locked)
+      baseRef.current = Object.fromEntries(VAULT_KEYS.map((key) => [key, JSON.stringify(current[key])]));
+      return;
+    }
+    VAULT_KEYS.forEach((key) => {
+      const json = JSON.stringify(current[key]);
+      if (baseRef.current[key] === json) return;
+      baseRef.current[key] = json;
+      if (!enabled) {
+        save(key, current[key]);
+      } else {
+        writeVaultItem(key, current[key]).catch((e) => reportStorageError('write', key, e));
+      }
+    });
+  }, [prayers, gratitudeEntries, reflectionHistory, enabled]);
+
+  // Merge other tabs' saves; sealed ones only while unlocked
+  useEffect(() => {
+    const unsubscribers = VAULT_KEYS.map((key) =>
+      subscribe(key, async (remote, { remoteFirst }) => {
+        if (remote === undefined) return;
+        let value = remote;
+        if (isSealed(remote)) {
+          if (!isVaultUnlocked()) return;
+          try {
+            value = await openValue(remote);
+          } catch (e) {
+            reportStorageError('read', key, e);
+            return;
+          }
+        } else if (isVaultEnabled() && !isVaultUnlocked()) {
+          return;
+        }
+        const base = baseRef.current?.[key] !== undefined ? JSON.parse(baseRef.current[key]) : undefined;
+        if (baseRef.current) baseRef.current[key] = JSON.stringify(value);
+        settersRef.current[key]((prev) => mergeThreeWay(base, prev, value, remoteFirst));
+      })
+    );
+
+    // Another tab saved while locked: fold it in if this tab can read it
+    unsubscribers.push(subscribe('vaultInbox', (inbox) => {
+      if (!inbox || !isVaultUnlocked()) return;
+      drainInbox(valuesRef.current)
+        .then(replaceAll)
+        .catch((e) => reportStorageError('read', 'vaultInbox', e));
+    }));
+
+    // Vault turned on or off in another tab
+    unsubscribers.push(subscribe('vault', (meta) => {
+      if (meta && !isVaultUnlocked()) {
+        setEnabled(true);
+        setLocked(true);
+        replaceAll(VAULT_EMPTY);
+      } else if (!meta) {
+        lockVault();
+        setEnabled(false);
+        setLocked(false);
+        replaceAll(Object.fromEntries(VAULT_KEYS.map((key) => [key, load(key, VAULT_EMPTY[key])])));
+      }
+    }));
+
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [replaceAll]);
+
+  const lock = useCallback(() => {
+    if (!isVaultEnabled()) return;
+    lockVault();
+    replaceAll(VAULT_EMPTY);
+    setLocked(true);
+  }, [replaceAll]);
+
+  const unlock = useCallback(async (passphrase) => {
+    const next = await unlockVault(passphrase);
+    replaceAll(next);
+    setLocked(false);
+  }, [replaceAll]);
+
+  const enable = useCallback(async (passphrase) => {
+    await createVault(passphrase, valuesRef.current);
+    setEnabled(true);
+    setLocked(false);
+  }, []);
+
+  const disable = useCallback(async () => {
+    await disableVault(valuesRef.current);
+    setEnabled(false);
+    setLocked(false);
+  }, []);
+
+  // Auto-lock after inactivity
+  useEffect(() => {
+    if (!enabled || locked) return;
+    let timer = null;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(lock, autoLockMinutes * 60000);
+    };
+    ACTIVITY_EVENTS.forEach((type) => window.addEventListener(type, restart, { passive: true }));
+    restart();
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach((type) => window.removeEventListener(type, restart));
+    };
+  }, [enabled, locked, autoLockMinutes, lock]);
+
+  return { enabled, locked, enable, unlock, lock, disable };
+};
+
+export default useJournalVault;
@@ -9,6 +9,11 @@
  * - N: Focus quick-add input (Order mode only)
  * - S: Open settings
  * - Escape: Close modals
+ * - Ctrl/Cmd+Z: Undo, Shift+Ctrl/Cmd+Z (or Ctrl+Y): Redo
+ * - Ctrl/Cmd+K: Open or close the command palette (works while typing too)
+ * - While tasks are selected: Escape clears the selection, Ctrl/Cmd+A selects
+ *   the whole list, Delete/Backspace deletes, Ctrl/Cmd+Enter marks done
+ *   (none of these while a modal is open)
  *
  * @param {Object} options
  * @param {string} options.mode - Current app mode ('order'|'focus'|'rest')
@@ -21,6 +26,12 @@
  * @param {function} options.setShowGuide - Guide modal visibility setter
  * @param {boolean} options.showSelah - Selah pause visibility
  * @param {function} options.setShowSelah - Selah pause visibility setter
+ * @param {function} [options.onUndo] - Undo the last change
+ * @param {function} [options.onRedo] - Redo the last undone change
+ * @param {function} [options.onCommandPalette] - Toggle the command palette
+ * @param {boolean} [options.modalOpen] - Whether any modal or prompt is open
+ * @param {Object} [options.selection] - While tasks are selected:
+ *   {selectAll, clear, remove, complete}
  *
  * @example
  * useKeyboardShortcuts({
@@ -33,7 +44,12 @@
  *   showGuide,
  *   setShowGuide,
  *   showSelah,
- *   setShowSelah
+ *   setShowSelah,
+ *   onUndo: history.undo,
+ *   onRedo: history.redo,
+ *   onCommandPalette: () => setShowPalette(s => !s),
+ *   modalOpen: showSettings || showPalette,
+ *   selection: selection.count > 0 ? { selectAll, clear, remove, complete } : null
  * });
  */
 
@@ -49,10 +65,22 @@ export const useKeyboardShortcuts = ({
   showGuide,
   setShowGuide,
   showSelah,
-  setShowSelah
+  setShowSelah,
+  onUndo,
+  onRedo,
+  onCommandPalette,
+  modalOpen = false,
+  selection
 }) => {
   useEffect(() => {
     const handleKeyboard = (e) => {
+      // Ctrl/Cmd+K for the command palette, even from a text field
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k' && onCommandPalette) {
+        e.preventDefault();
+        onCommandPalette();
+        return;
+      }
+
       // Don't trigger if user is typing in an input
       if (
         e.target.tagName === 'INPUT' ||
@@ -62,6 +90,43 @@ export const useKeyboardShortcuts = ({
         return;
       }
 
+      // Selected tasks; a modal's keys are its own
+      if (selection && !modalOpen) {
+        const mod = e.ctrlKey || e.metaKey;
+        if (mod && e.key.toLowerCase() === 'a') {
+          e.preventDefault();
+          selection.selectAll();
+          return;
+        }
+        if (mod && e.key === 'Enter') {
+          e.preventDefault();
+          selection.complete();
+          return;
+        }
+        if (!mod && (e.key === 'Delete' || e.key === 'Backspace')) {
+          e.preventDefault();
+          selection.remove();
+          return;
+        }
+        if (e.key === 'Escape') {
+          selection.clear();
+          return;
+        }
+      }
+
+      // Ctrl/Cmd+Z to undo, with Shift (or Ctrl+Y) to redo; text fields keep their own
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && onUndo && onRedo) {
+        e.preventDefault();
+        if (e.shiftKey) onRedo();
+        else onUndo();
+        return;
+      }
+      if (e.ctrlKey && e.key.toLowerCase() === 'y' && onRedo) {
+        e.preventDefault();
+        onRedo();
+        return;
+      }
+
       // Number keys 1-3 for mode switching
       if (e.key === '1') {
         e.preventDefault();
@@ -113,7 +178,12 @@ export const useKeyboardShortcuts = ({
     showGuide,
     setShowGuide,
     showSelah,
-    setShowSelah
+    setShowSelah,
+    onUndo,
+    onRedo,
+    onCommandPalette,
+    modalOpen,
+    selection
   ]);
 };
 
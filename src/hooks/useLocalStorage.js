@@ -1,9 +1,10 @@
 /**
  * useLocalStorage Hook
  *
- * Custom hook for syncing state with localStorage
+ * Custom hook for syncing state with the versioned storage layer.
+ * Changes saved under the same key in other tabs are merged in.
  *
- * @param {string} key - localStorage key (will be prefixed with 'selah_')
+ * @param {string} key - Storage key (unprefixed, see utils/storage.js)
  * @param {*} defaultValue - default value if key doesn't exist
  * @returns {[*, function]} - [value, setValue] tuple like useState
  *
@@ -12,26 +13,18 @@
  */
 
 import { useState, useEffect } from 'react';
+import { load, save } from '../utils/helpers';
+import { useCrossTabSync } from './useCrossTabSync';
 
 export const useLocalStorage = (key, defaultValue) => {
-  // Initialize state with value from localStorage or default
-  const [value, setValue] = useState(() => {
-    try {
-      const item = localStorage.getItem(`selah_${key}`);
-      return item ? JSON.parse(item) : defaultValue;
-    } catch (error) {
-      console.error(`Error reading localStorage key "${key}":`, error);
-      return defaultValue;
-    }
-  });
+  // Initialize state with the stored value or default (read errors are reported by the storage layer)
+  const [value, setValue] = useState(() => load(key, defaultValue));
 
-  // Update localStorage when value changes
+  useCrossTabSync(key, setValue);
+
+  // Persist when value changes
   useEffect(() => {
-    try {
-      localStorage.setItem(`selah_${key}`, JSON.stringify(value));
-    } catch (error) {
-      console.error(`Error setting localStorage key "${key}":`, error);
-    }
+    save(key, value);
   }, [key, value]);
 
   return [value, setValue];
@@ -0,0 +1,144 @@
+/**
+ * useServerSync Hook
+ *
+ * Syncs tasks, habits, schedule and journal with a self-hosted sync server
+ * (server/README.md) using utils/syncClient.js
+ *
+ * Features:
+ * - Syncs a few seconds after local changes, every couple of minutes while
+ *   the tab is visible, and when the tab regains focus or comes back online
+ * - Pulled changes are merged into state three-way, so edits made while a
+ *   sync was in flight are kept and pushed on the next round
+ * - Journal collections are skipped while the journal vault is on
+ * - One tab syncs at a time (Web Locks, where available)
+ *
+ * @param {Object} options
+ * @param {Object} options.values - Current values by state key (tasks, habits, schedEvents, prayers, gratitudeEntries, reflectionHistory)
+ * @param {Object} options.setters - Matching state setters by key
+ * @param {boolean} options.skipJournal - Leave journal collections out
+ * @returns {{config: Object|null, status: string, lastSyncedAt: number|null, error: string|null, connect: function, disconnect: function, syncNow: function}}
+ *
+ * @example
+ * const sync = useServerSync({
+ *   values: { tasks, habits, schedEvents, prayers, gratitudeEntries, reflectionHistory },
+ *   setters: { tasks: setTasks, habits: setHabits, ... },
+ *   skipJournal: vault.enabled
+ * });
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { load, save } from '../utils/helpers';
+import { removeItem } from '../utils/storage';
+import { mergeThreeWay } from '../utils/merge';
+import { SYNC_COLLECTIONS, JOURNAL_COLLECTIONS } from '../utils/syncProtocol';
+import { createSyncTransport, syncOnce } from '../utils/syncClient';
+import { useCrossTabSync } from './useCrossTabSync';
+
+const CHANGE_DELAY_MS = 5000;
+const INTERVAL_MS = 2 * 60 * 1000;
+const LOCK_NAME = 'selah-server-sync';
+
+const withLock = (task) =>
+  navigator.locks ? navigator.locks.request(LOCK_NAME, task) : task();
+
+export const useServerSync = ({ values, setters, skipJournal }) => {
+  const [config, setConfig] = useState(() => load('syncConfig', null));
+  const [status, setStatus] = useState('idle');
+  const [lastSyncedAt, setLastSyncedAt] = useState(() => load('syncState', null)?.lastSyncedAt ?? null);
+  const [error, setError] = useState(null);
+  const { tasks, habits, schedEvents, prayers, gratitudeEntries, reflectionHistory } = values;
+
+  const valuesRef = useRef(values);
+  const settersRef = useRef(setters);
+  const runningRef = useRef(false);
+  useEffect(() => {
+    valuesRef.current = values;
+    settersRef.current = setters;
+  });
+
+  useCrossTabSync('syncConfig', setConfig);
+
+  const syncNow = useCallback(async () => {
+    if (!config?.url || runningRef.current) return;
+    runningRef.current = true;
+    setStatus('syncing');
+    setError(null);
+    const collections = SYNC_COLLECTIONS.filter((c) => !(skipJournal && JOURNAL_COLLECTIONS.includes(c)));
+    try {
+      await withLock(async () => {
+        const start = valuesRef.current;
+        const result = await syncOnce({
+          transport: createSyncTransport(config),
+          // Read fresh: another tab may have synced since
+          syncState: load('syncState', null),
+          state: start,
+          collections,
+        });
+        const syncedAt = Date.now();
+        save('syncState', { ...result.syncState, lastSyncedAt: syncedAt });
+        result.changedKeys.forEach((key) =>
+          settersRef.current[key]((prev) => mergeThreeWay(start[key], prev, result.state[key], true))
+        );
+        setLastSyncedAt(syncedAt);
+      });
+      setStatus('idle');
+    } catch (e) {
+      setError(e.message);
+      setStatus('error');
+    }
+    runningRef.current = false;
+  }, [config, skipJournal]);
+
+  // Shortly after local changes (and once on load)
+  useEffect(() => {
+    if (!config?.url) return;
+    const timer = setTimeout(syncNow, CHANGE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [config, syncNow, tasks, habits, schedEvents, prayers, gratitudeEntries, reflectionHistory]);
+
+  // Periodically, and on focus / reconnect
+  useEffect(() => {
+    if (!config?.url) return;
+    const runIfVisible = () => {
+      if (document.visibilityState === 'visible') syncNow();
+    };
+    const interval = setInterval(runIfVisible, INTERVAL_MS);
+    window.addEventListener('focus', runIfVisible);
+    window.addEventListener('online', syncNow);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('focus', runIfVisible);
+      window.removeEventListener('online', syncNow);
+    };
+  }, [config, syncNow]);
+
+  /**
+   * Checks the server and starts syncing with it; a new server starts from a
+   * fresh sync state
+   */
+  const connect = useCallback(async ({ url, token }) => {
+    const next = { url: url.trim().replace(/\/+$/, ''), token: token.trim() };
+    new URL(next.url); // throws on a malformed address
+    await createSyncTransport(next).health();
+    if (next.url !== config?.url) removeItem('syncState');
+    save('syncConfig', next);
+    setConfig(next);
+    setLastSyncedAt(null);
+    setError(null);
+    setStatus('idle');
+  }, [config]);
+
+  /** Stops syncing; local data stays as it is */
+  const disconnect = useCallback(() => {
+    removeItem('syncConfig');
+    removeItem('syncState');
+    setConfig(null);
+    setLastSyncedAt(null);
+    setError(null);
+    setStatus('idle');
+  }, []);
+
+  return { config, status, lastSyncedAt, error, connect, disconnect, syncNow };
+};
+
+export default useServerSync;
@@ -0,0 +1,47 @@
+/**
+ * useStorageHealth Hook
+ *
+ * Tracks saves that are failing (storage full or unavailable) so the app can
+ * warn instead of letting work silently go unsaved
+ *
+ * Features:
+ * - Live list of keys whose last write failed, cleared as writes succeed
+ * - Dismissing hides the warning until another key starts failing
+ * - Retry re-writes every failing key, e.g. after pruning
+ *
+ * @returns {{failing: Array<{key: string, message: string}>, showAlert: boolean, dismiss: function, retry: function}}
+ *
+ * @example
+ * const storageHealth = useStorageHealth();
+ * {storageHealth.showAlert && <StorageAlert failing={storageHealth.failing} ... />}
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getFailingWrites, onWriteHealthChange, retryFailedWrites } from '../utils/storage';
+
+export const useStorageHealth = () => {
+  const [failing, setFailing] = useState(getFailingWrites);
+  const [dismissed, setDismissed] = useState([]);
+
+  useEffect(
+    () =>
+      onWriteHealthChange((next) => {
+        setFailing(next);
+        // A key that recovers and fails again should warn again
+        setDismissed((keys) => keys.filter((key) => next.some((f) => f.key === key)));
+      }),
+    []
+  );
+
+  const dismiss = useCallback(() => setDismissed(getFailingWrites().map(({ key }) => key)), []);
+  const retry = useCallback(() => retryFailedWrites(), []);
+
+  return {
+    failing,
+    showAlert: failing.some(({ key }) => !dismissed.includes(key)),
+    dismiss,
+    retry,
+  };
+};
+
+export default useStorageHealth;
@@ -0,0 +1,141 @@
+/**
+ * useTimerSync Hook
+ *
+ * Keeps the focus timer owned by a single tab when several are open
+ *
+ * The tab that starts the timer claims it and broadcasts each tick; any other
+ * tab that was running yields, then mirrors the owner's remaining time. Pausing
+ * from a mirroring tab asks the owner to pause, and closing the owner's tab
+ * releases the timer at its current time. An owner that stops ticking without
+ * releasing (crashed, suspended, killed) is let go after a few seconds, so
+ * this tab can start the timer itself.
+ *
+ * @param {Object} options
+ * @param {boolean} options.running - Whether this tab's countdown is running
+ * @param {number} options.time - Remaining seconds
+ * @param {function} options.setRunning - Timer running state setter
+ * @param {function} options.setTime - Remaining time setter
+ * @returns {{runningElsewhere: boolean, pauseElsewhere: function}}
+ *
+ * @example
+ * const { runningElsewhere, pauseElsewhere } = useTimerSync({ running, time, setRunning, setTime });
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const CHANNEL_NAME = 'selah-rhythm-timer';
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const OWNER_TIMEOUT_MS = 5000;
+
+export const useTimerSync = ({ running, time, setRunning, setTime }) => {
+  const [ownerTab, setOwnerTab] = useState(null);
+  const channelRef = useRef(null);
+  const claimedAtRef = useRef(0);
+  const timeRef = useRef(time);
+  const runningRef = useRef(running);
+  const yieldingRef = useRef(false);
+  const heardAtRef = useRef(0);
+
+  useEffect(() => {
+    timeRef.current = time;
+    runningRef.current = running;
+  }, [time, running]);
+
+  const post = useCallback((message) => {
+    channelRef.current?.postMessage({ ...message, from: TAB_ID });
+  }, []);
+
+  // Listen for other tabs' timers
+  useEffect(() => {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channelRef.current = channel;
+
+    channel.onmessage = ({ data }) => {
+      if (!data || data.from === TAB_ID) return;
+      switch (data.type) {
+        case 'claim':
+          // Newest start wins; the earlier tab hands over
+          if (runningRef.current && data.at < claimedAtRef.current) return;
+          if (runningRef.current) {
+            yieldingRef.current = true;
+            setRunning(false);
+            post({ type: 'yield' });
+          }
+          heardAtRef.current = Date.now();
+          setOwnerTab(data.from);
+          setTime(data.time);
+          break;
+        case 'tick':
+          if (runningRef.current) return;
+          heardAtRef.current = Date.now();
+          setOwnerTab(data.from);
+          setTime(data.time);
+          break;
+        case 'release':
+          if (runningRef.current) return;
+          setOwnerTab((owner) => (owner === data.from ? null : owner));
+          setTime(data.time);
+          break;
+        case 'yield':
+          setOwnerTab((owner) => (owner === data.from ? null : owner));
+          break;
+        case 'pause':
+          if (data.owner === TAB_ID && runningRef.current) setRunning(false);
+          break;
+        default:
+          break;
+      }
+    };
+
+    const release = () => {
+      if (runningRef.current) post({ type: 'release', time: timeRef.current });
+    };
+    window.addEventListener('pagehide', release);
+    return () => {
+      window.removeEventListener('pagehide', release);
+      channel.close();
+      channelRef.current = null;
+    };
+  }, [post, setRunning, setTime]);
+
+  // Claim on start, release on pause
+  const wasRunningRef = useRef(running);
+  useEffect(() => {
+    if (running === wasRunningRef.current) return;
+    wasRunningRef.current = running;
+    if (running) {
+      claimedAtRef.current = Date.now();
+      post({ type: 'claim', at: claimedAtRef.current, time: timeRef.current });
+    } else if (yieldingRef.current) {
+      // Handed over to another tab's claim; it already owns the time
+      yieldingRef.current = false;
+    } else {
+      post({ type: 'release', time: timeRef.current });
+    }
+  }, [running, post]);
+
+  // Let go of an owner that has gone quiet
+  useEffect(() => {
+    if (ownerTab === null) return;
+    const check = setInterval(() => {
+      if (Date.now() - heardAtRef.current > OWNER_TIMEOUT_MS) {
+        setOwnerTab((owner) => (owner === ownerTab ? null : owner));
+      }
+    }, 1000);
+    return () => clearInterval(check);
+  }, [ownerTab]);
+
+  // Mirror each tick to the other tabs
+  useEffect(() => {
+    if (running) post({ type: 'tick', time });
+  }, [running, time, post]);
+
+  const pauseElsewhere = useCallback(() => {
+    if (ownerTab) post({ type: 'pause', owner: ownerTab });
+  }, [ownerTab, post]);
+
+  return { runningElsewhere: !running && ownerTab !== null, pauseElsewhere };
+};
+
+export default useTimerSync;
@@ -0,0 +1,187 @@
+/**
+ * useUndoHistory Hook
+ *
+ * App-wide undo/redo for tasks, habits, anchors, projects, schedule blocks, prayers
+ * and weekly reflections
+ *
+ * Each change made through apply() (or a tracked setter) is recorded with the
+ * values it replaced. Undo doesn't restore a snapshot: it merges the inverse
+ * of that one change into current state (utils/merge.js), so anything changed
+ * since - in another tab, on another device or by the rollover - is kept.
+ *
+ * Features:
+ * - Up to 100 steps, redo until the next new change
+ * - Quick repeats of the same change (typing, nudging) collapse into one step
+ * - batch() records several changes (a bulk edit) as one step
+ * - Completions and deletions raise an undo toast; so does every undo/redo
+ * - Tracked setters for components that update a collection directly; they
+ *   name the change, and treat dropping items as a deletion
+ *
+ * @param {Object} options
+ * @param {Object} options.values - Current {tasks, habits, anchors, projects, schedEvents, prayers, weeklyReflections}
+ * @param {Object} options.setters - Matching state setters by key
+ * @returns {{apply: function, batch: function, tracked: Object, undo: function, redo: function, canUndo: boolean, canRedo: boolean, toast: Object|null, dismissToast: function}}
+ *
+ * @example
+ * const history = useUndoHistory({ values: { tasks, ... }, setters: { tasks: setTasks, ... } });
+ * const delTask = (id, list) =>
+ *   history.apply('Task deleted', { tasks: (p) => ({ ...p, [list]: p[list].filter((t) => t.id !== id) }) }, { toast: 'deleted' });
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { mergeThreeWay } from '../utils/merge';
+
+const MAX_STEPS = 100;
+const COALESCE_MS = 1500;
+
+// Names used by tracked setters: [one, many]
+const ITEM_NAMES = {
+  tasks: ['Task', 'tasks'],
+  habits: ['Habit', 'habits'],
+  anchors: ['Anchor', 'anchors'],
+  projects: ['Project', 'projects'],
+  schedEvents: ['Schedule block', 'schedule blocks'],
+  prayers: ['Prayer', 'prayers'],
+};
+
+const idsOf = (value) => (Array.isArray(value) ? value.map((item) => item?.id) : []);
+
+const countRemoved = (prev, next) => {
+  const kept = new Set(idsOf(next));
+  return idsOf(prev).filter((id) => id != null && !kept.has(id)).length;
+};
+
+const sameKeys = (a, b) => Object.keys(a).sort().join() === Object.keys(b).sort().join();
+
+export const useUndoHistory = ({ values, setters }) => {
+  const [counts, setCounts] = useState({ undo: 0, redo: 0 });
+  const [toast, setToast] = useState(null);
+
+  const latestRef = useRef(values);
+  const settersRef = useRef(setters);
+  const undoRef = useRef([]);
+  const redoRef = useRef([]);
+  const nextIdRef = useRef(1);
+  const batchRef = useRef(null);
+  useEffect(() => {
+    latestRef.current = values;
+    settersRef.current = setters;
+  });
+
+  const updateCounts = useCallback(() => {
+    setCounts({ undo: undoRef.current.length, redo: redoRef.current.length });
+  }, []);
+
+  // Adds a change to the stack, or folds it into the top entry
+  const record = useCallback((label, before, after, options = {}) => {
+    const now = Date.now();
+    const top = undoRef.current[undoRef.current.length - 1];
+    if (top && !options.toast && top.label === label && now - top.at < COALESCE_MS && sameKeys(top.after, after)) {
+      undoRef.current = [...undoRef.current.slice(0, -1), { ...top, after, at: now }];
+    } else {
+      const entry = { id: nextIdRef.current++, label, before, after, at: now };
+      undoRef.current = [...undoRef.current, entry].slice(-MAX_STEPS);
+    }
+    redoRef.current = [];
+    const id = undoRef.current[undoRef.current.length - 1].id;
+    setToast(options.toast ? { id, label, kind: options.toast } : null);
+    updateCounts();
+  }, [updateCounts]);
+
+  /**
+   * Applies and records a change
+   * @param {string} label - What happened, e.g. "Task deleted"
+   * @param {Object} updates - New value or updater function by state key
+   * @param {Object} [options]
+   * @param {'completed'|'deleted'} [options.toast] - Offer undo in a toast
+   */
+  const apply = useCallback((label, updates, options = {}) => {
+    const before = {};
+    const after = {};
+    Object.entries(updates).forEach(([key, update]) => {
+      const prev = latestRef.current[key];
+      const next = typeof update === 'function' ? update(prev) : update;
+      if (next === prev) return;
+      before[key] = prev;
+      after[key] = next;
+      // Later changes in the same event build on this one
+      latestRef.current = { ...latestRef.current, [key]: next };
+      settersRef.current[key](next);
+    });
+    if (Object.keys(after).length === 0) return;
+
+    const batch = batchRef.current;
+    if (batch) {
+      Object.keys(after).forEach((key) => {
+        if (!(key in batch.before)) batch.before[key] = before[key];
+        batch.after[key] = after[key];
+      });
+      return;
+    }
+    record(label, before, after, options);
+  }, [record]);
+
+  /**
+   * Runs several changes as one undo step; the changes' own labels and
+   * toasts give way to the batch's
+   * @param {string} label - What happened, e.g. "3 tasks moved"
+   * @param {function} run - Makes the changes through apply()
+   * @param {Object} [options] - As for apply()
+   */
+  const batch = useCallback((label, run, options = {}) => {
+    if (batchRef.current) {
+      run();
+      return;
+    }
+    const changes = { before: {}, after: {} };
+    batchRef.current = changes;
+    try {
+      run();
+    } finally {
+      batchRef.current = null;
+    }
+    if (Object.keys(changes.after).length > 0) record(label, changes.before, changes.after, options);
+  }, [record]);
+
+  // Moves the newest entry of one stack onto the other, merging `from` -> `to`
+  const step = useCallback((fromRef, toRef, from, to, kind) => {
+    const entry = fromRef.current[fromRef.current.length - 1];
+    if (!entry) return;
+    fromRef.current = fromRef.current.slice(0, -1);
+    toRef.current = [...toRef.current, entry];
+    Object.keys(entry.after).forEach((key) =>
+      settersRef.current[key]((prev) => mergeThreeWay(entry[from][key], prev, entry[to][key], true))
+    );
+    setToast({ id: nextIdRef.current++, label: entry.label, kind });
+    updateCounts();
+  }, [updateCounts]);
+
+  const undo = useCallback(() => step(undoRef, redoRef, 'after', 'before', 'undone'), [step]);
+  const redo = useCallback(() => step(redoRef, undoRef, 'before', 'after', 'redone'), [step]);
+  const dismissToast = useCallback(() => setToast(null), []);
+
+  // Drop-in setters for components that manage a collection themselves
+  const tracked = useMemo(() => Object.fromEntries(
+    Object.entries(ITEM_NAMES).map(([key, [one, many]]) => [key, (update) => {
+      const prev = latestRef.current[key];
+      const next = typeof update === 'function' ? update(prev) : update;
+      const removed = countRemoved(prev, next);
+      if (removed === 0) apply(`${one} updated`, { [key]: next });
+      else apply(removed === 1 ? `${one} deleted` : `${removed} ${many} deleted`, { [key]: next }, { toast: 'deleted' });
+    }])
+  ), [apply]);
+
+  return {
+    apply,
+    batch,
+    tracked,
+    undo,
+    redo,
+    canUndo: counts.undo > 0,
+    canRedo: counts.redo > 0,
+    toast,
+    dismissToast,
+  };
+};
+
+export default useUndoHistory;
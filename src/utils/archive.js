@@ -0,0 +1,109 @@
+/**
+ * SELAH RHYTHM - Completed Archive
+ * v0.9.45
+ *
+ * Search and filtering for the completed-task archive (tasks.completed).
+ * The archive keeps every completion; with IndexedDB each entry is its own
+ * record (see indexedDbStore.js), so its size doesn't slow down saves.
+ */
+
+import { getLogicalDayKey } from './dateHelpers';
+
+export const FOCUS_FILTERS = [
+  { value: 'any', label: 'Any focus time' },
+  { value: 'none', label: 'No focus time' },
+  { value: '15', label: '15m or more' },
+  { value: '30', label: '30m or more' },
+  { value: '60', label: '1h or more' },
+  { value: '120', label: '2h or more' },
+];
+
+export const EMPTY_ARCHIVE_FILTERS = {
+  query: '',
+  cat: 'all',
+  list: 'all',
+  from: '',
+  to: '',
+  focus: 'any',
+};
+
+/**
+ * Logical day key a completed task belongs to
+ * @param {Object} task
+ * @param {number} [dayStartHour=0] - Hour the user's day starts
+ * @returns {string|null}
+ */
+export const getCompletedDay = (task, dayStartHour = 0) => {
+  const date = task.completedAt ? new Date(task.completedAt) : null;
+  return date && !Number.isNaN(date.getTime()) ? getLogicalDayKey(date, dayStartHour) : null;
+};
+
+const matchesFocus = (minutes, focus) => {
+  if (focus === 'any') return true;
+  if (focus === 'none') return minutes === 0;
+  return minutes >= Number(focus);
+};
+
+/**
+ * Filters the archive
+ * @param {Array} completed - tasks.completed, newest first
+ * @param {Object} filters - Shape of EMPTY_ARCHIVE_FILTERS; from/to are inclusive day keys
+ * @param {number} [dayStartHour=0] - Hour the user's day starts
+ * @returns {Array} Matching tasks, in archive order
+ */
+export const filterArchive = (completed, filters, dayStartHour = 0) => {
+  const words = filters.query.toLowerCase().split(/\s+/).filter(Boolean);
+  return completed.filter((task) => {
+    const text = `${task.text || ''}\n${task.notes || ''}`.toLowerCase();
+    if (!words.every((word) => text.includes(word))) return false;
+    if (filters.cat !== 'all' && (task.cat || 'none') !== filters.cat) return false;
+    if (filters.list !== 'all' && task.fromList !== filters.list) return false;
+    if (!matchesFocus(task.totalFocusMinutes || 0, filters.focus)) return false;
+    if (filters.from || filters.to) {
+      const day = getCompletedDay(task, dayStartHour);
+      if (!day) return false;
+      if (filters.from && day < filters.from) return false;
+      if (filters.to && day > filters.to) return false;
+    }
+    return true;
+  });
+};
+
+/** Whether any filter differs from EMPTY_ARCHIVE_FILTERS */
+export const hasArchiveFilters = (filters) =>
+  Object.keys(EMPTY_ARCHIVE_FILTERS).some((key) => filters[key] !== EMPTY_ARCHIVE_FILTERS[key]);
+
+/**
+ * Identifies one archive entry; the same task can be completed more than once
+ * @param {Object} task
+ * @returns {string}
+ */
+export const archiveEntryKey = (task) => `${task.id}@${task.completedAt || ''}`;
+
+/**
+ * Plain-text (Markdown) export of archive entries, by completion day, with
+ * each task's notes indented underneath
+ * @param {Array} tasks - Entries to export, newest first
+ * @param {Array} categories - Task categories, for names
+ * @param {number} [dayStartHour=0] - Hour the user's day starts
+ * @returns {string}
+ */
+export const archiveToText = (tasks, categories, dayStartHour = 0) => {
+  const lines = ['# Completed tasks', ''];
+  let day = null;
+  tasks.forEach((task) => {
+    const taskDay = getCompletedDay(task, dayStartHour) || 'Unknown';
+    if (taskDay !== day) {
+      if (day !== null) lines.push('');
+      lines.push(`## ${taskDay}`, '');
+      day = taskDay;
+    }
+    const cat = categories.find((c) => c.id === task.cat && c.id !== 'none');
+    const details = [cat?.n, task.totalFocusMinutes ? `${task.totalFocusMinutes}m focused` : null].filter(Boolean);
+    lines.push(`- [x] ${task.text}${details.length ? ` (${details.join(', ')})` : ''}`);
+    (task.notes || '').split('\n').forEach((line) => {
+      if (line.trim()) lines.push(`    ${line}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+};
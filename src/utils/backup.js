@@ -0,0 +1,254 @@
+/**
+ * SELAH RHYTHM - Backup & Restore
+ * v0.9.45
+ *
+ * Builds a single versioned JSON file of everything a person has entered and
+ * restores it again, either replacing the current planner or merging into it.
+ * Merging matches items by id (dates for reflection history); when both sides
+ * have the same item, the backup's copy wins.
+ */
+
+import { SCHEMA_VERSION, STORAGE_PREFIX, migrateSnapshot } from './storage';
+
+export const BACKUP_FORMAT = 'selah-rhythm-backup';
+export const BACKUP_VERSION = 1;
+
+const TASK_LISTS = ['primary', 'today', 'thisWeek', 'later', 'completed'];
+
+/**
+ * Everything included in a backup, in display order.
+ * kind: 'lists' (tasks by list), 'array' (items with ids), 'map' (keyed object), 'object' (settings-like)
+ */
+export const BACKUP_SECTIONS = [
+  { key: 'tasks', label: 'Tasks', kind: 'lists' },
+  { key: 'taskCategories', label: 'Categories', kind: 'array' },
+  { key: 'habits', label: 'Habits', kind: 'array' },
+  { key: 'anchors', label: 'Anchors', kind: 'array' },
+  { key: 'projects', label: 'Projects', kind: 'array' },
+  { key: 'schedEvents', label: 'Schedule events', kind: 'array' },
+  { key: 'prayers', label: 'Prayers', kind: 'array' },
+  { key: 'gratitudeEntries', label: 'Gratitude entries', kind: 'array' },
+  { key: 'reflectionHistory', label: 'Reflection history', kind: 'map' },
+  { key: 'weeklyReflections', label: 'Weekly reflections', kind: 'array' },
+  { key: 'settings', label: 'Settings', kind: 'object' },
+  { key: 'profile', label: 'Profile', kind: 'object' },
+];
+
+// Weekly reflections predate ids and are identified by their timestamp
+const itemKey = (item) => String(item?.id ?? item?.date ?? JSON.stringify(item));
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/**
+ * Wraps the current data in a versioned backup envelope
+ * @param {Object} data - Current values keyed by section key
+ * @returns {Object} Backup ready for JSON.stringify
+ */
+export const createBackup = (data) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  data: Object.fromEntries(
+    BACKUP_SECTIONS
+      .filter(({ key }) => data[key] !== undefined)
+      .map(({ key }) => [key, data[key]])
+  ),
+});
+
+/**
+ * Checks that a parsed file is a backup this build can restore
+ * @param {*} backup - Parsed JSON
+ * @returns {string[]} Problems found; empty when valid
+ */
+export const validateBackup = (backup) => {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ['This file is not a Selah Rhythm backup.'];
+  }
+  if (typeof backup.version !== 'number' || backup.version > BACKUP_VERSION) {
+    return [`This backup was made by a newer version of Selah Rhythm (format v${backup.version}).`];
+  }
+  if (typeof backup.schemaVersion === 'number' && backup.schemaVersion > SCHEMA_VERSION) {
+    return [`This backup uses a newer data format (v${backup.schemaVersion}) than this version understands.`];
+  }
+  if (!isPlainObject(backup.data)) return ['The backup contains no data.'];
+
+  const errors = [];
+  BACKUP_SECTIONS.forEach(({ key, label, kind }) => {
+    const value = backup.data[key];
+    if (value === undefined) return;
+    if (kind === 'array' && !Array.isArray(value)) errors.push(`${label} should be a list.`);
+    if ((kind === 'map' || kind === 'object') && !isPlainObject(value)) {
+      errors.push(`${label} should be an object.`);
+    }
+    if (kind === 'lists') {
+      if (!isPlainObject(value)) {
+        errors.push(`${label} should be grouped by list.`);
+      } else {
+        TASK_LISTS.forEach((list) => {
+          if (value[list] !== undefined && !Array.isArray(value[list])) {
+            errors.push(`${label} in "${list}" should be a list.`);
+          }
+        });
+      }
+    }
+  });
+  return errors;
+};
+
+// Bring data from an older build up to the current schema with the storage migrations
+const upgradeBackup = (backup) => {
+  const from = typeof backup.schemaVersion === 'number' ? backup.schemaVersion : 0;
+  if (from >= SCHEMA_VERSION) return backup;
+  const prefixed = Object.fromEntries(
+    Object.entries(backup.data).map(([key, value]) => [STORAGE_PREFIX + key, value])
+  );
+  const migrated = migrateSnapshot(prefixed, from);
+  return {
+    ...backup,
+    schemaVersion: SCHEMA_VERSION,
+    data: Object.fromEntries(
+      Object.entries(migrated).map(([key, value]) => [key.slice(STORAGE_PREFIX.length), value])
+    ),
+  };
+};
+
+/**
+ * Parses, validates and upgrades backup file contents
+ * @param {string} text - File contents
+ * @returns {{backup: Object|null, errors: string[]}}
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    return { backup: null, errors: ['The file is not valid JSON.'] };
+  }
+  const errors = validateBackup(backup);
+  if (errors.length) return { backup: null, errors };
+  try {
+    const upgraded = upgradeBackup(backup);
+    const upgradeErrors = validateBackup(upgraded);
+    return { backup: upgradeErrors.length ? null : upgraded, errors: upgradeErrors };
+  } catch (e) {
+    return { backup: null, errors: [e.message] };
+  }
+};
+
+// ============================================================================
+// MERGE
+// ============================================================================
+
+// Union by key keeping current order; incoming copies replace matching items
+const mergeArray = (current = [], incoming = []) => {
+  const byKey = new Map(incoming.map((item) => [itemKey(item), item]));
+  const merged = current.map((item) => {
+    const key = itemKey(item);
+    if (!byKey.has(key)) return item;
+    const next = byKey.get(key);
+    byKey.delete(key);
+    return next;
+  });
+  return [...merged, ...byKey.values()];
+};
+
+// Active lists share ids, so an incoming task moves to its backed-up list;
+// the completed archive is merged on its own
+const mergeTaskLists = (current = {}, incoming = {}) => {
+  const active = TASK_LISTS.filter((l) => l !== 'completed');
+  const incomingActive = new Set(
+    active.flatMap((l) => (incoming[l] || []).map(itemKey))
+  );
+  const result = { ...current };
+  active.forEach((list) => {
+    const own = (current[list] || []).filter((t) => {
+      const inSameList = (incoming[list] || []).some((i) => itemKey(i) === itemKey(t));
+      return inSameList || !incomingActive.has(itemKey(t));
+    });
+    result[list] = mergeArray(own, incoming[list]);
+  });
+  result.completed = mergeArray(current.completed, incoming.completed);
+  return result;
+};
+
+const mergeSection = (kind, current, incoming) => {
+  if (incoming === undefined) return current;
+  if (current === undefined) return incoming;
+  switch (kind) {
+    case 'lists': return mergeTaskLists(current, incoming);
+    case 'array': return mergeArray(current, incoming);
+    default: return { ...current, ...incoming };
+  }
+};
+
+/**
+ * Computes the data that restoring a backup would produce
+ * @param {Object} current - Current values keyed by section key
+ * @param {Object} backup - Validated backup
+ * @param {'replace'|'merge'} mode
+ * @returns {Object} New values for every section present in the backup
+ */
+export const applyBackup = (current, backup, mode) =>
+  Object.fromEntries(
+    BACKUP_SECTIONS
+      .filter(({ key }) => backup.data[key] !== undefined)
+      .map(({ key, kind }) => {
+        const value = mode === 'merge'
+          ? mergeSection(kind, current[key], backup.data[key])
+          : backup.data[key];
+        // Older backups may omit empty lists; the app expects all of them
+        return [key, kind === 'lists'
+          ? { ...Object.fromEntries(TASK_LISTS.map((l) => [l, []])), ...value }
+          : value];
+      })
+  );
+
+// ============================================================================
+// PREVIEW
+// ============================================================================
+
+// Flatten a section into key -> JSON so changes can be counted uniformly
+const sectionEntries = (kind, value) => {
+  const entries = new Map();
+  if (value === undefined || value === null) return entries;
+  if (kind === 'lists') {
+    // A task moved between active lists counts as updated, not removed and added
+    TASK_LISTS.forEach((list) =>
+      (value[list] || []).forEach((t) => {
+        const key = list === 'completed' ? `completed/${itemKey(t)}` : itemKey(t);
+        entries.set(key, JSON.stringify([list, t]));
+      })
+    );
+  } else if (kind === 'array') {
+    value.forEach((item) => entries.set(itemKey(item), JSON.stringify(item)));
+  } else {
+    Object.entries(value).forEach(([k, v]) => entries.set(k, JSON.stringify(v)));
+  }
+  return entries;
+};
+
+/**
+ * Summarizes what restoring would change, per section
+ * @param {Object} current - Current values keyed by section key
+ * @param {Object} backup - Validated backup
+ * @param {'replace'|'merge'} mode
+ * @returns {Array<{key: string, label: string, before: number, after: number, added: number, updated: number, removed: number}>}
+ */
+export const previewRestore = (current, backup, mode) => {
+  const next = applyBackup(current, backup, mode);
+  return BACKUP_SECTIONS
+    .filter(({ key }) => key in next)
+    .map(({ key, label, kind }) => {
+      const before = sectionEntries(kind, current[key]);
+      const after = sectionEntries(kind, next[key]);
+      let added = 0;
+      let updated = 0;
+      after.forEach((json, k) => {
+        if (!before.has(k)) added++;
+        else if (before.get(k) !== json) updated++;
+      });
+      const removed = [...before.keys()].filter((k) => !after.has(k)).length;
+      return { key, label, before: before.size, after: after.size, added, updated, removed };
+    });
+};
@@ -0,0 +1,143 @@
+/**
+ * SELAH RHYTHM - Estimate Calibration
+ * v0.9.45
+ *
+ * Compares a task's time estimate with the focus minutes the timer logged on
+ * it (totalFocusMinutes). Completed tasks that have both make up the
+ * calibration report, broken down by category and by size of estimate, and
+ * their typical ratio of actual to estimated time becomes a personal
+ * correction factor for planning.
+ *
+ * Only time focused with the timer linked to the task counts, so tasks
+ * finished without it are left out rather than counted as taking no time.
+ */
+
+import { LISTS } from '../data/constants';
+import { estimateMinutes } from './timeHelpers';
+
+// Fewest samples before a factor is suggested
+export const MIN_CALIBRATION_SAMPLES = 5;
+
+// Estimate sizes, by upper bound in minutes
+export const ESTIMATE_BUCKETS = [
+  { id: 'tiny', label: '5m or less', max: 5 },
+  { id: 'short', label: '6m to 15m', max: 15 },
+  { id: 'half', label: '16m to 30m', max: 30 },
+  { id: 'hour', label: '31m to 1h', max: 60 },
+  { id: 'long', label: '1h to 2h', max: 120 },
+  { id: 'deep', label: 'Over 2h', max: Infinity },
+];
+
+export const bucketOf = (minutes) => ESTIMATE_BUCKETS.find((b) => minutes <= b.max);
+
+/**
+ * Focus minutes on a task, counting a session still running on it
+ * @param {Object} task
+ * @param {number} [liveMinutes=0] - Minutes into the current session, when it's linked to this task
+ * @returns {number}
+ */
+export const spentMinutes = (task, liveMinutes = 0) => (task?.totalFocusMinutes || 0) + liveMinutes;
+
+/**
+ * Whether a task has taken longer than its estimate
+ * @param {Object} task
+ * @param {number} [liveMinutes=0]
+ * @returns {{spent: number, estimate: number}|null}
+ */
+export const overEstimate = (task, liveMinutes = 0) => {
+  const estimate = estimateMinutes(task?.time);
+  const spent = spentMinutes(task, liveMinutes);
+  return estimate > 0 && spent > estimate ? { spent, estimate } : null;
+};
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Totals for a group of samples
+ * @param {Array} samples - {estimate, actual}
+ * @returns {{count: number, estimated: number, actual: number, ratio: number, over: number}}
+ *   ratio is the median of actual / estimate
+ */
+const summarize = (samples) => ({
+  count: samples.length,
+  estimated: samples.reduce((sum, s) => sum + s.estimate, 0),
+  actual: samples.reduce((sum, s) => sum + s.actual, 0),
+  ratio: median(samples.map((s) => s.actual / s.estimate)),
+  over: samples.filter((s) => s.actual > s.estimate).length,
+});
+
+const groupBy = (samples, keyOf) => {
+  const groups = new Map();
+  samples.forEach((s) => {
+    const key = keyOf(s);
+    groups.set(key, [...(groups.get(key) || []), s]);
+  });
+  return groups;
+};
+
+/**
+ * Correction factor from a typical ratio, rounded to a tenth and kept sane
+ * @param {number} ratio
+ * @returns {number}
+ */
+export const toFactor = (ratio) => Math.min(4, Math.max(0.25, Math.round(ratio * 10) / 10));
+
+/**
+ * Minutes to plan for an estimate, with a correction factor
+ * @param {number} minutes
+ * @param {number|null} factor
+ * @returns {number}
+ */
+export const correctedMinutes = (minutes, factor) => Math.round(minutes * (factor || 1));
+
+/**
+ * The calibration report
+ * @param {Array} completed - tasks.completed
+ * @returns {{
+ *   overall: Object, factor: number|null,
+ *   byBucket: Array<{bucket: Object} & Object>, byCategory: Array<{cat: string} & Object>,
+ *   worst: Array<{task: Object, estimate: number, actual: number}>
+ * }} Group entries carry summarize() totals; factor is null with too few samples
+ */
+export const buildCalibrationReport = (completed = []) => {
+  const samples = completed
+    .map((task) => ({ task, estimate: estimateMinutes(task.time), actual: task.totalFocusMinutes || 0 }))
+    .filter((s) => s.estimate > 0 && s.actual > 0);
+
+  const overall = summarize(samples);
+  const byBucket = [...groupBy(samples, (s) => bucketOf(s.estimate).id)]
+    .map(([id, group]) => ({ bucket: ESTIMATE_BUCKETS.find((b) => b.id === id), ...summarize(group) }))
+    .sort((a, b) => ESTIMATE_BUCKETS.indexOf(a.bucket) - ESTIMATE_BUCKETS.indexOf(b.bucket));
+  const byCategory = [...groupBy(samples, (s) => s.task.cat || 'none')]
+    .map(([cat, group]) => ({ cat, ...summarize(group) }))
+    .sort((a, b) => b.count - a.count);
+  const worst = samples
+    .filter((s) => s.actual > s.estimate)
+    .sort((a, b) => b.actual / b.estimate - a.actual / a.estimate)
+    .slice(0, 5);
+
+  return {
+    overall,
+    factor: samples.length >= MIN_CALIBRATION_SAMPLES ? toFactor(overall.ratio) : null,
+    byBucket,
+    byCategory,
+    worst,
+  };
+};
+
+/**
+ * Estimated minutes of the open tasks in some lists
+ * @param {Object} tasks - Task lists
+ * @param {Array} [lists=['primary', 'today']]
+ * @returns {{minutes: number, count: number, unestimated: number}}
+ */
+export const plannedMinutes = (tasks, lists = ['primary', 'today']) => {
+  const open = lists.filter((l) => LISTS.includes(l)).flatMap((l) => (tasks[l] || []).filter((t) => !t.done));
+  const minutes = open.reduce((sum, t) => sum + estimateMinutes(t.time), 0);
+  return { minutes, count: open.length, unestimated: open.filter((t) => !estimateMinutes(t.time)).length };
+};
@@ -0,0 +1,72 @@
+/**
+ * SELAH RHYTHM - Date Helper Functions
+ * v0.9.45
+ *
+ * Local-calendar day keys (YYYY-MM-DD) shared by habits, streaks, the
+ * completed archive and the day rollover. Keys are always built from local
+ * date parts, never from toISOString(), which gives the UTC date and puts
+ * evening entries on tomorrow for anyone west of UTC.
+ */
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+/**
+ * Local calendar key of a moment
+ * @param {Date} [date=new Date()]
+ * @returns {string} YYYY-MM-DD
+ *
+ * @example
+ * toDayKey(new Date(2026, 9, 18, 23, 30)) // => '2026-10-18' in every timezone
+ */
+export const toDayKey = (date = new Date()) =>
+  `${date.getFullYear()}-${pad2(date.getMonth() + 1)}-${pad2(date.getDate())}`;
+
+/**
+ * Local midnight Date for a day key (new Date('YYYY-MM-DD') would parse as UTC)
+ * @param {string} dayKey
+ * @returns {Date}
+ */
+export const parseDayKey = (dayKey) => {
+  const [y, m, d] = dayKey.split('-').map(Number);
+  return new Date(y, m - 1, d);
+};
+
+/** Whether a value is a YYYY-MM-DD day key */
+export const isDayKey = (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v);
+
+/**
+ * Day key a number of calendar days away. Steps through local noon so a
+ * daylight saving change can never skip or repeat a day.
+ * @param {string} dayKey
+ * @param {number} days - Negative to go back
+ * @returns {string}
+ */
+export const addDays = (dayKey, days) => {
+  const d = parseDayKey(dayKey);
+  d.setHours(12);
+  d.setDate(d.getDate() + days);
+  return toDayKey(d);
+};
+
+/**
+ * Day key of the logical day a moment belongs to, where the day begins at
+ * dayStartHour instead of midnight
+ * @param {Date} [now=new Date()]
+ * @param {number} [dayStartHour=0] - Hour (0-23) at which a new day begins
+ * @returns {string}
+ */
+export const getLogicalDayKey = (now = new Date(), dayStartHour = 0) => {
+  const d = new Date(now.getTime());
+  if (d.getHours() < dayStartHour) d.setDate(d.getDate() - 1);
+  return toDayKey(d);
+};
+
+/**
+ * Whether a timestamp falls on the given logical day
+ * @param {string|null} iso - ISO timestamp
+ * @param {string} dayKey - Logical day key
+ * @param {number} [dayStartHour=0]
+ * @returns {boolean}
+ */
+export const isOnLogicalDay = (iso, dayKey, dayStartHour = 0) =>
+  !!iso && getLogicalDayKey(new Date(iso), dayStartHour) === dayKey;
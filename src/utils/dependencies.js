@@ -0,0 +1,98 @@
+/**
+ * SELAH RHYTHM - Task Dependencies
+ * v0.9.45
+ *
+ * A task can wait on others: task.blockedBy holds the ids of the tasks that
+ * have to be done first. It's blocked while any of them is still open in a
+ * list; blockers that are done, archived or deleted no longer count, so the
+ * ids never need cleaning up.
+ *
+ * Blocked tasks can't be linked to the timer. When the last blocker is
+ * completed, App brings the task up to Today (utils below find which).
+ * A blocker that would close a loop is refused.
+ */
+
+import { LISTS } from '../data/constants';
+
+/**
+ * Open tasks across the lists, with the list each is in
+ * @param {Object} tasks - Task lists
+ * @returns {Array} [{...task, list}]
+ */
+export const openTasks = (tasks) =>
+  LISTS.flatMap((list) => (tasks[list] || []).filter((t) => !t.done).map((t) => ({ ...t, list })));
+
+/**
+ * The blockers a task is still waiting on
+ * @param {Object} task
+ * @param {Array} open - openTasks(tasks)
+ * @returns {Array} Open blocker tasks, in blockedBy order
+ */
+export const openBlockers = (task, open) => {
+  const ids = task?.blockedBy || [];
+  if (ids.length === 0) return [];
+  return ids.map((id) => open.find((t) => t.id === id)).filter(Boolean);
+};
+
+/**
+ * Ids of open tasks that are blocked
+ * @param {Object} tasks - Task lists
+ * @returns {Set<string>}
+ */
+export const blockedIds = (tasks) => {
+  const open = openTasks(tasks);
+  return new Set(open.filter((t) => openBlockers(t, open).length > 0).map((t) => t.id));
+};
+
+/**
+ * The loop that making `id` wait on `blockerId` would close
+ * @param {Object} tasks - Task lists
+ * @param {string} id
+ * @param {string} blockerId
+ * @returns {Array|null} Tasks from the blocker round to `id`, each waiting on the
+ *   next, or null when there's no loop
+ */
+export const findCycle = (tasks, id, blockerId) => {
+  const all = LISTS.flatMap((list) => tasks[list] || []);
+  const byId = new Map(all.map((t) => [t.id, t]));
+  const seen = new Set();
+
+  const walk = (from) => {
+    if (from === id) return [byId.get(id)];
+    if (seen.has(from) || !byId.has(from)) return null;
+    seen.add(from);
+    for (const next of byId.get(from).blockedBy || []) {
+      const path = walk(next);
+      if (path) return [byId.get(from), ...path];
+    }
+    return null;
+  };
+
+  return walk(blockerId);
+};
+
+/**
+ * Why a blocker would close a loop, in words
+ * @param {Array} cycle - findCycle() result
+ * @returns {string}
+ */
+export const describeCycle = (cycle) => {
+  const names = cycle.map((t) => `"${t.text}"`);
+  const self = names[names.length - 1];
+  if (cycle.length === 1) return `${self} can't wait on itself.`;
+  return `${self} can't wait on ${names[0]}: ${names[0]} already waits on ${names.slice(1).join(', which waits on ')}.`;
+};
+
+/**
+ * Tasks whose last open blocker is `doneId`
+ * @param {Object} tasks - Task lists, before `doneId` is marked done
+ * @param {string} doneId
+ * @returns {Array} [{...task, list}]
+ */
+export const unblockedBy = (tasks, doneId) => {
+  const open = openTasks(tasks);
+  return open.filter((t) => {
+    const blockers = openBlockers(t, open);
+    return blockers.length === 1 && blockers[0].id === doneId;
+  });
+};
@@ -0,0 +1,81 @@
+/**
+ * SELAH RHYTHM - Due Dates and Snooze
+ * v0.9.45
+ *
+ * Optional dates on tasks, both day keys: `due` (when it should be done) and
+ * `snoozeUntil` (keep it out of Today until then). The rollover (rollover.js)
+ * promotes dated tasks toward Today as their day arrives; overdue tasks are
+ * flagged where they're shown rather than moved.
+ */
+
+import { addDays, parseDayKey } from './dateHelpers';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * List a task dated for a day belongs in, seen from today: that day or
+ * earlier in Today, within the next week in This Week, otherwise Later
+ * @param {string} day
+ * @param {string} today
+ * @returns {'today'|'thisWeek'|'later'}
+ */
+export const listForDue = (day, today) => {
+  if (day <= today) return 'today';
+  if (day <= addDays(today, 6)) return 'thisWeek';
+  return 'later';
+};
+
+/**
+ * Day key of the next given weekday strictly after today
+ * @param {string} today
+ * @param {number} weekday - 0 = Sunday
+ * @returns {string}
+ */
+export const nextWeekday = (today, weekday) => {
+  const diff = (weekday - parseDayKey(today).getDay() + 7) % 7 || 7;
+  return addDays(today, diff);
+};
+
+/**
+ * Quick choices for the reschedule menu
+ * @param {string} today
+ * @returns {Array<{label: string, day: string}>}
+ */
+export const getDateChoices = (today) => [
+  { label: 'Today', day: today },
+  { label: 'Tomorrow', day: addDays(today, 1) },
+  { label: 'Next Monday', day: nextWeekday(today, 1) },
+  { label: 'In a week', day: addDays(today, 7) },
+];
+
+/**
+ * Short, relative label for a day, e.g. "Tomorrow", "Fri", "Oct 26"
+ * @param {string} day
+ * @param {string} today
+ * @returns {string}
+ */
+export const fmtDueDay = (day, today) => {
+  if (day === today) return 'Today';
+  if (day === addDays(today, 1)) return 'Tomorrow';
+  if (day === addDays(today, -1)) return 'Yesterday';
+  const date = parseDayKey(day);
+  if (day > today && day <= addDays(today, 6)) return WEEKDAYS[date.getDay()];
+  const label = `${MONTHS[date.getMonth()]} ${date.getDate()}`;
+  return date.getFullYear() === parseDayKey(today).getFullYear() ? label : `${label}, ${date.getFullYear()}`;
+};
+
+/**
+ * Where a task stands against its due date
+ * @param {Object} task
+ * @param {string} today
+ * @returns {'overdue'|'today'|'upcoming'|null}
+ */
+export const getDueStatus = (task, today) => {
+  if (!task.due || task.done) return null;
+  if (task.due < today) return 'overdue';
+  return task.due === today ? 'today' : 'upcoming';
+};
+
+/** Whether a task is snoozed past today */
+export const isSnoozed = (task, today) => !!task.snoozeUntil && task.snoozeUntil > today;
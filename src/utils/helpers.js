@@ -3,6 +3,9 @@
  * v0.9.45
  */
 
+import { readItem, writeItem } from './storage';
+import { getLogicalDayKey } from './dateHelpers';
+
 export const genId = () => Math.random().toString(36).slice(2, 9);
 
 export const fmtTime = (s) => {
@@ -46,28 +49,31 @@ export const getToday = () => {
   return { day: days[d.getDay()], shortDay: days[d.getDay()], date: d.getDate(), shortMonth: months[d.getMonth()] };
 };
 
-export const load = (k, d) => {
-  try {
-    const v = localStorage.getItem("selah_" + k);
-    return v ? JSON.parse(v) : d;
-  } catch (e) {
-    console.error('[SelahDaily Error] localStorage.getItem failed:', k, e);
-    return d;
-  }
-};
+/**
+ * Read a persisted value through the versioned storage layer
+ * @param {string} k - Key without the selah_ prefix
+ * @param {*} d - Default when missing or unreadable (failures are reported, not swallowed)
+ */
+export const load = (k, d) => readItem(k, d);
 
-export const save = (k, v) => {
-  try {
-    localStorage.setItem("selah_" + k, JSON.stringify(v));
-  } catch (e) {
-    console.error('[SelahDaily Error] localStorage.setItem failed:', k, e);
-  }
-};
+/**
+ * Persist a value through the versioned storage layer
+ * @param {string} k - Key without the selah_ prefix
+ * @param {*} v - JSON-serializable value
+ * @returns {boolean} Whether the write succeeded
+ */
+export const save = (k, v) => writeItem(k, v);
 
-export const groupByDate = (tasks) => {
+/**
+ * Group tasks by the logical day they were completed on
+ * @param {Array} tasks
+ * @param {number} [dayStartHour=0] - Hour the user's day starts
+ * @returns {Object<string, Array>} Tasks by day key (YYYY-MM-DD), or "Unknown"
+ */
+export const groupByDate = (tasks, dayStartHour = 0) => {
   const groups = {};
   tasks.forEach(t => {
-    const d = t.completedAt ? fmtDateFull(t.completedAt) : "Unknown";
+    const d = t.completedAt ? getLogicalDayKey(new Date(t.completedAt), dayStartHour) : "Unknown";
     if (!groups[d]) groups[d] = [];
     groups[d].push(t);
   });
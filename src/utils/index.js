@@ -7,3 +7,25 @@
 
 export * from './helpers';
 export * from './timeHelpers';
+export * from './dateHelpers';
+export * from './storage';
+export * from './backup';
+export * from './merge';
+export * from './rollover';
+export * from './vault';
+export * from './syncProtocol';
+export * from './syncClient';
+export * from './storageHealth';
+export * from './archive';
+export * from './recurrence';
+export * from './subtasks';
+export * from './dueDates';
+export * from './notes';
+export * from './quickAdd';
+export * from './tags';
+export * from './search';
+export * from './wipLimits';
+export * from './calibration';
+export * from './dependencies';
+export * from './taskAge';
+export * from './projects';
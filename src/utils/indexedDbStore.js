@@ -0,0 +1,301 @@
+/**
+ * SELAH RHYTHM - IndexedDB Store
+ * v0.9.45
+ *
+ * Low-level IndexedDB access for the storage layer. Collections listed in
+ * RECORD_CODECS are split into one record per item, so checking off a single
+ * task or adding one prayer writes only that record instead of re-serializing
+ * the whole collection. Everything else is a plain key/value entry.
+ */
+
+const DB_NAME = 'selah-rhythm';
+const DB_VERSION = 1;
+const KV_STORE = 'kv';
+const RECORD_STORE = 'records';
+const META_STORE = 'meta';
+
+// Coalesce bursts of saves (typing, drag-reorder) into one transaction
+const FLUSH_DELAY = 250;
+
+const requestToPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+  });
+
+// ============================================================================
+// RECORD CODECS
+// ============================================================================
+
+// Stable, unique string id for an item; items without an id fall back to position
+const recordId = (item, index, seen) => {
+  let id = item && item.id != null ? String(item.id) : `#${index}`;
+  while (seen.has(id)) id += '~';
+  seen.add(id);
+  return id;
+};
+
+/** Arrays of {id, ...} items, e.g. habits or prayers */
+const arrayCodec = {
+  split: (value) => {
+    if (!Array.isArray(value)) return null;
+    const records = new Map();
+    const seen = new Set();
+    const index = value.map((item, i) => {
+      const id = recordId(item, i, seen);
+      records.set(id, item);
+      return id;
+    });
+    return { records, index };
+  },
+  join: (records, index) => index.map((id) => records.get(id)).filter((v) => v !== undefined),
+};
+
+/** Objects of named arrays, e.g. tasks: {primary: [], today: [], ...} */
+const listsCodec = {
+  split: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    if (!Object.values(value).every(Array.isArray)) return null;
+    const records = new Map();
+    const index = {};
+    Object.entries(value).forEach(([list, items]) => {
+      const seen = new Set();
+      index[list] = items.map((item, i) => {
+        const id = `${list}/${recordId(item, i, seen)}`;
+        records.set(id, item);
+        return id;
+      });
+    });
+    return { records, index };
+  },
+  join: (records, index) =>
+    Object.fromEntries(
+      Object.entries(index).map(([list, ids]) => [list, arrayCodec.join(records, ids)])
+    ),
+};
+
+/** Plain objects keyed by id or date, e.g. reflectionHistory */
+const mapCodec = {
+  split: (value) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+    // Encrypted journal values (utils/vault.js) are stored whole
+    if ('__vault' in value) return null;
+    return { records: new Map(Object.entries(value)), index: Object.keys(value) };
+  },
+  join: (records, index) =>
+    Object.fromEntries(index.filter((k) => records.has(k)).map((k) => [k, records.get(k)])),
+};
+
+/** Keys stored as one record per item. Everything else is a single kv entry. */
+export const RECORD_CODECS = {
+  tasks: listsCodec,
+  habits: arrayCodec,
+  anchors: arrayCodec,
+  projects: arrayCodec,
+  prayers: arrayCodec,
+  gratitudeEntries: arrayCodec,
+  schedEvents: arrayCodec,
+  weeklyReflections: arrayCodec,
+  reflectionHistory: mapCodec,
+};
+
+// ============================================================================
+// DATABASE ACCESS
+// ============================================================================
+
+export const isIndexedDbAvailable = () =>
+  typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Opens (and on first use creates) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () =>
+  new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(KV_STORE)) db.createObjectStore(KV_STORE);
+      if (!db.objectStoreNames.contains(RECORD_STORE)) {
+        db.createObjectStore(RECORD_STORE, { keyPath: ['collection', 'id'] });
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+  });
+
+// Read every key/value pair of an object store
+const readStore = (store) =>
+  new Promise((resolve, reject) => {
+    const entries = new Map();
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve(entries);
+      entries.set(cursor.key, cursor.value);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  });
+
+/**
+ * Loads the whole database and reassembles record collections
+ * @param {IDBDatabase} db
+ * @returns {Promise<{values: Map<string, *>, meta: Map<string, *>}>}
+ */
+export const readDatabase = async (db) => {
+  const tx = db.transaction([KV_STORE, RECORD_STORE, META_STORE], 'readonly');
+  const [kv, records, meta] = await Promise.all([
+    readStore(tx.objectStore(KV_STORE)),
+    requestToPromise(tx.objectStore(RECORD_STORE).getAll()),
+    readStore(tx.objectStore(META_STORE)),
+  ]);
+
+  const byCollection = new Map();
+  records.forEach(({ collection, id, value }) => {
+    if (!byCollection.has(collection)) byCollection.set(collection, new Map());
+    byCollection.get(collection).set(id, value);
+  });
+
+  const values = new Map();
+  kv.forEach((value, key) => {
+    const codec = RECORD_CODECS[key];
+    if (codec && value && value.__recordIndex !== undefined) {
+      values.set(key, codec.join(byCollection.get(key) || new Map(), value.__recordIndex));
+    } else {
+      values.set(key, value);
+    }
+  });
+  return { values, meta };
+};
+
+/**
+ * Writes a metadata entry
+ * @param {IDBDatabase} db
+ * @param {string} key
+ * @param {*} value
+ */
+export const writeMeta = async (db, key, value) => {
+  const tx = db.transaction(META_STORE, 'readwrite');
+  tx.objectStore(META_STORE).put(value, key);
+  await transactionDone(tx);
+};
+
+// Every record of a collection: keys are [collection, string id], and arrays sort after strings
+const collectionRange = (key) => IDBKeyRange.bound([key], [key, []]);
+
+/**
+ * Creates a debounced writer that persists only what changed since the last
+ * successful write of each key.
+ *
+ * @param {IDBDatabase} db
+ * @param {Function} onError - (keys, error) => void, called when a flush fails
+ * @param {Function} [onCommit] - (keys) => void, called when a flush is committed
+ * @returns {{write: Function, remove: Function, prime: Function, flush: Function}}
+ */
+export const createRecordWriter = (db, onError, onCommit) => {
+  const latest = new Map();   // key -> value waiting to be written (undefined = delete)
+  const written = new Map();  // key -> {json} | {records: Map<id, json>, index: json} | {full: true}
+  let timer = null;
+
+  // Fingerprint of what is on disk for a key, used to diff the next write
+  const fingerprint = (key, value) => {
+    const parts = RECORD_CODECS[key]?.split(value);
+    if (!parts) return { json: JSON.stringify(value) };
+    const records = new Map();
+    parts.records.forEach((v, id) => records.set(id, JSON.stringify(v)));
+    return { records, index: JSON.stringify(parts.index), parts };
+  };
+
+  const writeKey = (kv, recordStore, key, value) => {
+    const prev = written.get(key) || { full: true };
+    const hadRecords = prev.full || prev.records;
+
+    if (value === undefined) {
+      kv.delete(key);
+      if (hadRecords) recordStore.delete(collectionRange(key));
+      written.delete(key);
+      return;
+    }
+
+    const next = fingerprint(key, value);
+    if (next.parts) {
+      if (prev.full) recordStore.delete(collectionRange(key));
+      const prevRecords = prev.full ? new Map() : prev.records || new Map();
+      next.parts.records.forEach((v, id) => {
+        if (prevRecords.get(id) !== next.records.get(id)) {
+          recordStore.put({ collection: key, id, value: v });
+        }
+      });
+      prevRecords.forEach((_, id) => {
+        if (!next.records.has(id)) recordStore.delete([key, id]);
+      });
+      if (prev.full || prev.index !== next.index) {
+        kv.put({ __recordIndex: next.parts.index }, key);
+      }
+      written.set(key, { records: next.records, index: next.index });
+    } else {
+      if (hadRecords && !prev.json) recordStore.delete(collectionRange(key));
+      if (prev.full || prev.json !== next.json) kv.put(value, key);
+      written.set(key, { json: next.json });
+    }
+  };
+
+  const flush = () => {
+    if (timer) clearTimeout(timer);
+    timer = null;
+    if (latest.size === 0) return Promise.resolve();
+
+    const batch = new Map(latest);
+    latest.clear();
+    let tx;
+    try {
+      tx = db.transaction([KV_STORE, RECORD_STORE], 'readwrite');
+      const kv = tx.objectStore(KV_STORE);
+      const recordStore = tx.objectStore(RECORD_STORE);
+      batch.forEach((value, key) => writeKey(kv, recordStore, key, value));
+    } catch (e) {
+      batch.forEach((_, key) => written.set(key, { full: true }));
+      onError([...batch.keys()], e);
+      return Promise.resolve();
+    }
+    return transactionDone(tx).then(() => onCommit?.([...batch.keys()]), (e) => {
+      // Disk state is unknown now; rewrite these keys in full next time
+      batch.forEach((_, key) => written.set(key, { full: true }));
+      onError([...batch.keys()], e);
+    });
+  };
+
+  const schedule = () => {
+    if (!timer) timer = setTimeout(flush, FLUSH_DELAY);
+  };
+
+  return {
+    /** Queue a value for writing */
+    write: (key, value) => {
+      latest.set(key, value);
+      schedule();
+    },
+    /** Queue a key for deletion */
+    remove: (key) => {
+      latest.set(key, undefined);
+      schedule();
+    },
+    /** Record what is already on disk so the first save only writes changes */
+    prime: (key, value) => {
+      const { parts: _parts, ...state } = fingerprint(key, value);
+      written.set(key, state);
+    },
+    /** Write everything queued now; resolves when the transaction settles */
+    flush,
+  };
+};
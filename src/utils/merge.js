@@ -0,0 +1,95 @@
+/**
+ * SELAH RHYTHM - Three-way Merge
+ * v0.9.45
+ *
+ * Merges a remote copy of persisted state into the local copy, using the last
+ * value both sides agreed on (the base) to tell additions and deletions apart.
+ * Arrays are merged by item id (or by value for primitives such as habit
+ * history dates) and objects field by field, so editing a task's text in one
+ * tab and checking it off in another keeps both changes.
+ *
+ * The result does not depend on which side is "local": given the same
+ * remoteFirst decision, two tabs merging each other's edits converge on
+ * identical values instead of trading them back and forth.
+ */
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+const same = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const itemKey = (item) =>
+  isPlainObject(item) && item.id != null ? `id:${item.id}` : `v:${JSON.stringify(item)}`;
+
+const emptyLike = (v) => (Array.isArray(v) ? [] : isPlainObject(v) ? {} : undefined);
+
+const mergeArrays = (base, local, remote, remoteFirst) => {
+  const b = new Map(base.map((item) => [itemKey(item), item]));
+  const l = new Map(local.map((item) => [itemKey(item), item]));
+  const r = new Map(remote.map((item) => [itemKey(item), item]));
+
+  // Order: the preferred side's order, then the other side's new items after
+  // their nearest preceding neighbour
+  const [first, second] = remoteFirst ? [remote, local] : [local, remote];
+  const order = first.map(itemKey);
+  let insertAt = 0;
+  second.forEach((item) => {
+    const key = itemKey(item);
+    const at = order.indexOf(key);
+    if (at === -1) order.splice(insertAt++, 0, key);
+    else insertAt = at + 1;
+  });
+
+  const result = [];
+  order.forEach((key) => {
+    const inL = l.has(key);
+    const inR = r.has(key);
+    if (b.has(key) && (!inL || !inR)) return; // deleted on one side
+    if (inL && inR) {
+      result.push(mergeThreeWay(b.get(key), l.get(key), r.get(key), remoteFirst));
+    } else {
+      result.push(inL ? l.get(key) : r.get(key));
+    }
+  });
+  return result;
+};
+
+const mergeObjects = (base, local, remote, remoteFirst) => {
+  const keys = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  const result = {};
+  keys.forEach((key) => {
+    const inL = key in local;
+    const inR = key in remote;
+    if (key in base && (!inL || !inR)) return; // deleted on one side
+    const value = inL && inR
+      ? mergeThreeWay(base[key], local[key], remote[key], remoteFirst)
+      : inL ? local[key] : remote[key];
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+};
+
+/**
+ * Merges remote changes into local state
+ * @param {*} base - Last value both sides shared (undefined if unknown)
+ * @param {*} local - Current local value
+ * @param {*} remote - Incoming value from another tab or device
+ * @param {boolean} remoteFirst - Which side wins true conflicts and ordering;
+ *   the two sides of a merge must pass opposite values
+ * @returns {*} Merged value; `local` itself when nothing changed
+ */
+export const mergeThreeWay = (base, local, remote, remoteFirst = true) => {
+  if (same(local, remote)) return local;
+  if (base !== undefined && same(local, base)) return remote;
+  if (base !== undefined && same(remote, base)) return local;
+
+  if (Array.isArray(local) && Array.isArray(remote)) {
+    const merged = mergeArrays(Array.isArray(base) ? base : [], local, remote, remoteFirst);
+    return same(merged, local) ? local : merged;
+  }
+  if (isPlainObject(local) && isPlainObject(remote)) {
+    const merged = mergeObjects(isPlainObject(base) ? base : emptyLike(local), local, remote, remoteFirst);
+    return same(merged, local) ? local : merged;
+  }
+  // Both sides changed a plain value: pick one the same way on every side
+  return remoteFirst ? remote : local;
+};
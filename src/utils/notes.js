@@ -0,0 +1,92 @@
+/**
+ * SELAH RHYTHM - Task Notes
+ * v0.9.45
+ *
+ * A task may carry `notes`, free text with a little Markdown: **bold**,
+ * *italic*, `- ` and `1. ` lists, [links](https://…) and bare URLs. Notes are
+ * parsed into plain blocks and spans here and rendered by TaskNotes, so no
+ * HTML from a note ever reaches the page.
+ */
+
+// [label](url), a bare URL, **bold** or *italic*, whichever comes first
+const INLINE = /\[([^\]]+)\]\(([^)\s]+)\)|(https?:\/\/[^\s<]+[^\s<.,;:!?)'"\]])|\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*/g;
+
+/**
+ * Link target that is safe to open; anything other than http(s) or mailto
+ * is dropped
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const safeHref = (url) => {
+  const href = /^www\./i.test(url) ? `https://${url}` : url;
+  return /^(https?:\/\/|mailto:)/i.test(href) ? href : null;
+};
+
+/**
+ * Splits a line into spans
+ * @param {string} line
+ * @returns {Array<{type: 'text'|'bold'|'italic'|'link', text: string, href?: string}>}
+ */
+export const parseInline = (line) => {
+  const spans = [];
+  let last = 0;
+  for (const m of line.matchAll(INLINE)) {
+    if (m.index > last) spans.push({ type: 'text', text: line.slice(last, m.index) });
+    const [whole, label, url, bare, bold, italic] = m;
+    if (label) {
+      const href = safeHref(url);
+      spans.push(href ? { type: 'link', text: label, href } : { type: 'text', text: whole });
+    } else if (bare) {
+      spans.push({ type: 'link', text: bare, href: bare });
+    } else if (bold) {
+      spans.push({ type: 'bold', text: bold });
+    } else {
+      spans.push({ type: 'italic', text: italic });
+    }
+    last = m.index + whole.length;
+  }
+  if (last < line.length) spans.push({ type: 'text', text: line.slice(last) });
+  return spans;
+};
+
+/**
+ * Groups note lines into paragraphs and lists
+ * @param {string} notes
+ * @returns {Array<{type: 'p'|'ul'|'ol', lines: Array}>} Each line is an array of spans
+ */
+export const parseNotes = (notes) => {
+  const blocks = [];
+  (notes || '').split('\n').forEach((raw) => {
+    const line = raw.trimEnd();
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+    const type = bullet ? 'ul' : numbered ? 'ol' : line.trim() ? 'p' : null;
+    const prev = blocks[blocks.length - 1];
+    if (!type) {
+      // A blank line ends the block
+      if (prev) prev.closed = true;
+      return;
+    }
+    const spans = parseInline(bullet ? bullet[1] : numbered ? numbered[1] : line.trim());
+    if (prev && prev.type === type && !prev.closed) prev.lines.push(spans);
+    else blocks.push({ type, lines: [spans] });
+  });
+  return blocks.map(({ type, lines }) => ({ type, lines }));
+};
+
+/** Whether a task has notes worth showing */
+export const hasNotes = (task) => typeof task?.notes === 'string' && task.notes.trim() !== '';
+
+/**
+ * First line of a note as plain text, for tooltips
+ * @param {string} notes
+ * @param {number} [max=80]
+ * @returns {string}
+ */
+export const notesPreview = (notes, max = 80) => {
+  const first = (notes || '').split('\n').find((l) => l.trim()) || '';
+  const text = parseInline(first.replace(/^\s*([-*]|\d+[.)])\s+/, '').trim())
+    .map((s) => s.text)
+    .join('');
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+};
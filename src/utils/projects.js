@@ -0,0 +1,128 @@
+/**
+ * SELAH RHYTHM - Projects
+ * v0.9.45
+ *
+ * A project gathers tasks toward one outcome over weeks:
+ *   { id, name, why, target (day key or ''), status, createdAt, completedAt?, reflection? }
+ * Tasks in any list join one with task.project (the project id). Archived
+ * tasks keep it, so a project's progress and focus time include the work
+ * already done.
+ *
+ * Completing a project asks for a short reflection, kept on the project.
+ */
+
+import { LISTS } from '../data/constants';
+import { parseDayKey } from './dateHelpers';
+import { openTasks, openBlockers } from './dependencies';
+
+export const PROJECT_STATUSES = [
+  { id: 'active', label: 'Active' },
+  { id: 'paused', label: 'Paused' },
+  { id: 'done', label: 'Done' },
+  { id: 'dropped', label: 'Dropped' },
+];
+
+// Statuses whose tasks still show up as work to do
+export const isOpenProject = (project) => project?.status === 'active' || project?.status === 'paused';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A new project
+ * @param {Object} fields - {name, why, target}
+ * @param {string} id
+ * @returns {Object}
+ */
+export const createProject = ({ name, why = '', target = '' }, id) => ({
+  id,
+  name: name.trim(),
+  why: why.trim(),
+  target,
+  status: 'active',
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * How a project stands
+ * @param {Object} tasks - Task lists, with tasks.completed
+ * @param {string} projectId
+ * @returns {{open: Array, done: number, total: number, percent: number, focusMinutes: number, nextActions: Array}}
+ *   open and nextActions are [{...task, list}]; nextActions are the first
+ *   three open tasks that aren't blocked, nearest list first
+ */
+export const projectProgress = (tasks, projectId) => {
+  const all = openTasks(tasks);
+  const open = all.filter((t) => t.project === projectId);
+  // Done tasks are in the archive from the moment they're checked off
+  const done = (tasks.completed || []).filter((t) => t.project === projectId);
+  const total = open.length + done.length;
+  const focusMinutes = [...open, ...done].reduce((sum, t) => sum + (t.totalFocusMinutes || 0), 0);
+  const nextActions = open
+    .filter((t) => openBlockers(t, all).length === 0)
+    .sort((a, b) => LISTS.indexOf(a.list) - LISTS.indexOf(b.list))
+    .slice(0, 3);
+  return {
+    open,
+    done: done.length,
+    total,
+    percent: total ? Math.round((done.length / total) * 100) : 0,
+    focusMinutes,
+    nextActions,
+  };
+};
+
+/**
+ * Days until a project's target date, negative once it's past
+ * @param {Object} project
+ * @param {string} today - Current logical day key
+ * @returns {number|null} Null without a target
+ */
+export const daysToTarget = (project, today) =>
+  project?.target ? Math.round((parseDayKey(project.target) - parseDayKey(today)) / DAY_MS) : null;
+
+/**
+ * Short label for a target date: "5 days to target", "Target is tomorrow", "3 days past target"
+ * @param {Object} project
+ * @param {string} today
+ * @returns {string}
+ */
+export const describeTarget = (project, today) => {
+  const days = daysToTarget(project, today);
+  if (days === null) return 'No target date';
+  if (days === 0) return 'Target is today';
+  if (days === 1) return 'Target is tomorrow';
+  if (days > 0) return `${days} days to target`;
+  return `${-days} ${days === -1 ? 'day' : 'days'} past target`;
+};
+
+/**
+ * Orders a list's tasks into project groups, in the order of `projects`,
+ * with tasks outside any open project last
+ * @param {Array} tasks - One list's tasks
+ * @param {Array} projects
+ * @returns {Array<{project: Object|null, tasks: Array}>} Only groups with tasks
+ */
+export const groupByProject = (tasks, projects) => {
+  const groups = projects.filter(isOpenProject).map((project) => ({ project, tasks: [] }));
+  const rest = { project: null, tasks: [] };
+  tasks.forEach((t) => {
+    const group = groups.find((g) => g.project.id === t.project) || rest;
+    group.tasks.push(t);
+  });
+  return [...groups, rest].filter((g) => g.tasks.length > 0);
+};
+
+/**
+ * Whether checking off a task finishes the last open work in its project
+ * @param {Object} tasks - Task lists, before the task is checked off
+ * @param {Array} projects
+ * @param {string} taskId
+ * @returns {Object|null} The project, when it's active and this was its last open task
+ */
+export const finishesProject = (tasks, projects, taskId) => {
+  const task = openTasks(tasks).find((t) => t.id === taskId);
+  const project = task?.project && projects.find((p) => p.id === task.project);
+  if (!project || project.status !== 'active') return null;
+  const left = openTasks(tasks).filter((t) => t.project === project.id && t.id !== taskId);
+  return left.length === 0 ? project : null;
+};
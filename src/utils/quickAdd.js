@@ -0,0 +1,173 @@
+/**
+ * SELAH RHYTHM - Quick-Add Parser
+ * v0.9.45
+ *
+ * Turns a line typed into the quick-add bar into a task, e.g.
+ * "Draft budget tomorrow 45m #admin !primary":
+ *
+ *   #word     category, by id or name (a unique prefix is enough);
+ *             any other #word becomes a tag
+ *   !list     list: !primary, !today, !week, !later (or !p, !t, !w, !l)
+ *   45m, 1h   time estimate, as the nearest TIMES value (45m is 1h)
+ *   tomorrow  due day: today, tomorrow, a weekday, next week, in 3 days,
+ *             2026-11-02 or 11/2
+ *
+ * # and ! tokens count anywhere in the line. Times and dates only count at
+ * the end, so "Plan monday standup" keeps its words. Anything not understood
+ * stays in the task text, and a line with nothing else left is added as typed.
+ */
+
+import { TIMES } from '../data/constants';
+import { addDays, toDayKey, parseDayKey } from './dateHelpers';
+import { nextWeekday, listForDue } from './dueDates';
+import { normalizeTag } from './tags';
+import { estimateMinutes } from './timeHelpers';
+
+const LIST_TOKENS = {
+  primary: 'primary', p: 'primary',
+  today: 'today', t: 'today',
+  week: 'thisWeek', thisweek: 'thisWeek', w: 'thisWeek',
+  later: 'later', l: 'later',
+};
+
+const WEEKDAY_TOKENS = {
+  sun: 0, sunday: 0,
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+};
+
+// [estimate, minutes] for each TIMES value
+const TIME_MINUTES = TIMES.filter(Boolean).map((t) => [t, estimateMinutes(t)]);
+
+const compact = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Category a #token names: an exact id or name first, then a unique prefix
+ * @param {string} word - Token without the #
+ * @param {Array} categories
+ * @returns {string|null} Category id
+ */
+const matchCategory = (word, categories) => {
+  const key = compact(word);
+  if (!key) return null;
+  const named = categories.filter((c) => c.id !== 'none');
+  const exact = named.find((c) => compact(c.id) === key || compact(c.n) === key);
+  if (exact) return exact.id;
+  const prefixed = named.filter((c) => compact(c.id).startsWith(key) || compact(c.n).startsWith(key));
+  return prefixed.length === 1 ? prefixed[0].id : null;
+};
+
+/**
+ * Time estimate a token stands for: the nearest TIMES value, so the pickers
+ * and calibration buckets know it
+ * @param {string} word
+ * @returns {string|null}
+ */
+const parseTime = (word) => {
+  const w = word.toLowerCase();
+  if (TIMES.includes(w) && w) return w;
+  let minutes = null;
+  let m = w.match(/^(\d+)(m|min|mins)$/);
+  if (m) minutes = Number(m[1]);
+  m = w.match(/^(\d+(?:\.\d+)?)(h|hr|hrs)$/);
+  if (m) minutes = Math.round(Number(m[1]) * 60);
+  m = w.match(/^(\d+)h(\d+)m?$/);
+  if (m) minutes = Number(m[1]) * 60 + Number(m[2]);
+  if (!minutes || minutes < 1) return null;
+  // Nearest by ratio: 45m is closer to an hour than to half of one
+  const distance = (m) => Math.abs(Math.log(m / minutes));
+  return TIME_MINUTES.reduce((best, cur) => (distance(cur[1]) < distance(best[1]) ? cur : best))[0];
+};
+
+/**
+ * Due day the last one to three words stand for
+ * @param {string[]} words - Trailing words, lower case
+ * @param {string} today
+ * @returns {{day: string, used: number}|null} Day key and how many words it took
+ */
+const parseDate = (words, today) => {
+  const [a, b, c] = words.slice(-3);
+  if (a === 'in' && /^\d+$/.test(b) && /^(days?|weeks?)$/.test(c)) {
+    return { day: addDays(today, Number(b) * (c.startsWith('week') ? 7 : 1)), used: 3 };
+  }
+
+  const [x, y] = words.slice(-2);
+  if (x === 'next' && y === 'week') return { day: nextWeekday(today, 1), used: 2 };
+  if (x === 'next' && y in WEEKDAY_TOKENS) return { day: nextWeekday(today, WEEKDAY_TOKENS[y]), used: 2 };
+
+  const w = words[words.length - 1];
+  if (w === 'today' || w === 'tod') return { day: today, used: 1 };
+  if (w === 'tomorrow' || w === 'tmr' || w === 'tmrw') return { day: addDays(today, 1), used: 1 };
+  if (w in WEEKDAY_TOKENS) return { day: nextWeekday(today, WEEKDAY_TOKENS[w]), used: 1 };
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(w)) {
+    const date = parseDayKey(w);
+    return toDayKey(date) === w ? { day: w, used: 1 } : null;
+  }
+  const md = w.match(/^(\d{1,2})\/(\d{1,2})$/);
+  if (md) {
+    // Month/day without a year: the next time that date comes round
+    const base = parseDayKey(today);
+    const date = new Date(base.getFullYear(), Number(md[1]) - 1, Number(md[2]));
+    if (date.getMonth() !== Number(md[1]) - 1) return null;
+    if (toDayKey(date) < today) date.setFullYear(date.getFullYear() + 1);
+    return { day: toDayKey(date), used: 1 };
+  }
+  return null;
+};
+
+/**
+ * Parse a quick-add line
+ * @param {string} input - Text as typed
+ * @param {Object} options
+ * @param {Array} options.categories - Task categories ({id, n})
+ * @param {string} options.today - Current logical day key
+ * @returns {{text: string, list?: string, cat?: string, time?: string, due?: string, tags?: string[]}}
+ *   `list` is set when a !list or a due day picks one
+ */
+export const parseQuickAdd = (input, { categories, today }) => {
+  const plain = { text: input.trim() };
+  const words = plain.text.split(/\s+/).filter(Boolean);
+  const result = {};
+  const kept = [];
+
+  words.forEach((word) => {
+    const cat = word[0] === '#' && !result.cat && matchCategory(word.slice(1), categories);
+    const tag = word[0] === '#' && !cat && normalizeTag(word);
+    const list = word[0] === '!' && !result.list && LIST_TOKENS[word.slice(1).toLowerCase()];
+    if (cat) result.cat = cat;
+    else if (tag) result.tags = [...new Set([...(result.tags || []), tag])];
+    else if (list) result.list = list;
+    else kept.push(word);
+  });
+
+  // Times and dates, reading back from the end, one of each
+  while (kept.length > 1) {
+    const last = kept[kept.length - 1];
+    const time = !result.time && parseTime(last);
+    if (time) {
+      result.time = time;
+      kept.pop();
+      continue;
+    }
+    const date = !result.due && parseDate(kept.map((w) => w.toLowerCase()), today);
+    if (date && date.used < kept.length) {
+      result.due = date.day;
+      kept.splice(-date.used);
+      continue;
+    }
+    break;
+  }
+
+  if (kept.length === 0) return plain;
+  if (result.due && !result.list) result.list = listForDue(result.due, today);
+  return { ...result, text: kept.join(' ') };
+};
+
+/** Whether a parsed line sets anything beyond its text */
+export const hasQuickAddFields = (parsed) =>
+  Boolean(parsed.list || parsed.cat || parsed.time || parsed.due || parsed.tags);
@@ -0,0 +1,138 @@
+/**
+ * SELAH RHYTHM - Recurring Tasks
+ * v0.9.45
+ *
+ * Repeat rules for tasks and the date math behind them. A recurring task
+ * carries `repeat`, one of:
+ *
+ *   { type: 'everyDays', every: 2 }          every N days
+ *   { type: 'weekdays', days: [1, 3] }       on these weekdays (0 = Sunday)
+ *   { type: 'monthDay', day: 1 }             on this day of the month
+ *   { type: 'afterCompletion', every: 3 }    N days after it was last done
+ *
+ * and, once it has been generated by the rollover, `due` (the day key the
+ * instance is for) and `seriesId` (the id shared by every instance). The
+ * rollover (rollover.js) creates the next instance when one is completed.
+ */
+
+import { toDayKey, addDays, parseDayKey } from './dateHelpers';
+
+export const REPEAT_TYPES = [
+  { value: 'everyDays', label: 'Every N days' },
+  { value: 'weekdays', label: 'On weekdays' },
+  { value: 'monthDay', label: 'Monthly' },
+  { value: 'afterCompletion', label: 'After done' },
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/** Rule a type starts with when picked in the editor */
+export const defaultRepeat = (type, fromDay) => {
+  const date = fromDay ? parseDayKey(fromDay) : new Date();
+  switch (type) {
+    case 'weekdays':
+      return { type, days: [date.getDay()] };
+    case 'monthDay':
+      return { type, day: date.getDate() };
+    case 'afterCompletion':
+      return { type, every: 7 };
+    default:
+      return { type: 'everyDays', every: 1 };
+  }
+};
+
+const isCount = (n, max) => Number.isInteger(n) && n >= 1 && n <= max;
+
+/**
+ * Whether a value is a usable repeat rule
+ * @param {*} repeat
+ * @returns {boolean}
+ */
+export const isValidRepeat = (repeat) => {
+  if (!repeat || typeof repeat !== 'object') return false;
+  switch (repeat.type) {
+    case 'everyDays':
+    case 'afterCompletion':
+      return isCount(repeat.every, 365);
+    case 'weekdays':
+      return Array.isArray(repeat.days) && repeat.days.length > 0 && repeat.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+    case 'monthDay':
+      return isCount(repeat.day, 31);
+    default:
+      return false;
+  }
+};
+
+const ordinal = (n) => {
+  const rem = n % 100;
+  if (rem >= 11 && rem <= 13) return `${n}th`;
+  return `${n}${['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+};
+
+/**
+ * Short description for the recurrence indicator, e.g. "Mon, Thu"
+ * @param {Object} repeat
+ * @returns {string}
+ */
+export const describeRepeat = (repeat) => {
+  if (!isValidRepeat(repeat)) return '';
+  switch (repeat.type) {
+    case 'everyDays':
+      return repeat.every === 1 ? 'Daily' : repeat.every === 7 ? 'Weekly' : `Every ${repeat.every} days`;
+    case 'weekdays': {
+      const days = [...repeat.days].sort((a, b) => a - b);
+      if (days.length === 7) return 'Daily';
+      if (days.join() === '1,2,3,4,5') return 'Weekdays';
+      return days.map((d) => WEEKDAY_LABELS[d]).join(', ');
+    }
+    case 'monthDay':
+      return `Monthly on the ${ordinal(repeat.day)}`;
+    default:
+      return `${repeat.every} ${repeat.every === 1 ? 'day' : 'days'} after done`;
+  }
+};
+
+// Month overflow is fine here: new Date(2026, 12, 1) is January 2027
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+/**
+ * Day of the next instance, always after both the current instance's due day
+ * and the day it was completed, so finishing early or late never repeats or
+ * skips ahead of a scheduled occurrence
+ * @param {Object} repeat - A valid repeat rule
+ * @param {Object} from
+ * @param {string|undefined} from.due - Due day of the instance just completed
+ * @param {string} from.completedDay - Logical day it was completed on
+ * @returns {string} Day key
+ */
+export const nextOccurrence = (repeat, { due, completedDay }) => {
+  const after = due && due > completedDay ? due : completedDay;
+  switch (repeat.type) {
+    case 'everyDays': {
+      // Keep the cadence of the schedule rather than of the completions
+      let next = addDays(due || completedDay, repeat.every);
+      while (next <= after) next = addDays(next, repeat.every);
+      return next;
+    }
+    case 'weekdays': {
+      for (let i = 1; i <= 7; i++) {
+        const day = addDays(after, i);
+        if (repeat.days.includes(parseDayKey(day).getDay())) return day;
+      }
+      return addDays(after, 7);
+    }
+    case 'monthDay': {
+      const base = parseDayKey(after);
+      for (let i = 0; i <= 1; i++) {
+        const year = base.getFullYear();
+        const month = base.getMonth() + i;
+        // Months shorter than the rule's day use their last day
+        const day = toDayKey(new Date(year, month, Math.min(repeat.day, daysInMonth(year, month))));
+        if (day > after) return day;
+      }
+      return addDays(after, 31);
+    }
+    default:
+      return addDays(completedDay, repeat.every);
+  }
+};
@@ -0,0 +1,215 @@
+/**
+ * SELAH RHYTHM - Day Rollover Engine
+ * v0.9.45
+ *
+ * The single place where "a new day" happens. The logical day starts at the
+ * user's configured hour (settings.dayStartHour, midnight by default), so a
+ * session that runs past midnight still belongs to the evening it started in.
+ *
+ * A rollover runs once per logical day and always applies its steps in the
+ * order of ROLLOVER_STEPS: archive, recur, promote, journal, reset, carry
+ * over, greet.
+ * Steps are pure functions over a snapshot of the persisted collections,
+ * which keeps the engine independent of React and easy to extend. Day keys
+ * come from dateHelpers.js.
+ */
+
+import { isOnLogicalDay, getLogicalDayKey } from './dateHelpers';
+import { isValidRepeat, nextOccurrence } from './recurrence';
+import { listForDue } from './dueDates';
+
+export const DEFAULT_DAY_START_HOUR = 0;
+
+const EMPTY_REFLECTIONS = { mattered: '', released: '', wait: '' };
+
+// ============================================================================
+// STEPS
+// ============================================================================
+
+const ACTIVE_LISTS = ['primary', 'today', 'thisWeek', 'later'];
+
+/**
+ * 1. Archive: done tasks leave the active lists. toggleTask already put a copy
+ * in the completed archive, so that copy is stamped rather than duplicated.
+ * The archive is never trimmed here; see Settings > Storage to prune it.
+ */
+const archive = (state, ctx) => {
+  const { tasks } = state;
+  const archivedAt = ctx.now.toISOString();
+  const done = ACTIVE_LISTS.flatMap((list) =>
+    (tasks[list] || []).filter((t) => t.done).map((t) => ({ ...t, fromList: t.fromList || list }))
+  );
+  const doneIds = new Set(done.map((t) => t.id));
+
+  const completed = (tasks.completed || []).map((t) =>
+    doneIds.has(t.id) && !t.archivedAt ? { ...t, archivedAt } : t
+  );
+  const alreadyArchived = new Set(completed.map((t) => t.id));
+  const newlyArchived = done
+    .filter((t) => !alreadyArchived.has(t.id))
+    .map((t) => ({ ...t, archivedAt, completedAt: t.completedAt || archivedAt }));
+
+  return {
+    ...state,
+    tasks: {
+      ...tasks,
+      ...Object.fromEntries(ACTIVE_LISTS.map((list) => [list, (tasks[list] || []).filter((t) => !t.done)])),
+      completed: [...newlyArchived, ...completed],
+    },
+  };
+};
+
+/**
+ * 2. Recur: every recurring task the archive step just took out of the lists
+ * gets its next instance, placed by how soon it is due (the promote step moves
+ * it up from there). Instance ids are built from the series and due day, so
+ * two devices rolling over on their own create the same task instead of two.
+ */
+const recur = (state, ctx) => {
+  const { tasks } = state;
+  const lists = Object.fromEntries(ACTIVE_LISTS.map((list) => [list, tasks[list] || []]));
+
+  // The archive step stamps everything it archives with this moment
+  const archivedAt = ctx.now.toISOString();
+  const ids = new Set(ACTIVE_LISTS.flatMap((list) => lists[list].map((t) => t.id)));
+  (tasks.completed || [])
+    .filter((t) => t.archivedAt === archivedAt && isValidRepeat(t.repeat))
+    .forEach((t) => {
+      const { fromList: _fromList, completedAt, archivedAt: _archivedAt, touchedAt: _touchedAt, ...rest } = t;
+      const seriesId = t.seriesId || t.id;
+      const due = nextOccurrence(t.repeat, {
+        due: t.due,
+        completedDay: getLogicalDayKey(new Date(completedAt), ctx.dayStartHour),
+      });
+      const id = `${seriesId}-${due}`;
+      if (ids.has(id)) return;
+      ids.add(id);
+      const target = listForDue(due, ctx.toDay);
+      const instance = { ...rest, id, seriesId, due, done: false, totalFocusMinutes: 0, createdAt: archivedAt };
+      // Each instance starts with its checklist unchecked
+      if (rest.subtasks) instance.subtasks = rest.subtasks.map((step) => ({ ...step, done: false }));
+      lists[target] = [...lists[target], instance];
+    });
+
+  return { ...state, tasks: { ...tasks, ...lists } };
+};
+
+// Lists ordered from nearest to furthest away
+const LIST_RANK = { today: 0, thisWeek: 1, later: 2 };
+
+/**
+ * 3. Promote: dated tasks move toward Today as their day nears. A snoozed
+ * task comes back to Today once its snooze ends. A task with a due date moves
+ * up (Later -> This Week -> Today) only when the new day changes where it
+ * belongs, so a task the user moved by hand stays put until then. Overdue
+ * tasks keep their date and are flagged where they're shown. Primary is
+ * never touched.
+ */
+const promote = (state, ctx) => {
+  const { tasks } = state;
+  const lists = Object.fromEntries(ACTIVE_LISTS.map((list) => [list, tasks[list] || []]));
+  const prevDay = ctx.fromDay || ctx.toDay;
+  let changed = false;
+
+  Object.keys(LIST_RANK).forEach((list) => {
+    lists[list].forEach((t) => {
+      let target = list;
+      let task = t;
+      if (t.snoozeUntil) {
+        if (t.snoozeUntil > ctx.toDay) return;
+        const { snoozeUntil: _snoozeUntil, ...rest } = t;
+        task = rest;
+        target = 'today';
+      } else if (t.due) {
+        const due = listForDue(t.due, ctx.toDay);
+        if (LIST_RANK[due] < LIST_RANK[list] && due !== listForDue(t.due, prevDay)) target = due;
+      }
+      if (task === t && target === list) return;
+      changed = true;
+      if (target === list) {
+        lists[list] = lists[list].map((x) => (x === t ? task : x));
+      } else {
+        lists[list] = lists[list].filter((x) => x !== t);
+        lists[target] = [...lists[target], task];
+      }
+    });
+  });
+
+  return changed ? { ...state, tasks: { ...tasks, ...lists } } : state;
+};
+
+const hasText = (v) => typeof v === 'string' && v.trim() !== '';
+
+/**
+ * 4. Journal: snapshot the evening reflection, gratitude and the day's
+ * completed tasks into reflectionHistory (keyed by day) before reset clears them
+ */
+const journal = (state, ctx) => {
+  const { mattered = '', released = '', wait = '' } = state.reflections || {};
+  const gratitude = state.gratitude || '';
+  const completed = (state.tasks.completed || [])
+    .filter((t) => isOnLogicalDay(t.completedAt, ctx.fromDay, ctx.dayStartHour))
+    .map(({ id, text, cat, totalFocusMinutes }) => ({ id, text, cat, totalFocusMinutes }));
+
+  if (![mattered, released, wait, gratitude].some(hasText) && completed.length === 0) return state;
+
+  return {
+    ...state,
+    reflectionHistory: {
+      ...(state.reflectionHistory || {}),
+      [ctx.fromDay]: {
+        date: ctx.fromDay,
+        mattered,
+        released,
+        wait,
+        gratitude,
+        completed,
+        archivedAt: ctx.now.toISOString(),
+      },
+    },
+  };
+};
+
+/** 5. Reset: uncheck habits, clear one-off schedule blocks and the daily reflection */
+const reset = (state) => ({
+  ...state,
+  habits: state.habits.map((h) => ({ ...h, done: false })),
+  schedEvents: state.schedEvents.filter((e) => e.persistent),
+  gratitude: '',
+  reflections: { ...EMPTY_REFLECTIONS },
+});
+
+/** 6. Carry over: unfinished tasks stay in their lists into the new day */
+const carryOver = (state) => state;
+
+/** 7. Greet: summarize the day that just ended for NewDayTransition */
+const greet = (state, ctx) => {
+  const completed = (state.tasks.completed || []).filter((t) =>
+    isOnLogicalDay(t.completedAt, ctx.fromDay, ctx.dayStartHour)
+  ).length;
+  return { ...state, greeting: completed > 0 ? { completed } : null };
+};
+
+/** Rollover steps, in the order they run */
+export const ROLLOVER_STEPS = [
+  { id: 'archive', run: archive },
+  { id: 'recur', run: recur },
+  { id: 'promote', run: promote },
+  { id: 'journal', run: journal },
+  { id: 'reset', run: reset },
+  { id: 'carryOver', run: carryOver },
+  { id: 'greet', run: greet },
+];
+
+/**
+ * Applies every rollover step to a snapshot of the persisted collections
+ * @param {Object} state - {tasks, habits, schedEvents, gratitude, reflections, reflectionHistory}
+ * @param {Object} ctx
+ * @param {string|null} ctx.fromDay - Logical day being closed (null on first run)
+ * @param {string} ctx.toDay - Logical day being opened
+ * @param {Date} ctx.now
+ * @param {number} ctx.dayStartHour
+ * @returns {Object} Next state, plus `greeting` ({completed} or null)
+ */
+export const runRollover = (state, ctx) =>
+  ROLLOVER_STEPS.reduce((acc, step) => step.run(acc, ctx), { ...state, greeting: null });
@@ -0,0 +1,228 @@
+/**
+ * SELAH RHYTHM - App-wide Search
+ * v0.9.45
+ *
+ * Builds one flat index of everything the command palette can find: active
+ * tasks (text, notes and tags), habits, anchors, prayers, gratitude entries,
+ * archived reflections and the scripture libraries. Each entry knows which
+ * mode it lives in, so picking it can take you there.
+ *
+ * Matching is fuzzy: every word of the query has to appear in the entry,
+ * either as-is or with letters skipped ("bdgt" finds "budget"), and entries
+ * whose title matches near the start of a word rank first.
+ */
+
+import {
+  LISTS,
+  LIST_LABELS,
+  SCRIPTURE,
+  PROVERBS_LIBRARY,
+  PSALMS_LIBRARY,
+} from '../data/constants';
+import { fmtDateFull } from './helpers';
+import { isDayKey, parseDayKey } from './dateHelpers';
+import { tagsOf } from './tags';
+
+export const SEARCH_KINDS = {
+  command: 'Command',
+  task: 'Task',
+  habit: 'Habit',
+  anchor: 'Anchor',
+  prayer: 'Prayer',
+  gratitude: 'Gratitude',
+  reflection: 'Reflection',
+  scripture: 'Scripture',
+};
+
+const REFLECTION_FIELDS = [
+  ['mattered', 'What mattered'],
+  ['released', 'Released'],
+  ['wait', 'What can wait'],
+  ['gratitude', 'Grateful for'],
+];
+
+const oneLine = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+const entry = (kind, key, title, { detail = '', body = '', extra = '', mode, ...rest } = {}) => ({
+  key: `${kind}:${key}`,
+  kind,
+  title,
+  detail,
+  body,
+  mode,
+  haystack: [title, detail, body, extra].join('\n').toLowerCase(),
+  ...rest,
+});
+
+const dayLabel = (iso) => {
+  const d = iso ? new Date(iso) : null;
+  return d && !Number.isNaN(d.getTime()) ? fmtDateFull(d) : '';
+};
+
+/**
+ * Everything searchable, in palette order (tasks first)
+ * @param {Object} data - { tasks, habits, anchors, prayers, gratitudeEntries, reflectionHistory }
+ * @returns {Array} Entries: { key, kind, title, detail, body, mode, haystack, task? }
+ */
+export const buildSearchIndex = ({
+  tasks = {},
+  habits = [],
+  anchors = [],
+  prayers = [],
+  gratitudeEntries = [],
+  reflectionHistory = {},
+}) => {
+  const items = [];
+
+  LISTS.forEach((list) =>
+    (tasks[list] || []).forEach((t) => {
+      const tags = tagsOf(t);
+      items.push(
+        entry('task', t.id, t.text, {
+          detail: [LIST_LABELS[list], ...tags.map((tag) => `#${tag}`)].join(' · '),
+          body: t.notes || '',
+          extra: (t.subtasks || []).map((s) => s.text).join('\n'),
+          mode: 'order',
+          task: { id: t.id, list },
+          done: !!t.done,
+        })
+      );
+    })
+  );
+
+  habits.forEach((h) => items.push(entry('habit', h.id, h.name, { detail: h.desc || '', mode: 'order' })));
+  anchors.forEach((a) => items.push(entry('anchor', a.id, a.text, { mode: 'order' })));
+
+  prayers.forEach((p) =>
+    items.push(
+      entry('prayer', p.id, oneLine(p.text), {
+        detail: [p.status, dayLabel(p.createdAt)].filter(Boolean).join(' · '),
+        body: [p.text, p.gratitudeNote].filter(Boolean).join('\n\n'),
+        mode: 'rest',
+      })
+    )
+  );
+  gratitudeEntries.forEach((g) =>
+    items.push(entry('gratitude', g.id, oneLine(g.text), { detail: dayLabel(g.createdAt), body: g.text, mode: 'rest' }))
+  );
+
+  Object.keys(reflectionHistory || {})
+    .filter(isDayKey)
+    .sort()
+    .reverse()
+    .forEach((day) => {
+      const r = reflectionHistory[day] || {};
+      const parts = REFLECTION_FIELDS.filter(([k]) => r[k] && r[k].trim()).map(([k, label]) => `${label}: ${r[k].trim()}`);
+      if (parts.length === 0) return;
+      items.push(
+        entry('reflection', day, fmtDateFull(parseDayKey(day)), {
+          detail: oneLine(parts[0]),
+          body: parts.join('\n\n'),
+          mode: 'rest',
+        })
+      );
+    });
+
+  Object.entries(SCRIPTURE).forEach(([theme, verses]) =>
+    verses.forEach((v, i) =>
+      items.push(entry('scripture', `${theme}-${i}`, v.r, { detail: v.t, body: v.t, extra: theme, mode: 'rest' }))
+    )
+  );
+  [PROVERBS_LIBRARY, PSALMS_LIBRARY].forEach((library) =>
+    Object.entries(library).forEach(([ref, text]) =>
+      items.push(entry('scripture', ref, ref, { detail: oneLine(text), body: text, mode: 'order' }))
+    )
+  );
+
+  return items;
+};
+
+/**
+ * How well one query word matches an entry, or -1 when it doesn't
+ * @param {string} word - Lower-case query word
+ * @param {string} title - Lower-case title
+ * @param {string} haystack - Lower-case searchable text
+ * @returns {number}
+ */
+const scoreWord = (word, title, haystack) => {
+  const at = title.indexOf(word);
+  if (at === 0) return 100;
+  if (at > 0) return /[\s\-#:]/.test(title[at - 1]) ? 80 : 60;
+  if (haystack.includes(word)) return 30;
+
+  // Letters in order, allowing gaps; tighter matches score higher
+  let pos = -1;
+  let first = -1;
+  for (const ch of word) {
+    pos = title.indexOf(ch, pos + 1);
+    if (pos === -1) return -1;
+    if (first === -1) first = pos;
+  }
+  return Math.max(1, 20 - (pos - first - word.length));
+};
+
+/**
+ * Score an entry against a query
+ * @param {Object} item - Search entry (needs title and haystack)
+ * @param {string} query
+ * @returns {number} -1 when it doesn't match
+ */
+export const scoreEntry = (item, query) => {
+  const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return 0;
+  const title = item.title.toLowerCase();
+  let total = 0;
+  for (const word of words) {
+    const score = scoreWord(word, title, item.haystack);
+    if (score < 0) return -1;
+    total += score;
+  }
+  return total;
+};
+
+/**
+ * Matching entries, best first (ties keep index order)
+ * @param {Array} items
+ * @param {string} query
+ * @param {number} [limit=50]
+ * @returns {Array}
+ */
+export const searchEntries = (items, query, limit = 50) =>
+  items
+    .map((item, index) => ({ item, index, score: scoreEntry(item, query) }))
+    .filter((r) => r.score >= 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map((r) => r.item);
+
+const LIST_WORDS = {
+  primary: 'primary',
+  today: 'today',
+  'this week': 'thisWeek',
+  thisweek: 'thisWeek',
+  week: 'thisWeek',
+  later: 'later',
+};
+
+/**
+ * Task commands typed out in full:
+ *   "start 25m focus on budget", "focus 50m on budget", "focus on budget"
+ *   "move budget to today"
+ * @param {string} query
+ * @param {number} [defaultMinutes=25] - Used when no length is given
+ * @returns {{type: 'focus', minutes: number, rest: string} | {type: 'move', list: string, rest: string} | null}
+ */
+export const parseTaskCommand = (query, defaultMinutes = 25) => {
+  const q = String(query || '').trim().toLowerCase();
+
+  const focus = q.match(/^(?:start\s+)?(?:(\d{1,3})\s*m(?:in(?:utes?)?)?\s+)?focus(?:\s+(\d{1,3})\s*m(?:in(?:utes?)?)?)?\s+on\s+(.*)$/);
+  if (focus) {
+    const minutes = Number(focus[1] || focus[2]) || defaultMinutes;
+    return { type: 'focus', minutes: Math.min(Math.max(minutes, 1), 180), rest: focus[3] };
+  }
+
+  const move = q.match(/^move\s+(?:(.*?)\s+)?to\s+(primary|today|this\s*week|week|later)$/);
+  if (move) return { type: 'move', list: LIST_WORDS[move[2].replace(/\s+/g, ' ')], rest: move[1] || '' };
+
+  return null;
+};
@@ -0,0 +1,726 @@
+/**
+ * SELAH RHYTHM - Storage Layer
+ * v0.9.45
+ *
+ * Versioned persistence for every selah_ key. On startup the stored schema
+ * version is compared with SCHEMA_VERSION and the ordered MIGRATIONS chain is
+ * run over a snapshot of all keys. The untouched snapshot is backed up before
+ * anything is written, and failures are collected in a report the app can
+ * surface instead of silently falling back to defaults.
+ *
+ * Once migrated, data lives in IndexedDB (see indexedDbStore.js). The whole
+ * database is read into memory before first render so load() stays
+ * synchronous; save() updates that cache and queues a per-record write.
+ * Browsers without IndexedDB keep using localStorage.
+ *
+ * Every save is also broadcast to other open tabs, which merge it into their
+ * React state through subscribe() (see hooks/useCrossTabSync.js).
+ *
+ * Writes that fail (quota exceeded, storage unavailable) are tracked per key
+ * until a later write of that key succeeds; see onWriteHealthChange() and
+ * hooks/useStorageHealth.js.
+ */
+
+import {
+  createRecordWriter,
+  isIndexedDbAvailable,
+  openDatabase,
+  readDatabase,
+  writeMeta,
+} from './indexedDbStore';
+import { isDayKey, toDayKey } from './dateHelpers';
+
+export const STORAGE_PREFIX = 'selah_';
+export const SCHEMA_VERSION = 4;
+
+const VERSION_KEY = 'selah_schemaVersion';
+const BACKUP_KEY = 'selah_preMigrationBackup';
+
+// Keys written by builds that predate the selah_ prefix convention
+const LEGACY_PREFIX = 'selah-';
+
+const report = {
+  schemaVersion: null,
+  migratedFrom: null,
+  backupKey: null,
+  errors: [],
+};
+
+/**
+ * Records a storage failure so it can be shown to the user
+ * @param {string} type - 'read' | 'write' | 'migration'
+ * @param {string} key - Storage key involved (unprefixed where possible)
+ * @param {Error|string} error - Underlying error
+ */
+export const reportStorageError = (type, key, error) => {
+  const message = error?.message || String(error);
+  report.errors.push({ type, key, message, at: new Date().toISOString() });
+  console.error(`[Selah Storage] ${type} failed:`, key, error);
+};
+
+/**
+ * Returns the startup migration report and any storage errors since
+ * @returns {{schemaVersion: number|null, migratedFrom: number|null, backupKey: string|null, errors: Array}}
+ */
+export const getStorageReport = () => ({ ...report, errors: [...report.errors] });
+
+// ============================================================================
+// WRITE HEALTH
+// ============================================================================
+
+const failingWrites = new Map();  // key -> message of its last failed write
+const unsaved = new Map();        // key -> JSON that localStorage refused, for retries
+const healthListeners = new Set();
+
+/**
+ * Keys whose latest write failed and hasn't succeeded since
+ * @returns {Array<{key: string, message: string}>}
+ */
+export const getFailingWrites = () =>
+  [...failingWrites].map(([key, message]) => ({ key, message }));
+
+/**
+ * Subscribes to write failures and recoveries
+ * @param {Function} listener - Called with getFailingWrites() whenever it changes
+ * @returns {Function} Unsubscribe
+ */
+export const onWriteHealthChange = (listener) => {
+  healthListeners.add(listener);
+  return () => healthListeners.delete(listener);
+};
+
+// Record the outcome of writing keys; error is null on success
+const setWriteStatus = (keys, error) => {
+  let changed = false;
+  keys.forEach((key) => {
+    if (error) {
+      failingWrites.set(key, error?.message || String(error));
+      changed = true;
+    } else if (failingWrites.delete(key)) {
+      changed = true;
+    }
+  });
+  if (changed) {
+    const failing = getFailingWrites();
+    healthListeners.forEach((listener) => listener(failing));
+  }
+};
+
+// Parse a raw localStorage string, keeping non-JSON legacy values as plain strings
+const parseRaw = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+};
+
+const isAppKey = (key) =>
+  (key.startsWith(STORAGE_PREFIX) || key.startsWith(LEGACY_PREFIX)) &&
+  key !== VERSION_KEY &&
+  key !== BACKUP_KEY;
+
+/**
+ * Reads every app key from localStorage
+ * @returns {{raw: Object<string, string>, data: Object<string, *>}} Raw strings and parsed values by full key
+ */
+const readSnapshot = () => {
+  const raw = {};
+  const data = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (!key || !isAppKey(key)) continue;
+    raw[key] = localStorage.getItem(key);
+    data[key] = parseRaw(raw[key]);
+  }
+  return { raw, data };
+};
+
+const readVersion = () => {
+  const v = parseInt(localStorage.getItem(VERSION_KEY) || '', 10);
+  return Number.isFinite(v) ? v : null;
+};
+
+// Rename a key in a snapshot, never clobbering a value already at the new key
+const renameKey = (data, from, to) => {
+  if (!(from in data)) return;
+  if (!(to in data)) data[to] = data[from];
+  delete data[from];
+};
+
+/**
+ * Ordered migration chain. Each entry upgrades a snapshot (full key -> parsed
+ * value) to its `version`. Migrations must be pure: they receive a copy and
+ * return the upgraded snapshot.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize tasks, habits, gratitude and reflection shapes',
+    migrate: (data) => {
+      const tasks = data.selah_tasks;
+      if (tasks && typeof tasks === 'object') {
+        data.selah_tasks = {
+          ...tasks,
+          primary: Array.isArray(tasks.primary) ? tasks.primary : [],
+          today: Array.isArray(tasks.today) ? tasks.today : [],
+          thisWeek: Array.isArray(tasks.thisWeek) ? tasks.thisWeek : [],
+          later: Array.isArray(tasks.later) ? tasks.later : [],
+          completed: Array.isArray(tasks.completed) ? tasks.completed : [],
+        };
+      }
+
+      if (Array.isArray(data.selah_habits)) {
+        data.selah_habits = data.selah_habits.map((h) => ({
+          ...h,
+          history: Array.isArray(h.history) ? h.history : [],
+        }));
+      }
+
+      // Early builds kept gratitude as a single string; the journal is a list
+      const entries = data.selah_gratitudeEntries;
+      if (typeof entries === 'string') {
+        data.selah_gratitudeEntries = entries.trim()
+          ? [{ id: Date.now().toString(), text: entries.trim(), createdAt: new Date().toISOString() }]
+          : [];
+      }
+      if (typeof data.selah_gratitude !== 'string' && 'selah_gratitude' in data) {
+        data.selah_gratitude = '';
+      }
+
+      if ('selah_reflectionHistory' in data &&
+          (typeof data.selah_reflectionHistory !== 'object' || Array.isArray(data.selah_reflectionHistory))) {
+        data.selah_reflectionHistory = {};
+      }
+      return data;
+    },
+  },
+  {
+    version: 2,
+    description: 'Move hyphenated keys under the selah_ prefix',
+    // Raw legacy strings (e.g. selah_last_reset_date) are re-encoded as JSON when written back
+    migrate: (data) => {
+      renameKey(data, 'selah-last-visit', 'selah_lastVisit');
+      renameKey(data, 'selah-weekly-prompt', 'selah_weeklyPrompt');
+      renameKey(data, 'selah-weekly-reflections', 'selah_weeklyReflections');
+      return data;
+    },
+  },
+  {
+    version: 3,
+    description: 'Replace the three day-change markers with lastRolloverDay',
+    migrate: (data) => {
+      // Prefer the local-date marker; selah_last_reset_date was a UTC date
+      const last = [data.selah_lastDailyResetISO, data.selah_last_reset_date].find(isDayKey);
+      if (last && !('selah_lastRolloverDay' in data)) data.selah_lastRolloverDay = last;
+      delete data.selah_lastDailyResetISO;
+      delete data.selah_last_reset_date;
+      delete data.selah_last_habit_reset_week;
+      delete data.selah_lastVisit;
+      return data;
+    },
+  },
+  {
+    version: 4,
+    description: 'Repair habit history recorded under UTC dates',
+    // Evening check-offs west of UTC were dated tomorrow. Only entries later
+    // than today can be told apart, so those move back to today and merge with
+    // any entry already there.
+    migrate: (data) => {
+      if (!Array.isArray(data.selah_habits)) return data;
+      const today = toDayKey();
+      data.selah_habits = data.selah_habits.map((h) => {
+        const byDate = new Map();
+        (Array.isArray(h.history) ? h.history : []).forEach((entry) => {
+          if (!entry || !isDayKey(entry.date)) return;
+          const date = entry.date > today ? today : entry.date;
+          byDate.set(date, { date, done: !!entry.done || !!byDate.get(date)?.done });
+        });
+        const history = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date)).slice(-7);
+        return { ...h, history };
+      });
+      return data;
+    },
+  },
+];
+
+/**
+ * Runs the migration chain over a snapshot
+ * @param {Object} data - Parsed snapshot keyed by full storage key
+ * @param {number} fromVersion - Version the snapshot is currently at
+ * @returns {Object} Upgraded snapshot
+ */
+export const migrateSnapshot = (data, fromVersion) =>
+  MIGRATIONS
+    .filter((m) => m.version > fromVersion && m.version <= SCHEMA_VERSION)
+    .reduce((acc, m) => {
+      try {
+        return m.migrate(acc);
+      } catch (e) {
+        throw new Error(`Migration to v${m.version} (${m.description}) failed: ${e.message}`);
+      }
+    }, structuredClone(data));
+
+// Write the difference between two snapshots back to localStorage
+const writeSnapshot = (raw, next) => {
+  Object.keys(raw).forEach((key) => {
+    if (!(key in next)) localStorage.removeItem(key);
+  });
+  Object.entries(next).forEach(([key, value]) => {
+    const serialized = JSON.stringify(value);
+    if (raw[key] !== serialized) localStorage.setItem(key, serialized);
+  });
+};
+
+/**
+ * Stamps the schema version and runs any pending migrations on localStorage.
+ * @returns {boolean} Whether localStorage is at SCHEMA_VERSION afterwards
+ */
+const migrateLocalStorage = () => {
+  let stored;
+  let snapshot;
+  try {
+    stored = readVersion();
+    snapshot = readSnapshot();
+  } catch (e) {
+    reportStorageError('migration', 'snapshot', e);
+    return false;
+  }
+
+  // Fresh install: nothing to migrate
+  if (stored === null && Object.keys(snapshot.raw).length === 0) {
+    try {
+      localStorage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+    } catch (e) {
+      reportStorageError('write', 'schemaVersion', e);
+    }
+    report.schemaVersion = SCHEMA_VERSION;
+    return true;
+  }
+
+  const from = stored ?? 0;
+  if (from > SCHEMA_VERSION) {
+    report.schemaVersion = from;
+    reportStorageError(
+      'migration',
+      'schemaVersion',
+      `Stored data is from a newer version (v${from}); this build understands v${SCHEMA_VERSION}`
+    );
+    return false;
+  }
+  if (from === SCHEMA_VERSION) {
+    report.schemaVersion = from;
+    return true;
+  }
+
+  // Back up the untouched blob first; never migrate without a backup
+  try {
+    localStorage.setItem(BACKUP_KEY, JSON.stringify({
+      version: from,
+      createdAt: new Date().toISOString(),
+      keys: snapshot.raw,
+    }));
+  } catch (e) {
+    report.schemaVersion = from;
+    reportStorageError('migration', 'backup', e);
+    return false;
+  }
+
+  try {
+    const next = migrateSnapshot(snapshot.data, from);
+    writeSnapshot(snapshot.raw, next);
+    localStorage.setItem(VERSION_KEY, String(SCHEMA_VERSION));
+    report.schemaVersion = SCHEMA_VERSION;
+    report.migratedFrom = from;
+    report.backupKey = BACKUP_KEY;
+    return true;
+  } catch (e) {
+    // Put the pre-migration values back if a partial write happened
+    try {
+      Object.keys(readSnapshot().raw).forEach((key) => {
+        if (!(key in snapshot.raw)) localStorage.removeItem(key);
+      });
+      Object.entries(snapshot.raw).forEach(([key, value]) => localStorage.setItem(key, value));
+    } catch (restoreError) {
+      reportStorageError('migration', 'restore', restoreError);
+    }
+    report.schemaVersion = from;
+    report.backupKey = BACKUP_KEY;
+    reportStorageError('migration', `v${from}->v${SCHEMA_VERSION}`, e);
+    return false;
+  }
+};
+
+// ============================================================================
+// INDEXEDDB BACKEND
+// ============================================================================
+
+// Active database and writer; null while running on localStorage
+let db = null;
+let writer = null;
+
+// Every value held in IndexedDB, loaded before first render so reads stay synchronous
+const cache = new Map();
+
+/**
+ * Which backend load/save currently use
+ * @returns {'indexedDB'|'localStorage'}
+ */
+export const getStorageBackend = () => (db ? 'indexedDB' : 'localStorage');
+
+// Copy every (already migrated) selah_ key into IndexedDB, then free the quota
+const importLocalStorage = async (database) => {
+  const { raw, data } = readSnapshot();
+  const importer = createRecordWriter(database, (keys, e) => {
+    throw new Error(`Import of ${keys.join(', ')} failed: ${e.message || e}`);
+  });
+  Object.entries(data).forEach(([key, value]) => {
+    if (key.startsWith(STORAGE_PREFIX)) importer.write(key.slice(STORAGE_PREFIX.length), value);
+  });
+  const backup = localStorage.getItem(BACKUP_KEY);
+  if (backup !== null) importer.write(BACKUP_KEY.slice(STORAGE_PREFIX.length), parseRaw(backup));
+  await importer.flush();
+
+  await writeMeta(database, 'schemaVersion', SCHEMA_VERSION);
+  await writeMeta(database, 'importedFromLocalStorage', new Date().toISOString());
+
+  // Only drop the localStorage copy once IndexedDB has committed it
+  Object.keys(raw).forEach((key) => localStorage.removeItem(key));
+  localStorage.removeItem(BACKUP_KEY);
+};
+
+// Run migrations newer than the database's stamped version over the cache
+const migrateDatabase = async (database, fromVersion) => {
+  if (fromVersion >= SCHEMA_VERSION) return;
+
+  const data = {};
+  cache.forEach((value, key) => {
+    if (key !== 'preMigrationBackup') data[STORAGE_PREFIX + key] = value;
+  });
+
+  try {
+    const next = migrateSnapshot(data, fromVersion);
+    writer.write('preMigrationBackup', {
+      version: fromVersion,
+      createdAt: new Date().toISOString(),
+      values: data,
+    });
+    Object.keys(data).forEach((fullKey) => {
+      if (fullKey in next) return;
+      const key = fullKey.slice(STORAGE_PREFIX.length);
+      cache.delete(key);
+      writer.remove(key);
+    });
+    Object.entries(next).forEach(([fullKey, value]) => {
+      const key = fullKey.slice(STORAGE_PREFIX.length);
+      cache.set(key, value);
+      writer.write(key, value);
+    });
+    await writer.flush();
+    await writeMeta(database, 'schemaVersion', SCHEMA_VERSION);
+    report.schemaVersion = SCHEMA_VERSION;
+    report.migratedFrom = fromVersion;
+    report.backupKey = BACKUP_KEY;
+  } catch (e) {
+    report.schemaVersion = fromVersion;
+    reportStorageError('migration', `v${fromVersion}->v${SCHEMA_VERSION}`, e);
+  }
+};
+
+// Open IndexedDB, import localStorage on first run and hydrate the cache.
+// On failure the app keeps running on localStorage.
+const openIndexedDb = async () => {
+  let database;
+  try {
+    database = await openDatabase();
+    let { meta } = await readDatabase(database);
+    if (!meta.get('importedFromLocalStorage')) {
+      await importLocalStorage(database);
+    }
+    const contents = await readDatabase(database);
+    meta = contents.meta;
+
+    const dbVersion = meta.get('schemaVersion') ?? SCHEMA_VERSION;
+    if (dbVersion > SCHEMA_VERSION) {
+      reportStorageError(
+        'migration',
+        'schemaVersion',
+        `Stored data is from a newer version (v${dbVersion}); this build understands v${SCHEMA_VERSION}`
+      );
+    }
+
+    cache.clear();
+    contents.values.forEach((value, key) => cache.set(key, value));
+    writer = createRecordWriter(
+      database,
+      (keys, e) => {
+        reportStorageError('write', keys.join(', '), e);
+        setWriteStatus(keys, e);
+      },
+      (keys) => setWriteStatus(keys, null)
+    );
+    cache.forEach((value, key) => writer.prime(key, value));
+    db = database;
+
+    await migrateDatabase(database, dbVersion);
+  } catch (e) {
+    database?.close();
+    db = null;
+    writer = null;
+    cache.clear();
+    reportStorageError('read', 'indexedDB', e);
+    return;
+  }
+
+  // Don't lose the last debounced save when the tab is hidden or closed
+  const flushPending = () => writer?.flush();
+  window.addEventListener('pagehide', flushPending);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushPending();
+  });
+};
+
+// ============================================================================
+// CROSS-TAB SYNC
+// ============================================================================
+
+// Identifies this tab in broadcasts; also decides merge precedence between tabs
+const TAB_ID = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+const CHANNEL_NAME = 'selah-rhythm-storage';
+
+let channel = null;
+const listeners = new Map();  // key -> Set of listeners
+const synced = new Map();     // key -> JSON of the last value written or received
+
+// Apply another tab's write locally and let subscribers merge it into state
+const receive = (key, value, fromTab) => {
+  const base = synced.has(key) ? JSON.parse(synced.get(key)) : undefined;
+  if (value === undefined) {
+    synced.delete(key);
+    if (db) cache.delete(key);
+  } else {
+    synced.set(key, JSON.stringify(value));
+    if (db) {
+      // The sending tab persists its own write; only track it here
+      cache.set(key, value);
+      writer.prime(key, value);
+    }
+  }
+  // Both tabs must agree on who wins a conflict, so compare the tab ids
+  const info = { base, remoteFirst: fromTab < TAB_ID };
+  listeners.get(key)?.forEach((listener) => listener(value, info));
+};
+
+const broadcast = (key, value) => {
+  try {
+    channel?.postMessage({ key, value, from: TAB_ID });
+  } catch (e) {
+    reportStorageError('write', `${key} (broadcast)`, e);
+  }
+};
+
+// Listen for other tabs. BroadcastChannel carries values for either backend;
+// without it, localStorage 'storage' events still work on that backend.
+const startTabSync = () => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = ({ data }) => {
+      if (data && typeof data.key === 'string' && data.from !== TAB_ID) {
+        receive(data.key, data.value, data.from);
+      }
+    };
+  } else if (!db) {
+    window.addEventListener('storage', (e) => {
+      if (!e.key || !e.key.startsWith(STORAGE_PREFIX)) return;
+      receive(
+        e.key.slice(STORAGE_PREFIX.length),
+        e.newValue === null ? undefined : parseRaw(e.newValue),
+        ''
+      );
+    });
+  }
+};
+
+/**
+ * Subscribes to writes of a key made in other tabs
+ * @param {string} key - Unprefixed key
+ * @param {Function} listener - (value, {base, remoteFirst}) => void; value is
+ *   undefined when the key was removed. Pass both to mergeThreeWay.
+ * @returns {Function} Unsubscribe
+ */
+export const subscribe = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => listeners.get(key)?.delete(listener);
+};
+
+/**
+ * Migrates persisted data, opens the IndexedDB backend (importing the
+ * localStorage keys on first run) and starts listening to other tabs. Falls
+ * back to localStorage when IndexedDB is unavailable. Must resolve before the
+ * app reads state.
+ * @returns {Promise<Object>} Storage report (see getStorageReport)
+ */
+export const initStorage = async () => {
+  // A failed localStorage migration leaves its data in place for the next attempt
+  if (migrateLocalStorage() && isIndexedDbAvailable()) await openIndexedDb();
+  startTabSync();
+  return getStorageReport();
+};
+
+/**
+ * Reads a single value
+ * @param {string} key - Unprefixed key
+ * @param {*} fallback - Returned when the key is missing or unreadable
+ * @returns {*}
+ */
+export const readItem = (key, fallback) => {
+  if (db) {
+    if (!cache.has(key)) return fallback;
+    const value = cache.get(key);
+    // Saving back what was just read shouldn't broadcast to other tabs
+    if (!synced.has(key)) synced.set(key, JSON.stringify(value));
+    return value;
+  }
+
+  let raw;
+  try {
+    raw = localStorage.getItem(STORAGE_PREFIX + key);
+  } catch (e) {
+    reportStorageError('read', key, e);
+    return fallback;
+  }
+  if (raw === null) return fallback;
+  try {
+    const value = JSON.parse(raw);
+    if (!synced.has(key)) synced.set(key, raw);
+    return value;
+  } catch (e) {
+    reportStorageError('read', key, e);
+    return fallback;
+  }
+};
+
+/**
+ * Writes a single value. With IndexedDB the write is queued and only the
+ * records that changed are persisted.
+ * @param {string} key - Unprefixed key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} Whether the write succeeded (or was queued)
+ */
+export const writeItem = (key, value) => {
+  const json = JSON.stringify(value);
+  // Echo of what another tab just sent us (or an unchanged save): nothing to do
+  if (synced.get(key) === json) return true;
+
+  if (db) {
+    cache.set(key, value);
+    writer.write(key, value);
+  } else {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, json);
+    } catch (e) {
+      reportStorageError('write', key, e);
+      unsaved.set(key, json);
+      setWriteStatus([key], e);
+      return false;
+    }
+    unsaved.delete(key);
+    setWriteStatus([key], null);
+  }
+  synced.set(key, json);
+  broadcast(key, value);
+  return true;
+};
+
+/**
+ * Writes every key whose last write failed again, e.g. after freeing space
+ * @returns {Promise<void>} Resolves once the attempt has settled
+ */
+export const retryFailedWrites = async () => {
+  const keys = [...failingWrites.keys()];
+  if (db) {
+    keys.forEach((key) => (cache.has(key) ? writer.write(key, cache.get(key)) : writer.remove(key)));
+    await writer.flush();
+    return;
+  }
+  keys.forEach((key) => {
+    if (!unsaved.has(key)) {
+      setWriteStatus([key], null);
+      return;
+    }
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, unsaved.get(key));
+    } catch (e) {
+      setWriteStatus([key], e);
+      return;
+    }
+    synced.set(key, unsaved.get(key));
+    unsaved.delete(key);
+    setWriteStatus([key], null);
+  });
+};
+
+/**
+ * Removes a single value
+ * @param {string} key - Unprefixed key
+ */
+export const removeItem = (key) => {
+  if (db) {
+    cache.delete(key);
+    writer.remove(key);
+  } else {
+    try {
+      localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (e) {
+      reportStorageError('write', key, e);
+      return;
+    }
+    unsaved.delete(key);
+    setWriteStatus([key], null);
+  }
+  synced.delete(key);
+  broadcast(key, undefined);
+};
+
+// ============================================================================
+// USAGE
+// ============================================================================
+
+/**
+ * Approximate space used by each stored key, largest first
+ * @returns {{backend: string, total: number, keys: Array<{key: string, bytes: number}>}}
+ */
+export const getStorageUsage = () => {
+  const keys = [];
+  if (db) {
+    cache.forEach((value, key) => keys.push({ key, bytes: JSON.stringify(value)?.length || 0 }));
+  } else {
+    for (let i = 0; i < localStorage.length; i++) {
+      const fullKey = localStorage.key(i);
+      if (!fullKey?.startsWith(STORAGE_PREFIX)) continue;
+      // localStorage quotas count UTF-16 code units
+      const bytes = (fullKey.length + (localStorage.getItem(fullKey) || '').length) * 2;
+      keys.push({ key: fullKey.slice(STORAGE_PREFIX.length), bytes });
+    }
+  }
+  keys.sort((a, b) => b.bytes - a.bytes);
+  return {
+    backend: getStorageBackend(),
+    total: keys.reduce((sum, { bytes }) => sum + bytes, 0),
+    keys,
+  };
+};
+
+/**
+ * The browser's own usage and quota for this origin, where it reports them
+ * @returns {Promise<{usage: number, quota: number}|null>}
+ */
+export const estimateStorageQuota = async () => {
+  try {
+    const estimate = await navigator.storage?.estimate?.();
+    return estimate?.quota ? { usage: estimate.usage || 0, quota: estimate.quota } : null;
+  } catch {
+    return null;
+  }
+};
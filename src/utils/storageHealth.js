@@ -0,0 +1,113 @@
+/**
+ * SELAH RHYTHM - Storage Health
+ * v0.9.45
+ *
+ * Helpers for the storage panel in Settings: readable names and sizes for
+ * stored keys, and guided pruning of old data when space runs low.
+ *
+ * planPrune() lists what would be removed (completed tasks, habit history
+ * entries and weekly reflections older than a cutoff) so it can be previewed;
+ * applyPrune() removes exactly that. Reflection history is never pruned: it
+ * is the journal, and it keeps its own copy of each day's completed tasks.
+ */
+
+import { BACKUP_SECTIONS } from './backup';
+import { toDayKey, addDays } from './dateHelpers';
+
+/** Keys that aren't backup sections but can still take up room */
+const EXTRA_LABELS = {
+  preMigrationBackup: 'Pre-upgrade backup',
+  vaultInbox: 'Journal inbox (locked saves)',
+  syncState: 'Sync state',
+  reflections: "Tonight's reflection",
+  gratitude: "Today's gratitude",
+};
+
+/**
+ * Human-readable name for a storage key
+ * @param {string} key - Unprefixed key
+ * @returns {string}
+ */
+export const getStorageKeyLabel = (key) =>
+  BACKUP_SECTIONS.find((section) => section.key === key)?.label || EXTRA_LABELS[key] || key;
+
+/**
+ * Formats a byte count, e.g. 1536 -> "1.5 KB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// ============================================================================
+// PRUNING
+// ============================================================================
+
+export const PRUNE_AGE_OPTIONS = [30, 90, 180, 365].map((days) => ({
+  value: days,
+  label: days === 365 ? 'a year' : `${days} days`,
+}));
+
+export const PRUNE_TARGETS = [
+  { key: 'completed', label: 'Completed tasks' },
+  { key: 'habitHistory', label: 'Habit history' },
+  { key: 'weeklyReflections', label: 'Weekly reflections' },
+];
+
+const dayOf = (iso) => {
+  const date = iso ? new Date(iso) : null;
+  return date && !Number.isNaN(date.getTime()) ? toDayKey(date) : null;
+};
+
+// Predicates shared by planning and applying, so both remove the same things
+const matchers = (cutoff, targets) => ({
+  completed: (task) => targets.includes('completed') && (dayOf(task.completedAt) ?? cutoff) < cutoff,
+  habitEntry: (entry) => targets.includes('habitHistory') && entry.date < cutoff,
+  weekly: (entry) => targets.includes('weeklyReflections') && (dayOf(entry.date) ?? cutoff) < cutoff,
+});
+
+/**
+ * Lists what pruning would remove
+ * @param {Object} values - {tasks, habits, weeklyReflections}
+ * @param {Object} options
+ * @param {number} options.olderThanDays - Remove entries from before this many days ago
+ * @param {string[]} options.targets - Keys of PRUNE_TARGETS to prune
+ * @param {Date} [options.now=new Date()]
+ * @returns {{cutoff: string, targets: string[], completed: Array, habitHistory: Array, weeklyReflections: Array, bytes: number}}
+ */
+export const planPrune = ({ tasks, habits, weeklyReflections }, { olderThanDays, targets, now = new Date() }) => {
+  const cutoff = addDays(toDayKey(now), -olderThanDays);
+  const match = matchers(cutoff, targets);
+  const plan = {
+    cutoff,
+    targets,
+    completed: (tasks.completed || []).filter(match.completed),
+    habitHistory: habits.flatMap((habit) =>
+      (habit.history || []).filter(match.habitEntry).map((entry) => ({ habit: habit.name, ...entry }))
+    ),
+    weeklyReflections: weeklyReflections.filter(match.weekly),
+  };
+  plan.bytes = JSON.stringify([plan.completed, plan.habitHistory, plan.weeklyReflections]).length;
+  return plan;
+};
+
+/**
+ * Removes what a plan lists
+ * @param {Object} values - {tasks, habits, weeklyReflections}
+ * @param {Object} plan - From planPrune
+ * @returns {{tasks: Object, habits: Array, weeklyReflections: Array}}
+ */
+export const applyPrune = ({ tasks, habits, weeklyReflections }, plan) => {
+  const match = matchers(plan.cutoff, plan.targets);
+  return {
+    tasks: { ...tasks, completed: (tasks.completed || []).filter((task) => !match.completed(task)) },
+    habits: habits.map((habit) => ({
+      ...habit,
+      history: (habit.history || []).filter((entry) => !match.habitEntry(entry)),
+    })),
+    weeklyReflections: weeklyReflections.filter((entry) => !match.weekly(entry)),
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * SELAH RHYTHM - Task Checklists
+ * v0.9.45
+ *
+ * Steps inside a task. A task may carry `subtasks`, an ordered list of
+ * {id, text, done}. These helpers return new arrays and never mutate, so
+ * they can be used directly inside state updaters.
+ */
+
+import { genId } from './helpers';
+
+const stepsOf = (task) => task?.subtasks || [];
+
+/**
+ * Done and total step counts
+ * @param {Object} task
+ * @returns {{done: number, total: number}}
+ */
+export const stepProgress = (task) => {
+  const steps = stepsOf(task);
+  return { done: steps.filter((s) => s.done).length, total: steps.length };
+};
+
+/**
+ * First unchecked step, if any
+ * @param {Object} task
+ * @returns {Object|undefined}
+ */
+export const nextStep = (task) => stepsOf(task).find((s) => !s.done);
+
+/** Whether a task has steps and every one is checked */
+export const allStepsDone = (steps) => steps.length > 0 && steps.every((s) => s.done);
+
+export const addStep = (steps, text) => [...steps, { id: genId(), text, done: false }];
+
+export const toggleStep = (steps, stepId) =>
+  steps.map((s) => (s.id === stepId ? { ...s, done: !s.done } : s));
+
+export const editStep = (steps, stepId, text) =>
+  steps.map((s) => (s.id === stepId ? { ...s, text } : s));
+
+export const removeStep = (steps, stepId) => steps.filter((s) => s.id !== stepId);
+
+/**
+ * Moves a step up or down by one place
+ * @param {Array} steps
+ * @param {string} stepId
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Array}
+ */
+export const moveStep = (steps, stepId, offset) => {
+  const from = steps.findIndex((s) => s.id === stepId);
+  const to = from + offset;
+  if (from < 0 || to < 0 || to >= steps.length) return steps;
+  const next = [...steps];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+};
@@ -0,0 +1,263 @@
+/**
+ * SELAH RHYTHM - Sync Client
+ * v0.9.45
+ *
+ * Pushes local changes to a sync server and pulls everyone else's, using the
+ * record protocol in syncProtocol.js. App state is split into per-item
+ * records (tasks by id, reflection history by day), so two devices editing
+ * different items never conflict; when both edit the same item, the newer
+ * version wins on every device.
+ *
+ * What the last sync agreed on is kept in a small sync state (persisted by
+ * the caller): the server cursor, a hybrid clock and, per record, its version
+ * and a hash of its value. A sync:
+ *   1. Stamps every record whose hash changed since last time (or that
+ *      disappeared, as a tombstone) with a fresh version
+ *   2. Pushes those records
+ *   3. Pulls every change after the cursor and applies the ones newer than
+ *      the local version
+ *
+ * Data that existed before a device's first sync is stamped with the lowest
+ * possible version, so a device joining an existing account adopts the
+ * server's copy of anything both have instead of overwriting it.
+ */
+
+import {
+  SYNC_PROTOCOL_VERSION,
+  SYNC_COLLECTIONS,
+  compareVersions,
+  validateRecord,
+} from './syncProtocol';
+
+const PULL_LIMIT = 500;
+const ACTIVE_LISTS = ['primary', 'today', 'thisWeek', 'later'];
+
+// ============================================================================
+// STATE <-> RECORDS
+// ============================================================================
+
+const hasId = (item) => item && item.id != null;
+
+const versionOf = ({ updatedAt, deviceId }) => ({ updatedAt, deviceId });
+
+const byOrder = ([idA, a], [idB, b]) => a.order - b.order || (idA < idB ? -1 : idA > idB ? 1 : 0);
+
+/** Arrays of {id, ...}; items without an id stay local */
+const arrayCodec = (stateKey) => ({
+  stateKey,
+  toRecords: (items = []) =>
+    new Map(items.filter(hasId).map((item, order) => [String(item.id), { order, item }])),
+  fromRecords: (records, items = []) => [
+    ...[...records].sort(byOrder).map(([, v]) => v.item),
+    ...items.filter((item) => !hasId(item)),
+  ],
+});
+
+/**
+ * How each collection maps onto app state. Active tasks and the completed
+ * archive share the `tasks` state key but are separate collections, because
+ * a completed copy keeps the id of the task it came from.
+ */
+const CODECS = {
+  tasks: {
+    stateKey: 'tasks',
+    toRecords: (tasks) =>
+      new Map(ACTIVE_LISTS.flatMap((list) =>
+        (tasks[list] || []).filter(hasId).map((item, order) => [String(item.id), { list, order, item }])
+      )),
+    fromRecords: (records, tasks) => {
+      const sorted = [...records].sort(byOrder);
+      return {
+        ...tasks,
+        ...Object.fromEntries(ACTIVE_LISTS.map((list) => [
+          list,
+          [
+            ...sorted.filter(([, v]) => v.list === list).map(([, v]) => v.item),
+            ...(tasks[list] || []).filter((item) => !hasId(item)),
+          ],
+        ])),
+      };
+    },
+  },
+  // Newest first by completion time, so a new completion doesn't renumber the archive
+  completedTasks: {
+    stateKey: 'tasks',
+    toRecords: (tasks) => new Map((tasks.completed || []).filter(hasId).map((item) => [String(item.id), item])),
+    fromRecords: (records, tasks) => ({
+      ...tasks,
+      completed: [
+        ...[...records.values()].sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || '')),
+        ...(tasks.completed || []).filter((item) => !hasId(item)),
+      ],
+    }),
+  },
+  habits: arrayCodec('habits'),
+  schedEvents: arrayCodec('schedEvents'),
+  prayers: arrayCodec('prayers'),
+  gratitudeEntries: arrayCodec('gratitudeEntries'),
+  reflectionHistory: {
+    stateKey: 'reflectionHistory',
+    toRecords: (history = {}) => new Map(Object.entries(history)),
+    fromRecords: (records) => Object.fromEntries([...records].sort(([a], [b]) => (a < b ? -1 : 1))),
+  },
+};
+
+/** App state keys written by the given collections */
+export const getSyncStateKeys = (collections = SYNC_COLLECTIONS) =>
+  [...new Set(collections.map((c) => CODECS[c].stateKey))];
+
+// FNV-1a; only used to notice that a record changed between syncs
+const hashValue = (value) => {
+  const text = JSON.stringify(value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const newDeviceId = () =>
+  globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * HTTP transport for the reference server (see server/README.md)
+ * @param {Object} options
+ * @param {string} options.url - Server base URL, e.g. http://localhost:8787
+ * @param {string} [options.token] - Bearer token when the server requires one
+ * @param {Function} [options.fetchImpl=fetch]
+ * @returns {{health: Function, push: Function, pull: Function}}
+ */
+export const createSyncTransport = ({ url, token, fetchImpl = globalThis.fetch }) => {
+  const base = url.replace(/\/+$/, '');
+  const request = async (path, init = {}) => {
+    const res = await fetchImpl(`${base}${path}`, {
+      ...init,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `Sync server responded ${res.status}`);
+    if (body.protocol !== SYNC_PROTOCOL_VERSION) {
+      throw new Error(`Sync server speaks protocol v${body.protocol}, this app v${SYNC_PROTOCOL_VERSION}`);
+    }
+    return body;
+  };
+  return {
+    /** @returns {Promise<{ok: boolean}>} */
+    health: () => request('/v1/health'),
+    /** @returns {Promise<{stored: number, cursor: number}>} */
+    push: (deviceId, records) =>
+      request('/v1/changes', {
+        method: 'POST',
+        body: JSON.stringify({ protocol: SYNC_PROTOCOL_VERSION, deviceId, records }),
+      }),
+    /** @returns {Promise<{records: Array, cursor: number, more: boolean}>} */
+    pull: (since) => request(`/v1/changes?since=${since}&limit=${PULL_LIMIT}`),
+  };
+};
+
+// ============================================================================
+// SYNC
+// ============================================================================
+
+/**
+ * Runs one push/pull round
+ * @param {Object} options
+ * @param {{push: Function, pull: Function}} options.transport
+ * @param {Object} options.state - Current app values by state key (tasks, habits, ...)
+ * @param {Object|null} options.syncState - Sync state from the previous round (null on first sync)
+ * @param {string[]} [options.collections=SYNC_COLLECTIONS] - Collections to sync
+ * @param {Function} [options.now=Date.now]
+ * @returns {Promise<{state: Object, syncState: Object, changedKeys: string[], pushed: number, pulled: number}>}
+ */
+export const syncOnce = async ({ transport, state, syncState, collections = SYNC_COLLECTIONS, now = Date.now }) => {
+  const firstSync = !syncState;
+  const sync = {
+    deviceId: syncState?.deviceId || newDeviceId(),
+    cursor: syncState?.cursor || 0,
+    clock: syncState?.clock || 0,
+    known: Object.fromEntries(collections.map((c) => [c, { ...(syncState?.known?.[c] || {}) }])),
+  };
+  const tick = () => {
+    sync.clock = Math.max(now(), sync.clock + 1);
+    return sync.clock;
+  };
+
+  // 1. Stamp what changed locally since the last round
+  const local = {};
+  const outgoing = [];
+  collections.forEach((collection) => {
+    const records = CODECS[collection].toRecords(state[CODECS[collection].stateKey]);
+    const known = sync.known[collection];
+    local[collection] = records;
+
+    records.forEach((value, id) => {
+      const hash = hashValue(value);
+      const k = known[id];
+      if (k && !k.deleted && k.hash === hash) return;
+      known[id] = firstSync
+        ? { updatedAt: 0, deviceId: '', hash }
+        : { updatedAt: tick(), deviceId: sync.deviceId, hash };
+      outgoing.push({ collection, id, ...versionOf(known[id]), deleted: false, value });
+    });
+    Object.entries(known).forEach(([id, k]) => {
+      if (k.deleted || records.has(id)) return;
+      known[id] = { updatedAt: tick(), deviceId: sync.deviceId, deleted: true };
+      outgoing.push({ collection, id, ...versionOf(known[id]), deleted: true });
+    });
+  });
+
+  // 2. Push; the server keeps whichever version of each record is newer
+  if (outgoing.length > 0) await transport.push(sync.deviceId, outgoing);
+
+  // 3. Pull everything after the cursor, including our own echo
+  const changed = new Set();
+  let pulled = 0;
+  let more = true;
+  while (more) {
+    const page = await transport.pull(sync.cursor);
+    (page.records || []).forEach((record) => {
+      if (validateRecord(record) || !collections.includes(record.collection)) return;
+      sync.clock = Math.max(sync.clock, record.updatedAt);
+      const known = sync.known[record.collection];
+      const k = known[record.id];
+      const hash = record.deleted ? undefined : hashValue(record.value);
+      const order = k ? compareVersions(record, k) : 1;
+      // Equal versions with different content only happen for pre-sync data;
+      // the server's copy wins so every device converges on it
+      if (order < 0 || (order === 0 && k.hash === hash && !!k.deleted === record.deleted)) return;
+
+      known[record.id] = record.deleted
+        ? { ...versionOf(record), deleted: true }
+        : { ...versionOf(record), hash };
+      if (record.deleted) local[record.collection].delete(record.id);
+      else local[record.collection].set(record.id, record.value);
+      changed.add(record.collection);
+      pulled++;
+    });
+    sync.cursor = page.cursor;
+    more = !!page.more;
+  }
+
+  // 4. Rebuild the app values the pulled records touched
+  const next = { ...state };
+  changed.forEach((collection) => {
+    const { stateKey, fromRecords } = CODECS[collection];
+    next[stateKey] = fromRecords(local[collection], next[stateKey]);
+  });
+
+  return {
+    state: next,
+    syncState: { ...sync, known: { ...(syncState?.known || {}), ...sync.known } },
+    changedKeys: getSyncStateKeys([...changed]),
+    pushed: outgoing.length,
+    pulled,
+  };
+};
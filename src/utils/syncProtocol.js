@@ -0,0 +1,68 @@
+/**
+ * SELAH RHYTHM - Sync Protocol
+ * v0.9.45
+ *
+ * Shared by the browser client (syncClient.js) and the reference server
+ * (server/sync-server.js), so both sides pick conflict winners the same way.
+ * Must stay free of browser and Node specific imports.
+ *
+ * A record is one item of a synced collection:
+ *   { collection, id, updatedAt, deviceId, deleted, value }
+ * - updatedAt: hybrid clock in ms; never lower than any version the device
+ *   has already seen, so a later edit always outranks what it replaced
+ * - deviceId: random id of the device that made the change
+ * - deleted: true for tombstones, which carry no value
+ *
+ * The newer version wins: higher updatedAt, then higher deviceId. The server
+ * only replaces what it holds with a strictly newer version, and stamps each
+ * stored change with an increasing seq that clients pull from.
+ */
+
+export const SYNC_PROTOCOL_VERSION = 1;
+
+/** Collections that can be synced, in the order they are applied */
+export const SYNC_COLLECTIONS = [
+  'tasks',
+  'completedTasks',
+  'habits',
+  'schedEvents',
+  'prayers',
+  'gratitudeEntries',
+  'reflectionHistory',
+];
+
+/** Journal collections; skipped while the journal vault encrypts them */
+export const JOURNAL_COLLECTIONS = ['prayers', 'gratitudeEntries', 'reflectionHistory'];
+
+const MAX_ID_LENGTH = 200;
+
+/**
+ * Orders two versions of a record
+ * @param {{updatedAt: number, deviceId: string}} a
+ * @param {{updatedAt: number, deviceId: string}} b
+ * @returns {number} > 0 when a is newer, < 0 when b is newer, 0 when equal
+ */
+export const compareVersions = (a, b) => {
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt > b.updatedAt ? 1 : -1;
+  if (a.deviceId === b.deviceId) return 0;
+  return a.deviceId > b.deviceId ? 1 : -1;
+};
+
+/**
+ * Checks the shape of a record received over the wire
+ * @param {*} record
+ * @returns {string|null} Problem description, or null when valid
+ */
+export const validateRecord = (record) => {
+  if (!record || typeof record !== 'object') return 'Record must be an object';
+  if (!SYNC_COLLECTIONS.includes(record.collection)) return `Unknown collection "${record.collection}"`;
+  if (typeof record.id !== 'string' || !record.id || record.id.length > MAX_ID_LENGTH) return 'Record id must be a non-empty string';
+  if (!Number.isFinite(record.updatedAt) || record.updatedAt < 0) return 'updatedAt must be a non-negative number';
+  if (typeof record.deviceId !== 'string') return 'deviceId must be a string';
+  if (typeof record.deleted !== 'boolean') return 'deleted must be a boolean';
+  if (!record.deleted && record.value === undefined) return 'Only tombstones may omit value';
+  return null;
+};
+
+/** Key identifying a record across collections */
+export const recordKey = (record) => `${record.collection}/${record.id}`;
@@ -0,0 +1,144 @@
+/**
+ * SELAH RHYTHM - Tags and Filter Views
+ * v0.9.45
+ *
+ * Free-form tags sit alongside a task's one category: a task may carry
+ * `tags`, a list of short lowercase names like "waiting-on" or "quick-win".
+ *
+ * A filter narrows the task lists by tags (a task needs all of them),
+ * category, time estimate, list and whether it has a schedule block. Filters
+ * can be saved as named views (settings.savedViews) and pinned, which puts
+ * them in the filter bar of the Order and Focus views.
+ */
+
+import { LISTS, LIST_LABELS } from '../data/constants';
+import { estimateMinutes } from './timeHelpers';
+import { genId } from './helpers';
+
+const MAX_TAG_LENGTH = 32;
+
+/**
+ * Tag as stored: lower case, no leading #, dashes for spaces
+ * @param {string} raw
+ * @returns {string} Empty when nothing usable is left
+ */
+export const normalizeTag = (raw) =>
+  String(raw || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, MAX_TAG_LENGTH);
+
+export const tagsOf = (task) => task?.tags || [];
+
+/**
+ * Every tag in use on active tasks, most used first
+ * @param {Object} tasks - Task lists
+ * @returns {string[]}
+ */
+export const collectTags = (tasks) => {
+  const counts = {};
+  LISTS.forEach((list) =>
+    (tasks[list] || []).forEach((t) => tagsOf(t).forEach((tag) => (counts[tag] = (counts[tag] || 0) + 1)))
+  );
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a] || a.localeCompare(b));
+};
+
+export const ESTIMATE_FILTERS = [
+  { value: 'any', label: 'Any estimate' },
+  { value: 'none', label: 'No estimate' },
+  { value: 'short', label: '15m or less' },
+  { value: 'medium', label: '16m to 1h' },
+  { value: 'long', label: 'Over 1h' },
+];
+
+export const SCHEDULE_FILTERS = [
+  { value: 'any', label: 'Scheduled or not' },
+  { value: 'yes', label: 'Has a schedule block' },
+  { value: 'no', label: 'No schedule block' },
+];
+
+export const EMPTY_FILTER = {
+  tags: [],
+  cat: 'all',
+  estimate: 'any',
+  list: 'all',
+  scheduled: 'any',
+};
+
+/** Whether a filter narrows anything */
+export const isFilterActive = (filter) =>
+  !!filter &&
+  (filter.tags.length > 0 || Object.keys(EMPTY_FILTER).some((k) => k !== 'tags' && filter[k] !== EMPTY_FILTER[k]));
+
+const matchesEstimate = (time, estimate) => {
+  if (estimate === 'any') return true;
+  const minutes = estimateMinutes(time);
+  if (estimate === 'none') return minutes === 0;
+  if (minutes === 0) return false;
+  if (estimate === 'short') return minutes <= 15;
+  if (estimate === 'medium') return minutes > 15 && minutes <= 60;
+  return minutes > 60;
+};
+
+/**
+ * Whether a list's section is shown under a filter
+ * @param {Object} filter
+ * @param {string} list
+ * @returns {boolean}
+ */
+export const filterShowsList = (filter, list) => !filter || filter.list === 'all' || filter.list === list;
+
+/**
+ * Whether a task passes a filter's task-level criteria (the list is left to
+ * filterShowsList, since each section shows one list)
+ * @param {Object} task
+ * @param {Object} filter
+ * @param {boolean} scheduled - Whether the task has a schedule block
+ * @returns {boolean}
+ */
+export const matchesFilter = (task, filter, scheduled) => {
+  if (!filter) return true;
+  const tags = tagsOf(task);
+  if (!filter.tags.every((tag) => tags.includes(tag))) return false;
+  if (filter.cat !== 'all' && (task.cat || 'none') !== filter.cat) return false;
+  if (!matchesEstimate(task.time, filter.estimate)) return false;
+  if (filter.scheduled === 'yes' && !scheduled) return false;
+  if (filter.scheduled === 'no' && scheduled) return false;
+  return true;
+};
+
+/**
+ * Short summary of a filter, e.g. "#waiting-on · Admin · 15m or less"
+ * @param {Object} filter
+ * @param {Array} categories
+ * @returns {string}
+ */
+export const describeFilter = (filter, categories) => {
+  const label = (options, value) => options.find((o) => o.value === value)?.label;
+  return [
+    ...filter.tags.map((tag) => `#${tag}`),
+    filter.cat !== 'all' && (categories.find((c) => c.id === filter.cat)?.n || filter.cat),
+    filter.estimate !== 'any' && label(ESTIMATE_FILTERS, filter.estimate),
+    filter.list !== 'all' && LIST_LABELS[filter.list],
+    filter.scheduled !== 'any' && label(SCHEDULE_FILTERS, filter.scheduled),
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+/**
+ * A saved view of a filter
+ * @param {string} name
+ * @param {Object} filter
+ * @returns {{id: string, name: string, filter: Object, pinned: boolean}}
+ */
+export const createView = (name, filter) => ({ id: genId(), name, filter: { ...filter }, pinned: true });
+
+/** Whether two filters select the same tasks */
+export const sameFilter = (a, b) =>
+  Object.keys(EMPTY_FILTER).every((k) =>
+    k === 'tags' ? [...a.tags].sort().join() === [...b.tags].sort().join() : a[k] === b[k]
+  );
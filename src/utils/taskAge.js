@@ -0,0 +1,107 @@
+/**
+ * SELAH RHYTHM - Task Age
+ * v0.9.45
+ *
+ * Tasks carry createdAt (when added) and touchedAt (when last edited, moved
+ * or kept in triage), both ISO strings. A task's age counts from the later
+ * of the two, so tasks that are being worked on stay young.
+ *
+ * Tasks added before ages were tracked have neither; their age is unknown,
+ * and in This Week and Later that alone makes them stale. Stale tasks are
+ * what the triage wizard (TriageModal) walks through.
+ */
+
+import { LISTS } from '../data/constants';
+import { toDayKey, parseDayKey } from './dateHelpers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days untouched before a task counts as stale, by list
+export const STALE_AFTER_DAYS = { thisWeek: 7, later: 30 };
+
+// Ages under this aren't worth showing
+export const AGE_SHOWN_AFTER_DAYS = 7;
+
+// Tasks parked for someday carry this tag; triage leaves them be
+export const SOMEDAY_TAG = 'someday';
+
+/**
+ * When a task was last touched, or added
+ * @param {Object} task
+ * @returns {string|null} ISO timestamp, null when unknown
+ */
+export const lastTouched = (task) => task?.touchedAt || task?.createdAt || null;
+
+/**
+ * Calendar days since a task was last touched
+ * @param {Object} task
+ * @param {string} today - Current logical day key
+ * @returns {number|null} Null when unknown
+ */
+export const ageInDays = (task, today) => {
+  const at = lastTouched(task);
+  if (!at) return null;
+  const days = Math.round((parseDayKey(today) - parseDayKey(toDayKey(new Date(at)))) / DAY_MS);
+  return Math.max(0, days);
+};
+
+/**
+ * Short age label: "3d", "2w", "5mo", "1y"
+ * @param {number} days
+ * @returns {string}
+ */
+export const fmtAge = (days) => {
+  if (days < 14) return `${days}d`;
+  if (days < 60) return `${Math.floor(days / 7)}w`;
+  if (days < 360) return `${Math.floor(days / 30)}mo`;
+  return `${Math.max(1, Math.floor(days / 365))}y`;
+};
+
+/**
+ * Whether a task has sat untouched too long for its list. Done, dated,
+ * snoozed and someday tasks never are.
+ * @param {Object} task
+ * @param {string} list
+ * @param {string} today - Current logical day key
+ * @returns {boolean}
+ */
+export const isStale = (task, list, today) => {
+  const limit = STALE_AFTER_DAYS[list];
+  if (!limit || task.done || task.due || task.snoozeUntil) return false;
+  if ((task.tags || []).includes(SOMEDAY_TAG)) return false;
+  const days = ageInDays(task, today);
+  return days === null || days >= limit;
+};
+
+/**
+ * Stale tasks across the lists, oldest first (unknown ages first of all)
+ * @param {Object} tasks - Task lists
+ * @param {string} today - Current logical day key
+ * @returns {Array} [{...task, list}]
+ */
+export const staleTasks = (tasks, today) => {
+  const stale = LISTS.flatMap((list) =>
+    (tasks[list] || []).filter((t) => isStale(t, list, today)).map((t) => ({ ...t, list }))
+  );
+  const age = (t) => ageInDays(t, today) ?? Number.MAX_SAFE_INTEGER;
+  return stale.sort((a, b) => age(b) - age(a));
+};
+
+/**
+ * Stamps touchedAt on the tasks a change edited or moved: any task that
+ * isn't the very same object in the same list as before
+ * @param {Object} prev - Task lists before the change
+ * @param {Object} next - Task lists after it
+ * @param {string} [at] - ISO timestamp, now by default
+ * @returns {Object} next, with the touched tasks stamped
+ */
+export const stampTouched = (prev, next, at = new Date().toISOString()) => {
+  if (next === prev) return next;
+  const stamped = { ...next };
+  LISTS.forEach((list) => {
+    if (next[list] === prev[list] || !next[list]) return;
+    const before = new Set(prev[list] || []);
+    stamped[list] = next[list].map((t) => (before.has(t) ? t : { ...t, touchedAt: at }));
+  });
+  return stamped;
+};
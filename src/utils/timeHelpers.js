@@ -22,3 +22,15 @@ export const getGreeting = (profile) => {
   const name = profile?.firstName?.trim();
   return name ? `${timeGreeting}, ${name}` : timeGreeting;
 };
+
+/**
+ * Minutes a task's time estimate stands for ("45m", "1h", "3h+"), 0 when unset
+ *
+ * @param {string} time - Task time estimate
+ * @returns {number}
+ */
+export const estimateMinutes = (time) => {
+  const m = String(time || '').match(/^(\d+(?:\.\d+)?)\s*(m|h)/i);
+  if (!m) return 0;
+  return Math.round(Number(m[1]) * (m[2].toLowerCase() === 'h' ? 60 : 1));
+};
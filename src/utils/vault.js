@@ -0,0 +1,298 @@
+/**
+ * SELAH RHYTHM - Journal Vault
+ * v0.9.45
+ *
+ * Optional passphrase encryption for the personal collections (prayers,
+ * gratitude entries and reflection history). Tasks, timer and settings stay
+ * plain so Order and Focus never wait on crypto.
+ *
+ * The passphrase derives an AES-GCM key (PBKDF2, SHA-256) that wraps an ECDH
+ * key pair. Values are sealed to the public key, so the app can still save a
+ * new entry while the vault is locked (e.g. the evening reflection journaled
+ * at rollover); reading anything back needs the private key, which only lives
+ * in memory between unlock and lock.
+ *
+ * Sealed values are stored under their usual keys as {__vault, epk, iv, data}.
+ * Saves made while locked only hold what is new since locking, so they go to
+ * an inbox that is merged into the collections on the next unlock.
+ */
+
+import { readItem, writeItem, removeItem, STORAGE_PREFIX } from './storage';
+import { mergeThreeWay } from './merge';
+
+export const VAULT_KEYS = ['prayers', 'gratitudeEntries', 'reflectionHistory'];
+export const VAULT_EMPTY = { prayers: [], gratitudeEntries: [], reflectionHistory: {} };
+export const DEFAULT_AUTO_LOCK_MINUTES = 10;
+
+const META_KEY = 'vault';
+const INBOX_KEY = 'vaultInbox';
+const FORMAT_VERSION = 1;
+const KDF_ITERATIONS = 310000;
+const CURVE = { name: 'ECDH', namedCurve: 'P-256' };
+
+const subtle = () => globalThis.crypto?.subtle;
+
+/** Whether this browser can run the vault (WebCrypto needs a secure context) */
+export const isVaultSupported = () => !!subtle();
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+// In chunks: spreading a large ciphertext into one call overflows the stack
+const toBase64 = (bytes) => {
+  const all = new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < all.length; i += 0x8000) {
+    binary += String.fromCharCode(...all.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+const encode = (value) => new TextEncoder().encode(JSON.stringify(value));
+const decode = (bytes) => JSON.parse(new TextDecoder().decode(bytes));
+const randomBytes = (n) => crypto.getRandomValues(new Uint8Array(n));
+
+/** Whether a stored value is a sealed vault envelope */
+export const isSealed = (value) =>
+  !!value && typeof value === 'object' && value.__vault === FORMAT_VERSION;
+
+// ============================================================================
+// KEYS
+// ============================================================================
+
+const derivePassphraseKey = async (passphrase, salt, iterations) => {
+  const material = await subtle().importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return subtle().deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// AES key shared between an ECDH private key and the other side's public key
+const deriveSharedKey = (privateKey, publicKey, usage) =>
+  subtle().deriveKey(
+    { name: 'ECDH', public: publicKey },
+    privateKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+
+const importPublicKey = (jwk) => subtle().importKey('jwk', jwk, CURVE, false, []);
+
+// Private key while unlocked; never persisted
+let session = null;
+
+const getMeta = () => readItem(META_KEY, null);
+
+/** Whether a vault has been set up on this device */
+export const isVaultEnabled = () => getMeta() !== null;
+
+/** Whether the vault is unlocked in this tab */
+export const isVaultUnlocked = () => session !== null;
+
+// ============================================================================
+// SEAL / OPEN
+// ============================================================================
+
+// Seals to a public key (JWK), before or after the vault's metadata exists
+const sealTo = async (publicJwk, value) => {
+  const ephemeral = await subtle().generateKey(CURVE, true, ['deriveKey']);
+  const key = await deriveSharedKey(ephemeral.privateKey, await importPublicKey(publicJwk), 'encrypt');
+  const iv = randomBytes(12);
+  const data = await subtle().encrypt({ name: 'AES-GCM', iv }, key, encode(value));
+  return {
+    __vault: FORMAT_VERSION,
+    epk: await subtle().exportKey('jwk', ephemeral.publicKey),
+    iv: toBase64(iv),
+    data: toBase64(data),
+  };
+};
+
+/**
+ * Encrypts a value to the vault's public key (works while locked)
+ * @param {*} value - JSON-serializable value
+ * @returns {Promise<Object>} Sealed envelope
+ */
+export const sealValue = async (value) => {
+  const meta = getMeta();
+  if (!meta) throw new Error('The journal vault is not set up');
+  return sealTo(meta.publicKey, value);
+};
+
+/**
+ * Decrypts a sealed envelope; requires the vault to be unlocked
+ * @param {Object} envelope
+ * @returns {Promise<*>}
+ */
+export const openValue = async (envelope) => {
+  if (!session) throw new Error('The journal vault is locked');
+  const key = await deriveSharedKey(session, await importPublicKey(envelope.epk), 'decrypt');
+  const data = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+  return decode(data);
+};
+
+/**
+ * Reads a vault collection for initial state: empty while it is sealed
+ * @param {string} key - One of VAULT_KEYS
+ * @returns {*}
+ */
+export const loadUnsealed = (key) => {
+  const stored = readItem(key, VAULT_EMPTY[key]);
+  return isSealed(stored) ? VAULT_EMPTY[key] : stored;
+};
+
+// Opens a stored collection, accepting values saved before the vault existed
+const readCollection = async (key) => {
+  const stored = readItem(key, VAULT_EMPTY[key]);
+  return isSealed(stored) ? openValue(stored) : stored;
+};
+
+// ============================================================================
+// SAVING
+// ============================================================================
+
+// Sealing is async; keep each key's writes in the order they were made
+const pending = new Map();
+
+const queue = (key, task) => {
+  const next = (pending.get(key) || Promise.resolve()).then(task, task);
+  pending.set(key, next);
+  return next;
+};
+
+const isEmpty = (value) =>
+  value == null || (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+
+/**
+ * Persists a vault collection: sealed in place while unlocked, or added to the
+ * inbox while locked (where the value only holds what is new since locking)
+ * @param {string} key - One of VAULT_KEYS
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+export const writeVaultItem = (key, value) =>
+  queue(key, async () => {
+    if (session) {
+      writeItem(key, await sealValue(value));
+    } else if (!isEmpty(value)) {
+      const sealed = await sealValue({ key, value });
+      writeItem(INBOX_KEY, [...readItem(INBOX_KEY, []), sealed]);
+    }
+  });
+
+/**
+ * Merges entries saved while locked into the collections and empties the inbox
+ * @param {Object} values - Current plaintext values by key
+ * @returns {Promise<Object>} Values with the inbox merged in
+ */
+export const drainInbox = async (values) => {
+  const inbox = readItem(INBOX_KEY, []);
+  if (!session || inbox.length === 0) return values;
+  const next = { ...values };
+  for (const envelope of inbox) {
+    const { key, value } = await openValue(envelope);
+    if (VAULT_KEYS.includes(key)) next[key] = mergeThreeWay(undefined, next[key], value, true);
+  }
+  await Promise.all(VAULT_KEYS.map((key) => writeVaultItem(key, next[key])));
+  // Keep anything another tab added while this one was draining
+  const rest = readItem(INBOX_KEY, []).slice(inbox.length);
+  if (rest.length > 0) writeItem(INBOX_KEY, rest);
+  else removeItem(INBOX_KEY);
+  return next;
+};
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+// The storage layer's pre-migration backup would otherwise keep a plain copy
+const scrubMigrationBackup = () => {
+  const backup = readItem('preMigrationBackup', null);
+  if (!backup) return;
+  const fullKeys = VAULT_KEYS.map((key) => STORAGE_PREFIX + key);
+  const without = (entries) =>
+    entries && Object.fromEntries(Object.entries(entries).filter(([key]) => !fullKeys.includes(key)));
+  writeItem('preMigrationBackup', { ...backup, keys: without(backup.keys), values: without(backup.values) });
+};
+
+/**
+ * Sets up the vault and seals the current collections
+ * @param {string} passphrase
+ * @param {Object} values - Current plaintext values by key
+ * @returns {Promise<void>}
+ */
+export const createVault = async (passphrase, values) => {
+  const salt = randomBytes(16);
+  const wrapKey = await derivePassphraseKey(passphrase, salt, KDF_ITERATIONS);
+  const pair = await subtle().generateKey(CURVE, true, ['deriveKey']);
+  const iv = randomBytes(12);
+  const pkcs8 = await subtle().exportKey('pkcs8', pair.privateKey);
+  const wrapped = await subtle().encrypt({ name: 'AES-GCM', iv }, wrapKey, pkcs8);
+
+  const publicKey = await subtle().exportKey('jwk', pair.publicKey);
+
+  // Everything is sealed before anything is written, so a failure leaves the
+  // vault off and the collections as they were
+  const sealed = await Promise.all(VAULT_KEYS.map((key) => sealTo(publicKey, values[key])));
+
+  writeItem(META_KEY, {
+    version: FORMAT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    publicKey,
+    privateKey: { iv: toBase64(iv), data: toBase64(wrapped) },
+  });
+  session = pair.privateKey;
+  await Promise.all(VAULT_KEYS.map((key, i) => queue(key, async () => writeItem(key, sealed[i]))));
+  scrubMigrationBackup();
+};
+
+/**
+ * Unlocks the vault for this tab
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Plaintext values by key, inbox included
+ * @throws {Error} When the passphrase is wrong
+ */
+export const unlockVault = async (passphrase) => {
+  const meta = getMeta();
+  if (!meta) throw new Error('The journal vault is not set up');
+  const wrapKey = await derivePassphraseKey(passphrase, fromBase64(meta.kdf.salt), meta.kdf.iterations);
+  let pkcs8;
+  try {
+    pkcs8 = await subtle().decrypt(
+      { name: 'AES-GCM', iv: fromBase64(meta.privateKey.iv) }, wrapKey, fromBase64(meta.privateKey.data)
+    );
+  } catch {
+    throw new Error('That passphrase does not unlock this journal');
+  }
+  session = await subtle().importKey('pkcs8', pkcs8, CURVE, false, ['deriveKey']);
+
+  const values = {};
+  for (const key of VAULT_KEYS) values[key] = await readCollection(key);
+  return drainInbox(values);
+};
+
+/** Forgets the key; sealed data stays on disk */
+export const lockVault = () => {
+  session = null;
+};
+
+/**
+ * Turns the vault off and stores the collections as plain JSON again
+ * @param {Object} values - Current plaintext values by key
+ * @returns {Promise<void>}
+ */
+export const disableVault = async (values) => {
+  if (!session) throw new Error('Unlock the journal before turning encryption off');
+  await Promise.all(VAULT_KEYS.map((key) => pending.get(key)));
+  VAULT_KEYS.forEach((key) => writeItem(key, values[key]));
+  removeItem(INBOX_KEY);
+  removeItem(META_KEY);
+  session = null;
+};
@@ -0,0 +1,60 @@
+/**
+ * SELAH RHYTHM - Work-in-progress Limits
+ * v0.9.45
+ *
+ * Each task list can hold at most so many tasks (settings.wipLimits, by
+ * list; 0 means no limit). Primary keeps its limit of five by default.
+ *
+ * A limit is a guardrail, not a wall: when adding or moving tasks would go
+ * past one, App asks whether to swap a task out, put the new ones in the
+ * next list down, or go over anyway. A list that is over shows it in its
+ * header.
+ */
+
+import { LISTS } from '../data/constants';
+
+export const DEFAULT_WIP_LIMITS = { primary: 5, today: 0, thisWeek: 0, later: 0 };
+
+export const WIP_LIMIT_CHOICES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 12, 15, 20];
+
+/**
+ * A list's limit, 0 when it has none
+ * @param {Object} [limits] - settings.wipLimits; lists missing from it use the defaults
+ * @param {string} list
+ * @returns {number}
+ */
+export const wipLimitFor = (limits, list) => limits?.[list] ?? DEFAULT_WIP_LIMITS[list] ?? 0;
+
+/**
+ * Whether adding tasks to a list would take it past its limit
+ * @param {number} count - Tasks in the list now
+ * @param {number} limit
+ * @param {number} [incoming=1]
+ * @returns {boolean}
+ */
+export const wouldExceed = (count, limit, incoming = 1) => limit > 0 && count + incoming > limit;
+
+/** Whether a list holds more tasks than its limit */
+export const isOverLimit = (count, limit) => limit > 0 && count > limit;
+
+/**
+ * The list below, that tasks are demoted to: Primary → Today → This Week → Later
+ * @param {string} list
+ * @returns {string|null} Null for Later
+ */
+export const listBelow = (list) => LISTS[LISTS.indexOf(list) + 1] || null;
+
+/**
+ * The first list below `list` with room for the incoming tasks
+ * @param {Object} tasks - Task lists
+ * @param {Object} limits - settings.wipLimits
+ * @param {string} list
+ * @param {number} [incoming=1]
+ * @returns {string|null} Null when every list below is full
+ */
+export const roomBelow = (tasks, limits, list, incoming = 1) => {
+  for (let l = listBelow(list); l; l = listBelow(l)) {
+    if (!wouldExceed((tasks[l] || []).length, wipLimitFor(limits, l), incoming)) return l;
+  }
+  return null;
+};